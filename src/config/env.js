@@ -2,6 +2,18 @@ import dotenv from 'dotenv'
 
 dotenv.config()
 
+/**
+ * 解析数值型环境变量：未设置、为空或不是有效数字时使用默认值（0 为有效值）
+ * @param {string|undefined} value - 环境变量值
+ * @param {number} defaultValue - 默认值
+ * @param {Function} [parse=parseFloat] - 解析函数
+ * @returns {number}
+ */
+const numberOrDefault = (value, defaultValue, parse = parseFloat) => {
+  const parsed = parse(value)
+  return Number.isFinite(parsed) ? parsed : defaultValue
+}
+
 export const config = {
   // 服务配置
   port: process.env.PORT || 3000,
@@ -20,6 +32,102 @@ export const config = {
     timeout: parseInt(process.env.AI_TIMEOUT) || 30000,
   },
 
+  // AI服务提供方配置
+  ai: {
+    // openai：OpenAI兼容接口（使用上面的DeepSeek配置）；mock：本地模拟，按夹具文件返回固定结果
+    provider: process.env.AI_PROVIDER || 'openai',
+    model: process.env.AI_MODEL || 'deepseek-chat',
+    // JSON结果不符合结构时，带着校验错误重新请求的次数
+    maxRepairAttempts: Math.max(0, numberOrDefault(process.env.AI_MAX_REPAIR_ATTEMPTS, 1, parseInt)),
+    // mock 提供方的夹具文件路径（不配置时使用内置夹具）
+    mockFixtures: process.env.AI_MOCK_FIXTURES,
+    // mock 提供方流式输出每个片段的间隔（毫秒）
+    mockStreamDelayMs: parseInt(process.env.AI_MOCK_STREAM_DELAY_MS) || 0,
+  },
+
+  // 相互作用检测配置
+  interactionCheck: {
+    // 单次检测的药物数量上限（药物对数量随药物数平方增长）
+    maxDrugs: parseInt(process.env.INTERACTION_CHECK_MAX_DRUGS) || 20,
+  },
+
+  // 药物关系图谱配置
+  graph: {
+    // 指定药物时向外扩展的最大跳数
+    maxDepth: parseInt(process.env.GRAPH_MAX_DEPTH) || 3,
+    // 扩展结果的节点和边数量上限，达到上限后停止扩展并标记为截断
+    maxNodes: parseInt(process.env.GRAPH_MAX_NODES) || 200,
+    maxEdges: parseInt(process.env.GRAPH_MAX_EDGES) || 500,
+  },
+
+  // 风险评分配置：每个相互作用/禁忌按严重程度计分，分数达到阈值时对应风险等级
+  // 默认值下 1个high、2个medium 即为 high，1个medium 为 medium
+  riskScore: {
+    weights: {
+      low: numberOrDefault(process.env.RISK_WEIGHT_LOW, 1),
+      medium: numberOrDefault(process.env.RISK_WEIGHT_MEDIUM, 5),
+      high: numberOrDefault(process.env.RISK_WEIGHT_HIGH, 10),
+      contraindicated: numberOrDefault(process.env.RISK_WEIGHT_CONTRAINDICATED, 20),
+    },
+    // 每个患者因素（高龄、妊娠、肝肾功能不全等）的加分，只在存在中等及以上风险时计入
+    patientFactor: numberOrDefault(process.env.RISK_WEIGHT_PATIENT_FACTOR, 3),
+    thresholds: {
+      medium: numberOrDefault(process.env.RISK_THRESHOLD_MEDIUM, 5),
+      high: numberOrDefault(process.env.RISK_THRESHOLD_HIGH, 10),
+    },
+  },
+
+  // 异步任务配置（AI分析任务在进程内的任务处理器中执行）
+  jobs: {
+    // 是否在当前进程中启动任务处理器
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    // 没有待处理任务时的轮询间隔（毫秒）
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+    // 每个任务的最大尝试次数（包含首次执行）
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    // 重试退避基数（毫秒），第n次重试前等待 base * 2^(n-1)
+    retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+    // 执行中的任务超过该时间仍未结束视为已中断（如进程重启），重新排队
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 600000,
+  },
+
+  // 认证配置
+  auth: {
+    jwtSecret: process.env.JWT_SECRET,
+    accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '2h',
+    refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    // 读取类接口是否允许匿名访问
+    publicRead: process.env.AUTH_PUBLIC_READ !== 'false',
+    // 初始管理员账号（仅在数据库中没有该用户时创建）
+    initialAdmin: {
+      username: process.env.INITIAL_ADMIN_USERNAME,
+      password: process.env.INITIAL_ADMIN_PASSWORD,
+    },
+  },
+
+  // 限流配置
+  rateLimit: {
+    // 部署在反向代理之后时需开启，才能获取真实客户端IP
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    // AI相关接口：每个用户的上限，以及同一IP下所有用户合计的上限
+    windowMs: parseInt(process.env.AI_RATE_LIMIT_WINDOW_MS) || 60000,
+    max: parseInt(process.env.AI_RATE_LIMIT_MAX) || 10,
+    ipMax: parseInt(process.env.AI_RATE_LIMIT_IP_MAX) || 30,
+    // 登录、注册接口按IP限流
+    authWindowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 900000,
+    loginMax: parseInt(process.env.AUTH_LOGIN_RATE_LIMIT_MAX) || 10,
+    registerMax: parseInt(process.env.AUTH_REGISTER_RATE_LIMIT_MAX) || 5,
+  },
+
+  // 每日AI令牌配额（按角色，0表示不限制）
+  quota: {
+    dailyTokens: {
+      viewer: numberOrDefault(process.env.AI_DAILY_TOKENS_VIEWER, 50000, parseInt),
+      pharmacist: numberOrDefault(process.env.AI_DAILY_TOKENS_PHARMACIST, 200000, parseInt),
+      admin: numberOrDefault(process.env.AI_DAILY_TOKENS_ADMIN, 0, parseInt),
+    },
+  },
+
   // 日志配置
   log: {
     level: process.env.LOG_LEVEL || 'info',
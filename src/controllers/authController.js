@@ -0,0 +1,417 @@
+import mongoose from 'mongoose'
+import { authService } from '../services/AuthService.js'
+import { quotaService } from '../services/QuotaService.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 认证控制器
+ * 处理用户注册、登录和令牌刷新相关的HTTP请求
+ */
+
+/**
+ * 返回认证服务抛出的错误
+ * @param {Object} ctx - Koa上下文
+ * @param {Error} error - 错误对象（可包含code和status）
+ * @param {string} defaultCode - 默认错误代码
+ */
+const respondError = (ctx, error, defaultCode) => {
+  ctx.status = error.status || 500
+  ctx.body = {
+    success: false,
+    error: {
+      code: error.code || defaultCode,
+      message: error.message,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: 注册用户
+ *     tags: [Auth]
+ *     description: 自助注册的用户角色为 viewer；管理员携带令牌调用时可以指定 pharmacist 或 admin 角色
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: 用户名（3-32个字符）
+ *               password:
+ *                 type: string
+ *                 description: 密码（至少8个字符）
+ *               displayName:
+ *                 type: string
+ *                 description: 显示名称
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, pharmacist, admin]
+ *                 description: 角色（仅管理员可指定）
+ *     responses:
+ *       201:
+ *         description: 注册成功
+ *       400:
+ *         description: 请求参数错误
+ *       403:
+ *         description: 无权创建该角色的用户
+ *       409:
+ *         description: 用户名已存在
+ *       429:
+ *         description: 同一IP注册过于频繁（响应头包含 Retry-After）
+ *       500:
+ *         description: 服务器错误
+ */
+export const register = async (ctx) => {
+  try {
+    const { username, password, displayName, role } = ctx.request.body || {}
+
+    if (!username || typeof username !== 'string' || username.trim().length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '用户名不能为空',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (!password || typeof password !== 'string') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '密码不能为空',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const user = await authService.register(
+      { username: username.trim(), password, displayName, role },
+      ctx.state.user
+    )
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: user,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('注册用户失败', { error: error.message })
+    respondError(ctx, error, 'REGISTER_ERROR')
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: 用户登录
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 登录成功，返回用户信息和令牌
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                     accessToken:
+ *                       type: string
+ *                       description: 访问令牌，请求时放在 Authorization 请求头中（Bearer 方式）
+ *                     refreshToken:
+ *                       type: string
+ *                       description: 刷新令牌
+ *                     expiresIn:
+ *                       type: string
+ *                       description: 访问令牌有效期
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 用户名或密码错误
+ *       403:
+ *         description: 账号已被停用
+ *       429:
+ *         description: 同一IP登录过于频繁（响应头包含 Retry-After）
+ *       500:
+ *         description: 服务器错误
+ */
+export const login = async (ctx) => {
+  try {
+    const { username, password } = ctx.request.body || {}
+
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '用户名和密码不能为空',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const result = await authService.login(username.trim(), password)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('用户登录失败', { error: error.message })
+    respondError(ctx, error, 'LOGIN_ERROR')
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: 刷新令牌
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 刷新成功，返回新的令牌对
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 刷新令牌无效或已过期
+ *       500:
+ *         description: 服务器错误
+ */
+export const refreshToken = async (ctx) => {
+  try {
+    const { refreshToken: token } = ctx.request.body || {}
+
+    if (!token || typeof token !== 'string') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '缺少必需参数: refreshToken',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const result = await authService.refresh(token)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('刷新令牌失败', { error: error.message })
+    respondError(ctx, error, 'REFRESH_TOKEN_ERROR')
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: 获取当前登录用户
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功返回当前用户
+ *       401:
+ *         description: 未登录或令牌无效
+ */
+export const getCurrentUser = async (ctx) => {
+  try {
+    const user = await authService.findById(ctx.state.user.id)
+
+    ctx.body = {
+      success: true,
+      data: user,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取当前用户失败', { error: error.message })
+    respondError(ctx, error, 'GET_CURRENT_USER_ERROR')
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/me/usage:
+ *   get:
+ *     summary: 获取当前用户今日AI令牌用量
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功返回用量和配额
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       description: 统计日期
+ *                     totalTokens:
+ *                       type: integer
+ *                       description: 今日已用令牌数
+ *                     requests:
+ *                       type: integer
+ *                       description: 今日AI调用次数
+ *                     limit:
+ *                       type: integer
+ *                       description: 每日令牌上限（0表示不限制）
+ *                     remaining:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: 剩余令牌数（不限制时为null）
+ *                     resetAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: 配额重置时间
+ *       401:
+ *         description: 未登录或令牌无效
+ */
+export const getCurrentUsage = async (ctx) => {
+  try {
+    const usage = await quotaService.getUsage(ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: usage,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取令牌用量失败', { error: error.message })
+    respondError(ctx, error, 'GET_USAGE_ERROR')
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/role:
+ *   patch:
+ *     summary: 修改用户角色
+ *     tags: [Auth]
+ *     description: 仅管理员可用。修改后该用户已签发的刷新令牌全部失效
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 用户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, pharmacist, admin]
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 请求参数错误
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 用户不存在
+ */
+export const updateUserRole = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const { role } = ctx.request.body || {}
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '用户ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const user = await authService.updateRole(id, role)
+
+    ctx.body = {
+      success: true,
+      data: user,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('修改用户角色失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'UPDATE_USER_ROLE_ERROR')
+  }
+}
@@ -1,4 +1,7 @@
+import mongoose from 'mongoose'
 import { aiService } from '../services/AIService.js'
+import { chatContextService } from '../services/ChatContextService.js'
+import { conversationService } from '../services/ConversationService.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -25,9 +28,12 @@ import { logger } from '../utils/logger.js'
  *                 type: string
  *                 description: 用户消息
  *                 example: "头孢和酒精在一起服用会有哪些副作用？"
+ *               conversationId:
+ *                 type: string
+ *                 description: 对话ID（可选）。提供时从服务端加载历史消息（忽略history），并在回答完成后保存本轮对话
  *               history:
  *                 type: array
- *                 description: 对话历史（可选）
+ *                 description: 对话历史（可选，未提供conversationId时使用）
  *                 items:
  *                   type: object
  *                   properties:
@@ -43,9 +49,19 @@ import { logger } from '../utils/logger.js'
  *           text/event-stream:
  *             schema:
  *               type: string
- *               description: SSE流式数据
+ *               description: |
+ *                 SSE流式数据，事件依次为：
+ *                 - start：开始（含conversationId）
+ *                 - sources：回答所依据的数据库记录 { drugs: [{ id, name }], interactions: [{ id, drug1Name, drug2Name, severity }] }
+ *                 - content：回答文本片段
+ *                 - done：完成
+ *                 - error：出错
  *       400:
  *         description: 请求参数错误
+ *       404:
+ *         description: 对话不存在
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
  *       502:
  *         description: AI服务连接失败
  *       504:
@@ -55,7 +71,8 @@ import { logger } from '../utils/logger.js'
  */
 export const streamChat = async (ctx) => {
     try {
-        const { message, history = [] } = ctx.request.body
+        const { message, conversationId } = ctx.request.body
+        let { history = [] } = ctx.request.body
 
         // 参数验证：消息不能为空
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -85,6 +102,40 @@ export const streamChat = async (ctx) => {
             return
         }
 
+        // 使用服务端保存的对话历史
+        if (conversationId) {
+            if (!mongoose.isValidObjectId(conversationId)) {
+                ctx.status = 400
+                ctx.body = {
+                    success: false,
+                    error: {
+                        code: 'INVALID_PARAMETER',
+                        message: '对话ID格式不正确',
+                    },
+                    timestamp: Date.now(),
+                }
+                return
+            }
+
+            try {
+                history = await conversationService.getHistory(conversationId, ctx.state.user.id)
+            } catch (historyError) {
+                if (!historyError.message.includes('不存在')) {
+                    throw historyError
+                }
+                ctx.status = 404
+                ctx.body = {
+                    success: false,
+                    error: {
+                        code: 'CONVERSATION_NOT_FOUND',
+                        message: '对话不存在',
+                    },
+                    timestamp: Date.now(),
+                }
+                return
+            }
+        }
+
         // 设置SSE响应头
         ctx.set({
             'Content-Type': 'text/event-stream',
@@ -99,14 +150,35 @@ export const streamChat = async (ctx) => {
         const stream = ctx.res
 
         // 发送开始事件
-        stream.write(`data: ${JSON.stringify({ type: 'start' })}\n\n`)
+        stream.write(`data: ${JSON.stringify({ type: 'start', conversationId })}\n\n`)
 
         try {
+            // 检索消息中提到的药物及其相互作用，作为回答依据（检索失败时不影响聊天）
+            let context = { drugs: [], interactions: [], prompt: '' }
+            try {
+                context = await chatContextService.buildContext(message)
+            } catch (contextError) {
+                logger.error('检索聊天上下文失败', { error: contextError.message })
+            }
+
+            stream.write(`data: ${JSON.stringify({
+                type: 'sources',
+                drugs: context.drugs.map(drug => ({ id: drug._id, name: drug.name })),
+                interactions: context.interactions.map(interaction => ({
+                    id: interaction._id,
+                    drug1Name: interaction.drug1Name,
+                    drug2Name: interaction.drug2Name,
+                    severity: interaction.severity,
+                })),
+            })}\n\n`)
+
             // 获取AI流式响应
-            const aiStream = aiService.streamChat(message, history)
+            const aiStream = aiService.streamChat(message, history, context.prompt)
 
-            // 逐块发送内容
+            // 逐块发送内容，同时拼接完整回复用于保存
+            let reply = ''
             for await (const content of aiStream) {
+                reply += content
                 const data = JSON.stringify({
                     type: 'content',
                     text: content,
@@ -114,14 +186,27 @@ export const streamChat = async (ctx) => {
                 stream.write(`data: ${data}\n\n`)
             }
 
+            // 回答完成后保存本轮对话（保存失败不影响本次回答）
+            if (conversationId) {
+                try {
+                    await conversationService.appendTurn(conversationId, message, reply)
+                } catch (saveError) {
+                    logger.error('保存对话失败', {
+                        conversationId,
+                        error: saveError.message,
+                    })
+                }
+            }
+
             // 发送完成事件
-            stream.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`)
+            stream.write(`data: ${JSON.stringify({ type: 'done', conversationId })}\n\n`)
             stream.end()
 
             logger.info('流式聊天完成', {
                 timestamp: new Date().toISOString(),
                 message: message.substring(0, 50), // 只记录前50个字符
                 historyLength: history.length,
+                conversationId,
             })
 
         } catch (streamError) {
@@ -194,3 +279,273 @@ export const streamChat = async (ctx) => {
         }
     }
 }
+
+/**
+ * @swagger
+ * /api/ai/conversations:
+ *   post:
+ *     summary: 创建对话
+ *     tags: [AI Chat]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: 对话标题（可选，不传时以首条消息开头作为标题）
+ *     responses:
+ *       201:
+ *         description: 成功创建对话
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+export const createConversation = async (ctx) => {
+    try {
+        const { title } = ctx.request.body || {}
+
+        if (title !== undefined && (typeof title !== 'string' || title.length > 100)) {
+            ctx.status = 400
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'INVALID_PARAMETER',
+                    message: '对话标题必须是不超过100个字符的字符串',
+                },
+                timestamp: Date.now(),
+            }
+            return
+        }
+
+        const conversation = await conversationService.create(ctx.state.user.id, title?.trim())
+
+        ctx.status = 201
+        ctx.body = {
+            success: true,
+            data: conversation,
+            timestamp: Date.now(),
+        }
+    } catch (error) {
+        logger.error('创建对话失败', { error: error.message })
+        ctx.status = 500
+        ctx.body = {
+            success: false,
+            error: {
+                code: 'CREATE_CONVERSATION_ERROR',
+                message: error.message || '创建对话失败',
+            },
+            timestamp: Date.now(),
+        }
+    }
+}
+
+/**
+ * @swagger
+ * /api/ai/conversations:
+ *   get:
+ *     summary: 获取当前用户的对话列表
+ *     tags: [AI Chat]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回对话列表（按最近更新时间倒序）
+ *       500:
+ *         description: 服务器错误
+ */
+export const getConversations = async (ctx) => {
+    try {
+        const { page = 1, limit = 10 } = ctx.query
+
+        const result = await conversationService.findAll(ctx.state.user.id, page, limit)
+
+        ctx.body = {
+            success: true,
+            data: result.conversations,
+            pagination: {
+                page: result.page,
+                limit: Math.min(100, Math.max(1, parseInt(limit) || 10)),
+                total: result.total,
+                totalPages: result.totalPages,
+            },
+            timestamp: Date.now(),
+        }
+    } catch (error) {
+        logger.error('获取对话列表失败', { error: error.message })
+        ctx.status = 500
+        ctx.body = {
+            success: false,
+            error: {
+                code: 'GET_CONVERSATIONS_ERROR',
+                message: error.message || '获取对话列表失败',
+            },
+            timestamp: Date.now(),
+        }
+    }
+}
+
+/**
+ * @swagger
+ * /api/ai/conversations/{id}:
+ *   get:
+ *     summary: 获取对话详情
+ *     tags: [AI Chat]
+ *     description: 返回对话信息及按时间排序的全部消息
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 对话ID
+ *     responses:
+ *       200:
+ *         description: 成功返回对话详情
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 对话不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const getConversationById = async (ctx) => {
+    try {
+        const { id } = ctx.params
+
+        if (!mongoose.isValidObjectId(id)) {
+            ctx.status = 400
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'INVALID_PARAMETER',
+                    message: '对话ID格式不正确',
+                },
+                timestamp: Date.now(),
+            }
+            return
+        }
+
+        const conversation = await conversationService.findById(id, ctx.state.user.id)
+
+        if (!conversation) {
+            ctx.status = 404
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'CONVERSATION_NOT_FOUND',
+                    message: '对话不存在',
+                },
+                timestamp: Date.now(),
+            }
+            return
+        }
+
+        ctx.body = {
+            success: true,
+            data: conversation,
+            timestamp: Date.now(),
+        }
+    } catch (error) {
+        logger.error('获取对话详情失败', { error: error.message })
+        ctx.status = 500
+        ctx.body = {
+            success: false,
+            error: {
+                code: 'GET_CONVERSATION_ERROR',
+                message: error.message || '获取对话详情失败',
+            },
+            timestamp: Date.now(),
+        }
+    }
+}
+
+/**
+ * @swagger
+ * /api/ai/conversations/{id}:
+ *   delete:
+ *     summary: 删除对话
+ *     tags: [AI Chat]
+ *     description: 同时删除对话中的全部消息
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 对话ID
+ *     responses:
+ *       200:
+ *         description: 成功删除对话
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 对话不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const deleteConversation = async (ctx) => {
+    try {
+        const { id } = ctx.params
+
+        if (!mongoose.isValidObjectId(id)) {
+            ctx.status = 400
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'INVALID_PARAMETER',
+                    message: '对话ID格式不正确',
+                },
+                timestamp: Date.now(),
+            }
+            return
+        }
+
+        await conversationService.delete(id, ctx.state.user.id)
+
+        ctx.body = {
+            success: true,
+            data: {
+                deleted: true,
+            },
+            timestamp: Date.now(),
+        }
+    } catch (error) {
+        logger.error('删除对话失败', { error: error.message })
+
+        if (error.message.includes('不存在')) {
+            ctx.status = 404
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'CONVERSATION_NOT_FOUND',
+                    message: error.message,
+                },
+                timestamp: Date.now(),
+            }
+        } else {
+            ctx.status = 500
+            ctx.body = {
+                success: false,
+                error: {
+                    code: 'DELETE_CONVERSATION_ERROR',
+                    message: error.message || '删除对话失败',
+                },
+                timestamp: Date.now(),
+            }
+        }
+    }
+}
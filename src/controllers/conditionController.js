@@ -0,0 +1,166 @@
+import { conditionService } from '../services/ConditionService.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 疾病/状态控制器
+ * 处理药物禁忌检测所用的疾病/状态数据
+ */
+
+/**
+ * @swagger
+ * /api/conditions:
+ *   get:
+ *     summary: 获取疾病/状态列表
+ *     tags: [Conditions]
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 按名称或别名模糊搜索
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回疾病/状态列表
+ *       500:
+ *         description: 服务器错误
+ */
+export const getConditions = async (ctx) => {
+  try {
+    const { keyword, page = 1, limit = 20 } = ctx.query
+
+    const result = await conditionService.findAll({ keyword }, page, limit)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取疾病/状态列表失败', { error: error.message })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'GET_CONDITIONS_ERROR',
+        message: error.message || '获取疾病/状态列表失败',
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/conditions:
+ *   post:
+ *     summary: 新增疾病/状态
+ *     tags: [Conditions]
+ *     description: 新增后可在药物的 contraindicationLinks 中通过 conditionId 引用。名称和别名不能与已有记录重复
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 名称
+ *                 example: 消化道溃疡
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 别名
+ *                 example: [胃溃疡, 十二指肠溃疡]
+ *               description:
+ *                 type: string
+ *                 description: 描述
+ *     responses:
+ *       201:
+ *         description: 成功创建疾病/状态
+ *       400:
+ *         description: 请求参数错误
+ *       409:
+ *         description: 名称或别名已存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const createCondition = async (ctx) => {
+  try {
+    const { name, aliases = [], description } = ctx.request.body || {}
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '疾病/状态名称不能为空',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: 'aliases 必须是字符串数组',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const condition = await conditionService.create({ name, aliases, description })
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: condition,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('创建疾病/状态失败', { error: error.message })
+
+    if (error.message.includes('已存在')) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'CONDITION_EXISTS',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'CREATE_CONDITION_ERROR',
+          message: error.message || '创建疾病/状态失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
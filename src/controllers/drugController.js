@@ -1,5 +1,8 @@
+import mongoose from 'mongoose'
 import { drugService } from '../services/DrugService.js'
+import { interactionService } from '../services/InteractionService.js'
 import { aiService } from '../services/AIService.js'
+import { CONTRAINDICATION_SEVERITIES } from '../models/Drug.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -46,6 +49,8 @@ import { logger } from '../utils/logger.js'
  *                       description: 判断理由
  *       400:
  *         description: 请求参数错误
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
  */
 export const validateDrugName = async (ctx) => {
   try {
@@ -343,6 +348,174 @@ export const getDrugById = async (ctx) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/drugs/{id}/alternatives:
+ *   get:
+ *     summary: 获取同类替代药物
+ *     tags: [Drugs]
+ *     description: |
+ *       在同一类别（category）的药物中，按与合并用药的相互作用排序：先比较最高严重程度，再依次比较高/中/低风险相互作用数量和缺少数据的药物对数量。
+ *       排序只使用数据库已有数据，已驳回的药物和相互作用不参与。
+ *       explain=true 时调用AI解释推荐理由，此时需要登录并受限流和令牌配额限制；AI调用失败时仍返回排序结果，explanationError 为失败原因。
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 需要替代的药物ID
+ *       - in: query
+ *         name: coMedicationIds
+ *         schema:
+ *           type: string
+ *         description: 合并用药的药物ID，多个用逗号分隔
+ *         example: 507f1f77bcf86cd799439012,507f1f77bcf86cd799439013
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: 返回的替代药物数量
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 是否调用AI解释推荐理由
+ *     responses:
+ *       200:
+ *         description: 成功返回替代药物
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     drug:
+ *                       type: object
+ *                       description: 需要替代的药物 { drugId, name, genericName, category }
+ *                     coMedications:
+ *                       type: array
+ *                       description: 合并用药 { drugId, name }
+ *                     current:
+ *                       type: object
+ *                       description: 该药物与合并用药的相互作用统计 { maxSeverity, severityCounts, interactionCount, unknownPairCount, interactions }
+ *                     alternatives:
+ *                       type: array
+ *                       description: |
+ *                         按推荐程度排序的替代药物
+ *                         { drugId, name, genericName, category, maxSeverity, severityCounts, interactionCount, unknownPairCount, interactions }，
+ *                         maxSeverity 为null表示与合并用药没有已知的相互作用，unknownPairCount 为缺少数据的药物对数量
+ *                     explanation:
+ *                       type: object
+ *                       nullable: true
+ *                       description: AI解释（仅 explain=true 时返回）{ summary, recommendations[{ drugId, name, reason, cautions }] }
+ *                     explanationError:
+ *                       type: object
+ *                       description: AI解释失败的原因 { code, message }（仅在AI调用失败时返回）
+ *       400:
+ *         description: 请求参数错误；合并用药数量超过上限时错误代码为 TOO_MANY_DRUGS
+ *       401:
+ *         description: explain=true 时未登录
+ *       404:
+ *         description: 药物或合并用药不存在
+ *       429:
+ *         description: explain=true 时请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
+ *       500:
+ *         description: 服务器错误
+ */
+export const getDrugAlternatives = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const { coMedicationIds = '', limit = 10, explain } = ctx.query
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '无效的药物ID',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    // 同时支持逗号分隔和重复的查询参数
+    const coIds = [].concat(coMedicationIds)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean)
+
+    const invalidId = coIds.find(coId => !mongoose.isValidObjectId(coId))
+    if (invalidId) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: `无效的合并用药ID: ${invalidId}`,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const result = await interactionService.findAlternatives(id, {
+      coMedicationIds: coIds,
+      limit,
+      explain: explain === 'true',
+    })
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取替代药物失败', { id: ctx.params.id, error: error.message })
+
+    if (error.code === 'TOO_MANY_DRUGS') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'TOO_MANY_DRUGS',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'GET_ALTERNATIVES_ERROR',
+          message: error.message || '获取替代药物失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
 /**
  * @swagger
  * /api/drugs/analyze:
@@ -410,8 +583,10 @@ export const getDrugById = async (ctx) => {
  *                   type: number
  *       400:
  *         description: 请求参数错误
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
  *       502:
- *         description: AI接口调用失败
+ *         description: AI接口调用失败；AI返回的数据不符合结构且自动修复失败时错误代码为 AI_INVALID_RESPONSE，details 为校验错误列表
  *       500:
  *         description: 服务器错误
  */
@@ -448,8 +623,19 @@ export const analyzeDrug = async (ctx) => {
   } catch (error) {
     logger.error('分析药物失败', { error: error.message })
 
-    // 判断是否为AI接口错误
-    if (error.message.includes('AI') || error.message.includes('接口')) {
+    // AI返回的数据不符合结构且自动修复失败
+    if (error.code === 'AI_INVALID_RESPONSE') {
+      ctx.status = 502
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'AI_INVALID_RESPONSE',
+          message: error.message,
+          details: error.details,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('AI') || error.message.includes('接口')) {
       ctx.status = 502
       ctx.body = {
         success: false,
@@ -614,3 +800,421 @@ export const saveDrug = async (ctx) => {
 }
 
 
+
+// 允许通过接口更新的药物字段
+const UPDATABLE_DRUG_FIELDS = [
+  'name',
+  'genericName',
+  'description',
+  'category',
+  'sideEffects',
+  'contraindications',
+  'contraindicationLinks',
+  'dosage',
+  'aiAnalysis',
+  'source',
+]
+
+/**
+ * 校验结构化禁忌关系
+ * @param {*} links - 请求中的 contraindicationLinks
+ * @returns {string|null} 错误信息，校验通过时返回null
+ */
+const validateContraindicationLinks = (links) => {
+  if (!Array.isArray(links)) {
+    return 'contraindicationLinks 必须是数组'
+  }
+
+  for (const link of links) {
+    if (!link || typeof link !== 'object' || Array.isArray(link)) {
+      return 'contraindicationLinks 的每一项必须是对象'
+    }
+    const hasCondition = link.conditionId !== undefined
+    const hasDrugClass = link.drugClass !== undefined
+    if (hasCondition === hasDrugClass) {
+      return '禁忌关系必须且只能指定 conditionId 或 drugClass 之一'
+    }
+    if (hasCondition && !mongoose.isValidObjectId(link.conditionId)) {
+      return `无效的疾病/状态ID: ${link.conditionId}`
+    }
+    if (hasDrugClass && (typeof link.drugClass !== 'string' || link.drugClass.trim().length === 0)) {
+      return 'drugClass 必须是非空字符串'
+    }
+    if (link.severity !== undefined && !CONTRAINDICATION_SEVERITIES.includes(link.severity)) {
+      return '禁忌关系的严重程度必须是 low, medium, high 或 contraindicated'
+    }
+    if (link.note !== undefined && typeof link.note !== 'string') {
+      return '禁忌关系的说明必须是字符串'
+    }
+  }
+
+  return null
+}
+
+/**
+ * @swagger
+ * /api/drugs/{id}:
+ *   patch:
+ *     summary: 更新药物信息
+ *     tags: [Drugs]
+ *     description: 部分更新药物信息，只修改请求体中提供的字段。修改名称时会同步更新相互作用记录中的药物名称
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 药物ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 药物名称
+ *               genericName:
+ *                 type: string
+ *                 description: 通用名
+ *               description:
+ *                 type: string
+ *                 description: 描述
+ *               category:
+ *                 type: string
+ *                 description: 分类
+ *               sideEffects:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 副作用
+ *               contraindications:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 禁忌症
+ *               contraindicationLinks:
+ *                 type: array
+ *                 description: 结构化禁忌关系（整体替换），相互作用检测时用于判断药物-疾病和药物-药物类别禁忌
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     conditionId:
+ *                       type: string
+ *                       description: 疾病/状态ID（与 drugClass 二选一）
+ *                     drugClass:
+ *                       type: string
+ *                       description: 禁忌合用的药物类别，对应其他药物的 category（与 conditionId 二选一）
+ *                     severity:
+ *                       type: string
+ *                       enum: [low, medium, high, contraindicated]
+ *                       default: high
+ *                     note:
+ *                       type: string
+ *                       description: 说明
+ *               dosage:
+ *                 type: string
+ *                 description: 用法用量
+ *               aiAnalysis:
+ *                 type: string
+ *                 description: AI分析结果
+ *               source:
+ *                 type: string
+ *                 enum: [manual, ai]
+ *                 description: 数据来源
+ *     responses:
+ *       200:
+ *         description: 成功更新药物
+ *       400:
+ *         description: 请求参数错误；禁忌关系引用的疾病/状态不存在时错误代码为 CONDITION_NOT_FOUND
+ *       404:
+ *         description: 药物不存在
+ *       409:
+ *         description: 药物名称已存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const updateDrug = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const body = ctx.request.body || {}
+
+    // 参数验证
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '药物ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const unknownFields = Object.keys(body).filter(
+      field => !UPDATABLE_DRUG_FIELDS.includes(field)
+    )
+    if (unknownFields.length > 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: `不允许更新的字段: ${unknownFields.join(', ')}`,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (Object.keys(body).length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '请求体中没有需要更新的字段',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    // 必填字段不能被更新为空值
+    for (const [field, label] of [['name', '药物名称'], ['description', '药物描述'], ['category', '药物分类']]) {
+      if (field in body && (typeof body[field] !== 'string' || body[field].trim().length === 0)) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: {
+            code: 'INVALID_PARAMETER',
+            message: `${label}不能为空`,
+          },
+          timestamp: Date.now(),
+        }
+        return
+      }
+    }
+
+    for (const field of ['sideEffects', 'contraindications']) {
+      if (field in body && (!Array.isArray(body[field]) || body[field].some(item => typeof item !== 'string'))) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: {
+            code: 'INVALID_PARAMETER',
+            message: `${field} 必须是字符串数组`,
+          },
+          timestamp: Date.now(),
+        }
+        return
+      }
+    }
+
+    if ('source' in body && !['manual', 'ai'].includes(body.source)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '数据来源必须是 manual 或 ai',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const linksError = 'contraindicationLinks' in body
+      ? validateContraindicationLinks(body.contraindicationLinks)
+      : null
+    if (linksError) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: linksError,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const updateData = { ...body }
+    if (typeof updateData.name === 'string') {
+      updateData.name = updateData.name.trim()
+    }
+
+    const drug = await drugService.update(id, updateData)
+
+    ctx.body = {
+      success: true,
+      data: drug,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('更新药物失败', { id: ctx.params.id, error: error.message })
+
+    if (error.code === 'CONDITION_NOT_FOUND') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'CONDITION_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('已存在')) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_EXISTS',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'UPDATE_DRUG_ERROR',
+          message: error.message || '更新药物失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/drugs/{id}:
+ *   delete:
+ *     summary: 删除药物
+ *     tags: [Drugs]
+ *     description: |
+ *       删除指定药物。默认情况下，如果药物仍被相互作用记录、多药相互作用组合或患者用药清单引用，将拒绝删除并返回409；
+ *       传入 cascade=true 时会同时删除引用该药物的所有相互作用记录和多药相互作用组合，并从患者用药清单中移除该药物。
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 药物ID
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 是否级联处理引用该药物的相互作用记录、多药相互作用组合和患者用药清单
+ *     responses:
+ *       200:
+ *         description: 成功删除药物
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deleted:
+ *                       type: boolean
+ *                     deletedInteractions:
+ *                       type: integer
+ *                       description: 级联删除的相互作用数量
+ *                     deletedMultiDrugInteractions:
+ *                       type: integer
+ *                       description: 级联删除的多药相互作用组合数量
+ *                     updatedPatients:
+ *                       type: integer
+ *                       description: 移除了该药物的患者用药清单数量
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 药物不存在
+ *       409:
+ *         description: 药物仍被相互作用记录、多药相互作用组合或患者用药清单引用
+ *       500:
+ *         description: 服务器错误
+ */
+export const deleteDrug = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const cascade = ctx.query.cascade === 'true'
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '药物ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const result = await drugService.delete(id, { cascade })
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('删除药物失败', { id: ctx.params.id, error: error.message })
+
+    if (error.code === 'DRUG_IN_USE') {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_IN_USE',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DELETE_DRUG_ERROR',
+          message: error.message || '删除药物失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
@@ -1,6 +1,115 @@
-import { graphService } from '../services/GraphService.js'
+import mongoose from 'mongoose'
+import { graphService, GRAPH_SOURCES } from '../services/GraphService.js'
+import { GRAPH_EXPORT_FORMATS, CSV_TABLES } from '../services/graphExport.js'
+import { INTERACTION_SEVERITIES } from '../models/Interaction.js'
+import { config } from '../config/env.js'
 import { logger } from '../utils/logger.js'
 
+/**
+ * 返回参数错误响应
+ * @param {Object} ctx - Koa上下文
+ * @param {string} message - 错误信息
+ */
+const respondInvalidParams = (ctx, message) => {
+  ctx.status = 400
+  ctx.body = {
+    success: false,
+    error: {
+      code: 'INVALID_PARAMS',
+      message,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * 解析图谱筛选参数（severity、category、source）
+ * @param {Object} query - 查询参数
+ * @returns {{filters: Object|null, message: string|null}} 参数无效时 filters 为 null
+ */
+const parseGraphFilters = (query) => {
+  const { severity, category, source } = query
+
+  if (severity !== undefined && !INTERACTION_SEVERITIES.includes(severity)) {
+    return { filters: null, message: `severity 必须是 ${INTERACTION_SEVERITIES.join(', ')} 之一` }
+  }
+  if (source !== undefined && !GRAPH_SOURCES.includes(source)) {
+    return { filters: null, message: `source 必须是 ${GRAPH_SOURCES.join(', ')} 之一` }
+  }
+  if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+    return { filters: null, message: 'category 不能为空' }
+  }
+
+  return { filters: { severity, category, source }, message: null }
+}
+
+/**
+ * 解析药物ID列表参数（逗号分隔，或重复传入同名参数）
+ * @param {string|Array<string>} value - 参数值
+ * @returns {{drugIds: Array<string>|null, message: string|null}} 参数无效时 drugIds 为 null
+ */
+const parseDrugIdList = (value) => {
+  const drugIds = [...new Set([].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))]
+
+  if (drugIds.length === 0) {
+    return { drugIds: null, message: 'drugIds 不能为空' }
+  }
+  if (drugIds.length > config.graph.maxNodes) {
+    return { drugIds: null, message: `drugIds 最多包含 ${config.graph.maxNodes} 个药物` }
+  }
+  if (drugIds.some(id => !mongoose.isValidObjectId(id))) {
+    return { drugIds: null, message: 'drugIds 中包含无效的药物ID' }
+  }
+
+  return { drugIds, message: null }
+}
+
+/**
+ * 解析图谱数据的查询参数（drugId、depth、drugIds 以及筛选参数）
+ * @param {Object} query - 查询参数
+ * @returns {{params: {drugId: string|null, options: Object}|null, message: string|null}} 参数无效时 params 为 null
+ */
+const parseGraphQuery = (query) => {
+  const { drugId, depth } = query
+
+  if (drugId && !mongoose.isValidObjectId(drugId)) {
+    return { params: null, message: '药物ID格式无效' }
+  }
+
+  let drugIds = null
+  if (query.drugIds !== undefined) {
+    if (drugId) {
+      return { params: null, message: 'drugId 和 drugIds 不能同时使用' }
+    }
+    const parsed = parseDrugIdList(query.drugIds)
+    if (!parsed.drugIds) {
+      return { params: null, message: parsed.message }
+    }
+    drugIds = parsed.drugIds
+  }
+
+  const { filters, message } = parseGraphFilters(query)
+  if (!filters) {
+    return { params: null, message }
+  }
+
+  let depthNum = 1
+  if (depth !== undefined) {
+    if (!drugId) {
+      return { params: null, message: 'depth 需要与 drugId 一起使用' }
+    }
+    depthNum = Number(depth)
+    if (!Number.isInteger(depthNum) || depthNum < 1 || depthNum > config.graph.maxDepth) {
+      return { params: null, message: `depth 必须是 1 到 ${config.graph.maxDepth} 之间的整数` }
+    }
+  }
+
+  return {
+    params: { drugId: drugId || null, options: { depth: depthNum, drugIds, ...filters } },
+    message: null,
+  }
+}
+
 /**
  * @swagger
  * tags:
@@ -14,13 +123,48 @@ import { logger } from '../utils/logger.js'
  *   get:
  *     summary: 获取药物关系图谱数据
  *     tags: [Graph]
- *     description: 获取药物关系图谱的节点和边数据，可选择筛选特定药物及其关联
+ *     description: |
+ *       获取药物关系图谱的节点和边数据，可选择筛选特定药物及其关联。
+ *       指定药物时按相互作用从该药物逐层向外扩展 depth 跳，节点带有到该药物的跳数 distance；
+ *       节点或边数量达到上限（GRAPH_MAX_NODES / GRAPH_MAX_EDGES）时停止扩展，truncated 为 true。
+ *       指定 drugIds 时只返回这些药物之间的相互作用（如患者当前用药），不能与 drugId 同时使用。
+ *       severity、category、source 可与以上任一方式组合；按药物筛选时只保留两端药物都在图中的边，
+ *       以及全部成员都在图中的多药相互作用（指定 drugId 时该药物本身始终保留）
  *     parameters:
  *       - in: query
  *         name: drugId
  *         schema:
  *           type: string
  *         description: 可选的药物ID，用于筛选特定药物及其关联药物
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: 从指定药物向外扩展的跳数（需要同时指定 drugId，最大值由 GRAPH_MAX_DEPTH 配置，默认3）
+ *       - in: query
+ *         name: drugIds
+ *         schema:
+ *           type: string
+ *         description: 逗号分隔的药物ID列表，返回这些药物之间的子图
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 相互作用的最低严重程度（如 high 返回 high 和 contraindicated）
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 药物分类（不区分大小写）
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, database, ai]
+ *         description: 数据来源。manual 只保留人工录入的药物；database 只保留数据库收录的相互作用；ai 只保留AI生成的药物和相互作用
  *     responses:
  *       200:
  *         description: 成功获取图谱数据
@@ -59,6 +203,9 @@ import { logger } from '../utils/logger.js'
  *                             type: string
  *                             enum: [manual, ai]
  *                             description: 数据来源
+ *                           distance:
+ *                             type: integer
+ *                             description: 到指定药物的跳数（仅在指定 drugId 时返回，指定药物为0）
  *                     edges:
  *                       type: array
  *                       items:
@@ -75,7 +222,7 @@ import { logger } from '../utils/logger.js'
  *                             description: 边的权重
  *                           severity:
  *                             type: string
- *                             enum: [low, medium, high]
+ *                             enum: [low, medium, high, contraindicated]
  *                             description: 相互作用严重程度
  *                           interactionType:
  *                             type: string
@@ -83,6 +230,36 @@ import { logger } from '../utils/logger.js'
  *                           description:
  *                             type: string
  *                             description: 相互作用描述
+ *                     hyperedges:
+ *                       type: array
+ *                       description: 多药（三种及以上）相互作用，每条超边连接多个药物节点
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             description: 多药相互作用ID
+ *                           members:
+ *                             type: array
+ *                             description: 组合成员 { drugId, drugName } 或 { drugClass }，nodeIds 为对应的药物节点
+ *                           nodeIds:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             description: 超边连接的所有药物节点ID
+ *                           value:
+ *                             type: number
+ *                             description: 超边的权重
+ *                           severity:
+ *                             type: string
+ *                             enum: [low, medium, high, contraindicated]
+ *                           interactionType:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                     truncated:
+ *                       type: boolean
+ *                       description: 是否因节点/边数量上限而提前停止扩展
  *       400:
  *         description: 请求参数错误
  *       404:
@@ -92,11 +269,19 @@ import { logger } from '../utils/logger.js'
  */
 export const getGraphData = async (ctx) => {
   try {
-    const { drugId } = ctx.query
+    const { params, message } = parseGraphQuery(ctx.query)
+    if (!params) {
+      respondInvalidParams(ctx, message)
+      return
+    }
 
-    logger.info('收到获取图谱数据请求', { drugId })
+    logger.info('收到获取图谱数据请求', {
+      drugId: params.drugId,
+      depth: params.options.depth,
+      drugIdCount: params.options.drugIds?.length,
+    })
 
-    const graphData = await graphService.getGraphData(drugId || null)
+    const graphData = await graphService.getGraphData(params.drugId, params.options)
 
     ctx.body = {
       success: true,
@@ -123,6 +308,143 @@ export const getGraphData = async (ctx) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/drugs/graph/export:
+ *   get:
+ *     summary: 导出药物关系图谱
+ *     tags: [Graph]
+ *     description: |
+ *       将图谱导出为标准格式，可在 Gephi、Cytoscape、Graphviz 等工具中打开，以附件形式下载。
+ *       节点属性包含 label（药物名称）、category、source、value（以及指定 drugId 时的 distance），
+ *       边属性包含 severity、interactionType、weight（按严重程度的权重）、description。
+ *       多药相互作用（超边）在这些格式中没有对应结构，不包含在导出结果中。
+ *       支持与获取图谱数据相同的 drugId、depth、drugIds、severity、category、source 参数；
+ *       多跳扩展被截断时响应头 X-Graph-Truncated 为 true
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [graphml, gexf, cytoscape, dot, csv]
+ *         description: 导出格式（cytoscape 为 Cytoscape.js JSON）
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *           enum: [edges, nodes]
+ *           default: edges
+ *         description: 仅 csv 格式使用，导出边表或节点表（Gephi 数据实验室格式）
+ *       - in: query
+ *         name: drugId
+ *         schema:
+ *           type: string
+ *         description: 可选的药物ID，只导出该药物及其关联药物
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: 从指定药物向外扩展的跳数
+ *       - in: query
+ *         name: drugIds
+ *         schema:
+ *           type: string
+ *         description: 逗号分隔的药物ID列表，只导出这些药物之间的子图
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 相互作用的最低严重程度
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 药物分类（不区分大小写）
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, database, ai]
+ *         description: 数据来源
+ *     responses:
+ *       200:
+ *         description: 导出成功，响应体为对应格式的文件内容
+ *         content:
+ *           application/graphml+xml:
+ *             schema:
+ *               type: string
+ *           application/gexf+xml:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/vnd.graphviz:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 指定的药物不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+export const exportGraph = async (ctx) => {
+  try {
+    const { format, table } = ctx.query
+    const formats = Object.keys(GRAPH_EXPORT_FORMATS)
+
+    if (!formats.includes(format)) {
+      respondInvalidParams(ctx, `format 必须是 ${formats.join(', ')} 之一`)
+      return
+    }
+    if (table !== undefined && (format !== 'csv' || !CSV_TABLES.includes(table))) {
+      respondInvalidParams(ctx, `table 只用于 csv 格式，必须是 ${CSV_TABLES.join(', ')} 之一`)
+      return
+    }
+
+    const { params, message } = parseGraphQuery(ctx.query)
+    if (!params) {
+      respondInvalidParams(ctx, message)
+      return
+    }
+
+    logger.info('收到导出图谱请求', { format, table, drugId: params.drugId })
+
+    const result = await graphService.exportGraph(format, params.drugId, { ...params.options, table })
+
+    const suffix = format === 'csv' ? `-${table || 'edges'}` : ''
+    ctx.attachment(`drug-graph${suffix}.${result.extension}`)
+    ctx.type = `${result.contentType}; charset=utf-8`
+    ctx.set('X-Graph-Truncated', String(result.truncated))
+    ctx.body = result.content
+  } catch (error) {
+    logger.error('导出图谱失败', {
+      format: ctx.query.format,
+      error: error.message,
+    })
+
+    const status = error.message.includes('不存在') ? 404 : 500
+
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: {
+        code: status === 404 ? 'DRUG_NOT_FOUND' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
 /**
  * @swagger
  * /api/drugs/graph/stats:
@@ -150,6 +472,9 @@ export const getGraphData = async (ctx) => {
  *                     totalInteractions:
  *                       type: number
  *                       description: 相互作用总数
+ *                     totalMultiDrugInteractions:
+ *                       type: number
+ *                       description: 多药相互作用总数
  *                     severityDistribution:
  *                       type: object
  *                       properties:
@@ -159,6 +484,8 @@ export const getGraphData = async (ctx) => {
  *                           type: number
  *                         high:
  *                           type: number
+ *                         contraindicated:
+ *                           type: number
  *       500:
  *         description: 服务器内部错误
  */
@@ -188,6 +515,334 @@ export const getGraphStats = async (ctx) => {
   }
 }
 
+// 枢纽药物可选的排序指标
+const ANALYTICS_SORT_KEYS = ['weightedDegree', 'degree', 'betweenness']
+
+/**
+ * @swagger
+ * /api/drugs/graph/analytics:
+ *   get:
+ *     summary: 图谱分析
+ *     tags: [Graph]
+ *     description: |
+ *       分析药物相互作用网络：度数（相互作用数量）、加权度数（按严重程度计权：low 1、medium 3、high 5、contraindicated 8）、
+ *       介数中心性（归一化到 0~1）、连通分量和社区划分（加权标签传播），并按指标排出枢纽药物。
+ *       只分析两种药物之间的相互作用，多药相互作用不计入；可使用与图谱数据相同的筛选参数
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: 返回的枢纽药物数量
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [weightedDegree, degree, betweenness]
+ *           default: weightedDegree
+ *         description: 枢纽药物的排序指标
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 相互作用的最低严重程度
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 药物分类（不区分大小写）
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, database, ai]
+ *         description: 数据来源
+ *     responses:
+ *       200:
+ *         description: 成功获取分析结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         nodeCount:
+ *                           type: number
+ *                         edgeCount:
+ *                           type: number
+ *                         density:
+ *                           type: number
+ *                           description: 实际相互作用数占所有药物对的比例
+ *                         isolatedCount:
+ *                           type: number
+ *                           description: 没有相互作用的药物数量
+ *                         componentCount:
+ *                           type: number
+ *                           description: 连通分量数量（至少包含两种药物）
+ *                         largestComponentSize:
+ *                           type: number
+ *                         communityCount:
+ *                           type: number
+ *                           description: 社区数量（至少包含两种药物）
+ *                         modularity:
+ *                           type: number
+ *                           description: 社区划分的模块度
+ *                     hubs:
+ *                       type: array
+ *                       description: 枢纽药物（按 sortBy 从高到低，不含没有相互作用的药物）
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rank:
+ *                             type: integer
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           category:
+ *                             type: string
+ *                           degree:
+ *                             type: number
+ *                           weightedDegree:
+ *                             type: number
+ *                           betweenness:
+ *                             type: number
+ *                           componentId:
+ *                             type: integer
+ *                             nullable: true
+ *                           communityId:
+ *                             type: integer
+ *                             nullable: true
+ *                     components:
+ *                       type: array
+ *                       description: 连通分量（按药物数量从多到少）
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           size:
+ *                             type: integer
+ *                           nodeIds:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     communities:
+ *                       type: array
+ *                       description: 社区（按药物数量从多到少），结构同 components
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器内部错误
+ */
+export const getGraphAnalytics = async (ctx) => {
+  try {
+    const { limit, sortBy = 'weightedDegree' } = ctx.query
+
+    let limitNum = 10
+    if (limit !== undefined) {
+      limitNum = Number(limit)
+      if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > 100) {
+        respondInvalidParams(ctx, 'limit 必须是 1 到 100 之间的整数')
+        return
+      }
+    }
+
+    if (!ANALYTICS_SORT_KEYS.includes(sortBy)) {
+      respondInvalidParams(ctx, `sortBy 必须是 ${ANALYTICS_SORT_KEYS.join(', ')} 之一`)
+      return
+    }
+
+    const { filters, message } = parseGraphFilters(ctx.query)
+    if (!filters) {
+      respondInvalidParams(ctx, message)
+      return
+    }
+
+    logger.info('收到图谱分析请求', { limit: limitNum, sortBy, filters })
+
+    const analytics = await graphService.getGraphAnalytics({ limit: limitNum, sortBy, ...filters })
+
+    ctx.body = {
+      success: true,
+      data: analytics,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('图谱分析失败', { error: error.message })
+
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/drugs/graph/path:
+ *   get:
+ *     summary: 查找两种药物之间的路径
+ *     tags: [Graph]
+ *     description: |
+ *       在相互作用网络中查找两种药物之间的最短路径，用于解释药物之间的间接关联。
+ *       默认按跳数最少；weighted=true 时优先经过严重程度高的相互作用
+ *       （每条边的代价为 8 除以边的权重：contraindicated 1、high 1.6、medium 约2.67、low 8）。
+ *       可使用与图谱数据相同的筛选参数，起点和终点药物不受药物筛选影响；两种药物不连通时 found 为 false
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 起点药物ID
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 终点药物ID
+ *       - in: query
+ *         name: weighted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 是否按严重程度加权
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 只经过不低于该严重程度的相互作用
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 只经过该分类的药物（不区分大小写）
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, database, ai]
+ *         description: 数据来源
+ *     responses:
+ *       200:
+ *         description: 查找完成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     found:
+ *                       type: boolean
+ *                       description: 是否存在路径
+ *                     weighted:
+ *                       type: boolean
+ *                     hops:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: 路径经过的相互作用数量
+ *                     cost:
+ *                       type: number
+ *                       nullable: true
+ *                       description: 路径总代价（不加权时等于跳数）
+ *                     nodes:
+ *                       type: array
+ *                       description: 路径上的药物节点（从起点到终点，结构同图谱节点）
+ *                       items:
+ *                         type: object
+ *                     edges:
+ *                       type: array
+ *                       description: 路径上的相互作用（source/target 沿路径方向，结构同图谱边）
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 起点或终点药物不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+export const getDrugPath = async (ctx) => {
+  try {
+    const { from, to, weighted } = ctx.query
+
+    if (!from || !to) {
+      respondInvalidParams(ctx, 'from 和 to 不能为空')
+      return
+    }
+    if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+      respondInvalidParams(ctx, '药物ID格式无效')
+      return
+    }
+    if (from === to) {
+      respondInvalidParams(ctx, 'from 和 to 不能是同一种药物')
+      return
+    }
+    if (weighted !== undefined && !['true', 'false'].includes(weighted)) {
+      respondInvalidParams(ctx, 'weighted 必须是 true 或 false')
+      return
+    }
+
+    const { filters, message } = parseGraphFilters(ctx.query)
+    if (!filters) {
+      respondInvalidParams(ctx, message)
+      return
+    }
+
+    logger.info('收到查找药物路径请求', { from, to, weighted, filters })
+
+    const path = await graphService.getShortestPath(from, to, { weighted: weighted === 'true', ...filters })
+
+    ctx.body = {
+      success: true,
+      data: path,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('查找药物路径失败', {
+      from: ctx.query.from,
+      to: ctx.query.to,
+      error: error.message,
+    })
+
+    const status = error.message.includes('不存在') ? 404 : 500
+
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: {
+        code: status === 404 ? 'DRUG_NOT_FOUND' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
 /**
  * @swagger
  * /api/drugs/{drugId}/interactions/stats:
@@ -225,12 +880,16 @@ export const getGraphStats = async (ctx) => {
  *                     severityCounts:
  *                       type: object
  *                       properties:
+ *                         contraindicated:
+ *                           type: number
  *                         high:
  *                           type: number
  *                         medium:
  *                           type: number
  *                         low:
  *                           type: number
+ *                     contraindicatedCount:
+ *                       type: number
  *                     highRiskCount:
  *                       type: number
  *                     mediumRiskCount:
@@ -249,15 +908,7 @@ export const getDrugInteractionStats = async (ctx) => {
     const { drugId } = ctx.params
 
     if (!drugId) {
-      ctx.status = 400
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'INVALID_PARAMS',
-          message: '药物ID不能为空',
-        },
-        timestamp: Date.now(),
-      }
+      respondInvalidParams(ctx, '药物ID不能为空')
       return
     }
 
@@ -1,4 +1,12 @@
-import { interactionService } from '../services/InteractionService.js'
+import mongoose from 'mongoose'
+import { interactionService, parseCheckInput, parseIncrementalInput } from '../services/InteractionService.js'
+import {
+  INTERACTION_SEVERITIES,
+  MECHANISM_CATEGORIES,
+  ONSET_TYPES,
+  EVIDENCE_LEVELS,
+  REFERENCE_YEAR_RANGE,
+} from '../models/Interaction.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -6,27 +14,78 @@ import { logger } from '../utils/logger.js'
  * 处理药物相互作用相关的HTTP请求
  */
 
+/**
+ * 将相互作用检测的错误转换为HTTP状态码和错误对象
+ * @param {Error} error - 检测过程中抛出的错误
+ * @returns {{status: number, error: {code: string, message: string, details?: *}}}
+ */
+const toCheckError = (error) => {
+  if (error.code === 'TOO_MANY_DRUGS') {
+    return { status: 400, error: { code: 'TOO_MANY_DRUGS', message: error.message } }
+  }
+  if (error.code === 'INSUFFICIENT_DRUGS') {
+    return {
+      status: 400,
+      error: { code: 'INSUFFICIENT_DRUGS', message: error.message, details: error.details },
+    }
+  }
+  if (error.message.includes('不存在')) {
+    return { status: 404, error: { code: 'DRUG_NOT_FOUND', message: error.message } }
+  }
+  if (error.code === 'AI_INVALID_RESPONSE') {
+    // AI返回的数据不符合结构且自动修复失败
+    return {
+      status: 502,
+      error: { code: 'AI_INVALID_RESPONSE', message: error.message, details: error.details },
+    }
+  }
+  if (error.message.includes('AI') || error.message.includes('接口')) {
+    return { status: 502, error: { code: 'AI_SERVICE_ERROR', message: 'AI接口调用失败，请稍后重试' } }
+  }
+  return {
+    status: 500,
+    error: { code: 'CHECK_INTERACTIONS_ERROR', message: error.message || '检测药物相互作用失败' },
+  }
+}
+
 /**
  * @swagger
  * /api/interactions/check:
  *   post:
  *     summary: 检测药物相互作用
  *     tags: [Interactions]
+ *     description: |
+ *       可以传药物ID、药物名称或两者混合，合计至少2种、最多 INTERACTION_CHECK_MAX_DRUGS 种（默认20）。
+ *       药物名称按名称或通用名完全匹配解析；有歧义或无法识别的名称不参与检测，在 resolution 中列出。
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - drugIds
  *             properties:
  *               drugIds:
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: 药物ID数组（至少2个）
+ *                 description: 药物ID数组
  *                 example: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *               drugNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 药物名称数组（中文名、通用名或商品名）
+ *                 example: ["阿司匹林", "Warfarin"]
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 患者的疾病/状态（名称或别名，最多20项），用于检测药物-疾病禁忌
+ *                 example: ["消化道溃疡", "孕晚期"]
+ *               analyzeUnknown:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 数据库中不存在的名称是否调用AI分析并保存（保存为待审核的AI数据）
  *     responses:
  *       200:
  *         description: 成功返回检测结果
@@ -42,11 +101,46 @@ import { logger } from '../utils/logger.js'
  *                   properties:
  *                     interactions:
  *                       type: array
- *                       description: 相互作用列表
+ *                       description: 相互作用列表（每项包含 reviewStatus 和 reviewed 审核标记）
+ *                     contraindications:
+ *                       type: array
+ *                       description: |
+ *                         药物禁忌警告，按严重程度从高到低排列。
+ *                         type 为 condition 时是药物-疾病/状态禁忌 { drugId, drugName, conditionId, conditionName }，
+ *                         type 为 drugClass 时是药物-药物类别禁忌 { drugId, drugName, otherDrugId, otherDrugName, drugClass }；
+ *                         均包含 severity、note 和 matchedBy（link：结构化禁忌关系，text：说明书禁忌症文本）
+ *                     multiDrugInteractions:
+ *                       type: array
+ *                       description: |
+ *                         全部成员都在场的多药（三种及以上）相互作用，按严重程度从高到低排列，
+ *                         matchedDrugs 为各成员对应的药物 { drugId, drugName, drugClass? }
  *                     riskLevel:
  *                       type: string
  *                       enum: [low, medium, high]
- *                       description: 整体风险等级
+ *                       description: 整体风险等级（由 riskScore 得出，相互作用、禁忌和多药相互作用一并计入；只有 low 级别的发现时为 low）
+ *                     riskScore:
+ *                       type: object
+ *                       description: 风险评分，分值和阈值可通过 RISK_WEIGHT_* / RISK_THRESHOLD_* 配置
+ *                       properties:
+ *                         score:
+ *                           type: number
+ *                           description: 风险分数
+ *                         riskLevel:
+ *                           type: string
+ *                           enum: [low, medium, high]
+ *                         tier:
+ *                           type: string
+ *                           enum: [low, medium, high, contraindicated]
+ *                           description: 风险分级，存在禁止合用（contraindicated）的发现时为 contraindicated
+ *                         breakdown:
+ *                           type: object
+ *                           description: |
+ *                             评分明细：severityCounts（相互作用按严重程度计数）、
+ *                             pairs（每对药物的分值 { drug1Id, drug2Id, drug1Name, drug2Name, severity, contribution }）、
+ *                             contraindications（禁忌命中 { count, severityCounts, score, hits }）、
+ *                             multiDrug（多药相互作用命中 { count, severityCounts, score, hits }）、
+ *                             patientFactors（患者因素 { factor, label, contribution }，仅患者检测）、
+ *                             levelScore（与阈值比较的分数，不含 low 级别的发现）、weights 和 thresholds
  *                     source:
  *                       type: string
  *                       enum: [database, ai, mixed]
@@ -57,74 +151,343 @@ import { logger } from '../utils/logger.js'
  *                     interactionCount:
  *                       type: integer
  *                       description: 相互作用数量
+ *                     contraindicationCount:
+ *                       type: integer
+ *                       description: 禁忌警告数量
+ *                     multiDrugInteractionCount:
+ *                       type: integer
+ *                       description: 多药相互作用数量
+ *                     unreviewedCount:
+ *                       type: integer
+ *                       description: 未经人工审核的相互作用数量
+ *                     hasUnreviewedData:
+ *                       type: boolean
+ *                       description: 结果中是否包含未经审核的AI数据
+ *                     rejectedCount:
+ *                       type: integer
+ *                       description: 因审核驳回而被排除的相互作用数量
+ *                     resolution:
+ *                       type: object
+ *                       description: 药物名称解析情况（仅在提供 drugNames 时返回）
+ *                       properties:
+ *                         resolved:
+ *                           type: array
+ *                           description: 解析成功的名称 { input, drugId, name, matchedBy(name|genericName|ai) }
+ *                         ambiguous:
+ *                           type: array
+ *                           description: 有歧义的名称 { input, reason, candidates[{ drugId, name, genericName }] }
+ *                         unresolved:
+ *                           type: array
+ *                           description: 无法识别的名称 { input, reason }
+ *                     conditionResolution:
+ *                       type: object
+ *                       description: 疾病/状态解析情况（仅在提供 conditions 时返回），未收录的疾病/状态仅按药物禁忌症文本匹配
+ *                       properties:
+ *                         resolved:
+ *                           type: array
+ *                           description: 解析成功的疾病/状态 { input, conditionId, name }
+ *                         unresolved:
+ *                           type: array
+ *                           description: 未收录的疾病/状态 { input, reason }
  *       400:
- *         description: 请求参数错误
+ *         description: |
+ *           请求参数错误。药物数量超过上限时错误代码为 TOO_MANY_DRUGS；
+ *           名称解析后可检测的药物少于2种时错误代码为 INSUFFICIENT_DRUGS，details 为名称解析情况
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
  *       502:
- *         description: AI接口调用失败
+ *         description: AI接口调用失败；AI返回的数据不符合结构且自动修复失败时错误代码为 AI_INVALID_RESPONSE，details 为校验错误列表
  *       500:
  *         description: 服务器错误
  */
 export const checkInteractions = async (ctx) => {
   try {
-    const { drugIds } = ctx.request.body
-
     // 参数验证
-    if (!drugIds) {
+    const { params, message } = parseCheckInput(ctx.request.body)
+    if (!params) {
       ctx.status = 400
       ctx.body = {
         success: false,
         error: {
           code: 'INVALID_PARAMETER',
-          message: '缺少必需参数: drugIds',
+          message,
         },
         timestamp: Date.now(),
       }
       return
     }
 
-    if (!Array.isArray(drugIds)) {
-      ctx.status = 400
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'INVALID_PARAMETER',
-          message: 'drugIds 必须是数组',
-        },
-        timestamp: Date.now(),
-      }
-      return
+    // 调用服务层检测相互作用（名称先解析为药物）
+    const result = await interactionService.checkByInput(params)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
     }
+  } catch (error) {
+    logger.error('检测药物相互作用失败', { error: error.message })
 
-    if (drugIds.length < 2) {
-      ctx.status = 400
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'INVALID_PARAMETER',
-          message: '至少需要2个药物ID进行相互作用检测',
-        },
-        timestamp: Date.now(),
-      }
-      return
+    const { status, error: errorBody } = toCheckError(error)
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: errorBody,
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/interactions/check/stream:
+ *   post:
+ *     summary: 检测药物相互作用（流式进度）
+ *     tags: [Interactions]
+ *     description: |
+ *       请求参数与 /api/interactions/check 相同，以 SSE 格式持续返回检测进度，适合需要调用AI的长时间检测。
+ *       事件依次为：
+ *       - resolution：药物名称解析情况（仅在提供 drugNames 时发送）
+ *       - start：{ drugCount, pairCount }
+ *       - pair：{ source: database | ai, interaction } 每得到一对药物的相互作用
+ *       - pair_skipped：{ reason: rejected, drug1Name, drug2Name } 跳过已驳回的数据
+ *       - ai_start：{ missingCount, pairs } 开始调用AI分析缺失的药物对
+ *       - contraindications：{ contraindications } 药物-疾病/状态和药物-药物类别禁忌
+ *       - multi_drug：{ multiDrugInteractions } 全部成员都在场的多药相互作用
+ *       - done：检测汇总（riskLevel、source、drugCount、interactionCount 等，不含 interactions、contraindications 和 multiDrugInteractions 列表）
+ *       - error：{ error: { code, message, details? } } 检测失败
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               drugIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 药物ID数组
+ *               drugNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 药物名称数组（中文名、通用名或商品名）
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 患者的疾病/状态
+ *               analyzeUnknown:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 数据库中不存在的名称是否调用AI分析并保存
+ *     responses:
+ *       200:
+ *         description: 成功返回流式进度
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: SSE流式数据
+ *       400:
+ *         description: 请求参数错误
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
+ */
+export const checkInteractionsStream = async (ctx) => {
+  // 参数错误在建立SSE连接前以JSON返回
+  const { params, message } = parseCheckInput(ctx.request.body)
+  if (!params) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'INVALID_PARAMETER',
+        message,
+      },
+      timestamp: Date.now(),
+    }
+    return
+  }
+
+  // 设置SSE响应头
+  ctx.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // 禁用nginx缓冲
+  })
+
+  ctx.status = 200
+
+  const stream = ctx.res
+  const send = (event) => {
+    if (!stream.writableEnded) {
+      stream.write(`data: ${JSON.stringify(event)}\n\n`)
     }
+  }
+
+  try {
+    const result = await interactionService.checkByInput({
+      ...params,
+      onProgress: send,
+    })
+
+    // 汇总事件不再重复发送相互作用、禁忌和多药相互作用列表
+    const { interactions, contraindications, multiDrugInteractions, ...summary } = result
+    send({ type: 'done', ...summary })
+
+    logger.info('流式相互作用检测完成', {
+      drugCount: result.drugCount,
+      interactionCount: result.interactionCount,
+      riskLevel: result.riskLevel,
+    })
+  } catch (error) {
+    logger.error('流式相互作用检测失败', { error: error.message })
 
-    // 验证每个drugId都是字符串
-    const invalidIds = drugIds.filter(id => typeof id !== 'string' || id.trim().length === 0)
-    if (invalidIds.length > 0) {
+    const { error: errorBody } = toCheckError(error)
+    send({ type: 'error', error: errorBody })
+  } finally {
+    stream.end()
+  }
+}
+
+/**
+ * @swagger
+ * /api/interactions/check/incremental:
+ *   post:
+ *     summary: 增量检测（在现有用药基础上加药）
+ *     tags: [Interactions]
+ *     description: |
+ *       只检测候选药物带来的新增药物对（候选药物与现有药物、候选药物之间），新增药物对数据缺失时调用AI分析。
+ *       现有药物之间只使用数据库已有数据计算加药前的风险等级，不调用AI。
+ *       候选药物带来中高风险时，在 alternatives 中推荐同类别中与现有药物没有高风险相互作用、且风险低于该候选药物的替代药物（仅基于数据库已有数据）。
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - existingDrugIds
+ *               - candidateDrugIds
+ *             properties:
+ *               existingDrugIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 现有用药的药物ID
+ *                 example: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *               candidateDrugIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 拟加用的候选药物ID（不能与现有药物重复）
+ *                 example: ["507f1f77bcf86cd799439013"]
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 患者的疾病/状态（最多20项），用于检测药物-疾病禁忌
+ *     responses:
+ *       200:
+ *         description: 成功返回增量检测结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     newInteractions:
+ *                       type: array
+ *                       description: 新增药物对的相互作用（每项包含 reviewStatus 和 reviewed 审核标记）
+ *                     newContraindications:
+ *                       type: array
+ *                       description: 涉及候选药物的禁忌警告，格式同 /api/interactions/check 的 contraindications
+ *                     newMultiDrugInteractions:
+ *                       type: array
+ *                       description: 成员中有候选药物的多药相互作用，格式同 /api/interactions/check 的 multiDrugInteractions
+ *                     riskLevel:
+ *                       type: string
+ *                       enum: [low, medium, high]
+ *                       description: 加药后的整体风险等级
+ *                     riskScore:
+ *                       type: object
+ *                       description: 加药后的风险评分，格式同 /api/interactions/check 的 riskScore
+ *                     riskDelta:
+ *                       type: object
+ *                       description: 加药前后的风险等级变化
+ *                       properties:
+ *                         before:
+ *                           type: string
+ *                           enum: [low, medium, high]
+ *                         after:
+ *                           type: string
+ *                           enum: [low, medium, high]
+ *                         change:
+ *                           type: integer
+ *                           description: 风险等级变化的级数（正数为升高）
+ *                         increased:
+ *                           type: boolean
+ *                         scoreBefore:
+ *                           type: number
+ *                         scoreAfter:
+ *                           type: number
+ *                         scoreChange:
+ *                           type: number
+ *                           description: 风险分数变化
+ *                     alternatives:
+ *                       type: array
+ *                       description: |
+ *                         带来中高风险的候选药物及其替代药物
+ *                         { candidateDrugId, candidateDrugName, category, worstSeverity, alternatives[{ drugId, name, genericName, category, maxSeverity, severityCounts, interactionCount, unknownPairCount, interactions }] }，
+ *                         unknownPairCount 为与现有药物之间缺少数据的药物对数量
+ *                     source:
+ *                       type: string
+ *                       enum: [database, ai, mixed]
+ *                       description: 新增药物对的数据来源
+ *                     newPairCount:
+ *                       type: integer
+ *                       description: 新增药物对数量
+ *                     baselineMissingPairCount:
+ *                       type: integer
+ *                       description: 现有药物之间缺少数据的药物对数量（不计入加药前风险）
+ *                     conditionResolution:
+ *                       type: object
+ *                       description: 疾病/状态解析情况（仅在提供 conditions 时返回）
+ *       400:
+ *         description: 请求参数错误；药物总数超过上限时错误代码为 TOO_MANY_DRUGS
+ *       404:
+ *         description: 部分药物不存在
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
+ *       502:
+ *         description: AI接口调用失败
+ *       500:
+ *         description: 服务器错误
+ */
+export const checkInteractionsIncremental = async (ctx) => {
+  try {
+    const { params, message } = parseIncrementalInput(ctx.request.body)
+    if (!params) {
       ctx.status = 400
       ctx.body = {
         success: false,
         error: {
           code: 'INVALID_PARAMETER',
-          message: '所有药物ID必须是非空字符串',
+          message,
         },
         timestamp: Date.now(),
       }
       return
     }
 
-    // 调用服务层检测相互作用
-    const result = await interactionService.checkInteractions(drugIds)
+    const result = await interactionService.checkIncremental(params)
 
     ctx.body = {
       success: true,
@@ -132,39 +495,14 @@ export const checkInteractions = async (ctx) => {
       timestamp: Date.now(),
     }
   } catch (error) {
-    logger.error('检测药物相互作用失败', { error: error.message })
+    logger.error('增量检测失败', { error: error.message })
 
-    // 判断错误类型
-    if (error.message.includes('不存在')) {
-      ctx.status = 404
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'DRUG_NOT_FOUND',
-          message: error.message,
-        },
-        timestamp: Date.now(),
-      }
-    } else if (error.message.includes('AI') || error.message.includes('接口')) {
-      ctx.status = 502
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'AI_SERVICE_ERROR',
-          message: 'AI接口调用失败，请稍后重试',
-        },
-        timestamp: Date.now(),
-      }
-    } else {
-      ctx.status = 500
-      ctx.body = {
-        success: false,
-        error: {
-          code: 'CHECK_INTERACTIONS_ERROR',
-          message: error.message || '检测药物相互作用失败',
-        },
-        timestamp: Date.now(),
-      }
+    const { status, error: errorBody } = toCheckError(error)
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: errorBody,
+      timestamp: Date.now(),
     }
   }
 }
@@ -241,3 +579,833 @@ export const getInteractionById = async (ctx) => {
     }
   }
 }
+
+/**
+ * @swagger
+ * /api/interactions:
+ *   get:
+ *     summary: 获取相互作用列表
+ *     tags: [Interactions]
+ *     description: 分页查询相互作用，支持按药物、严重程度、来源、类型、作用机制、代谢酶、起效时间和证据等级筛选
+ *     parameters:
+ *       - in: query
+ *         name: drugId
+ *         schema:
+ *           type: string
+ *         description: 涉及的药物ID
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 严重程度
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [database, ai]
+ *         description: 数据来源
+ *       - in: query
+ *         name: interactionType
+ *         schema:
+ *           type: string
+ *         description: 相互作用类型（模糊匹配）
+ *       - in: query
+ *         name: mechanismCategory
+ *         schema:
+ *           type: string
+ *           enum: [pharmacokinetic, pharmacodynamic, mixed, unknown]
+ *         description: 作用机制类别
+ *       - in: query
+ *         name: enzyme
+ *         schema:
+ *           type: string
+ *         description: 涉及的代谢酶或转运体（如 CYP3A4，不区分大小写）
+ *       - in: query
+ *         name: onset
+ *         schema:
+ *           type: string
+ *           enum: [rapid, delayed, unspecified]
+ *         description: 起效时间
+ *       - in: query
+ *         name: evidenceLevel
+ *         schema:
+ *           type: string
+ *           enum: [established, probable, suspected, theoretical]
+ *         description: 证据等级
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, severity, drug1Name, drug2Name, interactionType]
+ *           default: createdAt
+ *         description: 排序字段
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: 排序方向
+ *     responses:
+ *       200:
+ *         description: 成功返回相互作用列表
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+export const getInteractions = async (ctx) => {
+  try {
+    const {
+      drugId,
+      severity,
+      source,
+      interactionType,
+      mechanismCategory,
+      enzyme,
+      onset,
+      evidenceLevel,
+      page = 1,
+      limit = 10,
+      sortBy,
+      order,
+    } = ctx.query
+
+    if (drugId && !mongoose.isValidObjectId(drugId)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '药物ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (severity && !INTERACTION_SEVERITIES.includes(severity)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '严重程度必须是 low, medium, high 或 contraindicated',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (source && !['database', 'ai'].includes(source)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '数据来源必须是 database 或 ai',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    // 文本筛选条件重复传入时会被解析为数组
+    for (const [name, value] of [
+      ['interactionType', interactionType],
+      ['enzyme', enzyme],
+    ]) {
+      if (value !== undefined && typeof value !== 'string') {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: {
+            code: 'INVALID_PARAMETER',
+            message: `${name} 只能指定一个值`,
+          },
+          timestamp: Date.now(),
+        }
+        return
+      }
+    }
+
+    const enumFilters = [
+      ['mechanismCategory', mechanismCategory, MECHANISM_CATEGORIES],
+      ['onset', onset, ONSET_TYPES],
+      ['evidenceLevel', evidenceLevel, EVIDENCE_LEVELS],
+    ]
+    for (const [name, value, values] of enumFilters) {
+      if (value && !values.includes(value)) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: {
+            code: 'INVALID_PARAMETER',
+            message: `${name} 必须是 ${values.join(', ')} 之一`,
+          },
+          timestamp: Date.now(),
+        }
+        return
+      }
+    }
+
+    const result = await interactionService.findAll(
+      { drugId, severity, source, interactionType, mechanismCategory, enzyme, onset, evidenceLevel },
+      { page, limit, sortBy, order }
+    )
+
+    ctx.body = {
+      success: true,
+      data: result.interactions,
+      pagination: {
+        page: result.page,
+        limit: Math.min(100, Math.max(1, parseInt(limit) || 10)),
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取相互作用列表失败', { error: error.message })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'GET_INTERACTIONS_ERROR',
+        message: error.message || '获取相互作用列表失败',
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+// 相互作用的结构化补充信息字段（创建和更新时可选）
+const INTERACTION_DETAIL_FIELDS = [
+  'mechanism',
+  'onset',
+  'evidenceLevel',
+  'management',
+  'monitoring',
+  'references',
+]
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string')
+
+/**
+ * 校验相互作用的结构化补充信息（只校验请求中提供的字段）
+ * @param {Object} body - 请求体
+ * @returns {string|null} 校验失败时返回错误信息
+ */
+const validateInteractionDetails = (body) => {
+  if ('mechanism' in body) {
+    const { mechanism } = body
+    if (!mechanism || typeof mechanism !== 'object' || Array.isArray(mechanism)) {
+      return 'mechanism 必须是对象'
+    }
+    if (mechanism.category !== undefined && !MECHANISM_CATEGORIES.includes(mechanism.category)) {
+      return `mechanism.category 必须是 ${MECHANISM_CATEGORIES.join(', ')} 之一`
+    }
+    if (mechanism.enzymes !== undefined && !isStringArray(mechanism.enzymes)) {
+      return 'mechanism.enzymes 必须是字符串数组'
+    }
+    if (mechanism.description !== undefined && typeof mechanism.description !== 'string') {
+      return 'mechanism.description 必须是字符串'
+    }
+  }
+
+  if ('onset' in body && !ONSET_TYPES.includes(body.onset)) {
+    return `onset 必须是 ${ONSET_TYPES.join(', ')} 之一`
+  }
+
+  if ('evidenceLevel' in body && !EVIDENCE_LEVELS.includes(body.evidenceLevel)) {
+    return `evidenceLevel 必须是 ${EVIDENCE_LEVELS.join(', ')} 之一`
+  }
+
+  for (const field of ['management', 'monitoring']) {
+    if (field in body && !isStringArray(body[field])) {
+      return `${field} 必须是字符串数组`
+    }
+  }
+
+  if ('references' in body) {
+    if (!Array.isArray(body.references)) {
+      return 'references 必须是数组'
+    }
+    for (const reference of body.references) {
+      if (!reference || typeof reference !== 'object' || typeof reference.title !== 'string' ||
+        reference.title.trim().length === 0) {
+        return 'references 中每条文献都必须包含 title'
+      }
+      if (reference.year !== undefined && !Number.isInteger(reference.year)) {
+        return 'references 中的 year 必须是整数'
+      }
+      if (reference.year !== undefined &&
+        (reference.year < REFERENCE_YEAR_RANGE.min || reference.year > REFERENCE_YEAR_RANGE.max)) {
+        return `references 中的 year 必须在 ${REFERENCE_YEAR_RANGE.min} 到 ${REFERENCE_YEAR_RANGE.max} 之间`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * @swagger
+ * /api/interactions:
+ *   post:
+ *     summary: 新增人工整理的相互作用
+ *     tags: [Interactions]
+ *     description: 药物名称会根据药物ID自动填充，同一对药物只能存在一条相互作用记录
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - drug1Id
+ *               - drug2Id
+ *               - interactionType
+ *               - severity
+ *               - description
+ *               - recommendation
+ *             properties:
+ *               drug1Id:
+ *                 type: string
+ *                 description: 药物1 ID
+ *               drug2Id:
+ *                 type: string
+ *                 description: 药物2 ID
+ *               interactionType:
+ *                 type: string
+ *                 description: 相互作用类型
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, contraindicated]
+ *                 description: 严重程度
+ *               description:
+ *                 type: string
+ *                 description: 相互作用描述
+ *               recommendation:
+ *                 type: string
+ *                 description: 临床建议
+ *               mechanism:
+ *                 type: object
+ *                 description: 作用机制
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                     enum: [pharmacokinetic, pharmacodynamic, mixed, unknown]
+ *                   enzymes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [CYP3A4]
+ *                   description:
+ *                     type: string
+ *               onset:
+ *                 type: string
+ *                 enum: [rapid, delayed, unspecified]
+ *                 description: 起效时间
+ *               evidenceLevel:
+ *                 type: string
+ *                 enum: [established, probable, suspected, theoretical]
+ *                 description: 证据等级
+ *               management:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 临床处理步骤
+ *               monitoring:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 监测指标
+ *               references:
+ *                 type: array
+ *                 description: 参考文献
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                     year:
+ *                       type: integer
+ *                       minimum: 1900
+ *                       maximum: 2100
+ *                     pmid:
+ *                       type: string
+ *                     doi:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: 成功创建相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 药物不存在
+ *       409:
+ *         description: 相互作用已存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const createInteraction = async (ctx) => {
+  try {
+    const body = ctx.request.body || {}
+    const {
+      drug1Id,
+      drug2Id,
+      interactionType,
+      severity,
+      description,
+      recommendation,
+    } = body
+
+    if (!mongoose.isValidObjectId(drug1Id) || !mongoose.isValidObjectId(drug2Id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: 'drug1Id 和 drug2Id 必须是有效的药物ID',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (drug1Id === drug2Id) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '药物不能与自身产生相互作用',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const textFields = { interactionType, description, recommendation }
+    const missingFields = Object.keys(textFields).filter(
+      field => typeof textFields[field] !== 'string' || textFields[field].trim().length === 0
+    )
+    if (missingFields.length > 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: `缺少必需参数: ${missingFields.join(', ')}`,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (!INTERACTION_SEVERITIES.includes(severity)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '严重程度必须是 low, medium, high 或 contraindicated',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const detailsError = validateInteractionDetails(body)
+    if (detailsError) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: detailsError,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const details = Object.fromEntries(
+      INTERACTION_DETAIL_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+    )
+
+    const interaction = await interactionService.create({
+      drug1Id,
+      drug2Id,
+      interactionType,
+      severity,
+      description,
+      recommendation,
+      ...details,
+      source: 'database',
+    })
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: interaction,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('创建相互作用失败', { error: error.message })
+
+    if (error.message.includes('已存在')) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INTERACTION_EXISTS',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DRUG_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'CREATE_INTERACTION_ERROR',
+          message: error.message || '创建相互作用失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+// 允许通过接口更新的相互作用字段
+const UPDATABLE_INTERACTION_FIELDS = [
+  'interactionType',
+  'severity',
+  'description',
+  'recommendation',
+  ...INTERACTION_DETAIL_FIELDS,
+]
+
+/**
+ * @swagger
+ * /api/interactions/{id}:
+ *   patch:
+ *     summary: 更新相互作用
+ *     tags: [Interactions]
+ *     description: 用于修正AI生成的相互作用数据，药物对和数据来源不可修改（AI数据需通过审核流程转为正式数据）。mechanism、management、monitoring 和 references 整体替换
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 相互作用ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               interactionType:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, contraindicated]
+ *               description:
+ *                 type: string
+ *               recommendation:
+ *                 type: string
+ *               mechanism:
+ *                 type: object
+ *                 description: 作用机制
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                     enum: [pharmacokinetic, pharmacodynamic, mixed, unknown]
+ *                   enzymes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [CYP3A4]
+ *                   description:
+ *                     type: string
+ *               onset:
+ *                 type: string
+ *                 enum: [rapid, delayed, unspecified]
+ *                 description: 起效时间
+ *               evidenceLevel:
+ *                 type: string
+ *                 enum: [established, probable, suspected, theoretical]
+ *                 description: 证据等级
+ *               management:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 临床处理步骤
+ *               monitoring:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 监测指标
+ *               references:
+ *                 type: array
+ *                 description: 参考文献
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                     year:
+ *                       type: integer
+ *                       minimum: 1900
+ *                       maximum: 2100
+ *                     pmid:
+ *                       type: string
+ *                     doi:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: 成功更新相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 相互作用不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const updateInteraction = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const body = ctx.request.body || {}
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '相互作用ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const unknownFields = Object.keys(body).filter(
+      field => !UPDATABLE_INTERACTION_FIELDS.includes(field)
+    )
+    if (unknownFields.length > 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: `不允许更新的字段: ${unknownFields.join(', ')}`,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (Object.keys(body).length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '请求体中没有需要更新的字段',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    for (const field of ['interactionType', 'description', 'recommendation']) {
+      if (field in body && (typeof body[field] !== 'string' || body[field].trim().length === 0)) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: {
+            code: 'INVALID_PARAMETER',
+            message: `${field} 不能为空`,
+          },
+          timestamp: Date.now(),
+        }
+        return
+      }
+    }
+
+    if ('severity' in body && !INTERACTION_SEVERITIES.includes(body.severity)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '严重程度必须是 low, medium, high 或 contraindicated',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const detailsError = validateInteractionDetails(body)
+    if (detailsError) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: detailsError,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const interaction = await interactionService.update(id, { ...body })
+
+    ctx.body = {
+      success: true,
+      data: interaction,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('更新相互作用失败', { id: ctx.params.id, error: error.message })
+
+    if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INTERACTION_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'UPDATE_INTERACTION_ERROR',
+          message: error.message || '更新相互作用失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/interactions/{id}:
+ *   delete:
+ *     summary: 删除相互作用
+ *     tags: [Interactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 相互作用ID
+ *     responses:
+ *       200:
+ *         description: 成功删除相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 相互作用不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const deleteInteraction = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '相互作用ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    await interactionService.delete(id)
+
+    ctx.body = {
+      success: true,
+      data: {
+        deleted: true,
+      },
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('删除相互作用失败', { id: ctx.params.id, error: error.message })
+
+    if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INTERACTION_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'DELETE_INTERACTION_ERROR',
+          message: error.message || '删除相互作用失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import mongoose from 'mongoose'
+import { jobService } from '../services/JobService.js'
+import { JOB_STATUSES, JOB_TYPES } from '../models/Job.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 异步任务控制器
+ * 处理AI分析任务的提交、状态查询和取消
+ */
+
+/**
+ * 返回任务ID格式错误
+ * @param {Object} ctx - Koa上下文
+ */
+const respondInvalidId = (ctx) => {
+  ctx.status = 400
+  ctx.body = {
+    success: false,
+    error: {
+      code: 'INVALID_PARAMETER',
+      message: '无效的任务ID',
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * 返回任务不存在
+ * @param {Object} ctx - Koa上下文
+ * @param {Error} error - 服务层错误
+ */
+const respondNotFound = (ctx, error) => {
+  ctx.status = 404
+  ctx.body = {
+    success: false,
+    error: {
+      code: 'JOB_NOT_FOUND',
+      message: error.message,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     summary: 提交异步AI分析任务
+ *     tags: [Jobs]
+ *     description: |
+ *       提交后立即返回任务（状态为 queued），由后台任务处理器执行，通过 GET /api/jobs/{id} 查询状态和结果。
+ *       支持的任务类型：
+ *       - analyzeDrug：input 与 POST /api/drugs/analyze 的请求体相同（{ name }）
+ *       - checkInteractions：input 与 POST /api/interactions/check 的请求体相同（{ drugIds, drugNames, analyzeUnknown }）
+ *
+ *       AI调用超时或连接失败时按指数退避自动重试，AI令牌用量计入提交者的配额。
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - input
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [analyzeDrug, checkInteractions]
+ *                 description: 任务类型
+ *               input:
+ *                 type: object
+ *                 description: 任务输入
+ *           example:
+ *             type: checkInteractions
+ *             input:
+ *               drugNames: [阿司匹林, 华法林]
+ *     responses:
+ *       202:
+ *         description: 任务已提交
+ *       400:
+ *         description: 请求参数错误（INVALID_JOB_TYPE 或 INVALID_PARAMETER）
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
+ *       500:
+ *         description: 服务器错误
+ */
+export const submitJob = async (ctx) => {
+  try {
+    const { type, input } = ctx.request.body || {}
+
+    const job = await jobService.submit(type, input, ctx.state.user)
+
+    ctx.status = 202
+    ctx.body = {
+      success: true,
+      data: job,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('提交任务失败', { error: error.message })
+
+    if (error.status === 400) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'SUBMIT_JOB_ERROR',
+          message: error.message || '提交任务失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: 获取任务列表
+ *     tags: [Jobs]
+ *     description: 普通用户只能看到自己提交的任务，管理员可以看到全部任务。列表不包含任务结果
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *         description: 按任务状态筛选
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [analyzeDrug, checkInteractions]
+ *         description: 按任务类型筛选
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回任务列表
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+export const getJobs = async (ctx) => {
+  try {
+    const { status, type, page = 1, limit = 10 } = ctx.query
+
+    if ((status && !JOB_STATUSES.includes(status)) || (type && !JOB_TYPES.includes(type))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: `status 必须是 ${JOB_STATUSES.join(', ')} 之一，type 必须是 ${JOB_TYPES.join(', ')} 之一`,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const result = await jobService.findAll(ctx.state.user, { status, type }, page, limit)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取任务列表失败', { error: error.message })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'GET_JOBS_ERROR',
+        message: error.message || '获取任务列表失败',
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: 查询任务状态和结果
+ *     tags: [Jobs]
+ *     description: |
+ *       status 为 succeeded 时 result 为任务结果（与对应同步接口返回的 data 相同），
+ *       status 为 failed 时 error 包含错误代码和信息。
+ *       等待重试的任务 status 为 queued，error 为上一次失败的原因，runAt 为下一次执行时间。
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 成功返回任务
+ *       400:
+ *         description: 无效的任务ID
+ *       404:
+ *         description: 任务不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const getJobById = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidId(ctx)
+      return
+    }
+
+    const job = await jobService.findById(id, ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: job,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('查询任务失败', { error: error.message })
+
+    if (error.message.includes('不存在')) {
+      respondNotFound(ctx, error)
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'GET_JOB_ERROR',
+          message: error.message || '查询任务失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: 取消任务
+ *     tags: [Jobs]
+ *     description: |
+ *       排队中（包括等待重试）的任务立即取消。
+ *       执行中的任务无法中断正在进行的AI调用，会标记 cancelRequested，执行结束后状态变为 cancelled 且不保存结果。
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 已取消或已请求取消
+ *       400:
+ *         description: 无效的任务ID
+ *       404:
+ *         description: 任务不存在
+ *       409:
+ *         description: 任务已结束，无法取消
+ *       500:
+ *         description: 服务器错误
+ */
+export const cancelJob = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidId(ctx)
+      return
+    }
+
+    const job = await jobService.cancel(id, ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: job,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('取消任务失败', { error: error.message })
+
+    if (error.code === 'JOB_NOT_CANCELLABLE') {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'JOB_NOT_CANCELLABLE',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('不存在')) {
+      respondNotFound(ctx, error)
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'CANCEL_JOB_ERROR',
+          message: error.message || '取消任务失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
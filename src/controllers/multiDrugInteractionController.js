@@ -0,0 +1,483 @@
+import mongoose from 'mongoose'
+import { multiDrugInteractionService } from '../services/MultiDrugInteractionService.js'
+import { INTERACTION_SEVERITIES } from '../models/Interaction.js'
+import { MIN_GROUP_MEMBERS, MAX_GROUP_MEMBERS } from '../models/MultiDrugInteraction.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 多药相互作用控制器
+ * 处理三种及以上药物组合才出现的相互作用的维护请求
+ */
+
+// 允许通过接口写入的字段
+const MULTI_DRUG_INTERACTION_FIELDS = [
+  'members',
+  'interactionType',
+  'severity',
+  'description',
+  'recommendation',
+  'source',
+]
+
+/**
+ * 校验组合成员
+ * @param {*} members - 请求中的 members
+ * @returns {string|null} 错误信息，校验通过时返回null
+ */
+const validateMembers = (members) => {
+  if (!Array.isArray(members) || members.length < MIN_GROUP_MEMBERS || members.length > MAX_GROUP_MEMBERS) {
+    return `members 必须是包含${MIN_GROUP_MEMBERS}到${MAX_GROUP_MEMBERS}个成员的数组`
+  }
+
+  for (const member of members) {
+    if (!member || typeof member !== 'object' || Array.isArray(member)) {
+      return 'members 的每一项必须是对象'
+    }
+    const hasDrug = member.drugId !== undefined
+    const hasClass = member.drugClass !== undefined
+    if (hasDrug === hasClass) {
+      return '每个组合成员必须且只能指定 drugId 或 drugClass 之一'
+    }
+    if (hasDrug && !mongoose.isValidObjectId(member.drugId)) {
+      return `无效的药物ID: ${member.drugId}`
+    }
+    if (hasClass && (typeof member.drugClass !== 'string' || member.drugClass.trim().length === 0)) {
+      return 'drugClass 必须是非空字符串'
+    }
+  }
+
+  const keys = members.map(member => (member.drugId ? `drug:${member.drugId}` : `class:${member.drugClass.trim().toLowerCase()}`))
+  if (new Set(keys).size !== keys.length) {
+    return '组合成员不能重复'
+  }
+
+  return null
+}
+
+/**
+ * 校验多药相互作用数据
+ * @param {Object} body - 请求体
+ * @param {Object} options
+ * @param {boolean} options.partial - 是否为部分更新（不要求必填字段）
+ * @returns {string|null} 错误信息，校验通过时返回null
+ */
+const validateMultiDrugInteraction = (body, { partial }) => {
+  const unknownFields = Object.keys(body).filter(field => !MULTI_DRUG_INTERACTION_FIELDS.includes(field))
+  if (unknownFields.length > 0) {
+    return `不允许的字段: ${unknownFields.join(', ')}`
+  }
+
+  if (partial && Object.keys(body).length === 0) {
+    return '请求体中没有需要更新的字段'
+  }
+
+  if (!partial || 'members' in body) {
+    const membersError = validateMembers(body.members)
+    if (membersError) {
+      return membersError
+    }
+  }
+
+  for (const field of ['interactionType', 'description', 'recommendation']) {
+    if ((!partial || field in body) && (typeof body[field] !== 'string' || body[field].trim().length === 0)) {
+      return `${field} 不能为空`
+    }
+  }
+
+  if ((!partial || 'severity' in body) && !INTERACTION_SEVERITIES.includes(body.severity)) {
+    return `严重程度必须是 ${INTERACTION_SEVERITIES.join(', ')} 之一`
+  }
+
+  if ('source' in body && !['database', 'ai'].includes(body.source)) {
+    return '数据来源必须是 database 或 ai'
+  }
+
+  return null
+}
+
+/**
+ * 返回参数错误
+ * @param {Object} ctx - Koa上下文
+ * @param {string} message - 错误信息
+ */
+const respondInvalidParameter = (ctx, message) => {
+  ctx.status = 400
+  ctx.body = {
+    success: false,
+    error: {
+      code: 'INVALID_PARAMETER',
+      message,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * 将服务层错误转换为响应（药物不存在、记录不存在、组合已存在，其余按服务器错误返回）
+ * @param {Object} ctx - Koa上下文
+ * @param {Error} error - 服务层错误
+ * @param {string} fallbackCode - 其他错误使用的错误代码
+ * @param {string} fallbackMessage - 其他错误的默认信息
+ */
+const respondError = (ctx, error, fallbackCode, fallbackMessage) => {
+  let status = 500
+  let code = fallbackCode
+
+  if (error.code === 'DRUG_NOT_FOUND') {
+    status = 404
+    code = 'DRUG_NOT_FOUND'
+  } else if (error.message.includes('不存在')) {
+    status = 404
+    code = 'MULTI_DRUG_INTERACTION_NOT_FOUND'
+  } else if (error.message.includes('已存在')) {
+    status = 409
+    code = 'MULTI_DRUG_INTERACTION_EXISTS'
+  } else if (error.name === 'ValidationError') {
+    status = 400
+    code = 'INVALID_PARAMETER'
+  }
+
+  ctx.status = status
+  ctx.body = {
+    success: false,
+    error: {
+      code,
+      message: error.message || fallbackMessage,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * @swagger
+ * /api/multi-drug-interactions:
+ *   get:
+ *     summary: 获取多药相互作用列表
+ *     tags: [Interactions]
+ *     description: 三种及以上药物组合才出现的相互作用（如 NSAIDs + ACEI + 利尿剂）
+ *     parameters:
+ *       - in: query
+ *         name: drugId
+ *         schema:
+ *           type: string
+ *         description: 包含的药物ID（直接成员）
+ *       - in: query
+ *         name: drugClass
+ *         schema:
+ *           type: string
+ *         description: 包含的药物类别
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, contraindicated]
+ *         description: 严重程度
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回多药相互作用列表
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+export const getMultiDrugInteractions = async (ctx) => {
+  try {
+    const { drugId, drugClass, severity, page = 1, limit = 10 } = ctx.query
+
+    if (drugId && !mongoose.isValidObjectId(drugId)) {
+      respondInvalidParameter(ctx, '药物ID格式不正确')
+      return
+    }
+
+    if (severity && !INTERACTION_SEVERITIES.includes(severity)) {
+      respondInvalidParameter(ctx, `严重程度必须是 ${INTERACTION_SEVERITIES.join(', ')} 之一`)
+      return
+    }
+
+    const result = await multiDrugInteractionService.findAll({ drugId, drugClass, severity }, page, limit)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取多药相互作用列表失败', { error: error.message })
+    respondError(ctx, error, 'GET_MULTI_DRUG_INTERACTIONS_ERROR', '获取多药相互作用列表失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/multi-drug-interactions/{id}:
+ *   get:
+ *     summary: 获取多药相互作用详情
+ *     tags: [Interactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 多药相互作用ID
+ *     responses:
+ *       200:
+ *         description: 成功返回多药相互作用详情
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 多药相互作用不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const getMultiDrugInteractionById = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '多药相互作用ID格式不正确')
+      return
+    }
+
+    const interaction = await multiDrugInteractionService.findById(id)
+
+    ctx.body = {
+      success: true,
+      data: interaction,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取多药相互作用详情失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'GET_MULTI_DRUG_INTERACTION_ERROR', '获取多药相互作用详情失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/multi-drug-interactions:
+ *   post:
+ *     summary: 新增多药相互作用
+ *     tags: [Interactions]
+ *     description: |
+ *       成员可以是具体药物（drugId，名称自动填充）或药物类别（drugClass，与药物的 category 匹配），
+ *       检测时每个成员都要对应一种不同的在用药物才算命中。相同成员组合只能存在一条记录
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - members
+ *               - interactionType
+ *               - severity
+ *               - description
+ *               - recommendation
+ *             properties:
+ *               members:
+ *                 type: array
+ *                 minItems: 3
+ *                 maxItems: 10
+ *                 description: 组合成员，每项指定 drugId 或 drugClass 之一
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     drugId:
+ *                       type: string
+ *                     drugClass:
+ *                       type: string
+ *                 example: [{ drugClass: 解热镇痛药 }, { drugClass: ACE抑制剂 }, { drugClass: 利尿剂 }]
+ *               interactionType:
+ *                 type: string
+ *                 description: 相互作用类型
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, contraindicated]
+ *                 description: 严重程度
+ *               description:
+ *                 type: string
+ *                 description: 相互作用描述
+ *               recommendation:
+ *                 type: string
+ *                 description: 临床建议
+ *               source:
+ *                 type: string
+ *                 enum: [database, ai]
+ *                 default: database
+ *     responses:
+ *       201:
+ *         description: 成功创建多药相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 成员中的药物不存在
+ *       409:
+ *         description: 相同成员组合已存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const createMultiDrugInteraction = async (ctx) => {
+  try {
+    const body = ctx.request.body || {}
+
+    const validationError = validateMultiDrugInteraction(body, { partial: false })
+    if (validationError) {
+      respondInvalidParameter(ctx, validationError)
+      return
+    }
+
+    const interaction = await multiDrugInteractionService.create(body)
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: interaction,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('创建多药相互作用失败', { error: error.message })
+    respondError(ctx, error, 'CREATE_MULTI_DRUG_INTERACTION_ERROR', '创建多药相互作用失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/multi-drug-interactions/{id}:
+ *   patch:
+ *     summary: 更新多药相互作用
+ *     tags: [Interactions]
+ *     description: 部分更新，members 整体替换
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 多药相互作用ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     drugId:
+ *                       type: string
+ *                     drugClass:
+ *                       type: string
+ *               interactionType:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, contraindicated]
+ *               description:
+ *                 type: string
+ *               recommendation:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [database, ai]
+ *     responses:
+ *       200:
+ *         description: 成功更新多药相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 多药相互作用或成员中的药物不存在
+ *       409:
+ *         description: 相同成员组合已存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const updateMultiDrugInteraction = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const body = ctx.request.body || {}
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '多药相互作用ID格式不正确')
+      return
+    }
+
+    const validationError = validateMultiDrugInteraction(body, { partial: true })
+    if (validationError) {
+      respondInvalidParameter(ctx, validationError)
+      return
+    }
+
+    const interaction = await multiDrugInteractionService.update(id, body)
+
+    ctx.body = {
+      success: true,
+      data: interaction,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('更新多药相互作用失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'UPDATE_MULTI_DRUG_INTERACTION_ERROR', '更新多药相互作用失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/multi-drug-interactions/{id}:
+ *   delete:
+ *     summary: 删除多药相互作用
+ *     tags: [Interactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 多药相互作用ID
+ *     responses:
+ *       200:
+ *         description: 成功删除多药相互作用
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 多药相互作用不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const deleteMultiDrugInteraction = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '多药相互作用ID格式不正确')
+      return
+    }
+
+    await multiDrugInteractionService.delete(id)
+
+    ctx.body = {
+      success: true,
+      data: {
+        deleted: true,
+      },
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('删除多药相互作用失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'DELETE_MULTI_DRUG_INTERACTION_ERROR', '删除多药相互作用失败')
+  }
+}
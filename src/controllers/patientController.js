@@ -0,0 +1,632 @@
+import mongoose from 'mongoose'
+import { patientService } from '../services/PatientService.js'
+import { ORGAN_FUNCTION_LEVELS, PREGNANCY_STATUSES } from '../models/Patient.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 患者控制器
+ * 处理患者档案、用药清单和用药检测相关的HTTP请求
+ */
+
+// 允许通过接口写入的患者字段
+const PATIENT_FIELDS = [
+  'name',
+  'age',
+  'weightKg',
+  'pregnancyStatus',
+  'renalFunction',
+  'hepaticFunction',
+  'conditions',
+  'medications',
+  'notes',
+]
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+/**
+ * 校验用药清单
+ * @param {*} medications - 请求中的 medications
+ * @returns {string|null} 错误信息，校验通过时返回null
+ */
+const validateMedications = (medications) => {
+  if (!Array.isArray(medications)) {
+    return 'medications 必须是数组'
+  }
+
+  for (const medication of medications) {
+    if (!medication || typeof medication !== 'object' || Array.isArray(medication)) {
+      return 'medications 的每一项必须是对象'
+    }
+    if (!mongoose.isValidObjectId(medication.drugId)) {
+      return `无效的药物ID: ${medication.drugId}`
+    }
+    for (const field of ['dose', 'frequency', 'notes']) {
+      if (medication[field] !== undefined && typeof medication[field] !== 'string') {
+        return `用药记录的 ${field} 必须是字符串`
+      }
+    }
+    for (const field of ['startDate', 'stopDate']) {
+      if (medication[field] !== undefined && medication[field] !== null && !isValidDate(medication[field])) {
+        return `用药记录的 ${field} 必须是有效的日期`
+      }
+    }
+    if (medication.startDate && medication.stopDate &&
+      Date.parse(medication.stopDate) < Date.parse(medication.startDate)) {
+      return '停止日期不能早于开始日期'
+    }
+  }
+
+  return null
+}
+
+/**
+ * 校验患者数据
+ * @param {Object} body - 请求体
+ * @param {Object} options
+ * @param {boolean} options.partial - 是否为部分更新（不要求必填字段）
+ * @returns {string|null} 错误信息，校验通过时返回null
+ */
+const validatePatientData = (body, { partial }) => {
+  const unknownFields = Object.keys(body).filter(field => !PATIENT_FIELDS.includes(field))
+  if (unknownFields.length > 0) {
+    return `不允许的字段: ${unknownFields.join(', ')}`
+  }
+
+  if (partial && Object.keys(body).length === 0) {
+    return '请求体中没有需要更新的字段'
+  }
+
+  if ((!partial || 'name' in body) && (typeof body.name !== 'string' || body.name.trim().length === 0)) {
+    return '患者姓名不能为空'
+  }
+
+  if ('age' in body && (typeof body.age !== 'number' || body.age < 0 || body.age > 150)) {
+    return '年龄必须是0到150之间的数字'
+  }
+
+  if ('weightKg' in body && (typeof body.weightKg !== 'number' || body.weightKg <= 0)) {
+    return '体重必须是大于0的数字'
+  }
+
+  if ('pregnancyStatus' in body && !PREGNANCY_STATUSES.includes(body.pregnancyStatus)) {
+    return `妊娠状态必须是 ${PREGNANCY_STATUSES.join(', ')} 之一`
+  }
+
+  for (const field of ['renalFunction', 'hepaticFunction']) {
+    if (field in body && !ORGAN_FUNCTION_LEVELS.includes(body[field])) {
+      return `${field} 必须是 ${ORGAN_FUNCTION_LEVELS.join(', ')} 之一`
+    }
+  }
+
+  if ('conditions' in body &&
+    (!Array.isArray(body.conditions) || body.conditions.some(item => typeof item !== 'string' || item.trim().length === 0))) {
+    return 'conditions 必须是非空字符串数组'
+  }
+
+  if ('medications' in body) {
+    return validateMedications(body.medications)
+  }
+
+  return null
+}
+
+/**
+ * 返回参数错误
+ * @param {Object} ctx - Koa上下文
+ * @param {string} message - 错误信息
+ */
+const respondInvalidParameter = (ctx, message) => {
+  ctx.status = 400
+  ctx.body = {
+    success: false,
+    error: {
+      code: 'INVALID_PARAMETER',
+      message,
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * 将服务层错误转换为响应（患者不存在、药物不存在，其余按服务器错误返回）
+ * @param {Object} ctx - Koa上下文
+ * @param {Error} error - 服务层错误
+ * @param {string} fallbackCode - 其他错误使用的错误代码
+ * @param {string} fallbackMessage - 其他错误的默认信息
+ */
+const respondError = (ctx, error, fallbackCode, fallbackMessage) => {
+  if (error.message.includes('患者不存在')) {
+    ctx.status = 404
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'PATIENT_NOT_FOUND',
+        message: error.message,
+      },
+      timestamp: Date.now(),
+    }
+  } else if (error.message.includes('部分药物ID不存在')) {
+    // 用药清单中的药物已被删除（检测时按药物ID加载）
+    ctx.status = 409
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'DRUG_NOT_FOUND',
+        message: '用药清单中部分药物已不存在，请更新用药清单后重试',
+      },
+      timestamp: Date.now(),
+    }
+  } else if (error.code === 'DRUG_NOT_FOUND' || error.name === 'ValidationError') {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: {
+        code: error.code || 'INVALID_PARAMETER',
+        message: error.message,
+      },
+      timestamp: Date.now(),
+    }
+  } else {
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: fallbackCode,
+        message: error.message || fallbackMessage,
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients:
+ *   post:
+ *     summary: 创建患者档案
+ *     tags: [Patients]
+ *     description: 患者档案只能由创建者本人和管理员访问
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 患者姓名或标识
+ *               age:
+ *                 type: number
+ *                 description: 年龄
+ *               weightKg:
+ *                 type: number
+ *                 description: 体重（千克）
+ *               pregnancyStatus:
+ *                 type: string
+ *                 enum: [none, pregnant, third_trimester, lactating]
+ *                 default: none
+ *                 description: 妊娠/哺乳状态（检测时推导为"妊娠期"、"孕晚期"、"哺乳期"）
+ *               renalFunction:
+ *                 type: string
+ *                 enum: [normal, mild, moderate, severe]
+ *                 default: normal
+ *                 description: 肾功能（severe 时检测"严重肾功能不全"禁忌）
+ *               hepaticFunction:
+ *                 type: string
+ *                 enum: [normal, mild, moderate, severe]
+ *                 default: normal
+ *                 description: 肝功能（severe 时检测"严重肝功能不全"禁忌）
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 其他疾病/状态
+ *               medications:
+ *                 type: array
+ *                 description: 用药清单
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - drugId
+ *                   properties:
+ *                     drugId:
+ *                       type: string
+ *                     dose:
+ *                       type: string
+ *                       example: 100mg
+ *                     frequency:
+ *                       type: string
+ *                       example: 每日1次
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     stopDate:
+ *                       type: string
+ *                       format: date
+ *                       description: 停止日期，为空表示仍在使用
+ *                     notes:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 成功创建患者
+ *       400:
+ *         description: 请求参数错误或用药清单中的药物不存在（DRUG_NOT_FOUND）
+ *       500:
+ *         description: 服务器错误
+ */
+export const createPatient = async (ctx) => {
+  try {
+    const body = ctx.request.body || {}
+
+    const validationError = validatePatientData(body, { partial: false })
+    if (validationError) {
+      respondInvalidParameter(ctx, validationError)
+      return
+    }
+
+    const patient = await patientService.create(body, ctx.state.user)
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: patient,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('创建患者失败', { error: error.message })
+    respondError(ctx, error, 'CREATE_PATIENT_ERROR', '创建患者失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients:
+ *   get:
+ *     summary: 获取患者列表
+ *     tags: [Patients]
+ *     description: 药师只能看到自己创建的患者，管理员可以看到全部患者
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 按姓名模糊搜索
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回患者列表
+ *       500:
+ *         description: 服务器错误
+ */
+export const getPatients = async (ctx) => {
+  try {
+    const { keyword, page = 1, limit = 10 } = ctx.query
+
+    const result = await patientService.findAll(ctx.state.user, { keyword }, page, limit)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取患者列表失败', { error: error.message })
+    respondError(ctx, error, 'GET_PATIENTS_ERROR', '获取患者列表失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   get:
+ *     summary: 获取患者详情
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 患者ID
+ *     responses:
+ *       200:
+ *         description: 成功返回患者详情（包含用药清单）
+ *       400:
+ *         description: 无效的患者ID
+ *       404:
+ *         description: 患者不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const getPatientById = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '无效的患者ID')
+      return
+    }
+
+    const patient = await patientService.findById(id, ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: patient,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取患者详情失败', { error: error.message })
+    respondError(ctx, error, 'GET_PATIENT_ERROR', '获取患者详情失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   patch:
+ *     summary: 更新患者档案
+ *     tags: [Patients]
+ *     description: 部分更新，只修改请求体中提供的字段；提供 medications 时整体替换用药清单。字段同创建患者
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 患者ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: 成功更新患者
+ *       400:
+ *         description: 请求参数错误或用药清单中的药物不存在（DRUG_NOT_FOUND）
+ *       404:
+ *         description: 患者不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const updatePatient = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const body = ctx.request.body || {}
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '无效的患者ID')
+      return
+    }
+
+    const validationError = validatePatientData(body, { partial: true })
+    if (validationError) {
+      respondInvalidParameter(ctx, validationError)
+      return
+    }
+
+    const patient = await patientService.update(id, body, ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: patient,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('更新患者失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'UPDATE_PATIENT_ERROR', '更新患者失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   delete:
+ *     summary: 删除患者档案
+ *     tags: [Patients]
+ *     description: 同时删除该患者的所有检测快照
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 患者ID
+ *     responses:
+ *       200:
+ *         description: 成功删除患者
+ *       400:
+ *         description: 无效的患者ID
+ *       404:
+ *         description: 患者不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const deletePatient = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '无效的患者ID')
+      return
+    }
+
+    await patientService.delete(id, ctx.state.user)
+
+    ctx.body = {
+      success: true,
+      data: { id },
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('删除患者失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'DELETE_PATIENT_ERROR', '删除患者失败')
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients/{id}/check:
+ *   post:
+ *     summary: 检测患者当前用药
+ *     tags: [Patients]
+ *     description: |
+ *       对患者当前在用的药物（开始日期不晚于今天且未停止）执行相互作用检测，
+ *       同时按患者的疾病/状态（含由妊娠状态和严重肝肾功能不全推导出的状态）检测药物禁忌。
+ *       患者因素（高龄、未成年、妊娠/哺乳、中重度肝肾功能不全）在存在中等及以上风险时计入风险评分，见 result.riskScore.breakdown.patientFactors。
+ *       检测结果保存为快照（包含 riskLevel 和 riskScore 分数），可通过 GET /api/patients/{id}/checks 查询历史。
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 患者ID
+ *     responses:
+ *       201:
+ *         description: 检测完成，返回检测快照（result 与 POST /api/interactions/check 返回的 data 相同）
+ *       400:
+ *         description: 无效的患者ID；在用药物少于2种时错误代码为 INSUFFICIENT_DRUGS；药物数量超过上限时为 TOO_MANY_DRUGS
+ *       404:
+ *         description: 患者不存在
+ *       409:
+ *         description: 用药清单中部分药物已不存在（DRUG_NOT_FOUND）
+ *       429:
+ *         description: 请求过于频繁或今日AI令牌配额已用完（响应头包含 Retry-After）
+ *       502:
+ *         description: AI接口调用失败
+ *       500:
+ *         description: 服务器错误
+ */
+export const checkPatient = async (ctx) => {
+  try {
+    const { id } = ctx.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '无效的患者ID')
+      return
+    }
+
+    const snapshot = await patientService.check(id, ctx.state.user)
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      data: snapshot,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('患者用药检测失败', { id: ctx.params.id, error: error.message })
+
+    if (error.code === 'INSUFFICIENT_DRUGS' || error.code === 'TOO_MANY_DRUGS') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.code === 'AI_INVALID_RESPONSE') {
+      ctx.status = 502
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'AI_INVALID_RESPONSE',
+          message: error.message,
+          details: error.details,
+        },
+        timestamp: Date.now(),
+      }
+    } else if (error.message.includes('AI') || error.message.includes('接口')) {
+      ctx.status = 502
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'AI_SERVICE_ERROR',
+          message: 'AI接口调用失败，请稍后重试',
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      respondError(ctx, error, 'CHECK_PATIENT_ERROR', '患者用药检测失败')
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/patients/{id}/checks:
+ *   get:
+ *     summary: 获取患者的检测快照
+ *     tags: [Patients]
+ *     description: 按检测时间倒序返回，每条快照包含检测时的用药、疾病/状态和检测结果
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 患者ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回检测快照列表
+ *       400:
+ *         description: 无效的患者ID
+ *       404:
+ *         description: 患者不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const getPatientChecks = async (ctx) => {
+  try {
+    const { id } = ctx.params
+    const { page = 1, limit = 10 } = ctx.query
+
+    if (!mongoose.isValidObjectId(id)) {
+      respondInvalidParameter(ctx, '无效的患者ID')
+      return
+    }
+
+    const result = await patientService.findChecks(id, ctx.state.user, page, limit)
+
+    ctx.body = {
+      success: true,
+      data: result,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取患者检测记录失败', { id: ctx.params.id, error: error.message })
+    respondError(ctx, error, 'GET_PATIENT_CHECKS_ERROR', '获取患者检测记录失败')
+  }
+}
@@ -0,0 +1,289 @@
+import mongoose from 'mongoose'
+import { reviewService } from '../services/ReviewService.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 审核控制器
+ * 处理AI生成数据人工审核相关的HTTP请求
+ */
+
+// URL中的资源名称与审核类型的对应关系
+const RESOURCE_TYPES = {
+  drugs: 'drug',
+  interactions: 'interaction',
+}
+
+/**
+ * @swagger
+ * /api/review/queue:
+ *   get:
+ *     summary: 获取待审核队列
+ *     tags: [Review]
+ *     description: 列出所有尚未审核的AI生成药物和相互作用，按创建时间从早到晚排列
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [drug, interaction]
+ *         description: 只查询指定类型的记录，不传则同时返回两类
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功返回待审核队列
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     drug:
+ *                       type: object
+ *                       properties:
+ *                         items:
+ *                           type: array
+ *                         total:
+ *                           type: integer
+ *                         page:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                     interaction:
+ *                       type: object
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+export const getReviewQueue = async (ctx) => {
+  try {
+    const { type, page = 1, limit = 10 } = ctx.query
+
+    if (type && !Object.values(RESOURCE_TYPES).includes(type)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '审核类型必须是 drug 或 interaction',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const queue = await reviewService.getQueue({ type, page, limit })
+
+    ctx.body = {
+      success: true,
+      data: queue,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('获取待审核队列失败', { error: error.message })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: {
+        code: 'GET_REVIEW_QUEUE_ERROR',
+        message: error.message || '获取待审核队列失败',
+      },
+      timestamp: Date.now(),
+    }
+  }
+}
+
+/**
+ * 处理审核请求（通过或驳回）
+ * @param {Object} ctx - Koa上下文
+ * @param {string} action - 审核动作：approve, reject
+ */
+const handleReview = async (ctx, action) => {
+  try {
+    const { resource, id } = ctx.params
+    const { notes } = ctx.request.body || {}
+    const reviewer = ctx.state.user.username
+    const type = RESOURCE_TYPES[resource]
+
+    if (!type) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: '审核资源必须是 drugs 或 interactions',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (!mongoose.isValidObjectId(id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '记录ID格式不正确',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    if (action === 'reject' && (!notes || typeof notes !== 'string' || notes.trim().length === 0)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'INVALID_PARAMETER',
+          message: '驳回时必须填写审核备注',
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    const reviewData = { reviewer, notes }
+    const record = action === 'approve'
+      ? await reviewService.approve(type, id, reviewData)
+      : await reviewService.reject(type, id, reviewData)
+
+    ctx.body = {
+      success: true,
+      data: record,
+      timestamp: Date.now(),
+    }
+  } catch (error) {
+    logger.error('审核记录失败', {
+      resource: ctx.params.resource,
+      id: ctx.params.id,
+      action,
+      error: error.message,
+    })
+
+    if (error.message.includes('不存在')) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'RECORD_NOT_FOUND',
+          message: error.message,
+        },
+        timestamp: Date.now(),
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'REVIEW_ERROR',
+          message: error.message || '审核失败',
+        },
+        timestamp: Date.now(),
+      }
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/review/{resource}/{id}/approve:
+ *   post:
+ *     summary: 审核通过
+ *     tags: [Review]
+ *     description: 审核人为当前登录用户（需要药师或管理员角色）
+ *     parameters:
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [drugs, interactions]
+ *         description: 记录类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 记录ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: 审核备注
+ *     responses:
+ *       200:
+ *         description: 审核成功，返回更新后的记录
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 记录不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const approveRecord = async (ctx) => handleReview(ctx, 'approve')
+
+/**
+ * @swagger
+ * /api/review/{resource}/{id}/reject:
+ *   post:
+ *     summary: 审核驳回
+ *     tags: [Review]
+ *     description: 审核人为当前登录用户。被驳回的相互作用会保留用于追溯，但不再出现在相互作用检测结果中，也不会被AI重新生成
+ *     parameters:
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [drugs, interactions]
+ *         description: 记录类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 记录ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: 驳回原因
+ *     responses:
+ *       200:
+ *         description: 驳回成功，返回更新后的记录
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 记录不存在
+ *       500:
+ *         description: 服务器错误
+ */
+export const rejectRecord = async (ctx) => handleReview(ctx, 'reject')
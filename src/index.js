@@ -7,10 +7,15 @@ import { connectDB } from './config/database.js'
 import { config } from './config/env.js'
 import { errorHandler } from './middleware/errorHandler.js'
 import { logger } from './utils/logger.js'
+import { authService } from './services/AuthService.js'
+import { jobService } from './services/JobService.js'
 import router from './routes/index.js'
 
 const app = new Koa()
 
+// 部署在反向代理之后时信任 X-Forwarded-For，限流才能按真实客户端IP计数
+app.proxy = config.rateLimit.trustProxy
+
 // Swagger JSDoc 配置 - 从控制器注释自动生成文档
 const swaggerOptions = {
   definition: {
@@ -39,7 +44,38 @@ const swaggerOptions = {
         name: 'Graph',
         description: '药物关系图谱接口',
       },
+      {
+        name: 'Review',
+        description: 'AI生成数据人工审核接口',
+      },
+      {
+        name: 'Auth',
+        description: '用户认证接口',
+      },
+      {
+        name: 'Conditions',
+        description: '疾病/状态（药物禁忌检测）接口',
+      },
+      {
+        name: 'Patients',
+        description: '患者档案与用药清单接口',
+      },
+      {
+        name: 'Jobs',
+        description: '异步AI分析任务接口',
+      },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
+    // 写入和AI接口需要携带令牌，查询接口可匿名访问（取决于AUTH_PUBLIC_READ）
+    security: [{ bearerAuth: [] }, {}],
   },
   // 扫描控制器文件中的 @swagger 注释
   apis: ['./src/controllers/*.js'],
@@ -49,7 +85,19 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions)
 
 // 中间件
-app.use(cors())
+app.use(
+  cors({
+    // 允许前端读取限流相关响应头，以及图谱导出的文件名和截断标记
+    exposeHeaders: [
+      'Retry-After',
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'X-RateLimit-Reset',
+      'Content-Disposition',
+      'X-Graph-Truncated',
+    ],
+  })
+)
 app.use(koaBody())
 app.use(errorHandler)
 
@@ -89,12 +137,25 @@ const startServer = async () => {
     // 连接数据库
     await connectDB()
 
+    // 创建初始管理员账号（如已配置）
+    await authService.ensureInitialAdmin()
+
+    // 启动进程内的异步任务处理器
+    if (config.jobs.workerEnabled) {
+      await jobService.start()
+    }
+
+    if (!config.auth.jwtSecret) {
+      logger.warn('未配置JWT_SECRET，登录和需要认证的接口将不可用')
+    }
+
     // 启动HTTP服务器
     app.listen(config.port, () => {
       logger.info(`服务器运行在 http://localhost:${config.port}`)
       logger.info(`Swagger UI: http://localhost:${config.port}/swagger`)
       logger.info(`Swagger JSON: http://localhost:${config.port}/swagger.json`)
       logger.info(`环境: ${config.nodeEnv}`)
+      logger.info(`AI提供方: ${config.ai.provider}`)
     })
   } catch (error) {
     logger.error('服务器启动失败:', error)
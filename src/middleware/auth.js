@@ -0,0 +1,109 @@
+import { authService } from '../services/AuthService.js'
+import { config } from '../config/env.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 从请求头中提取Bearer令牌
+ * @param {Object} ctx - Koa上下文
+ * @returns {string|null} 令牌或null
+ */
+const extractToken = (ctx) => {
+  const header = ctx.get('Authorization')
+  if (!header) {
+    return null
+  }
+
+  const [scheme, token] = header.split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+/**
+ * 返回认证失败响应
+ * @param {Object} ctx - Koa上下文
+ * @param {Error} error - 认证错误
+ */
+const respondAuthError = (ctx, error) => {
+  // 没有状态码的错误（如数据库异常）不是认证问题，按服务器错误返回
+  ctx.status = error.status || 500
+  ctx.body = {
+    success: false,
+    error: {
+      code: error.status ? error.code : 'INTERNAL_ERROR',
+      message: error.message || '认证失败',
+    },
+    timestamp: Date.now(),
+  }
+}
+
+/**
+ * 认证中间件
+ * 要求请求携带有效的访问令牌，并将当前用户写入 ctx.state.user
+ */
+export const authenticate = async (ctx, next) => {
+  try {
+    ctx.state.user = await authService.authenticate(extractToken(ctx))
+  } catch (error) {
+    logger.warn('认证失败', {
+      method: ctx.method,
+      url: ctx.url,
+      error: error.message,
+    })
+    respondAuthError(ctx, error)
+    return
+  }
+
+  await next()
+}
+
+/**
+ * 可选认证中间件
+ * 未携带令牌时以匿名身份继续，携带了无效令牌时仍返回401
+ */
+export const optionalAuthenticate = async (ctx, next) => {
+  if (!extractToken(ctx)) {
+    await next()
+    return
+  }
+
+  await authenticate(ctx, next)
+}
+
+/**
+ * 授权中间件工厂
+ * 先完成认证，再检查用户角色
+ * @param {...string} roles - 允许访问的角色，不传则任意已登录用户均可访问
+ * @returns {Function} Koa中间件
+ */
+export const authorize = (...roles) => async (ctx, next) => {
+  await authenticate(ctx, async () => {
+    if (roles.length > 0 && !roles.includes(ctx.state.user.role)) {
+      logger.warn('权限不足', {
+        method: ctx.method,
+        url: ctx.url,
+        username: ctx.state.user.username,
+        role: ctx.state.user.role,
+        required: roles,
+      })
+      respondAuthError(ctx, {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: '权限不足',
+      })
+      return
+    }
+
+    await next()
+  })
+}
+
+/**
+ * 读取类接口的访问控制
+ * 由 AUTH_PUBLIC_READ 决定是否允许匿名访问
+ */
+export const readAccess = async (ctx, next) => {
+  if (config.auth.publicRead) {
+    await optionalAuthenticate(ctx, next)
+  } else {
+    await authenticate(ctx, next)
+  }
+}
@@ -0,0 +1,147 @@
+import { config } from '../config/env.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 内存限流存储（固定窗口计数）
+ * 适用于单进程部署；多实例部署时可实现同样接口的外部存储（如Redis）替换
+ *
+ * 存储接口：
+ * - increment(key, windowMs): Promise<{count: number, resetAt: number}>
+ */
+export class MemoryStore {
+  constructor() {
+    this.hits = new Map()
+
+    // 定期清理过期的计数，避免内存持续增长
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000)
+    this.cleanupTimer.unref()
+  }
+
+  /**
+   * 计数加一
+   * @param {string} key - 限流键
+   * @param {number} windowMs - 窗口时长（毫秒）
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now()
+    let entry = this.hits.get(key)
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      this.hits.set(key, entry)
+    }
+
+    entry.count++
+    return { count: entry.count, resetAt: entry.resetAt }
+  }
+
+  /**
+   * 清理过期的计数
+   */
+  cleanup() {
+    const now = Date.now()
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key)
+      }
+    }
+  }
+}
+
+/**
+ * 默认限流键：已登录用户按用户ID，匿名请求按IP
+ * @param {Object} ctx - Koa上下文
+ * @returns {string}
+ */
+const defaultKeyGenerator = (ctx) =>
+  ctx.state.user ? `user:${ctx.state.user.id}` : `ip:${ctx.ip}`
+
+/**
+ * 按IP的限流键：不区分是否登录，同一IP下的所有账号共享计数
+ * @param {Object} ctx - Koa上下文
+ * @returns {string}
+ */
+export const ipKeyGenerator = (ctx) => `ip:${ctx.ip}`
+
+/**
+ * 创建限流中间件
+ * @param {Object} [options] - 限流选项
+ * @param {string} [options.name=default] - 限流器名称，不同限流器的计数相互独立
+ * @param {number} [options.windowMs] - 窗口时长（毫秒）
+ * @param {number} [options.max] - 窗口内允许的最大请求数
+ * @param {Function} [options.keyGenerator] - 根据请求生成限流键
+ * @param {Object} [options.store] - 计数存储，默认使用内存存储
+ * @returns {Function} Koa中间件
+ */
+export const createRateLimiter = (options = {}) => {
+  const {
+    name = 'default',
+    windowMs = config.rateLimit.windowMs,
+    max = config.rateLimit.max,
+    keyGenerator = defaultKeyGenerator,
+    store = new MemoryStore(),
+  } = options
+
+  return async (ctx, next) => {
+    const key = `${name}:${keyGenerator(ctx)}`
+    const { count, resetAt } = await store.increment(key, windowMs)
+
+    ctx.set('X-RateLimit-Limit', String(max))
+    ctx.set('X-RateLimit-Remaining', String(Math.max(0, max - count)))
+    ctx.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)))
+
+    if (count > max) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+
+      logger.warn('请求频率超限', {
+        limiter: name,
+        key,
+        url: ctx.url,
+        count,
+        max,
+      })
+
+      ctx.set('Retry-After', String(retryAfter))
+      ctx.status = 429
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'RATE_LIMIT_EXCEEDED',
+          message: `请求过于频繁，请在 ${retryAfter} 秒后重试`,
+          retryAfter,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+
+    await next()
+  }
+}
+
+// AI相关接口共用的限流器（各接口计数共享）：
+// 一个用户在窗口内总共最多调用 max 次，同一IP下所有用户合计最多调用 ipMax 次，避免注册多个账号绕过限制
+const aiUserRateLimit = createRateLimiter({ name: 'ai' })
+const aiIpRateLimit = createRateLimiter({
+  name: 'ai-ip',
+  max: config.rateLimit.ipMax,
+  keyGenerator: ipKeyGenerator,
+})
+
+export const aiRateLimit = (ctx, next) => aiIpRateLimit(ctx, () => aiUserRateLimit(ctx, next))
+
+// 登录、注册接口按IP限流，防止暴力破解密码和批量注册账号
+export const loginRateLimit = createRateLimiter({
+  name: 'login',
+  windowMs: config.rateLimit.authWindowMs,
+  max: config.rateLimit.loginMax,
+  keyGenerator: ipKeyGenerator,
+})
+
+export const registerRateLimit = createRateLimiter({
+  name: 'register',
+  windowMs: config.rateLimit.authWindowMs,
+  max: config.rateLimit.registerMax,
+  keyGenerator: ipKeyGenerator,
+})
@@ -0,0 +1,50 @@
+import { quotaService } from '../services/QuotaService.js'
+import { runWithContext } from '../utils/requestContext.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * AI令牌配额中间件
+ * 需要放在认证中间件之后：
+ * 1. 当天用量已达到角色上限时返回429
+ * 2. 在请求上下文中记录当前用户，供AIService统计本次请求消耗的令牌
+ */
+export const tokenQuota = async (ctx, next) => {
+  const user = ctx.state.user
+  if (!user) {
+    await next()
+    return
+  }
+
+  try {
+    const quota = await quotaService.checkQuota(user)
+
+    if (!quota.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000))
+
+      logger.warn('AI令牌配额已用完', {
+        userId: user.id,
+        username: user.username,
+        used: quota.used,
+        limit: quota.limit,
+      })
+
+      ctx.set('Retry-After', String(retryAfter))
+      ctx.status = 429
+      ctx.body = {
+        success: false,
+        error: {
+          code: 'TOKEN_QUOTA_EXCEEDED',
+          message: `今日AI令牌配额已用完（${quota.used}/${quota.limit}），请明天再试`,
+          retryAfter,
+        },
+        timestamp: Date.now(),
+      }
+      return
+    }
+  } catch (error) {
+    // 配额查询失败时放行，避免统计问题影响正常使用
+    logger.error('检查AI令牌配额失败', { userId: user.id, error: error.message })
+  }
+
+  await runWithContext({ userId: user.id }, next)
+}
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose'
+
+// 疾病/生理状态（如消化道溃疡、孕晚期），用于药物禁忌检测
+const conditionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, '疾病/状态名称不能为空'],
+      trim: true,
+      unique: true,
+    },
+    // 别名（如"胃溃疡"之于"消化道溃疡"），检测时与名称同样匹配
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 索引：按别名解析疾病/状态
+conditionSchema.index({ aliases: 1 })
+
+const Condition = mongoose.model('Condition', conditionSchema)
+
+export default Condition
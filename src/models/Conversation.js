@@ -0,0 +1,36 @@
+import mongoose from 'mongoose'
+
+const conversationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, '用户ID不能为空'],
+      index: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: '新对话',
+      maxlength: [100, '对话标题最多100个字符'],
+    },
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMessageAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：按用户查询最近的对话
+conversationSchema.index({ userId: 1, updatedAt: -1 })
+
+const Conversation = mongoose.model('Conversation', conversationSchema)
+
+export default Conversation
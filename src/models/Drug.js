@@ -1,4 +1,47 @@
 import mongoose from 'mongoose'
+import { applyReviewWorkflow } from './reviewSchema.js'
+import { trackChanges } from './changeTracking.js'
+
+// 禁忌关系的严重程度（与相互作用相同）
+export const CONTRAINDICATION_SEVERITIES = ['low', 'medium', 'high', 'contraindicated']
+
+/**
+ * 结构化禁忌关系子文档
+ * 指向疾病/状态（conditionId）或药物类别（drugClass，对应其他药物的 category），二者必须且只能指定一个
+ */
+const contraindicationLinkSchema = new mongoose.Schema(
+  {
+    conditionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Condition',
+    },
+    drugClass: {
+      type: String,
+      trim: true,
+    },
+    severity: {
+      type: String,
+      enum: {
+        values: CONTRAINDICATION_SEVERITIES,
+        message: '严重程度必须是 low, medium, high 或 contraindicated',
+      },
+      default: 'high',
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    _id: false,
+  }
+)
+
+contraindicationLinkSchema.pre('validate', function () {
+  if (Boolean(this.conditionId) === Boolean(this.drugClass)) {
+    this.invalidate('conditionId', '禁忌关系必须且只能指定 conditionId 或 drugClass 之一')
+  }
+})
 
 const drugSchema = new mongoose.Schema(
   {
@@ -28,10 +71,16 @@ const drugSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // 禁忌症（说明书中的自由文本）
     contraindications: {
       type: [String],
       default: [],
     },
+    // 结构化禁忌关系，相互作用检测时用于判断药物-疾病和药物-药物类别禁忌
+    contraindicationLinks: {
+      type: [contraindicationLinkSchema],
+      default: [],
+    },
     dosage: {
       type: String,
       trim: true,
@@ -59,6 +108,12 @@ drugSchema.index({ name: 1, category: 1 })
 // 文本索引：支持全文搜索
 drugSchema.index({ name: 'text', genericName: 'text', description: 'text' })
 
+// 人工审核流程：审核状态字段、默认值和索引
+applyReviewWorkflow(drugSchema)
+
+// 写入后通知依赖药物数据的缓存（如聊天药物识别、图谱分析）失效
+trackChanges(drugSchema, 'Drug')
+
 // 实例方法：检查是否为AI生成的数据
 drugSchema.methods.isAIGenerated = function () {
   return this.source === 'ai'
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose'
+import { applyReviewWorkflow } from './reviewSchema.js'
+import { trackChanges } from './changeTracking.js'
+
+// 严重程度（按风险从低到高排列），contraindicated 表示禁止合用
+export const INTERACTION_SEVERITIES = ['low', 'medium', 'high', 'contraindicated']
+
+// 作用机制类别：药代动力学、药效学、两者兼有、未知
+export const MECHANISM_CATEGORIES = ['pharmacokinetic', 'pharmacodynamic', 'mixed', 'unknown']
+
+// 起效时间：快速（数小时内）、延迟（数天至数周）、未明确
+export const ONSET_TYPES = ['rapid', 'delayed', 'unspecified']
+
+// 证据等级（按可靠程度从高到低排列）
+export const EVIDENCE_LEVELS = ['established', 'probable', 'suspected', 'theoretical']
+
+// 文献年份的有效范围
+export const REFERENCE_YEAR_RANGE = { min: 1900, max: 2100 }
+
+// 文献引用
+const referenceSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, '文献标题不能为空'],
+      trim: true,
+    },
+    source: {
+      type: String,
+      trim: true,
+    },
+    year: {
+      type: Number,
+      min: [REFERENCE_YEAR_RANGE.min, '文献年份不正确'],
+      max: [REFERENCE_YEAR_RANGE.max, '文献年份不正确'],
+    },
+    pmid: {
+      type: String,
+      trim: true,
+    },
+    doi: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+)
 
 const interactionSchema = new mongoose.Schema(
   {
@@ -32,8 +82,8 @@ const interactionSchema = new mongoose.Schema(
     severity: {
       type: String,
       enum: {
-        values: ['low', 'medium', 'high'],
-        message: '严重程度必须是 low, medium 或 high',
+        values: INTERACTION_SEVERITIES,
+        message: '严重程度必须是 low, medium, high 或 contraindicated',
       },
       required: [true, '严重程度不能为空'],
       index: true,
@@ -57,6 +107,56 @@ const interactionSchema = new mongoose.Schema(
       required: [true, '数据来源不能为空'],
       default: 'database',
     },
+    mechanism: {
+      category: {
+        type: String,
+        enum: {
+          values: MECHANISM_CATEGORIES,
+          message: '作用机制类别必须是 pharmacokinetic, pharmacodynamic, mixed 或 unknown',
+        },
+      },
+      // 涉及的代谢酶或转运体，统一为大写（如 CYP3A4、P-GP）
+      enzymes: [
+        {
+          type: String,
+          trim: true,
+          uppercase: true,
+        },
+      ],
+      description: {
+        type: String,
+        trim: true,
+      },
+    },
+    onset: {
+      type: String,
+      enum: {
+        values: ONSET_TYPES,
+        message: '起效时间必须是 rapid, delayed 或 unspecified',
+      },
+    },
+    evidenceLevel: {
+      type: String,
+      enum: {
+        values: EVIDENCE_LEVELS,
+        message: '证据等级必须是 established, probable, suspected 或 theoretical',
+      },
+    },
+    // 临床处理步骤
+    management: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // 监测指标
+    monitoring: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    references: [referenceSchema],
   },
   {
     timestamps: true,
@@ -73,6 +173,10 @@ interactionSchema.index({ drug2Id: 1, drug1Id: 1 })
 // 复合索引：按严重程度和来源查询
 interactionSchema.index({ severity: 1, source: 1 })
 
+// 索引：按作用机制和代谢酶查询
+interactionSchema.index({ 'mechanism.category': 1 })
+interactionSchema.index({ 'mechanism.enzymes': 1 })
+
 // 保存前验证：确保drug1Id和drug2Id不相同
 interactionSchema.pre('save', function (next) {
   if (this.drug1Id.equals(this.drug2Id)) {
@@ -92,6 +196,24 @@ interactionSchema.statics.findBetweenDrugs = function (drugId1, drugId2) {
   })
 }
 
+// 静态方法：一次查询一组药物两两之间的所有相互作用
+interactionSchema.statics.findAmongDrugs = function (drugIds) {
+  return this.find({
+    drug1Id: { $in: drugIds },
+    drug2Id: { $in: drugIds },
+  })
+}
+
+// 静态方法：查询两组药物之间（一种在第一组、另一种在第二组）的所有相互作用
+interactionSchema.statics.findBetweenSets = function (drugIds1, drugIds2) {
+  return this.find({
+    $or: [
+      { drug1Id: { $in: drugIds1 }, drug2Id: { $in: drugIds2 } },
+      { drug1Id: { $in: drugIds2 }, drug2Id: { $in: drugIds1 } },
+    ],
+  })
+}
+
 // 静态方法：查找某药物的所有相互作用
 interactionSchema.statics.findByDrugId = function (drugId) {
   return this.find({
@@ -104,6 +226,12 @@ interactionSchema.statics.findBySeverity = function (severity) {
   return this.find({ severity })
 }
 
+// 人工审核流程：审核状态字段、默认值和索引
+applyReviewWorkflow(interactionSchema)
+
+// 写入后通知依赖相互作用数据的缓存（如图谱分析）失效
+trackChanges(interactionSchema, 'Interaction')
+
 // 实例方法：检查是否为AI生成的数据
 interactionSchema.methods.isAIGenerated = function () {
   return this.source === 'ai'
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose'
+
+// 支持的任务类型
+export const JOB_TYPES = ['analyzeDrug', 'checkInteractions']
+
+// 任务状态：排队中 / 执行中 / 成功 / 失败 / 已取消
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled']
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: JOB_TYPES,
+        message: '不支持的任务类型: {VALUE}',
+      },
+      required: [true, '任务类型不能为空'],
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    // 任务输入（与对应同步接口的请求体相同）
+    input: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // 执行结果（与对应同步接口返回的 data 相同）
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // 最近一次失败的错误信息（重试排队时也会保留）
+    error: {
+      code: String,
+      message: String,
+      details: mongoose.Schema.Types.Mixed,
+    },
+    // 已执行次数
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 1,
+    },
+    // 最早可执行时间（重试时按退避时间推后）
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // 执行中的任务被请求取消，结束后不保存结果
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, '创建者不能为空'],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：任务处理器按状态和可执行时间领取任务
+jobSchema.index({ status: 1, runAt: 1 })
+// 复合索引：按用户查询最近的任务
+jobSchema.index({ createdBy: 1, createdAt: -1 })
+
+const Job = mongoose.model('Job', jobSchema)
+
+export default Job
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose'
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, '对话ID不能为空'],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['user', 'assistant'],
+        message: '消息角色必须是 user 或 assistant',
+      },
+      required: [true, '消息角色不能为空'],
+    },
+    content: {
+      type: String,
+      required: [true, '消息内容不能为空'],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：按时间顺序读取对话中的消息
+messageSchema.index({ conversationId: 1, createdAt: 1 })
+
+const Message = mongoose.model('Message', messageSchema)
+
+export default Message
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose'
+import { INTERACTION_SEVERITIES } from './Interaction.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 组合的成员数量范围（两种药物之间的相互作用使用 Interaction 记录）
+export const MIN_GROUP_MEMBERS = 3
+export const MAX_GROUP_MEMBERS = 10
+
+/**
+ * 规范化药物类别，用于比较成员的 drugClass 与药物的 category
+ * @param {string} value - 类别
+ * @returns {string}
+ */
+export const normalizeDrugClass = (value) => (value || '').trim().toLowerCase()
+
+/**
+ * 组合成员：指定药物（drugId）或药物类别（drugClass，与药物的 category 匹配），二者只能选一
+ */
+const memberSchema = new mongoose.Schema(
+  {
+    drugId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Drug',
+    },
+    drugName: {
+      type: String,
+      trim: true,
+    },
+    drugClass: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+)
+
+// 多药（三种及以上）组合才出现的相互作用，如 NSAIDs + ACEI + 利尿剂（"三重打击"）
+const multiDrugInteractionSchema = new mongoose.Schema(
+  {
+    members: {
+      type: [memberSchema],
+      validate: {
+        validator: members => members.length >= MIN_GROUP_MEMBERS && members.length <= MAX_GROUP_MEMBERS,
+        message: `组合成员数量必须在${MIN_GROUP_MEMBERS}到${MAX_GROUP_MEMBERS}之间`,
+      },
+    },
+    // 与成员顺序无关的唯一键，由成员自动生成
+    memberKey: {
+      type: String,
+      unique: true,
+    },
+    interactionType: {
+      type: String,
+      required: [true, '相互作用类型不能为空'],
+      trim: true,
+    },
+    severity: {
+      type: String,
+      enum: {
+        values: INTERACTION_SEVERITIES,
+        message: '严重程度必须是 low, medium, high 或 contraindicated',
+      },
+      required: [true, '严重程度不能为空'],
+      index: true,
+    },
+    description: {
+      type: String,
+      required: [true, '相互作用描述不能为空'],
+      trim: true,
+    },
+    recommendation: {
+      type: String,
+      required: [true, '建议不能为空'],
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: {
+        values: ['database', 'ai'],
+        message: '数据来源必须是 database 或 ai',
+      },
+      default: 'database',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 索引：检测时按药物ID和药物类别查找候选组合
+multiDrugInteractionSchema.index({ 'members.drugId': 1 })
+multiDrugInteractionSchema.index({ 'members.drugClass': 1 })
+
+/**
+ * 生成成员的唯一键
+ * @param {Array} members - 成员数组
+ * @returns {string}
+ */
+export const buildMemberKey = (members) =>
+  members
+    .map(member => (member.drugId ? `drug:${member.drugId.toString()}` : `class:${normalizeDrugClass(member.drugClass)}`))
+    .sort()
+    .join('|')
+
+// 验证前：每个成员必须且只能指定药物或药物类别，成员不能重复，并生成唯一键
+multiDrugInteractionSchema.pre('validate', function (next) {
+  const invalid = this.members.some(member => !member.drugId === !member.drugClass)
+  if (invalid) {
+    next(new Error('每个组合成员必须且只能指定 drugId 或 drugClass 之一'))
+    return
+  }
+
+  const memberKey = buildMemberKey(this.members)
+  if (new Set(memberKey.split('|')).size !== this.members.length) {
+    next(new Error('组合成员不能重复'))
+    return
+  }
+
+  this.memberKey = memberKey
+  next()
+})
+
+// 静态方法：查找可能与一组药物匹配的组合（包含其中任一药物或药物类别），是否全部成员都在场由调用方判断
+multiDrugInteractionSchema.statics.findCandidates = function (drugs) {
+  const classes = [...new Set(drugs.map(drug => drug.category).filter(Boolean))]
+  return this.find({
+    $or: [
+      { 'members.drugId': { $in: drugs.map(drug => drug._id) } },
+      { 'members.drugClass': { $in: classes.map(value => new RegExp(`^${escapeRegExp(value.trim())}$`, 'i')) } },
+    ],
+  })
+}
+
+// 静态方法：查找包含某药物（直接成员）的所有组合
+multiDrugInteractionSchema.statics.findByDrugId = function (drugId) {
+  return this.find({ 'members.drugId': drugId })
+}
+
+const MultiDrugInteraction = mongoose.model('MultiDrugInteraction', multiDrugInteractionSchema)
+
+export default MultiDrugInteraction
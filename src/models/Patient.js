@@ -0,0 +1,113 @@
+import mongoose from 'mongoose'
+
+// 妊娠/哺乳状态
+export const PREGNANCY_STATUSES = ['none', 'pregnant', 'third_trimester', 'lactating']
+
+// 肝肾功能分级
+export const ORGAN_FUNCTION_LEVELS = ['normal', 'mild', 'moderate', 'severe']
+
+/**
+ * 用药记录子文档
+ * 开始日期为空表示已在使用，停止日期为空表示仍在使用
+ */
+const medicationSchema = new mongoose.Schema(
+  {
+    drugId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Drug',
+      required: [true, '药物ID不能为空'],
+    },
+    // 冗余保存药物名称，便于列表展示
+    drugName: {
+      type: String,
+      trim: true,
+    },
+    dose: {
+      type: String,
+      trim: true,
+    },
+    frequency: {
+      type: String,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+    },
+    stopDate: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  }
+)
+
+const organFunctionField = {
+  type: String,
+  enum: {
+    values: ORGAN_FUNCTION_LEVELS,
+    message: '肝肾功能分级必须是 normal, mild, moderate 或 severe',
+  },
+  default: 'normal',
+}
+
+const patientSchema = new mongoose.Schema(
+  {
+    // 创建该患者档案的用户，普通用户只能访问自己的患者
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, '所属用户不能为空'],
+    },
+    name: {
+      type: String,
+      required: [true, '患者姓名不能为空'],
+      trim: true,
+      maxlength: [100, '患者姓名最多100个字符'],
+    },
+    age: {
+      type: Number,
+      min: [0, '年龄不能小于0'],
+      max: [150, '年龄不能大于150'],
+    },
+    weightKg: {
+      type: Number,
+      min: [0, '体重不能小于0'],
+    },
+    pregnancyStatus: {
+      type: String,
+      enum: {
+        values: PREGNANCY_STATUSES,
+        message: '妊娠状态必须是 none, pregnant, third_trimester 或 lactating',
+      },
+      default: 'none',
+    },
+    renalFunction: organFunctionField,
+    hepaticFunction: organFunctionField,
+    // 其他疾病/状态（名称或别名，检测时用于药物-疾病禁忌）
+    conditions: {
+      type: [String],
+      default: [],
+    },
+    medications: {
+      type: [medicationSchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：按用户查询最近更新的患者
+patientSchema.index({ ownerId: 1, updatedAt: -1 })
+
+const Patient = mongoose.model('Patient', patientSchema)
+
+export default Patient
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose'
+
+// 患者用药检测快照：保存检测时的用药、疾病/状态和检测结果，便于回溯
+const patientCheckSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: [true, '患者ID不能为空'],
+    },
+    // 执行检测的用户
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // 参与检测的用药（检测时在用的药物）
+    medications: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    // 参与检测的疾病/状态（含由妊娠、肝肾功能推导出的状态）
+    conditions: {
+      type: [String],
+      default: [],
+    },
+    riskLevel: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+    },
+    riskScore: {
+      type: Number,
+    },
+    // 检测结果（与 POST /api/interactions/check 返回的 data 相同）
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, '检测结果不能为空'],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：按时间倒序查询患者的检测历史
+patientCheckSchema.index({ patientId: 1, createdAt: -1 })
+
+const PatientCheck = mongoose.model('PatientCheck', patientCheckSchema)
+
+export default PatientCheck
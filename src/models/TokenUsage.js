@@ -0,0 +1,44 @@
+import mongoose from 'mongoose'
+
+// 每个用户每天一条记录，累计当天的AI令牌用量
+const tokenUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, '用户ID不能为空'],
+    },
+    // 统计日期（服务器本地时区，格式 YYYY-MM-DD）
+    date: {
+      type: String,
+      required: [true, '统计日期不能为空'],
+    },
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 复合索引：确保同一用户同一天只有一条记录
+tokenUsageSchema.index({ userId: 1, date: 1 }, { unique: true })
+
+const TokenUsage = mongoose.model('TokenUsage', tokenUsageSchema)
+
+export default TokenUsage
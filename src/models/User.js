@@ -0,0 +1,70 @@
+import mongoose from 'mongoose'
+
+// 用户角色：只读用户、药师、管理员
+export const USER_ROLES = ['viewer', 'pharmacist', 'admin']
+
+// 用户名长度范围
+export const USERNAME_LENGTH = { min: 3, max: 32 }
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, '用户名不能为空'],
+      trim: true,
+      unique: true,
+      index: true,
+      minlength: [USERNAME_LENGTH.min, `用户名至少${USERNAME_LENGTH.min}个字符`],
+      maxlength: [USERNAME_LENGTH.max, `用户名最多${USERNAME_LENGTH.max}个字符`],
+    },
+    passwordHash: {
+      type: String,
+      required: [true, '密码不能为空'],
+      select: false,
+    },
+    displayName: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: USER_ROLES,
+        message: '角色必须是 viewer, pharmacist 或 admin',
+      },
+      required: [true, '角色不能为空'],
+      default: 'viewer',
+    },
+    // 令牌版本号：递增后此前签发的刷新令牌全部失效
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+)
+
+// 输出JSON时移除敏感字段
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash
+    delete ret.tokenVersion
+    return ret
+  },
+})
+
+// 实例方法：检查用户是否拥有指定角色之一
+userSchema.methods.hasRole = function (...roles) {
+  return roles.includes(this.role)
+}
+
+const User = mongoose.model('User', userSchema)
+
+export default User
@@ -0,0 +1,46 @@
+import { EventEmitter } from 'node:events'
+
+// 模型写入事件，供依赖这些数据的进程内缓存失效
+const changes = new EventEmitter()
+
+// 会修改数据的查询操作
+const WRITE_QUERIES = [
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+]
+
+/**
+ * 为模型注册写入钩子：保存、更新、删除成功后发出该模型的变更事件
+ * 只能感知当前进程内的写入，多实例部署时缓存还需要设置过期时间
+ * @param {mongoose.Schema} schema - 模型的Schema
+ * @param {string} modelName - 模型名称
+ */
+export const trackChanges = (schema, modelName) => {
+  const emitChange = () => {
+    changes.emit('change', modelName)
+  }
+
+  schema.post('save', emitChange)
+  schema.post('insertMany', emitChange)
+  schema.post(WRITE_QUERIES, emitChange)
+  schema.post('deleteOne', { document: true, query: false }, emitChange)
+}
+
+/**
+ * 监听模型的变更事件
+ * @param {Array<string>} modelNames - 关注的模型名称
+ * @param {Function} listener - 回调，参数为发生变更的模型名称
+ */
+export const onModelChange = (modelNames, listener) => {
+  changes.on('change', (modelName) => {
+    if (modelNames.includes(modelName)) {
+      listener(modelName)
+    }
+  })
+}
@@ -1,4 +1,13 @@
 import Drug from './Drug.js'
 import Interaction from './Interaction.js'
+import User from './User.js'
+import TokenUsage from './TokenUsage.js'
+import Conversation from './Conversation.js'
+import Message from './Message.js'
+import Job from './Job.js'
+import Condition from './Condition.js'
+import Patient from './Patient.js'
+import PatientCheck from './PatientCheck.js'
+import MultiDrugInteraction from './MultiDrugInteraction.js'
 
-export { Drug, Interaction }
+export { Drug, Interaction, User, TokenUsage, Conversation, Message, Job, Condition, Patient, PatientCheck, MultiDrugInteraction }
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose'
+
+// 审核状态：待审核、已通过、已驳回
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected']
+
+/**
+ * 人工审核信息子文档
+ * 用于区分经过药师审核的数据与未经审核的AI生成数据
+ */
+export const reviewSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: {
+        values: REVIEW_STATUSES,
+        message: '审核状态必须是 pending, approved 或 rejected',
+      },
+    },
+    reviewer: {
+      type: String,
+      trim: true,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    _id: false,
+  }
+)
+
+/**
+ * 获取记录的审核状态
+ * 没有审核信息的历史数据：AI生成的视为待审核，其余视为已通过
+ * @param {Object} doc - 药物或相互作用对象（文档或普通对象）
+ * @returns {string} 审核状态
+ */
+export const resolveReviewStatus = (doc) => {
+  if (doc?.review?.status) {
+    return doc.review.status
+  }
+  return doc?.source === 'ai' ? 'pending' : 'approved'
+}
+
+/**
+ * 为模型注册审核相关的钩子和方法
+ * - 新记录未指定审核状态时，AI生成的数据默认为待审核
+ * - 实例方法 getReviewStatus() 返回当前审核状态
+ * @param {mongoose.Schema} schema - 药物或相互作用的Schema
+ */
+export const applyReviewWorkflow = (schema) => {
+  schema.add({
+    review: {
+      type: reviewSchema,
+      default: () => ({}),
+    },
+  })
+
+  schema.pre('validate', function (next) {
+    if (!this.get('review.status')) {
+      this.set('review.status', this.source === 'ai' ? 'pending' : 'approved')
+    }
+    next()
+  })
+
+  schema.methods.getReviewStatus = function () {
+    return resolveReviewStatus(this)
+  }
+
+  schema.index({ source: 1, 'review.status': 1 })
+}
@@ -0,0 +1,25 @@
+import Router from '@koa/router'
+import {
+  register,
+  login,
+  refreshToken,
+  getCurrentUser,
+  getCurrentUsage,
+  updateUserRole,
+} from '../controllers/authController.js'
+import { authenticate, authorize, optionalAuthenticate } from '../middleware/auth.js'
+import { loginRateLimit, registerRateLimit } from '../middleware/rateLimit.js'
+
+const router = new Router()
+
+// 认证相关路由
+// 注册接口可选认证：管理员登录后可以创建药师或管理员账号
+// 登录和注册按IP限流
+router.post('/auth/register', registerRateLimit, optionalAuthenticate, register)
+router.post('/auth/login', loginRateLimit, login)
+router.post('/auth/refresh', refreshToken)
+router.get('/auth/me', authenticate, getCurrentUser)
+router.get('/auth/me/usage', authenticate, getCurrentUsage)
+router.patch('/auth/users/:id/role', authorize('admin'), updateUserRole)
+
+export default router
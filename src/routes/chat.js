@@ -1,9 +1,24 @@
 import Router from '@koa/router'
-import { streamChat } from '../controllers/chatController.js'
+import {
+  streamChat,
+  createConversation,
+  getConversations,
+  getConversationById,
+  deleteConversation,
+} from '../controllers/chatController.js'
+import { authorize } from '../middleware/auth.js'
+import { aiRateLimit } from '../middleware/rateLimit.js'
+import { tokenQuota } from '../middleware/tokenQuota.js'
 
 const router = new Router()
 
 // AI聊天路由
-router.post('/ai/chat/stream', streamChat)
+router.post('/ai/chat/stream', authorize(), aiRateLimit, tokenQuota, streamChat)
+
+// 对话管理路由（只能访问自己的对话）
+router.post('/ai/conversations', authorize(), createConversation)
+router.get('/ai/conversations', authorize(), getConversations)
+router.get('/ai/conversations/:id', authorize(), getConversationById)
+router.delete('/ai/conversations/:id', authorize(), deleteConversation)
 
 export default router
@@ -0,0 +1,15 @@
+import Router from '@koa/router'
+import {
+  getConditions,
+  createCondition,
+} from '../controllers/conditionController.js'
+import { authorize, readAccess } from '../middleware/auth.js'
+
+const router = new Router()
+
+// 疾病/状态路由
+// 权限：查询遵循公开读取配置；新增需要药师或管理员
+router.get('/conditions', readAccess, getConditions)
+router.post('/conditions', authorize('pharmacist', 'admin'), createCondition)
+
+export default router
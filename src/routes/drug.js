@@ -3,20 +3,43 @@ import {
   getDrugs,
   searchDrugs,
   getDrugById,
+  getDrugAlternatives,
   analyzeDrug,
   saveDrug,
   validateDrugName,
+  updateDrug,
+  deleteDrug,
 } from '../controllers/drugController.js'
+import { authorize, readAccess } from '../middleware/auth.js'
+import { aiRateLimit } from '../middleware/rateLimit.js'
+import { tokenQuota } from '../middleware/tokenQuota.js'
 
 const router = new Router()
 
+/**
+ * 仅在请求AI解释（explain=true）时按AI接口处理：需要登录并受限流和令牌配额限制
+ */
+const aiAccessWhenExplain = async (ctx, next) => {
+  if (ctx.query.explain !== 'true') {
+    await next()
+    return
+  }
+
+  await authorize()(ctx, () => aiRateLimit(ctx, () => tokenQuota(ctx, next)))
+}
+
 // 药物相关路由
+// 权限：查询接口由 AUTH_PUBLIC_READ 控制，AI接口需要登录并受限流和令牌配额限制，
+// 新增/修改需要药师或管理员，删除仅限管理员
 // 注意：搜索路由必须在 :id 路由之前，否则 'search' 会被当作 id
-router.get('/drugs/search', searchDrugs)
-router.get('/drugs/:id', getDrugById)
-router.get('/drugs', getDrugs)
-router.post('/drugs/validate-name', validateDrugName)
-router.post('/drugs/analyze', analyzeDrug)
-router.post('/drugs', saveDrug)
+router.get('/drugs/search', readAccess, searchDrugs)
+router.get('/drugs/:id', readAccess, getDrugById)
+router.get('/drugs/:id/alternatives', readAccess, aiAccessWhenExplain, getDrugAlternatives)
+router.get('/drugs', readAccess, getDrugs)
+router.post('/drugs/validate-name', authorize(), aiRateLimit, tokenQuota, validateDrugName)
+router.post('/drugs/analyze', authorize(), aiRateLimit, tokenQuota, analyzeDrug)
+router.post('/drugs', authorize('pharmacist', 'admin'), saveDrug)
+router.patch('/drugs/:id', authorize('pharmacist', 'admin'), updateDrug)
+router.delete('/drugs/:id', authorize('admin'), deleteDrug)
 
 export default router
@@ -2,8 +2,12 @@ import Router from '@koa/router'
 import {
   getGraphData,
   getGraphStats,
+  getGraphAnalytics,
+  getDrugPath,
+  exportGraph,
   getDrugInteractionStats,
 } from '../controllers/graphController.js'
+import { readAccess } from '../middleware/auth.js'
 
 const router = new Router()
 
@@ -12,12 +16,21 @@ const router = new Router()
  */
 
 // 获取药物关系图谱数据
-router.get('/drugs/graph', getGraphData)
+router.get('/drugs/graph', readAccess, getGraphData)
 
 // 获取图谱统计信息
-router.get('/drugs/graph/stats', getGraphStats)
+router.get('/drugs/graph/stats', readAccess, getGraphStats)
+
+// 图谱分析（度数、中心性、连通分量、社区和枢纽药物）
+router.get('/drugs/graph/analytics', readAccess, getGraphAnalytics)
+
+// 查找两种药物之间的路径
+router.get('/drugs/graph/path', readAccess, getDrugPath)
+
+// 导出药物关系图谱（GraphML、GEXF、Cytoscape、DOT、CSV）
+router.get('/drugs/graph/export', readAccess, exportGraph)
 
 // 获取药物的相互作用统计
-router.get('/drugs/:drugId/interactions/stats', getDrugInteractionStats)
+router.get('/drugs/:drugId/interactions/stats', readAccess, getDrugInteractionStats)
 
 export default router
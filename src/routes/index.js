@@ -3,6 +3,12 @@ import drugRoutes from './drug.js'
 import interactionRoutes from './interaction.js'
 import graphRoutes from './graph.js'
 import chatRoutes from './chat.js'
+import reviewRoutes from './review.js'
+import authRoutes from './auth.js'
+import jobRoutes from './job.js'
+import conditionRoutes from './condition.js'
+import patientRoutes from './patient.js'
+import multiDrugInteractionRoutes from './multiDrugInteraction.js'
 
 const router = new Router()
 
@@ -23,10 +29,16 @@ const apiRouter = new Router({ prefix: '/api' })
 // 注册路由模块
 // 注意：graphRoutes 必须在 drugRoutes 之前注册
 // 因为 /drugs/graph 需要在 /drugs/:id 之前匹配
+apiRouter.use(authRoutes.routes())
 apiRouter.use(graphRoutes.routes())
 apiRouter.use(drugRoutes.routes())
 apiRouter.use(interactionRoutes.routes())
 apiRouter.use(chatRoutes.routes())
+apiRouter.use(reviewRoutes.routes())
+apiRouter.use(jobRoutes.routes())
+apiRouter.use(conditionRoutes.routes())
+apiRouter.use(patientRoutes.routes())
+apiRouter.use(multiDrugInteractionRoutes.routes())
 
 router.use(apiRouter.routes())
 
@@ -1,13 +1,29 @@
 import Router from '@koa/router'
 import {
   checkInteractions,
+  checkInteractionsStream,
+  checkInteractionsIncremental,
   getInteractionById,
+  getInteractions,
+  createInteraction,
+  updateInteraction,
+  deleteInteraction,
 } from '../controllers/interactionController.js'
+import { authorize, readAccess } from '../middleware/auth.js'
+import { aiRateLimit } from '../middleware/rateLimit.js'
+import { tokenQuota } from '../middleware/tokenQuota.js'
 
 const router = new Router()
 
 // 相互作用相关路由
-router.post('/interactions/check', checkInteractions)
-router.get('/interactions/:id', getInteractionById)
+// 权限：检测可能调用AI，需要登录并受限流和令牌配额限制；新增/修改需要药师或管理员，删除仅限管理员
+router.post('/interactions/check', authorize(), aiRateLimit, tokenQuota, checkInteractions)
+router.post('/interactions/check/stream', authorize(), aiRateLimit, tokenQuota, checkInteractionsStream)
+router.post('/interactions/check/incremental', authorize(), aiRateLimit, tokenQuota, checkInteractionsIncremental)
+router.get('/interactions', readAccess, getInteractions)
+router.post('/interactions', authorize('pharmacist', 'admin'), createInteraction)
+router.get('/interactions/:id', readAccess, getInteractionById)
+router.patch('/interactions/:id', authorize('pharmacist', 'admin'), updateInteraction)
+router.delete('/interactions/:id', authorize('admin'), deleteInteraction)
 
 export default router
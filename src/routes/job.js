@@ -0,0 +1,21 @@
+import Router from '@koa/router'
+import {
+  submitJob,
+  getJobs,
+  getJobById,
+  cancelJob,
+} from '../controllers/jobController.js'
+import { authorize } from '../middleware/auth.js'
+import { aiRateLimit } from '../middleware/rateLimit.js'
+import { tokenQuota } from '../middleware/tokenQuota.js'
+
+const router = new Router()
+
+// 异步任务路由
+// 权限：提交任务会调用AI，需要登录并受限流和令牌配额限制；查询和取消只能操作自己的任务（管理员除外）
+router.post('/jobs', authorize(), aiRateLimit, tokenQuota, submitJob)
+router.get('/jobs', authorize(), getJobs)
+router.get('/jobs/:id', authorize(), getJobById)
+router.post('/jobs/:id/cancel', authorize(), cancelJob)
+
+export default router
@@ -0,0 +1,21 @@
+import Router from '@koa/router'
+import {
+  getMultiDrugInteractions,
+  getMultiDrugInteractionById,
+  createMultiDrugInteraction,
+  updateMultiDrugInteraction,
+  deleteMultiDrugInteraction,
+} from '../controllers/multiDrugInteractionController.js'
+import { authorize, readAccess } from '../middleware/auth.js'
+
+const router = new Router()
+
+// 多药相互作用路由
+// 权限：查询遵循公开读取配置；新增/修改需要药师或管理员，删除仅限管理员
+router.get('/multi-drug-interactions', readAccess, getMultiDrugInteractions)
+router.post('/multi-drug-interactions', authorize('pharmacist', 'admin'), createMultiDrugInteraction)
+router.get('/multi-drug-interactions/:id', readAccess, getMultiDrugInteractionById)
+router.patch('/multi-drug-interactions/:id', authorize('pharmacist', 'admin'), updateMultiDrugInteraction)
+router.delete('/multi-drug-interactions/:id', authorize('admin'), deleteMultiDrugInteraction)
+
+export default router
@@ -0,0 +1,27 @@
+import Router from '@koa/router'
+import {
+  createPatient,
+  getPatients,
+  getPatientById,
+  updatePatient,
+  deletePatient,
+  checkPatient,
+  getPatientChecks,
+} from '../controllers/patientController.js'
+import { authorize } from '../middleware/auth.js'
+import { aiRateLimit } from '../middleware/rateLimit.js'
+import { tokenQuota } from '../middleware/tokenQuota.js'
+
+const router = new Router()
+
+// 患者相关路由
+// 权限：需要药师或管理员，药师只能访问自己创建的患者；用药检测可能调用AI，受限流和令牌配额限制
+router.post('/patients', authorize('pharmacist', 'admin'), createPatient)
+router.get('/patients', authorize('pharmacist', 'admin'), getPatients)
+router.get('/patients/:id', authorize('pharmacist', 'admin'), getPatientById)
+router.patch('/patients/:id', authorize('pharmacist', 'admin'), updatePatient)
+router.delete('/patients/:id', authorize('pharmacist', 'admin'), deletePatient)
+router.post('/patients/:id/check', authorize('pharmacist', 'admin'), aiRateLimit, tokenQuota, checkPatient)
+router.get('/patients/:id/checks', authorize('pharmacist', 'admin'), getPatientChecks)
+
+export default router
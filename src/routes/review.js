@@ -0,0 +1,16 @@
+import Router from '@koa/router'
+import {
+  getReviewQueue,
+  approveRecord,
+  rejectRecord,
+} from '../controllers/reviewController.js'
+import { authorize } from '../middleware/auth.js'
+
+const router = new Router()
+
+// 审核相关路由（需要药师或管理员）
+router.get('/review/queue', authorize('pharmacist', 'admin'), getReviewQueue)
+router.post('/review/:resource/:id/approve', authorize('pharmacist', 'admin'), approveRecord)
+router.post('/review/:resource/:id/reject', authorize('pharmacist', 'admin'), rejectRecord)
+
+export default router
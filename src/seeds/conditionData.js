@@ -0,0 +1,71 @@
+// 种子数据：常见疾病/生理状态
+export const seedConditions = [
+  {
+    name: '消化道溃疡',
+    aliases: ['胃溃疡', '十二指肠溃疡', '活动性消化道溃疡'],
+    description: '胃或十二指肠黏膜的溃疡性病变',
+  },
+  {
+    name: '活动性出血',
+    aliases: ['出血'],
+    description: '正在发生的内出血或外出血',
+  },
+  {
+    name: '妊娠期',
+    aliases: ['怀孕', '妊娠'],
+    description: '怀孕期间',
+  },
+  {
+    name: '孕晚期',
+    aliases: ['妊娠晚期', '妊娠后期'],
+    description: '妊娠28周以后',
+  },
+  {
+    name: '哺乳期',
+    aliases: ['母乳喂养'],
+    description: '产后哺乳期间',
+  },
+  {
+    name: '支气管哮喘',
+    aliases: ['哮喘'],
+    description: '慢性气道炎症性疾病',
+  },
+  {
+    name: '严重肾功能不全',
+    aliases: ['肾功能衰竭', '肾衰竭'],
+    description: '肾小球滤过率显著下降',
+  },
+  {
+    name: '严重肝功能不全',
+    aliases: ['肝功能衰竭', '肝衰竭'],
+    description: '肝脏合成和代谢功能显著下降',
+  },
+  {
+    name: '青霉素过敏',
+    aliases: [],
+    description: '对青霉素类抗生素过敏',
+  },
+]
+
+// 种子数据：结构化禁忌关系
+// condition 为疾病/状态名称，drugClass 为药物类别（对应药物的 category），导入时与实际ID关联
+export const seedContraindicationLinks = [
+  { drug: '阿司匹林', condition: '消化道溃疡', severity: 'high' },
+  { drug: '阿司匹林', condition: '活动性出血', severity: 'high' },
+  { drug: '布洛芬', condition: '消化道溃疡', severity: 'high' },
+  { drug: '布洛芬', condition: '孕晚期', severity: 'high', note: '孕晚期使用可致胎儿动脉导管过早闭合' },
+  { drug: '阿莫西林', condition: '青霉素过敏', severity: 'high' },
+  { drug: '美托洛尔', condition: '支气管哮喘', severity: 'high', note: 'β受体阻滞剂可诱发支气管痉挛' },
+  { drug: '二甲双胍', condition: '严重肾功能不全', severity: 'high', note: '增加乳酸酸中毒风险' },
+  { drug: '对乙酰氨基酚', condition: '严重肝功能不全', severity: 'high' },
+  { drug: '辛伐他汀', condition: '妊娠期', severity: 'high' },
+  { drug: '辛伐他汀', condition: '哺乳期', severity: 'high' },
+  { drug: '阿托伐他汀', condition: '妊娠期', severity: 'high' },
+  { drug: '阿托伐他汀', condition: '哺乳期', severity: 'high' },
+  { drug: '华法林', condition: '妊娠期', severity: 'high', note: '可致胎儿畸形' },
+  { drug: '华法林', condition: '活动性出血', severity: 'high' },
+  { drug: '氯吡格雷', condition: '活动性出血', severity: 'high' },
+  { drug: '氯吡格雷', drugClass: '抗凝药', severity: 'medium', note: '与其他抗凝/抗血小板药物合用增加出血风险' },
+  { drug: '地西泮', drugClass: '镇静催眠药', severity: 'medium', note: '同类镇静催眠药合用加重中枢抑制' },
+  { drug: '艾司唑仑', drugClass: '镇静催眠药', severity: 'medium', note: '同类镇静催眠药合用加重中枢抑制' },
+]
@@ -137,3 +137,16 @@ export const seedInteractions = [
     source: 'database',
   },
 ]
+
+// 种子数据：多药（三种及以上）相互作用
+// 成员使用药物名称（drug）或药物类别（drugClass），导入时药物名称与实际的药物ID关联
+export const seedMultiDrugInteractions = [
+  {
+    members: [{ drug: '阿司匹林' }, { drug: '氯吡格雷' }, { drug: '华法林' }],
+    interactionType: '出血风险叠加',
+    severity: 'high',
+    description: '双联抗血小板药物与抗凝药三联使用，出血风险显著高于任意两药联用',
+    recommendation: '仅在有明确指征时短期使用三联疗法，尽量缩短疗程，联用质子泵抑制剂保护胃黏膜并密切监测出血',
+    source: 'database',
+  },
+]
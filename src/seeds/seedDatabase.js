@@ -1,8 +1,9 @@
 import mongoose from 'mongoose'
 import dotenv from 'dotenv'
-import { Drug, Interaction } from '../models/index.js'
+import { Drug, Interaction, Condition, MultiDrugInteraction } from '../models/index.js'
 import { seedDrugs } from './drugData.js'
-import { seedInteractions } from './interactionData.js'
+import { seedInteractions, seedMultiDrugInteractions } from './interactionData.js'
+import { seedConditions, seedContraindicationLinks } from './conditionData.js'
 import { logger } from '../utils/logger.js'
 
 // 加载环境变量
@@ -25,6 +26,8 @@ const seedDatabase = async () => {
     if (clearExisting) {
       await Drug.deleteMany({})
       await Interaction.deleteMany({})
+      await Condition.deleteMany({})
+      await MultiDrugInteraction.deleteMany({})
       logger.info('已清空现有数据')
     }
 
@@ -105,6 +108,86 @@ const seedDatabase = async () => {
 
     logger.info(`相互作用数据导入完成，共 ${interactionCount} 条`)
 
+    // 导入多药相互作用数据
+    logger.info('开始导入多药相互作用数据...')
+    let multiDrugCount = 0
+    for (const { members, ...groupData } of seedMultiDrugInteractions) {
+      const label = members.map(member => member.drug || member.drugClass).join(' + ')
+      try {
+        const missing = members.filter(member => member.drug && !drugNameToId[member.drug])
+        if (missing.length > 0) {
+          logger.warn(`跳过多药相互作用: ${label} (药物不存在)`)
+          continue
+        }
+
+        const memberDocs = members.map(member => (
+          member.drug
+            ? { drugId: drugNameToId[member.drug], drugName: member.drug }
+            : { drugClass: member.drugClass }
+        ))
+        const group = new MultiDrugInteraction({ ...groupData, members: memberDocs })
+        await group.validate()
+
+        const existing = await MultiDrugInteraction.findOne({ memberKey: group.memberKey })
+        if (existing) {
+          logger.info(`多药相互作用 "${label}" 已存在，跳过`)
+        } else {
+          await group.save()
+          logger.info(`成功导入多药相互作用: ${label}`)
+        }
+        multiDrugCount++
+      } catch (error) {
+        logger.error(`导入多药相互作用 "${label}" 失败:`, error.message)
+      }
+    }
+
+    logger.info(`多药相互作用数据导入完成，共 ${multiDrugCount} 条`)
+
+    // 导入疾病/状态数据
+    logger.info('开始导入疾病/状态数据...')
+    const conditionNameToId = {}
+    for (const conditionData of seedConditions) {
+      try {
+        const existing = await Condition.findOne({ name: conditionData.name })
+        const condition = existing || await Condition.create(conditionData)
+        conditionNameToId[condition.name] = condition._id
+        if (!existing) {
+          logger.info(`成功导入疾病/状态: ${condition.name}`)
+        }
+      } catch (error) {
+        logger.error(`导入疾病/状态 "${conditionData.name}" 失败:`, error.message)
+      }
+    }
+
+    logger.info(`疾病/状态数据导入完成，共 ${Object.keys(conditionNameToId).length} 条`)
+
+    // 导入结构化禁忌关系（只为还没有禁忌关系的药物导入，避免覆盖人工维护的数据）
+    logger.info('开始导入禁忌关系数据...')
+    const linksByDrug = {}
+    for (const { drug, condition, ...link } of seedContraindicationLinks) {
+      if (condition && !conditionNameToId[condition]) {
+        logger.warn(`跳过禁忌关系: ${drug} - ${condition} (疾病/状态不存在)`)
+        continue
+      }
+      linksByDrug[drug] = linksByDrug[drug] || []
+      linksByDrug[drug].push(condition ? { conditionId: conditionNameToId[condition], ...link } : link)
+    }
+
+    let linkedDrugCount = 0
+    for (const [drugName, links] of Object.entries(linksByDrug)) {
+      if (!drugNameToId[drugName]) {
+        logger.warn(`跳过禁忌关系: ${drugName} (药物不存在)`)
+        continue
+      }
+      const result = await Drug.updateOne(
+        { _id: drugNameToId[drugName], 'contraindicationLinks.0': { $exists: false } },
+        { $set: { contraindicationLinks: links } }
+      )
+      linkedDrugCount += result.modifiedCount
+    }
+
+    logger.info(`禁忌关系数据导入完成，更新 ${linkedDrugCount} 种药物`)
+
     // 显示统计信息
     const totalDrugs = await Drug.countDocuments()
     const totalInteractions = await Interaction.countDocuments()
@@ -116,6 +199,8 @@ const seedDatabase = async () => {
     logger.info(`  - 手动录入: ${manualDrugs}`)
     logger.info(`  - AI生成: ${aiDrugs}`)
     logger.info(`总相互作用数: ${totalInteractions}`)
+    logger.info(`总多药相互作用数: ${await MultiDrugInteraction.countDocuments()}`)
+    logger.info(`总疾病/状态数: ${await Condition.countDocuments()}`)
     logger.info('==================\n')
 
     logger.info('种子数据导入完成！')
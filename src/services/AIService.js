@@ -1,21 +1,51 @@
-import OpenAI from 'openai'
 import { config } from '../config/env.js'
 import { logger } from '../utils/logger.js'
+import { quotaService } from './QuotaService.js'
+import { createProvider } from './providers/index.js'
+import { validateAIResponse } from './aiSchemas.js'
 
 /**
- * AI服务类 - 使用DeepSeek API（OpenAI兼容格式）
+ * 将药物参数统一转换为药物对数组
+ * @param {string[]|Array<[string, string]>} drugs - 药物名称数组或药物名称对数组
+ * @returns {Array<[string, string]>} 药物对数组
  */
-class AIService {
-  constructor() {
-    // 初始化OpenAI客户端（兼容DeepSeek）
-    this.client = new OpenAI({
-      apiKey: config.deepseek.apiKey,
-      baseURL: config.deepseek.baseUrl,
-      timeout: config.deepseek.timeout,
-    })
+const toDrugPairs = (drugs) => {
+  if (drugs.every(item => Array.isArray(item))) {
+    return drugs
+  }
+
+  const pairs = []
+  for (let i = 0; i < drugs.length; i++) {
+    for (let j = i + 1; j < drugs.length; j++) {
+      pairs.push([drugs[i], drugs[j]])
+    }
+  }
+  return pairs
+}
+
+// 临时性故障（超时、连接失败）的错误代码，稍后重试可能成功
+export const RETRYABLE_AI_ERROR_CODES = ['AI_TIMEOUT', 'AI_CONNECTION_ERROR']
 
+/**
+ * 判断AI调用错误是否可以重试
+ * 结构校验失败等错误重试也不会改变结果，不在此列
+ * @param {Error} error - AIService 抛出的错误
+ * @returns {boolean}
+ */
+export const isRetryableAIError = (error) => RETRYABLE_AI_ERROR_CODES.includes(error?.code)
+
+/**
+ * AI服务类
+ * 具体的模型调用由提供方完成（OpenAI兼容接口或本地mock），通过 AI_PROVIDER 配置选择
+ */
+class AIService {
+  /**
+   * @param {import('./providers/index.js').AIProvider} [provider] - AI提供方，不传时按配置创建
+   */
+  constructor(provider = createProvider(config)) {
+    this.provider = provider
     this.timeout = config.deepseek.timeout
-    this.model = 'deepseek-chat' // DeepSeek模型名称
+    this.maxRepairAttempts = config.ai.maxRepairAttempts
   }
 
   /**
@@ -55,28 +85,22 @@ class AIService {
   "aiAnalysis": "详细的长文本描述，包含以下内容：\n1. 药物的特性和基本信息\n2. 药物的起源和历史背景\n3. 与哪些药物相生相克（相互作用）\n4. 主要成分构成及各成分的作用\n5. 作用机制（为什么能起到这样的作用）\n6. 可替代的药物或物品\n7. 其他重要信息"
 }`
 
-      // 使用超时控制
-      const response = await Promise.race([
-        this.client.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: '你是一个专业的药物信息分析助手，请提供准确、专业、详细的药物信息。对于aiAnalysis字段，请提供一个详细的、结构化的长文本描述，包含药物的各个方面。',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          response_format: { type: 'json_object' },
-          temperature: 0.7,
-        }),
-        this._createTimeoutPromise(),
-      ])
-
-      const content = response.choices[0].message.content
-      const result = JSON.parse(content)
+      // 请求并校验JSON结果（每次请求都有超时控制）
+      const result = await this._requestJSON({
+        task: 'analyzeDrug',
+        input: { drugName },
+        messages: [
+          {
+            role: 'system',
+            content: '你是一个专业的药物信息分析助手，请提供准确、专业、详细的药物信息。对于aiAnalysis字段，请提供一个详细的、结构化的长文本描述，包含药物的各个方面。',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.7,
+      })
 
       const duration = Date.now() - startTime
       logger.info('AI调用成功', {
@@ -99,6 +123,11 @@ class AIService {
         stack: error.stack,
       })
 
+      // 结构校验失败的错误已包含详细信息，直接抛出
+      if (error.code === 'AI_INVALID_RESPONSE') {
+        throw error
+      }
+
       // 根据错误类型返回不同的错误信息
       if (error.message === 'AI_TIMEOUT') {
         const timeoutError = new Error('AI接口调用超时，请稍后重试')
@@ -124,28 +153,37 @@ class AIService {
 
   /**
    * 分析多个药物之间的相互作用
-   * @param {string[]} drugNames - 药物名称数组
+   * @param {string[]|Array<[string, string]>} drugs - 药物名称数组（分析所有两两组合），
+   *   或药物名称对数组（只分析列出的药物对）
    * @returns {Promise<Object>} 相互作用分析结果
    */
-  async analyzeInteractions(drugNames) {
+  async analyzeInteractions(drugs) {
     const startTime = Date.now()
 
+    const pairs = toDrugPairs(drugs)
+    const drugNames = [...new Set(pairs.flat())]
+
     try {
       logger.info('AI调用开始', {
         timestamp: new Date().toISOString(),
         method: 'analyzeInteractions',
-        params: { drugNames, count: drugNames.length },
+        params: { drugNames, pairCount: pairs.length },
       })
 
-      const prompt = `请分析以下药物之间的相互作用：
+      const prompt = `请分析以下药物对之间的相互作用（只分析列出的药物对，每对药物返回一条记录）：
 
-药物列表：${drugNames.join('、')}
+${pairs.map(([drug1, drug2], index) => `${index + 1}. ${drug1} + ${drug2}`).join('\n')}
 
-请详细分析这些药物之间可能存在的相互作用，包括：
+请详细分析每对药物之间可能存在的相互作用，包括：
 1. 每对药物之间的相互作用类型
-2. 相互作用的严重程度（low/medium/high）
+2. 相互作用的严重程度（low/medium/high，禁止合用时为 contraindicated）
 3. 相互作用的详细描述
 4. 临床建议
+5. 作用机制：药代动力学（pharmacokinetic）、药效学（pharmacodynamic）或两者兼有（mixed），以及涉及的CYP酶或转运体
+6. 起效时间：快速（rapid，数小时内）、延迟（delayed，数天至数周）或未明确（unspecified）
+7. 证据等级：established（已证实）、probable（很可能）、suspected（疑似）或 theoretical（理论推测）
+8. 临床处理步骤和需要监测的指标
+9. 参考文献（只列出确实存在的文献，无法确定时返回空数组，不要编造）
 
 请以JSON格式返回结果，包含以下结构：
 {
@@ -154,43 +192,49 @@ class AIService {
       "drug1": "药物1名称",
       "drug2": "药物2名称",
       "interactionType": "相互作用类型",
-      "severity": "low|medium|high",
+      "severity": "low|medium|high|contraindicated",
       "description": "详细描述",
-      "recommendation": "临床建议"
+      "recommendation": "临床建议",
+      "mechanism": {
+        "category": "pharmacokinetic|pharmacodynamic|mixed|unknown",
+        "enzymes": ["CYP3A4"],
+        "description": "机制说明"
+      },
+      "onset": "rapid|delayed|unspecified",
+      "evidenceLevel": "established|probable|suspected|theoretical",
+      "management": ["处理步骤"],
+      "monitoring": ["监测指标"],
+      "references": [
+        { "title": "文献标题", "source": "期刊或指南", "year": 2020, "pmid": "PubMed编号", "doi": "DOI" }
+      ]
     }
   ],
   "overallRisk": "low|medium|high",
   "summary": "总体评估"
 }`
 
-      // 使用超时控制
-      const response = await Promise.race([
-        this.client.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: '你是一个专业的药物相互作用分析专家，请提供准确、专业的药物相互作用分析。',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          response_format: { type: 'json_object' },
-          temperature: 0.7,
-        }),
-        this._createTimeoutPromise(),
-      ])
-
-      const content = response.choices[0].message.content
-      const result = JSON.parse(content)
+      // 请求并校验JSON结果（每次请求都有超时控制）
+      const result = await this._requestJSON({
+        task: 'analyzeInteractions',
+        input: { drugNames, pairs },
+        messages: [
+          {
+            role: 'system',
+            content: '你是一个专业的药物相互作用分析专家，请提供准确、专业的药物相互作用分析。',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.7,
+      })
 
       const duration = Date.now() - startTime
       logger.info('AI调用成功', {
         timestamp: new Date().toISOString(),
         method: 'analyzeInteractions',
-        params: { drugNames, count: drugNames.length },
+        params: { drugNames, pairCount: pairs.length },
         duration: `${duration}ms`,
       })
 
@@ -201,12 +245,17 @@ class AIService {
       logger.error('AI调用失败', {
         timestamp: new Date().toISOString(),
         method: 'analyzeInteractions',
-        params: { drugNames, count: drugNames.length },
+        params: { drugNames, pairCount: pairs.length },
         duration: `${duration}ms`,
         error: error.message,
         stack: error.stack,
       })
 
+      // 结构校验失败的错误已包含详细信息，直接抛出
+      if (error.code === 'AI_INVALID_RESPONSE') {
+        throw error
+      }
+
       // 根据错误类型返回不同的错误信息
       if (error.message === 'AI_TIMEOUT') {
         const timeoutError = new Error('AI接口调用超时，请稍后重试')
@@ -230,16 +279,87 @@ class AIService {
     }
   }
 
+  /**
+   * 请求JSON格式的结果并按声明的结构校验、规范化
+   * 输出无法解析或不符合结构时，把校验错误反馈给模型重新生成；
+   * 超过重试次数仍不合格时抛出 AI_INVALID_RESPONSE 错误（details 为校验错误列表）
+   * @private
+   * @param {Object} request - 请求参数
+   * @param {string} request.task - 任务名称，对应 AI_RESPONSE_SCHEMAS 中的结构
+   * @param {Object} request.input - 任务输入
+   * @param {Array} request.messages - 消息数组
+   * @param {number} [request.temperature] - 温度
+   * @param {number} [request.maxTokens] - 最大生成令牌数
+   * @param {number} [request.timeout] - 单次请求超时（毫秒）
+   * @returns {Promise<Object>} 校验通过并规范化后的结果
+   */
+  async _requestJSON({ task, input, messages, temperature, maxTokens, timeout }) {
+    let conversation = messages
+    let errors = []
+
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      const response = await Promise.race([
+        this.provider.jsonCompletion({
+          task,
+          input,
+          messages: conversation,
+          temperature,
+          maxTokens,
+        }),
+        this._createTimeoutPromise(timeout),
+      ])
+
+      // 统计本次调用消耗的令牌（重试也计入）
+      await quotaService.recordUsage(response.usage, task)
+
+      if (response.data === null) {
+        errors = [`返回内容不是有效的JSON: ${response.parseError}`]
+      } else {
+        const validation = validateAIResponse(task, response.data)
+        if (validation.valid) {
+          return validation.value
+        }
+        errors = validation.errors
+      }
+
+      logger.warn('AI返回数据校验失败', {
+        method: task,
+        attempt: attempt + 1,
+        errors,
+      })
+
+      // 带着上次的输出和校验错误重新请求
+      conversation = [
+        ...messages,
+        {
+          role: 'assistant',
+          content: response.content,
+        },
+        {
+          role: 'user',
+          content: `你返回的JSON存在以下问题：\n${errors.map(error => `- ${error}`).join('\n')}\n请修正这些问题，重新返回完整的JSON，不要包含其他内容。`,
+        },
+      ]
+    }
+
+    const invalidError = new Error('AI返回的数据格式不正确，自动修复失败')
+    invalidError.code = 'AI_INVALID_RESPONSE'
+    invalidError.status = 502
+    invalidError.details = errors
+    throw invalidError
+  }
+
   /**
    * 创建超时Promise
    * @private
+   * @param {number} [timeout] - 超时时间（毫秒），默认使用配置的超时
    * @returns {Promise} 超时Promise
    */
-  _createTimeoutPromise() {
+  _createTimeoutPromise(timeout = this.timeout) {
     return new Promise((_, reject) => {
       setTimeout(() => {
         reject(new Error('AI_TIMEOUT'))
-      }, this.timeout)
+      }, timeout)
     })
   }
 
@@ -247,9 +367,10 @@ class AIService {
    * 流式聊天对话
    * @param {string} message - 用户消息
    * @param {Array} history - 对话历史（可选）
+   * @param {string} context - 从数据库检索到的参考资料（可选），附加到系统提示词
    * @returns {AsyncGenerator<string>} 流式文本生成器
    */
-  async *streamChat(message, history = []) {
+  async *streamChat(message, history = [], context = '') {
     const startTime = Date.now()
 
     // 验证消息不能为空
@@ -264,7 +385,7 @@ class AIService {
       logger.info('AI流式对话开始', {
         timestamp: new Date().toISOString(),
         method: 'streamChat',
-        params: { message, historyLength: history.length },
+        params: { message, historyLength: history.length, hasContext: Boolean(context) },
       })
 
       // 构建系统提示词
@@ -290,7 +411,7 @@ class AIService {
       const messages = [
         {
           role: 'system',
-          content: systemPrompt,
+          content: context ? `${systemPrompt}\n\n${context}` : systemPrompt,
         },
         ...history,
         {
@@ -299,22 +420,28 @@ class AIService {
         },
       ]
 
-      // 创建流式请求
-      const stream = await this.client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        stream: true,
+      // 创建流式请求（最后一个片段携带令牌用量）
+      const stream = this.provider.streamCompletion({
+        task: 'streamChat',
+        input: { message },
+        messages,
         temperature: 0.7,
       })
 
       // 逐块返回内容
+      let usage = null
       for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content
-        if (content) {
-          yield content
+        if (chunk.usage) {
+          usage = chunk.usage
+        }
+        if (chunk.content) {
+          yield chunk.content
         }
       }
 
+      // 统计本次对话消耗的令牌
+      await quotaService.recordUsage(usage, 'streamChat')
+
       const duration = Date.now() - startTime
       logger.info('AI流式对话完成', {
         timestamp: new Date().toISOString(),
@@ -358,6 +485,124 @@ class AIService {
     }
   }
 
+  /**
+   * 解释同类替代药物的推荐理由
+   * 排序由调用方根据数据库中的相互作用数据完成，AI只说明理由和注意事项
+   * @param {Object} params - 参数
+   * @param {string} params.drugName - 被替代的药物名称
+   * @param {string[]} params.coMedications - 合并用药名称
+   * @param {Array} params.currentInteractions - 被替代药物与合并用药的相互作用 [{ drugName, severity, interactionType }]
+   * @param {Array} params.alternatives - 已排序的替代药物 [{ name, maxSeverity, unknownPairCount, interactions }]
+   * @returns {Promise<{recommendations: Array, summary: string}>} 每种替代药物的推荐理由
+   */
+  async explainAlternatives({ drugName, coMedications, currentInteractions, alternatives }) {
+    const startTime = Date.now()
+    const params = {
+      drugName,
+      coMedicationCount: coMedications.length,
+      alternativeCount: alternatives.length,
+    }
+
+    const describeInteractions = (interactions) => interactions.length > 0
+      ? interactions.map(item => `${item.drugName}（${item.severity}，${item.interactionType}）`).join('；')
+      : '无已知相互作用'
+
+    try {
+      logger.info('AI调用开始', {
+        timestamp: new Date().toISOString(),
+        method: 'explainAlternatives',
+        params,
+      })
+
+      const prompt = `患者正在使用${drugName}，需要考虑换用同类药物。
+
+合并用药：${coMedications.length > 0 ? coMedications.join('、') : '无'}
+${drugName}与合并用药的相互作用：${describeInteractions(currentInteractions)}
+
+以下是按与合并用药的相互作用从少到轻排序的同类候选药物（相互作用来自数据库，"缺少数据"表示该药物对尚无记录）：
+${alternatives.map((alternative, index) => `${index + 1}. ${alternative.name}：${describeInteractions(alternative.interactions)}${alternative.unknownPairCount > 0 ? `；${alternative.unknownPairCount}对缺少数据` : ''}`).join('\n')}
+
+请针对每个候选药物说明：
+1. 与${drugName}相比，换用该药物的理由
+2. 换用时需要注意的事项（如剂量调整、监测指标、缺少数据的药物对）
+
+请以JSON格式返回结果，包含以下结构：
+{
+  "recommendations": [
+    {
+      "name": "候选药物名称（与上面列出的名称一致）",
+      "reason": "推荐理由",
+      "cautions": "注意事项"
+    }
+  ],
+  "summary": "总体建议"
+}`
+
+      const result = await this._requestJSON({
+        task: 'explainAlternatives',
+        input: {
+          drugName,
+          coMedications,
+          alternatives: alternatives.map(alternative => ({ name: alternative.name })),
+        },
+        messages: [
+          {
+            role: 'system',
+            content: '你是一个专业的临床药师，请基于给出的相互作用数据说明替代药物的选择理由，不要编造未提供的相互作用数据。',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.3,
+      })
+
+      const duration = Date.now() - startTime
+      logger.info('AI调用成功', {
+        timestamp: new Date().toISOString(),
+        method: 'explainAlternatives',
+        params,
+        duration: `${duration}ms`,
+      })
+
+      return result
+    } catch (error) {
+      const duration = Date.now() - startTime
+
+      logger.error('AI调用失败', {
+        timestamp: new Date().toISOString(),
+        method: 'explainAlternatives',
+        params,
+        duration: `${duration}ms`,
+        error: error.message,
+      })
+
+      if (error.code === 'AI_INVALID_RESPONSE') {
+        throw error
+      }
+
+      if (error.message === 'AI_TIMEOUT') {
+        const timeoutError = new Error('AI接口调用超时，请稍后重试')
+        timeoutError.code = 'AI_TIMEOUT'
+        timeoutError.status = 504
+        throw timeoutError
+      }
+
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        const connectionError = new Error('无法连接到AI服务，请检查网络连接')
+        connectionError.code = 'AI_CONNECTION_ERROR'
+        connectionError.status = 502
+        throw connectionError
+      }
+
+      const aiError = new Error(`AI替代药物解释失败: ${error.message}`)
+      aiError.code = 'AI_ANALYSIS_ERROR'
+      aiError.status = 500
+      throw aiError
+    }
+  }
+
   /**
    * 验证输入是否为有效的药物名称
    * @param {string} input - 用户输入
@@ -387,28 +632,23 @@ class AIService {
   "reason": "简短说明判断理由（10字以内）"
 }`
 
-      const response = await Promise.race([
-        this.client.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: '你是一个药物名称验证助手，只需要判断输入是否可能是药物名称，不需要验证药物是否真实存在。回答要简洁。',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          response_format: { type: 'json_object' },
-          temperature: 0.3,
-          max_tokens: 100,
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('AI_TIMEOUT')), 15000)), // 15秒超时
-      ])
-
-      const content = response.choices[0].message.content
-      const result = JSON.parse(content)
+      const result = await this._requestJSON({
+        task: 'validateDrugName',
+        input: { input },
+        messages: [
+          {
+            role: 'system',
+            content: '你是一个药物名称验证助手，只需要判断输入是否可能是药物名称，不需要验证药物是否真实存在。回答要简洁。',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: 0.3,
+        maxTokens: 100,
+        timeout: 15000, // 15秒超时
+      })
 
       const duration = Date.now() - startTime
       logger.info('AI药物名称验证完成', {
@@ -449,20 +689,20 @@ class AIService {
   async healthCheck() {
     try {
       const response = await Promise.race([
-        this.client.chat.completions.create({
-          model: this.model,
+        this.provider.chatCompletion({
+          task: 'healthCheck',
           messages: [
             {
               role: 'user',
               content: 'Hello',
             },
           ],
-          max_tokens: 10,
+          maxTokens: 10,
         }),
         this._createTimeoutPromise(),
       ])
 
-      return response.choices && response.choices.length > 0
+      return response.content.length > 0
     } catch (error) {
       logger.error('AI健康检查失败', { error: error.message })
       return false
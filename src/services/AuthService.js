@@ -0,0 +1,327 @@
+import bcrypt from 'bcryptjs'
+import jwt from 'jsonwebtoken'
+import User, { USER_ROLES, USERNAME_LENGTH } from '../models/User.js'
+import { config } from '../config/env.js'
+import { logger } from '../utils/logger.js'
+
+// 密码哈希的计算强度
+const SALT_ROUNDS = 10
+
+/**
+ * 创建带错误代码和HTTP状态码的错误对象
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误代码
+ * @param {number} status - HTTP状态码
+ * @returns {Error}
+ */
+const createAuthError = (message, code, status) => {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+/**
+ * 认证服务类
+ * 实现用户注册、登录和令牌签发/校验
+ */
+class AuthService {
+  /**
+   * 注册用户
+   * @param {Object} userData - 用户数据
+   * @param {string} userData.username - 用户名
+   * @param {string} userData.password - 密码
+   * @param {string} [userData.displayName] - 显示名称
+   * @param {string} [userData.role=viewer] - 角色，仅管理员可指定非viewer角色
+   * @param {Object} [operator] - 当前操作用户（管理员创建账号时）
+   * @returns {Promise<Object>} 创建的用户对象
+   */
+  async register(userData, operator = null) {
+    try {
+      const { username, password, displayName } = userData
+      const role = userData.role || 'viewer'
+
+      if (!username || !password) {
+        throw createAuthError('用户名和密码不能为空', 'INVALID_PARAMETER', 400)
+      }
+
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        throw createAuthError('用户名和密码必须是字符串', 'INVALID_PARAMETER', 400)
+      }
+
+      const { min, max } = USERNAME_LENGTH
+      const trimmedUsername = username.trim()
+      if (trimmedUsername.length < min || trimmedUsername.length > max) {
+        throw createAuthError(`用户名长度必须在${min}到${max}个字符之间`, 'INVALID_PARAMETER', 400)
+      }
+
+      if (password.length < 8) {
+        throw createAuthError('密码至少8个字符', 'INVALID_PARAMETER', 400)
+      }
+
+      if (!USER_ROLES.includes(role)) {
+        throw createAuthError('角色必须是 viewer, pharmacist 或 admin', 'INVALID_PARAMETER', 400)
+      }
+
+      // 自助注册只能获得只读角色
+      if (role !== 'viewer' && operator?.role !== 'admin') {
+        throw createAuthError('只有管理员可以创建该角色的用户', 'FORBIDDEN', 403)
+      }
+
+      const existing = await User.findOne({ username: trimmedUsername })
+      if (existing) {
+        throw createAuthError(`用户 "${trimmedUsername}" 已存在`, 'USER_EXISTS', 409)
+      }
+
+      const passwordHash = await bcrypt.hash(password, SALT_ROUNDS)
+      let user
+      try {
+        user = await User.create({
+          username: trimmedUsername,
+          passwordHash,
+          displayName,
+          role,
+        })
+      } catch (error) {
+        // 并发注册同一用户名时，唯一索引在查重之后才会拒绝
+        if (error.code === 11000) {
+          throw createAuthError(`用户 "${trimmedUsername}" 已存在`, 'USER_EXISTS', 409)
+        }
+        if (error.name === 'ValidationError') {
+          const message = Object.values(error.errors).map(item => item.message).join('; ')
+          throw createAuthError(message, 'INVALID_PARAMETER', 400)
+        }
+        throw error
+      }
+
+      logger.info('注册用户', {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        operator: operator?.username,
+      })
+
+      return user.toJSON()
+    } catch (error) {
+      logger.error('注册用户失败', {
+        username: userData?.username,
+        error: error.message,
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 用户登录
+   * @param {string} username - 用户名
+   * @param {string} password - 密码
+   * @returns {Promise<{user: Object, accessToken: string, refreshToken: string, expiresIn: string}>}
+   */
+  async login(username, password) {
+    try {
+      const user = await User.findOne({ username }).select('+passwordHash')
+
+      // 用户不存在和密码错误返回同样的信息，避免泄露用户名是否存在
+      const passwordMatches = user
+        ? await bcrypt.compare(password, user.passwordHash)
+        : false
+
+      if (!user || !passwordMatches) {
+        throw createAuthError('用户名或密码错误', 'INVALID_CREDENTIALS', 401)
+      }
+
+      if (!user.active) {
+        throw createAuthError('账号已被停用', 'ACCOUNT_DISABLED', 403)
+      }
+
+      logger.info('用户登录', { id: user._id, username: user.username })
+
+      return {
+        user: user.toJSON(),
+        ...this.issueTokens(user),
+      }
+    } catch (error) {
+      logger.error('用户登录失败', { username, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 使用刷新令牌换取新的令牌对
+   * @param {string} refreshToken - 刷新令牌
+   * @returns {Promise<{user: Object, accessToken: string, refreshToken: string, expiresIn: string}>}
+   */
+  async refresh(refreshToken) {
+    try {
+      const payload = this.verifyToken(refreshToken, 'refresh')
+
+      const user = await User.findById(payload.sub)
+      if (!user || !user.active || user.tokenVersion !== payload.tokenVersion) {
+        throw createAuthError('刷新令牌已失效，请重新登录', 'INVALID_TOKEN', 401)
+      }
+
+      return {
+        user: user.toJSON(),
+        ...this.issueTokens(user),
+      }
+    } catch (error) {
+      logger.error('刷新令牌失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 校验访问令牌并返回当前用户
+   * @param {string} accessToken - 访问令牌
+   * @returns {Promise<Object>} 用户对象
+   */
+  async authenticate(accessToken) {
+    const payload = this.verifyToken(accessToken, 'access')
+
+    const user = await User.findById(payload.sub).lean()
+    if (!user || !user.active) {
+      throw createAuthError('用户不存在或已被停用', 'INVALID_TOKEN', 401)
+    }
+
+    return {
+      id: user._id.toString(),
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+    }
+  }
+
+  /**
+   * 签发访问令牌和刷新令牌
+   * @param {Object} user - 用户文档
+   * @returns {{accessToken: string, refreshToken: string, expiresIn: string}}
+   */
+  issueTokens(user) {
+    const secret = this.getSecret()
+
+    const accessToken = jwt.sign(
+      { sub: user._id.toString(), username: user.username, role: user.role, type: 'access' },
+      secret,
+      { expiresIn: config.auth.accessTokenExpiresIn }
+    )
+
+    const refreshToken = jwt.sign(
+      { sub: user._id.toString(), tokenVersion: user.tokenVersion, type: 'refresh' },
+      secret,
+      { expiresIn: config.auth.refreshTokenExpiresIn }
+    )
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: config.auth.accessTokenExpiresIn,
+    }
+  }
+
+  /**
+   * 校验令牌签名、有效期和类型
+   * @param {string} token - 令牌
+   * @param {string} type - 期望的令牌类型：access, refresh
+   * @returns {Object} 令牌载荷
+   */
+  verifyToken(token, type) {
+    if (!token) {
+      throw createAuthError('缺少认证令牌', 'UNAUTHORIZED', 401)
+    }
+
+    let payload
+    try {
+      payload = jwt.verify(token, this.getSecret())
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw createAuthError('认证令牌已过期', 'TOKEN_EXPIRED', 401)
+      }
+      throw createAuthError('认证令牌无效', 'INVALID_TOKEN', 401)
+    }
+
+    if (payload.type !== type) {
+      throw createAuthError('认证令牌类型不正确', 'INVALID_TOKEN', 401)
+    }
+
+    return payload
+  }
+
+  /**
+   * 获取令牌签名密钥
+   * @private
+   * @returns {string}
+   */
+  getSecret() {
+    if (!config.auth.jwtSecret) {
+      throw createAuthError('服务端未配置JWT_SECRET', 'AUTH_NOT_CONFIGURED', 500)
+    }
+    return config.auth.jwtSecret
+  }
+
+  /**
+   * 获取用户信息
+   * @param {string} id - 用户ID
+   * @returns {Promise<Object|null>} 用户对象或null
+   */
+  async findById(id) {
+    const user = await User.findById(id)
+    return user ? user.toJSON() : null
+  }
+
+  /**
+   * 修改用户角色
+   * 同时递增令牌版本号，使该用户已签发的刷新令牌失效
+   * @param {string} id - 用户ID
+   * @param {string} role - 新角色
+   * @returns {Promise<Object>} 更新后的用户对象
+   */
+  async updateRole(id, role) {
+    try {
+      if (!USER_ROLES.includes(role)) {
+        throw createAuthError('角色必须是 viewer, pharmacist 或 admin', 'INVALID_PARAMETER', 400)
+      }
+
+      const user = await User.findByIdAndUpdate(
+        id,
+        { $set: { role }, $inc: { tokenVersion: 1 } },
+        { new: true, runValidators: true }
+      )
+
+      if (!user) {
+        throw createAuthError('用户不存在', 'USER_NOT_FOUND', 404)
+      }
+
+      logger.info('修改用户角色', { id, username: user.username, role })
+
+      return user.toJSON()
+    } catch (error) {
+      logger.error('修改用户角色失败', { id, role, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 确保初始管理员账号存在
+   * 在服务启动时调用，未配置初始管理员时直接跳过
+   * @returns {Promise<void>}
+   */
+  async ensureInitialAdmin() {
+    const { username, password } = config.auth.initialAdmin
+    if (!username || !password) {
+      return
+    }
+
+    const existing = await User.findOne({ username })
+    if (existing) {
+      return
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS)
+    await User.create({ username, passwordHash, role: 'admin' })
+
+    logger.info('已创建初始管理员账号', { username })
+  }
+}
+
+// 导出单例
+export const authService = new AuthService()
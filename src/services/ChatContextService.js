@@ -0,0 +1,228 @@
+import Drug from '../models/Drug.js'
+import Interaction from '../models/Interaction.js'
+import { resolveReviewStatus } from '../models/reviewSchema.js'
+import { onModelChange } from '../models/changeTracking.js'
+import { logger } from '../utils/logger.js'
+
+// 单条消息最多注入的药物数量，避免上下文过长
+const MAX_CONTEXT_DRUGS = 5
+
+// 最多注入的相互作用数量（提到的药物两两之间的记录始终优先）
+const MAX_CONTEXT_INTERACTIONS = 20
+
+// 名称短于该长度时不参与匹配，避免单字误匹配
+const MIN_NAME_LENGTH = 2
+
+// 药物名称索引的缓存时间（毫秒）：本进程写入药物后立即失效，其他实例的写入最晚在过期后生效
+const NAME_INDEX_TTL_MS = 5 * 60 * 1000
+
+// 严重程度排序权重
+const SEVERITY_RANK = { contraindicated: 4, high: 3, medium: 2, low: 1 }
+
+const SEVERITY_LABELS = { contraindicated: '禁止合用', high: '严重', medium: '中等', low: '轻微' }
+
+/**
+ * 聊天上下文服务类
+ * 识别用户消息中提到的药物，从数据库加载药物和相互作用记录，
+ * 作为AI回答的依据（检索增强）
+ */
+class ChatContextService {
+  constructor() {
+    // 药物名称索引缓存 { names, expiresAt }，避免每条消息都加载全部药物
+    this.nameIndex = null
+    // 每次失效时加一，加载期间发生写入时不缓存加载结果
+    this.nameIndexVersion = 0
+
+    onModelChange(['Drug'], () => {
+      this.nameIndex = null
+      this.nameIndexVersion++
+    })
+  }
+
+  /**
+   * 根据用户消息构建检索上下文
+   * @param {string} message - 用户消息
+   * @returns {Promise<{drugs: Array, interactions: Array, prompt: string}>}
+   *   drugs/interactions 为命中的数据库记录，prompt 为注入系统提示词的文本（无命中时为空字符串）
+   */
+  async buildContext(message) {
+    try {
+      const drugs = await this.detectDrugs(message)
+      if (drugs.length === 0) {
+        return { drugs: [], interactions: [], prompt: '' }
+      }
+
+      const interactions = await this.findInteractions(drugs)
+
+      logger.info('聊天检索上下文', {
+        drugs: drugs.map(drug => drug.name),
+        interactionCount: interactions.length,
+      })
+
+      return {
+        drugs,
+        interactions,
+        prompt: this.formatPrompt(drugs, interactions),
+      }
+    } catch (error) {
+      logger.error('构建聊天检索上下文失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 识别消息中提到的药物（匹配 name 和 genericName，不区分大小写）
+   * 按名称长度从长到短匹配，已命中的文本不再参与匹配，
+   * 避免"阿司匹林肠溶片"同时命中"阿司匹林"
+   * @param {string} message - 用户消息
+   * @returns {Promise<Array>} 药物记录数组（已排除被驳回的数据）
+   */
+  async detectDrugs(message) {
+    if (!message || typeof message !== 'string') {
+      return []
+    }
+
+    const names = await this.getNameIndex()
+
+    let text = message.toLowerCase()
+    const matchedIds = []
+    for (const { name, drugId } of names) {
+      if (matchedIds.length >= MAX_CONTEXT_DRUGS) {
+        break
+      }
+      if (!text.includes(name)) {
+        continue
+      }
+      // 用占位符替换已命中的文本，防止被更短的名称重复匹配
+      text = text.split(name).join('\u0000')
+      if (!matchedIds.includes(drugId)) {
+        matchedIds.push(drugId)
+      }
+    }
+
+    if (matchedIds.length === 0) {
+      return []
+    }
+
+    const drugs = await Drug.find({ _id: { $in: matchedIds } }).lean()
+
+    // 保持匹配顺序
+    return matchedIds
+      .map(id => drugs.find(drug => drug._id.toString() === id))
+      .filter(Boolean)
+  }
+
+  /**
+   * 获取用于识别药物的名称索引（已排除被驳回的数据，按名称长度从长到短排列）
+   * 结果会被缓存，药物写入后失效
+   * @returns {Promise<Array<{name: string, drugId: string}>>}
+   */
+  async getNameIndex() {
+    if (this.nameIndex && this.nameIndex.expiresAt > Date.now()) {
+      return this.nameIndex.names
+    }
+
+    const version = this.nameIndexVersion
+    const candidates = await Drug.find(
+      { 'review.status': { $ne: 'rejected' } },
+      { name: 1, genericName: 1 }
+    ).lean()
+
+    const names = []
+    for (const drug of candidates) {
+      for (const name of [drug.name, drug.genericName]) {
+        if (name && name.length >= MIN_NAME_LENGTH) {
+          names.push({ name: name.toLowerCase(), drugId: drug._id.toString() })
+        }
+      }
+    }
+    names.sort((a, b) => b.name.length - a.name.length)
+
+    if (version === this.nameIndexVersion) {
+      this.nameIndex = { names, expiresAt: Date.now() + NAME_INDEX_TTL_MS }
+    }
+
+    return names
+  }
+
+  /**
+   * 查询与提到的药物相关的相互作用
+   * 优先返回提到的药物之间的相互作用，再按严重程度补充各药物与其他药物的相互作用
+   * @param {Array} drugs - 药物记录数组
+   * @returns {Promise<Array>} 相互作用记录数组（已排除被驳回的数据）
+   */
+  async findInteractions(drugs) {
+    const drugIds = drugs.map(drug => drug._id)
+    const notRejected = { 'review.status': { $ne: 'rejected' } }
+
+    const [between, related] = await Promise.all([
+      Interaction.find({
+        drug1Id: { $in: drugIds },
+        drug2Id: { $in: drugIds },
+        ...notRejected,
+      }).lean(),
+      Interaction.find({
+        $or: [{ drug1Id: { $in: drugIds } }, { drug2Id: { $in: drugIds } }],
+        ...notRejected,
+      })
+        .sort({ updatedAt: -1 })
+        .limit(MAX_CONTEXT_INTERACTIONS * 2)
+        .lean(),
+    ])
+
+    const bySeverity = (a, b) => (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0)
+    const betweenIds = new Set(between.map(interaction => interaction._id.toString()))
+    const others = related.filter(interaction => !betweenIds.has(interaction._id.toString()))
+
+    return [...between.sort(bySeverity), ...others.sort(bySeverity)]
+      .slice(0, MAX_CONTEXT_INTERACTIONS)
+  }
+
+  /**
+   * 将检索到的记录格式化为系统提示词片段
+   * @param {Array} drugs - 药物记录数组
+   * @param {Array} interactions - 相互作用记录数组
+   * @returns {string} 提示词文本
+   */
+  formatPrompt(drugs, interactions) {
+    const reviewLabel = (doc) => (resolveReviewStatus(doc) === 'approved' ? '已审核' : '未经药师审核')
+
+    const drugLines = drugs.map((drug, index) => {
+      const lines = [
+        `[药物${index + 1}] ${drug.name}${drug.genericName ? `（${drug.genericName}）` : ''}，分类：${drug.category}，${reviewLabel(drug)}`,
+        `  描述：${drug.description}`,
+      ]
+      if (drug.dosage) {
+        lines.push(`  用法用量：${drug.dosage}`)
+      }
+      if (drug.sideEffects?.length > 0) {
+        lines.push(`  副作用：${drug.sideEffects.join('；')}`)
+      }
+      if (drug.contraindications?.length > 0) {
+        lines.push(`  禁忌症：${drug.contraindications.join('；')}`)
+      }
+      return lines.join('\n')
+    })
+
+    const interactionLines = interactions.map((interaction, index) => [
+      `[相互作用${index + 1}] ${interaction.drug1Name} + ${interaction.drug2Name}，` +
+        `类型：${interaction.interactionType}，严重程度：${SEVERITY_LABELS[interaction.severity] || interaction.severity}，${reviewLabel(interaction)}`,
+      `  描述：${interaction.description}`,
+      `  建议：${interaction.recommendation}`,
+    ].join('\n'))
+
+    return `以下是本系统药物数据库中与用户问题相关的记录，请优先依据这些记录回答：
+- 数据库记录与你的知识冲突时，以数据库记录为准，并说明依据的是哪条记录
+- 标注"未经药师审核"的记录需提醒用户谨慎参考
+- 数据库中没有收录的两种药物之间的相互作用，不代表不存在相互作用
+
+药物记录：
+${drugLines.join('\n')}
+
+相互作用记录：
+${interactionLines.length > 0 ? interactionLines.join('\n') : '（数据库中暂无相关记录）'}`
+  }
+}
+
+// 导出单例
+export const chatContextService = new ChatContextService()
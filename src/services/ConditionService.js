@@ -0,0 +1,307 @@
+import Condition from '../models/Condition.js'
+import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 严重程度排序权重
+const SEVERITY_RANK = { contraindicated: 4, high: 3, medium: 2, low: 1 }
+
+// 禁忌症文本匹配时，文本或检测词短于该长度不参与匹配，避免单字误匹配
+const MIN_MATCH_LENGTH = 2
+
+/**
+ * 规范化药物类别，用于比较 drugClass 与 category
+ * @param {string} value - 类别
+ * @returns {string}
+ */
+const normalizeClass = (value) => (value || '').trim().toLowerCase()
+
+/**
+ * 判断禁忌症文本与疾病/状态名称是否匹配（任一方包含另一方）
+ * 如"活动性消化道溃疡"与"消化道溃疡"互相匹配
+ * @param {string} text - 药物禁忌症文本
+ * @param {string} term - 疾病/状态名称或别名
+ * @returns {boolean}
+ */
+const textMatches = (text, term) => {
+  if (!text || !term || text.length < MIN_MATCH_LENGTH || term.length < MIN_MATCH_LENGTH) {
+    return false
+  }
+  return text.includes(term) || term.includes(text)
+}
+
+/**
+ * 疾病/状态服务类
+ * 维护疾病/状态数据，并根据药物的禁忌关系检测药物-疾病和药物-药物类别禁忌
+ */
+class ConditionService {
+  /**
+   * 查询疾病/状态列表
+   * @param {Object} filters - 筛选条件
+   * @param {string} [filters.keyword] - 按名称或别名模糊搜索
+   * @param {number} page - 页码（从1开始）
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{conditions: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findAll(filters = {}, page = 1, limit = 20) {
+    try {
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20))
+      const skip = (pageNum - 1) * limitNum
+
+      const query = {}
+      if (filters.keyword) {
+        const regex = new RegExp(escapeRegExp(filters.keyword.trim()), 'i')
+        query.$or = [{ name: regex }, { aliases: regex }]
+      }
+
+      const [conditions, total] = await Promise.all([
+        Condition.find(query)
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Condition.countDocuments(query),
+      ])
+
+      return {
+        conditions,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询疾病/状态列表失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 创建疾病/状态
+   * 名称和别名都不能与已有记录的名称或别名重复
+   * @param {Object} data - 疾病/状态数据
+   * @returns {Promise<Object>} 创建的疾病/状态
+   */
+  async create(data) {
+    try {
+      if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        throw new Error('疾病/状态名称不能为空')
+      }
+
+      const name = data.name.trim()
+      const aliases = [...new Set((data.aliases || []).map(alias => alias.trim()).filter(Boolean))]
+        .filter(alias => alias !== name)
+
+      const existing = await this._findByTerms([name, ...aliases])
+      if (existing.length > 0) {
+        throw new Error(`疾病/状态 "${existing[0].name}" 已存在`)
+      }
+
+      const condition = await Condition.create({
+        name,
+        aliases,
+        description: data.description,
+      })
+
+      logger.info('创建疾病/状态', { id: condition._id, name })
+
+      return condition.toObject()
+    } catch (error) {
+      logger.error('创建疾病/状态失败', { name: data?.name, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 将疾病/状态名称解析为数据库记录（按名称或别名精确匹配，不区分大小写）
+   * @param {string[]} names - 疾病/状态名称数组
+   * @returns {Promise<{resolved: Array, unresolved: Array}>}
+   *   resolved: [{ input, conditionId, name }]，unresolved: [{ input, reason }]
+   */
+  async resolveNames(names) {
+    const inputs = [...new Set(names.map(name => name.trim()))]
+    const conditions = await this._findByTerms(inputs)
+
+    const resolved = []
+    const unresolved = []
+    for (const input of inputs) {
+      const term = input.toLowerCase()
+      const condition = conditions.find(item =>
+        [item.name, ...(item.aliases || [])].some(value => value.toLowerCase() === term)
+      )
+      if (condition) {
+        resolved.push({
+          input,
+          conditionId: condition._id.toString(),
+          name: condition.name,
+          aliases: condition.aliases || [],
+        })
+      } else {
+        unresolved.push({
+          input,
+          reason: '未收录该疾病/状态，仅按药物禁忌症文本匹配',
+        })
+      }
+    }
+
+    return { resolved, unresolved }
+  }
+
+  /**
+   * 检测药物禁忌
+   * - 药物-药物类别：药物的禁忌关系指向其他药物的类别（category）
+   * - 药物-疾病/状态：提供患者疾病/状态时，按结构化禁忌关系匹配；
+   *   药物没有对应的禁忌关系时，再按说明书禁忌症文本匹配（matchedBy 为 text）
+   * @param {Array} drugs - 药物记录数组
+   * @param {string[]} [conditionNames] - 患者的疾病/状态名称
+   * @returns {Promise<{contraindications: Array, conditionResolution: Object|null}>}
+   *   contraindications 按严重程度从高到低排列，未提供疾病/状态时 conditionResolution 为 null
+   */
+  async checkContraindications(drugs, conditionNames = []) {
+    try {
+      const contraindications = this.findDrugClassContraindications(drugs)
+
+      let conditionResolution = null
+      if (conditionNames.length > 0) {
+        conditionResolution = await this.resolveNames(conditionNames)
+        contraindications.push(...this.findConditionContraindications(drugs, conditionResolution))
+      }
+
+      contraindications.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])
+
+      return {
+        contraindications,
+        conditionResolution: conditionResolution && {
+          resolved: conditionResolution.resolved.map(({ aliases, ...item }) => item),
+          unresolved: conditionResolution.unresolved,
+        },
+      }
+    } catch (error) {
+      logger.error('检测药物禁忌失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 药物-药物类别禁忌（同一对药物只保留最严重的一条）
+   * @param {Array} drugs - 药物记录数组
+   * @returns {Array} 禁忌警告数组
+   */
+  findDrugClassContraindications(drugs) {
+    const warnings = new Map()
+
+    for (const drug of drugs) {
+      for (const link of drug.contraindicationLinks || []) {
+        if (!link.drugClass) {
+          continue
+        }
+        const drugClass = normalizeClass(link.drugClass)
+
+        for (const other of drugs) {
+          if (other._id.toString() === drug._id.toString() || normalizeClass(other.category) !== drugClass) {
+            continue
+          }
+
+          const key = [drug._id.toString(), other._id.toString()].sort().join('_')
+          const severity = link.severity || 'high'
+          const current = warnings.get(key)
+          if (current && SEVERITY_RANK[current.severity] >= SEVERITY_RANK[severity]) {
+            continue
+          }
+
+          warnings.set(key, {
+            type: 'drugClass',
+            drugId: drug._id.toString(),
+            drugName: drug.name,
+            otherDrugId: other._id.toString(),
+            otherDrugName: other.name,
+            drugClass: link.drugClass,
+            severity,
+            note: link.note || `${drug.name}禁忌与${link.drugClass}类药物合用`,
+            matchedBy: 'link',
+          })
+        }
+      }
+    }
+
+    return [...warnings.values()]
+  }
+
+  /**
+   * 药物-疾病/状态禁忌
+   * @param {Array} drugs - 药物记录数组
+   * @param {{resolved: Array, unresolved: Array}} resolution - 疾病/状态解析结果
+   * @returns {Array} 禁忌警告数组
+   */
+  findConditionContraindications(drugs, resolution) {
+    const targets = [
+      ...resolution.resolved.map(item => ({
+        conditionId: item.conditionId,
+        name: item.name,
+        terms: [item.name, ...item.aliases],
+      })),
+      ...resolution.unresolved.map(item => ({
+        conditionId: null,
+        name: item.input,
+        terms: [item.input],
+      })),
+    ]
+
+    const warnings = []
+    for (const drug of drugs) {
+      for (const target of targets) {
+        const base = {
+          type: 'condition',
+          drugId: drug._id.toString(),
+          drugName: drug.name,
+          conditionId: target.conditionId,
+          conditionName: target.name,
+        }
+
+        const link = target.conditionId && (drug.contraindicationLinks || []).find(
+          item => item.conditionId?.toString() === target.conditionId
+        )
+        if (link) {
+          warnings.push({
+            ...base,
+            severity: link.severity || 'high',
+            note: link.note || `${drug.name}禁用于${target.name}患者`,
+            matchedBy: 'link',
+          })
+          continue
+        }
+
+        // 说明书禁忌症文本
+        const text = (drug.contraindications || []).find(item =>
+          target.terms.some(term => textMatches(item, term))
+        )
+        if (text) {
+          warnings.push({
+            ...base,
+            severity: 'high',
+            note: `药物禁忌症：${text}`,
+            matchedBy: 'text',
+          })
+        }
+      }
+    }
+
+    return warnings
+  }
+
+  /**
+   * 按名称或别名精确查找（不区分大小写）
+   * @private
+   */
+  async _findByTerms(terms) {
+    if (terms.length === 0) {
+      return []
+    }
+    const regexes = terms.map(term => new RegExp(`^${escapeRegExp(term)}$`, 'i'))
+    return Condition.find({
+      $or: [{ name: { $in: regexes } }, { aliases: { $in: regexes } }],
+    }).lean()
+  }
+}
+
+// 导出单例
+export const conditionService = new ConditionService()
@@ -0,0 +1,192 @@
+import Conversation from '../models/Conversation.js'
+import Message from '../models/Message.js'
+import { logger } from '../utils/logger.js'
+
+// 发送给AI的历史消息条数上限，避免长对话超出模型上下文
+const MAX_HISTORY_MESSAGES = 20
+
+// 根据首条消息自动生成标题时截取的长度
+const AUTO_TITLE_LENGTH = 30
+
+/**
+ * 对话服务类
+ * 实现AI聊天对话及消息的持久化
+ * 所有查询都按用户隔离，用户只能访问自己的对话
+ */
+class ConversationService {
+  /**
+   * 创建对话
+   * @param {string} userId - 用户ID
+   * @param {string} [title] - 对话标题，不传时由首条消息自动生成
+   * @returns {Promise<Object>} 创建的对话对象
+   */
+  async create(userId, title) {
+    try {
+      if (!userId) {
+        throw new Error('用户ID不能为空')
+      }
+
+      const conversation = await Conversation.create({
+        userId,
+        ...(title ? { title } : {}),
+      })
+
+      logger.info('创建对话', { id: conversation._id, userId })
+
+      return conversation.toObject()
+    } catch (error) {
+      logger.error('创建对话失败', { userId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询用户的对话列表（按最近更新时间倒序）
+   * @param {string} userId - 用户ID
+   * @param {number} page - 页码（从1开始）
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{conversations: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findAll(userId, page = 1, limit = 10) {
+    try {
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const [conversations, total] = await Promise.all([
+        Conversation.find({ userId })
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Conversation.countDocuments({ userId }),
+      ])
+
+      return {
+        conversations,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询对话列表失败', { userId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询对话详情（包含全部消息）
+   * @param {string} id - 对话ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 对话对象（含messages）或null
+   */
+  async findById(id, userId) {
+    try {
+      const conversation = await Conversation.findOne({ _id: id, userId }).lean()
+      if (!conversation) {
+        return null
+      }
+
+      const messages = await Message.find({ conversationId: id })
+        .sort({ createdAt: 1 })
+        .lean()
+
+      return {
+        ...conversation,
+        messages,
+      }
+    } catch (error) {
+      logger.error('查询对话详情失败', { id, userId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 获取发送给AI的对话历史
+   * 只取最近的若干条消息，格式与 AIService.streamChat 的 history 参数一致
+   * @param {string} id - 对话ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array<{role: string, content: string}>>}
+   */
+  async getHistory(id, userId) {
+    const conversation = await Conversation.exists({ _id: id, userId })
+    if (!conversation) {
+      throw new Error('对话不存在')
+    }
+
+    const messages = await Message.find({ conversationId: id })
+      .sort({ createdAt: -1 })
+      .limit(MAX_HISTORY_MESSAGES)
+      .lean()
+
+    return messages
+      .reverse()
+      .map(message => ({ role: message.role, content: message.content }))
+  }
+
+  /**
+   * 追加一轮对话（用户消息和AI回复）
+   * 对话仍使用默认标题时，以用户消息开头作为标题
+   * @param {string} id - 对话ID
+   * @param {string} userMessage - 用户消息
+   * @param {string} assistantReply - AI完整回复
+   * @returns {Promise<void>}
+   */
+  async appendTurn(id, userMessage, assistantReply) {
+    try {
+      const now = Date.now()
+
+      // 显式指定时间，保证用户消息排在AI回复之前
+      await Message.insertMany([
+        { conversationId: id, role: 'user', content: userMessage, createdAt: new Date(now) },
+        { conversationId: id, role: 'assistant', content: assistantReply, createdAt: new Date(now + 1) },
+      ])
+
+      const conversation = await Conversation.findByIdAndUpdate(
+        id,
+        {
+          $inc: { messageCount: 2 },
+          $set: { lastMessageAt: new Date(now + 1) },
+        },
+        { new: true }
+      )
+
+      if (conversation && conversation.title === '新对话') {
+        conversation.title = userMessage.trim().substring(0, AUTO_TITLE_LENGTH)
+        await conversation.save()
+      }
+
+      logger.info('保存对话消息', { id, messageCount: conversation?.messageCount })
+    } catch (error) {
+      logger.error('保存对话消息失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 删除对话及其全部消息
+   * @param {string} id - 对话ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async delete(id, userId) {
+    try {
+      const result = await Conversation.findOneAndDelete({ _id: id, userId })
+      if (!result) {
+        throw new Error('对话不存在')
+      }
+
+      const { deletedCount } = await Message.deleteMany({ conversationId: id })
+
+      logger.info('删除对话', { id, userId, deletedMessages: deletedCount })
+
+      return true
+    } catch (error) {
+      logger.error('删除对话失败', { id, userId, error: error.message })
+      throw error
+    }
+  }
+}
+
+// 导出单例
+export const conversationService = new ConversationService()
@@ -1,6 +1,25 @@
 import Drug from '../models/Drug.js'
+import Interaction from '../models/Interaction.js'
+import MultiDrugInteraction from '../models/MultiDrugInteraction.js'
+import Condition from '../models/Condition.js'
+import Patient from '../models/Patient.js'
 import { aiService } from './AIService.js'
 import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 名称解析时返回的候选药物数量上限
+const MAX_NAME_CANDIDATES = 5
+
+/**
+ * 转换为名称解析结果中的候选药物
+ * @param {Object} drug - 药物对象
+ * @returns {{drugId: string, name: string, genericName: string}}
+ */
+const toCandidate = (drug) => ({
+  drugId: drug._id.toString(),
+  name: drug.name,
+  genericName: drug.genericName,
+})
 
 /**
  * 药物服务类
@@ -185,12 +204,8 @@ class DrugService {
 
       const aiResult = await aiService.analyzeDrug(drugName)
 
-      // 3. 验证AI返回的数据完整性
-      if (!aiResult.name || !aiResult.description || !aiResult.category) {
-        throw new Error('AI返回的数据不完整，缺少必需字段')
-      }
-
-      // 4. 构建药物数据对象（不保存到数据库，由用户确认后手动保存）
+      // 3. 构建药物数据对象（不保存到数据库，由用户确认后手动保存）
+      // AI返回的必需字段已在AIService中按结构校验
       const drugData = {
         name: aiResult.name || drugName,
         genericName: aiResult.genericName,
@@ -234,11 +249,9 @@ class DrugService {
         return null
       }
 
+      const exact = new RegExp(`^${escapeRegExp(drugName)}$`, 'i')
       const drug = await Drug.findOne({
-        $or: [
-          { name: new RegExp(`^${drugName}$`, 'i') },
-          { genericName: new RegExp(`^${drugName}$`, 'i') },
-        ],
+        $or: [{ name: exact }, { genericName: exact }],
       }).lean()
 
       return drug
@@ -248,8 +261,149 @@ class DrugService {
     }
   }
 
+  /**
+   * 将用户输入的药物名称（中文名、通用名、商品名）解析为数据库中的药物
+   * - 名称或通用名完全匹配（不区分大小写）且唯一：解析成功
+   * - 完全匹配多条，或只有部分匹配：列为有歧义，返回候选药物
+   * - 没有任何匹配：列为未解析；开启 analyzeUnknown 时调用AI分析并保存为待审核的AI数据
+   * 已被驳回的药物不参与匹配
+   * @param {string[]} names - 药物名称数组
+   * @param {Object} options - 选项
+   * @param {boolean} [options.analyzeUnknown=false] - 是否对数据库中不存在的名称调用AI分析
+   * @returns {Promise<{resolved: Array, ambiguous: Array, unresolved: Array}>}
+   */
+  async resolveNames(names, options = {}) {
+    const { analyzeUnknown = false } = options
+    const resolution = { resolved: [], ambiguous: [], unresolved: [] }
+
+    for (const input of names) {
+      const drugName = typeof input === 'string' ? input.trim() : ''
+      if (drugName.length === 0) {
+        resolution.unresolved.push({ input, reason: '药物名称不能为空' })
+        continue
+      }
+
+      try {
+        const notRejected = { 'review.status': { $ne: 'rejected' } }
+        const exact = new RegExp(`^${escapeRegExp(drugName)}$`, 'i')
+
+        // 1. 完全匹配名称或通用名
+        const exactMatches = await Drug.find({
+          $or: [{ name: exact }, { genericName: exact }],
+          ...notRejected,
+        })
+          .limit(MAX_NAME_CANDIDATES)
+          .lean()
+
+        // 多条匹配时，名称完全一致的优先（如通用名相同的多个商品）
+        const byName = exactMatches.filter(drug => exact.test(drug.name))
+        const match = exactMatches.length === 1 ? exactMatches[0] : byName.length === 1 ? byName[0] : null
+
+        if (match) {
+          resolution.resolved.push({
+            input,
+            drugId: match._id.toString(),
+            name: match.name,
+            matchedBy: exact.test(match.name) ? 'name' : 'genericName',
+          })
+          continue
+        }
+
+        if (exactMatches.length > 1) {
+          resolution.ambiguous.push({
+            input,
+            reason: '多个药物的名称或通用名与输入一致',
+            candidates: exactMatches.map(toCandidate),
+          })
+          continue
+        }
+
+        // 2. 部分匹配只作为候选，由用户确认
+        const partial = new RegExp(escapeRegExp(drugName), 'i')
+        const partialMatches = await Drug.find({
+          $or: [{ name: partial }, { genericName: partial }],
+          ...notRejected,
+        })
+          .sort({ name: 1 })
+          .limit(MAX_NAME_CANDIDATES)
+          .lean()
+
+        if (partialMatches.length > 0) {
+          resolution.ambiguous.push({
+            input,
+            reason: '未找到完全匹配的药物，请从候选药物中确认',
+            candidates: partialMatches.map(toCandidate),
+          })
+          continue
+        }
+
+        // 3. 数据库中不存在
+        if (!analyzeUnknown) {
+          resolution.unresolved.push({ input, reason: '数据库中未找到该药物' })
+          continue
+        }
+
+        const analyzed = await this.analyzeAndSave(drugName)
+        if (analyzed.drug) {
+          resolution.resolved.push({
+            input,
+            drugId: analyzed.drug._id.toString(),
+            name: analyzed.drug.name,
+            matchedBy: 'ai',
+          })
+        } else {
+          resolution.unresolved.push({ input, reason: analyzed.reason })
+        }
+      } catch (error) {
+        logger.error('解析药物名称失败', { input, error: error.message })
+        resolution.unresolved.push({ input, reason: error.message })
+      }
+    }
+
+    logger.info('解析药物名称', {
+      count: names.length,
+      resolved: resolution.resolved.length,
+      ambiguous: resolution.ambiguous.length,
+      unresolved: resolution.unresolved.length,
+    })
+
+    return resolution
+  }
+
+  /**
+   * 调用AI分析数据库中不存在的药物并保存（来源为ai，等待人工审核）
+   * AI给出的标准名称已在数据库中时直接使用已有记录
+   * @param {string} drugName - 药物名称
+   * @returns {Promise<{drug: Object|null, reason?: string}>}
+   */
+  async analyzeAndSave(drugName) {
+    const validation = await aiService.validateDrugName(drugName)
+    if (!validation.valid) {
+      return { drug: null, reason: `不是有效的药物名称：${validation.reason}` }
+    }
+
+    const { drug: drugData, source } = await this.findOrAnalyze(drugName)
+
+    const existing = source === 'database'
+      ? drugData
+      : await this.findByName(drugData.name) ||
+        (drugData.genericName ? await this.findByName(drugData.genericName) : null)
+    if (existing) {
+      if (existing.review?.status === 'rejected') {
+        return { drug: null, reason: `药物 "${existing.name}" 的数据已被驳回` }
+      }
+      return { drug: existing }
+    }
+
+    const drug = await this.create(drugData)
+    logger.info('保存AI分析的药物', { input: drugName, name: drug.name })
+
+    return { drug }
+  }
+
   /**
    * 更新药物信息
+   * 名称变更时会检查重名，并同步相互作用记录中冗余保存的药物名称
    * @param {string} id - 药物ID
    * @param {Object} updateData - 更新数据
    * @returns {Promise<Object>} 更新后的药物对象
@@ -264,6 +418,40 @@ class DrugService {
       delete updateData.createdAt
       delete updateData.updatedAt
 
+      const current = await Drug.findById(id).lean()
+      if (!current) {
+        throw new Error('药物不存在')
+      }
+
+      const nameChanged = updateData.name && updateData.name !== current.name
+
+      // 禁忌关系引用的疾病/状态必须存在
+      const conditionIds = [...new Set(
+        (updateData.contraindicationLinks || [])
+          .filter(link => link.conditionId)
+          .map(link => String(link.conditionId))
+      )]
+      if (conditionIds.length > 0) {
+        const count = await Condition.countDocuments({ _id: { $in: conditionIds } })
+        if (count !== conditionIds.length) {
+          const conditionError = new Error('禁忌关系引用的疾病/状态不存在')
+          conditionError.code = 'CONDITION_NOT_FOUND'
+          conditionError.status = 400
+          throw conditionError
+        }
+      }
+
+      // 检查新名称是否与其他药物重复
+      if (nameChanged) {
+        const existing = await Drug.findOne({
+          name: updateData.name,
+          _id: { $ne: id },
+        })
+        if (existing) {
+          throw new Error(`药物 "${updateData.name}" 已存在`)
+        }
+      }
+
       const drug = await Drug.findByIdAndUpdate(
         id,
         { $set: updateData },
@@ -274,6 +462,14 @@ class DrugService {
         throw new Error('药物不存在')
       }
 
+      // 同步相互作用记录中的药物名称
+      if (nameChanged) {
+        await Promise.all([
+          Interaction.updateMany({ drug1Id: id }, { $set: { drug1Name: drug.name } }),
+          Interaction.updateMany({ drug2Id: id }, { $set: { drug2Name: drug.name } }),
+        ])
+      }
+
       logger.info('更新药物信息', { id, name: drug.name })
 
       return drug
@@ -285,24 +481,89 @@ class DrugService {
 
   /**
    * 删除药物
+   * 引用处理策略：
+   * - 默认（阻止）：药物仍被相互作用记录、多药相互作用组合或患者用药清单引用时拒绝删除
+   * - cascade：同时删除引用该药物的所有相互作用记录和多药相互作用组合，并从患者用药清单中移除该药物
    * @param {string} id - 药物ID
-   * @returns {Promise<boolean>} 是否删除成功
+   * @param {Object} [options] - 删除选项
+   * @param {boolean} [options.cascade=false] - 是否级联处理引用该药物的记录
+   * @returns {Promise<{deleted: boolean, deletedInteractions: number, deletedMultiDrugInteractions: number, updatedPatients: number}>} 删除结果
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     try {
       if (!id) {
         throw new Error('药物ID不能为空')
       }
 
-      const result = await Drug.findByIdAndDelete(id)
+      const { cascade = false } = options
 
-      if (!result) {
+      const drug = await Drug.findById(id).lean()
+      if (!drug) {
         throw new Error('药物不存在')
       }
 
-      logger.info('删除药物', { id, name: result.name })
+      const interactionFilter = { $or: [{ drug1Id: id }, { drug2Id: id }] }
+      const multiDrugFilter = { 'members.drugId': id }
+      const patientFilter = { 'medications.drugId': id }
+      const [interactionCount, multiDrugCount, patientCount] = await Promise.all([
+        Interaction.countDocuments(interactionFilter),
+        MultiDrugInteraction.countDocuments(multiDrugFilter),
+        Patient.countDocuments(patientFilter),
+      ])
+
+      if ((interactionCount > 0 || multiDrugCount > 0 || patientCount > 0) && !cascade) {
+        const references = []
+        if (interactionCount > 0) {
+          references.push(`${interactionCount} 条相互作用记录`)
+        }
+        if (multiDrugCount > 0) {
+          references.push(`${multiDrugCount} 个多药相互作用组合`)
+        }
+        if (patientCount > 0) {
+          references.push(`${patientCount} 位患者的用药清单`)
+        }
+        const inUseError = new Error(`药物 "${drug.name}" 仍被 ${references.join('、')}引用，无法删除`)
+        inUseError.code = 'DRUG_IN_USE'
+        inUseError.status = 409
+        throw inUseError
+      }
+
+      let deletedInteractions = 0
+      if (interactionCount > 0) {
+        const result = await Interaction.deleteMany(interactionFilter)
+        deletedInteractions = result.deletedCount
+      }
+
+      // 组合去掉成员后含义改变，整组删除
+      let deletedMultiDrugInteractions = 0
+      if (multiDrugCount > 0) {
+        const result = await MultiDrugInteraction.deleteMany(multiDrugFilter)
+        deletedMultiDrugInteractions = result.deletedCount
+      }
 
-      return true
+      let updatedPatients = 0
+      if (patientCount > 0) {
+        const result = await Patient.updateMany(patientFilter, { $pull: { medications: { drugId: id } } })
+        updatedPatients = result.modifiedCount
+      }
+
+      await Drug.findByIdAndDelete(id)
+
+      logger.info('删除药物', {
+        id,
+        name: drug.name,
+        cascade,
+        deletedInteractions,
+        deletedMultiDrugInteractions,
+        updatedPatients,
+      })
+
+      return {
+        deleted: true,
+        deletedInteractions,
+        deletedMultiDrugInteractions,
+        updatedPatients,
+      }
     } catch (error) {
       logger.error('删除药物失败', { id, error: error.message })
       throw error
@@ -1,45 +1,147 @@
 import Drug from '../models/Drug.js'
-import Interaction from '../models/Interaction.js'
+import Interaction, { INTERACTION_SEVERITIES } from '../models/Interaction.js'
+import MultiDrugInteraction, { normalizeDrugClass } from '../models/MultiDrugInteraction.js'
+import {
+  buildAdjacency,
+  computeDegrees,
+  computeBetweenness,
+  findConnectedComponents,
+  detectCommunities,
+  calculateModularity,
+  findShortestPath,
+} from './graphAlgorithms.js'
+import { serializeGraph } from './graphExport.js'
+import { onModelChange } from '../models/changeTracking.js'
+import { config } from '../config/env.js'
 import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 图谱分析结果的缓存时间（毫秒）：本进程写入药物或相互作用后立即失效，其他实例的写入最晚在过期后生效
+const ANALYTICS_CACHE_TTL_MS = 5 * 60 * 1000
+
+// 最多缓存的筛选条件组合数量，超过时清空重新缓存
+const ANALYTICS_CACHE_MAX_ENTRIES = 50
+
+// 图谱筛选的数据来源：药物的来源为 manual/ai，相互作用（含多药相互作用）的来源为 database/ai
+export const GRAPH_SOURCES = ['manual', 'database', 'ai']
+
+/**
+ * 根据筛选条件生成药物查询条件
+ * category 不区分大小写精确匹配；source 为 manual/ai 时按药物来源筛选（未记录来源的药物视为 manual）
+ * @param {Object} filters - 筛选条件
+ * @returns {Object} 查询条件，没有药物筛选时为空对象
+ */
+const buildDrugQuery = ({ category, source }) => {
+  const query = {}
+  if (category) {
+    query.category = new RegExp(`^${escapeRegExp(category.trim())}$`, 'i')
+  }
+  if (source === 'manual') {
+    query.source = { $ne: 'ai' }
+  } else if (source === 'ai') {
+    query.source = 'ai'
+  }
+  return query
+}
+
+/**
+ * 根据筛选条件生成相互作用和多药相互作用的查询条件
+ * severity 为最低严重程度（包含更严重的级别）；source 为 database/ai 时按来源筛选
+ * @param {Object} filters - 筛选条件
+ * @returns {Object} 查询条件
+ */
+const buildInteractionQuery = ({ severity, source }) => {
+  const query = {}
+  if (severity) {
+    query.severity = { $in: INTERACTION_SEVERITIES.slice(INTERACTION_SEVERITIES.indexOf(severity)) }
+  }
+  if (source === 'database' || source === 'ai') {
+    query.source = source
+  }
+  return query
+}
+
+/**
+ * 判断超边的每个成员是否都对应到图中的药物（筛选药物后缺少成员的组合不再展示）
+ * @param {Object} hyperedge - 超边
+ * @returns {boolean}
+ */
+const isCompleteHyperedge = (hyperedge) => hyperedge.members.every(member => member.nodeIds.length > 0)
 
 /**
  * 图谱服务类
  * 实现药物关系图谱数据生成
  */
 class GraphService {
+  constructor() {
+    // 图谱分析结果缓存：筛选条件 -> { analysis, expiresAt }，介数中心性和社区划分计算量较大
+    this.analyticsCache = new Map()
+    // 每次失效时加一，计算期间发生写入时不缓存计算结果
+    this.analyticsCacheVersion = 0
+
+    onModelChange(['Drug', 'Interaction'], () => {
+      this.analyticsCache.clear()
+      this.analyticsCacheVersion++
+    })
+  }
+
   /**
    * 生成药物关系图谱数据
    * @param {string} [drugId] - 可选的药物ID，用于筛选特定药物及其关联
-   * @returns {Promise<{nodes: Array, edges: Array}>} 图谱数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.depth=1] - 指定药物时向外扩展的跳数
+   * @param {Array<string>} [options.drugIds] - 药物ID列表，返回这些药物之间的子图（不能与 drugId 同时使用）
+   * @param {string} [options.severity] - 相互作用的最低严重程度
+   * @param {string} [options.category] - 药物分类
+   * @param {string} [options.source] - 数据来源：manual/ai 筛选药物，database/ai 筛选相互作用
+   * @returns {Promise<{nodes: Array, edges: Array, hyperedges: Array, truncated: boolean}>}
+   *   图谱数据（hyperedges 为多药相互作用，truncated 表示扩展因节点/边数量上限而提前停止）
    */
-  async getGraphData(drugId = null) {
+  async getGraphData(drugId = null, options = {}) {
+    const { depth = 1, drugIds = null, ...filters } = options
+
     try {
-      logger.info('开始生成图谱数据', { drugId })
+      logger.info('开始生成图谱数据', { drugId, depth, drugIdCount: drugIds?.length, filters })
 
       let nodes = []
       let edges = []
+      let hyperedges = []
+      let truncated = false
 
       if (drugId) {
-        // 如果指定了药物ID，只返回该药物及其相关药物
-        const result = await this.getFilteredGraphData(drugId)
+        // 如果指定了药物ID，只返回该药物及其指定跳数内的相关药物
+        const result = await this.getFilteredGraphData(drugId, depth, filters)
         nodes = result.nodes
         edges = result.edges
+        hyperedges = result.hyperedges
+        truncated = result.truncated
+      } else if (drugIds) {
+        // 如果指定了药物ID列表，只返回这些药物之间的相互作用
+        const result = await this.getInducedGraphData(drugIds, filters)
+        nodes = result.nodes
+        edges = result.edges
+        hyperedges = result.hyperedges
       } else {
         // 返回所有药物和相互作用
-        const result = await this.getAllGraphData()
+        const result = await this.getAllGraphData(filters)
         nodes = result.nodes
         edges = result.edges
+        hyperedges = result.hyperedges
       }
 
       logger.info('图谱数据生成完成', {
         nodeCount: nodes.length,
         edgeCount: edges.length,
-        filtered: !!drugId,
+        hyperedgeCount: hyperedges.length,
+        filtered: !!drugId || !!drugIds,
+        truncated,
       })
 
       return {
         nodes,
         edges,
+        hyperedges,
+        truncated,
       }
     } catch (error) {
       logger.error('生成图谱数据失败', {
@@ -51,25 +153,67 @@ class GraphService {
     }
   }
 
+  /**
+   * 导出图谱数据为标准格式（GraphML、GEXF、Cytoscape.js JSON、DOT、CSV）
+   * @param {string} format - 导出格式
+   * @param {string} [drugId] - 可选的药物ID，参数同 getGraphData
+   * @param {Object} [options] - getGraphData 的选项，以及 csv 格式的 table（nodes 或 edges）
+   * @returns {Promise<{content: string, contentType: string, extension: string, truncated: boolean}>}
+   */
+  async exportGraph(format, drugId = null, options = {}) {
+    const { table, ...graphOptions } = options
+
+    const graph = await this.getGraphData(drugId, graphOptions)
+    const result = serializeGraph(graph, format, { table })
+
+    logger.info('导出图谱数据', {
+      format,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      size: result.content.length,
+    })
+
+    return { ...result, truncated: graph.truncated }
+  }
+
   /**
    * 获取所有药物和相互作用的图谱数据
-   * @returns {Promise<{nodes: Array, edges: Array}>}
+   * 按药物筛选时只保留两端药物都在图中的相互作用，以及全部成员都在图中的多药相互作用
+   * @param {Object} [filters] - 筛选条件（severity、category、source）
+   * @returns {Promise<{nodes: Array, edges: Array, hyperedges: Array}>}
    */
-  async getAllGraphData() {
+  async getAllGraphData(filters = {}) {
     try {
+      const drugQuery = buildDrugQuery(filters)
+      const interactionQuery = buildInteractionQuery(filters)
+      const drugsFiltered = Object.keys(drugQuery).length > 0
+
       // 1. 查询所有药物
-      const drugs = await Drug.find().lean()
+      const drugs = await Drug.find(drugQuery).lean()
+
+      // 2. 查询所有相互作用
+      let interactions = await Interaction.find(interactionQuery).lean()
+      if (drugsFiltered) {
+        const drugIds = new Set(drugs.map(drug => drug._id.toString()))
+        interactions = interactions.filter(interaction =>
+          drugIds.has(interaction.drug1Id.toString()) && drugIds.has(interaction.drug2Id.toString())
+        )
+      }
 
-      // 2. 生成节点数据
-      const nodes = this.generateNodes(drugs)
+      // 3. 生成边数据
+      const edges = this.generateEdges(interactions)
 
-      // 3. 查询所有相互作用
-      const interactions = await Interaction.find().lean()
+      // 4. 生成节点数据（节点值按相互作用计算）
+      const nodes = this.generateNodes(drugs, edges)
 
-      // 4. 生成边数据
-      const edges = this.generateEdges(interactions)
+      // 5. 多药相互作用生成超边
+      const groups = await MultiDrugInteraction.find(interactionQuery).lean()
+      let hyperedges = this.generateHyperedges(groups, drugs)
+      if (drugsFiltered) {
+        hyperedges = hyperedges.filter(isCompleteHyperedge)
+      }
 
-      return { nodes, edges }
+      return { nodes, edges, hyperedges }
     } catch (error) {
       logger.error('获取所有图谱数据失败', { error: error.message })
       throw error
@@ -77,11 +221,16 @@ class GraphService {
   }
 
   /**
-   * 获取筛选后的图谱数据（特定药物及其关联）
+   * 获取筛选后的图谱数据（特定药物及其指定跳数内的关联）
+   * 节点带有 distance（到该药物的跳数）；节点或边数量达到上限时停止扩展，truncated 为 true
+   * 包含该药物参与的多药相互作用（直接成员或按药物类别），其他成员药物一并加入节点，距离记为1
+   * 筛选条件只作用于扩展到的药物和相互作用，指定的药物本身始终保留
    * @param {string} drugId - 药物ID
-   * @returns {Promise<{nodes: Array, edges: Array}>}
+   * @param {number} [depth=1] - 向外扩展的跳数
+   * @param {Object} [filters] - 筛选条件（severity、category、source）
+   * @returns {Promise<{nodes: Array, edges: Array, hyperedges: Array, truncated: boolean}>}
    */
-  async getFilteredGraphData(drugId) {
+  async getFilteredGraphData(drugId, depth = 1, filters = {}) {
     try {
       // 1. 验证药物是否存在
       const targetDrug = await Drug.findById(drugId).lean()
@@ -89,58 +238,222 @@ class GraphService {
         throw new Error('指定的药物不存在')
       }
 
-      // 2. 查询该药物的所有相互作用
-      const interactions = await Interaction.findByDrugId(drugId)
+      // 2. 从该药物出发逐层扩展相互作用，同时查询该药物的多药相互作用
+      const drugQuery = buildDrugQuery(filters)
+      const drugsFiltered = Object.keys(drugQuery).length > 0
+      const [neighborhood, groups] = await Promise.all([
+        this.expandNeighborhood(targetDrug._id.toString(), depth, filters),
+        MultiDrugInteraction.findCandidates([targetDrug]).find(buildInteractionQuery(filters)).lean(),
+      ])
+      const { distances, interactions } = neighborhood
+      let { truncated } = neighborhood
 
-      if (interactions.length === 0) {
+      if (interactions.length === 0 && groups.length === 0) {
         // 如果没有相互作用，只返回该药物节点
-        const nodes = this.generateNodes([targetDrug])
-        return { nodes, edges: [] }
+        const nodes = this.generateNodes([targetDrug]).map(node => ({ ...node, distance: 0 }))
+        return { nodes, edges: [], hyperedges: [], truncated: false }
       }
 
-      // 3. 收集所有相关药物的ID
-      const relatedDrugIds = new Set()
-      relatedDrugIds.add(drugId)
-
-      for (const interaction of interactions) {
-        const drug1IdStr = interaction.drug1Id.toString()
-        const drug2IdStr = interaction.drug2Id.toString()
-        relatedDrugIds.add(drug1IdStr)
-        relatedDrugIds.add(drug2IdStr)
+      // 3. 多药相互作用的其他成员：指定的药物和属于成员类别的药物
+      const memberDrugIds = []
+      const memberClasses = []
+      for (const group of groups) {
+        for (const member of group.members) {
+          if (member.drugId) {
+            memberDrugIds.push(member.drugId.toString())
+          } else {
+            memberClasses.push(member.drugClass)
+          }
+        }
       }
 
       // 4. 查询所有相关药物
+      const classRegexes = [...new Set(memberClasses.map(normalizeDrugClass))]
+        .map(value => new RegExp(`^${escapeRegExp(value)}$`, 'i'))
       const relatedDrugs = await Drug.find({
-        _id: { $in: Array.from(relatedDrugIds) },
+        $or: [
+          { _id: { $in: [...new Set([...distances.keys(), ...memberDrugIds])] } },
+          ...(classRegexes.length > 0 ? [{ category: { $in: classRegexes } }] : []),
+        ],
+        ...drugQuery,
       }).lean()
+      if (!relatedDrugs.some(drug => drug._id.toString() === drugId)) {
+        relatedDrugs.unshift(targetDrug)
+      }
 
-      // 5. 生成节点数据
-      const nodes = this.generateNodes(relatedDrugs)
+      // 多药相互作用成员与该药物直接关联，未经相互作用扩展到的记为1跳（受节点数量上限约束）
+      const drugs = []
+      for (const drug of relatedDrugs) {
+        const id = drug._id.toString()
+        if (!distances.has(id)) {
+          if (distances.size >= config.graph.maxNodes) {
+            truncated = true
+            continue
+          }
+          distances.set(id, 1)
+        }
+        drugs.push(drug)
+      }
+      drugs.sort((a, b) => distances.get(a._id.toString()) - distances.get(b._id.toString()))
 
-      // 6. 生成边数据
+      // 5. 生成边数据
       const edges = this.generateEdges(interactions)
 
-      return { nodes, edges }
+      // 6. 生成节点数据
+      const nodes = this.generateNodes(drugs, edges).map(node => ({ ...node, distance: distances.get(node.id) }))
+
+      // 7. 生成超边数据
+      let hyperedges = this.generateHyperedges(groups, drugs)
+      if (drugsFiltered) {
+        hyperedges = hyperedges.filter(isCompleteHyperedge)
+      }
+
+      return { nodes, edges, hyperedges, truncated }
     } catch (error) {
       logger.error('获取筛选图谱数据失败', {
         drugId,
+        depth,
+        filters,
+        error: error.message,
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 获取一组药物之间的图谱数据（诱导子图），如患者当前用药之间的相互作用
+   * 只包含两端都在列表中的相互作用，以及全部成员都能由列表中的药物对应的多药相互作用
+   * @param {Array<string>} drugIds - 药物ID列表
+   * @param {Object} [filters] - 筛选条件（severity、category、source）
+   * @returns {Promise<{nodes: Array, edges: Array, hyperedges: Array}>}
+   */
+  async getInducedGraphData(drugIds, filters = {}) {
+    try {
+      const uniqueIds = [...new Set(drugIds)]
+
+      // 1. 验证药物是否都存在
+      const existingCount = await Drug.countDocuments({ _id: { $in: uniqueIds } })
+      if (existingCount !== uniqueIds.length) {
+        throw new Error('部分药物不存在')
+      }
+
+      // 2. 查询符合筛选条件的药物
+      const drugs = await Drug.find({ _id: { $in: uniqueIds }, ...buildDrugQuery(filters) }).lean()
+      if (drugs.length === 0) {
+        return { nodes: [], edges: [], hyperedges: [] }
+      }
+
+      // 3. 查询这些药物之间的相互作用和可能的多药相互作用
+      const nodeIds = drugs.map(drug => drug._id.toString())
+      const interactionQuery = buildInteractionQuery(filters)
+      const [interactions, groups] = await Promise.all([
+        Interaction.findAmongDrugs(nodeIds).find(interactionQuery).lean(),
+        MultiDrugInteraction.findCandidates(drugs).find(interactionQuery).lean(),
+      ])
+
+      // 4. 生成边、节点和超边数据
+      const edges = this.generateEdges(interactions)
+      const nodes = this.generateNodes(drugs, edges)
+      const hyperedges = this.generateHyperedges(groups, drugs).filter(isCompleteHyperedge)
+
+      return { nodes, edges, hyperedges }
+    } catch (error) {
+      logger.error('获取药物子图数据失败', {
+        drugCount: drugIds.length,
+        filters,
         error: error.message,
       })
       throw error
     }
   }
 
+  /**
+   * 从指定药物出发按相互作用逐层向外扩展（广度优先，每层一次查询）
+   * 第 N 层查询距离为 N-1 的药物的相互作用，因此返回的边至少有一端距离小于 depth
+   * 节点或边数量达到上限（config.graph.maxNodes / maxEdges）时停止扩展，只保留两端都在结果中的边
+   * 只沿符合筛选条件的相互作用扩展，不符合药物筛选条件的药物不加入结果也不再向外扩展
+   * @param {string} drugId - 起点药物ID
+   * @param {number} depth - 最大跳数
+   * @param {Object} [filters] - 筛选条件（severity、category、source）
+   * @returns {Promise<{distances: Map<string, number>, interactions: Array, truncated: boolean}>}
+   *   distances 为各药物ID到起点的跳数（包含起点，距离为0）
+   */
+  async expandNeighborhood(drugId, depth, filters = {}) {
+    const { maxNodes, maxEdges } = config.graph
+    const drugQuery = buildDrugQuery(filters)
+    const interactionQuery = buildInteractionQuery(filters)
+    const distances = new Map([[drugId, 0]])
+    const interactions = new Map()
+    let frontier = [drugId]
+    let truncated = false
+
+    for (let level = 1; level <= depth && frontier.length > 0 && !truncated; level++) {
+      const found = await Interaction.find({
+        $or: [{ drug1Id: { $in: frontier } }, { drug2Id: { $in: frontier } }],
+        ...interactionQuery,
+      }).lean()
+
+      // 按药物筛选时，先查出新药物中符合条件的部分
+      let allowed = null
+      if (Object.keys(drugQuery).length > 0) {
+        const newDrugIds = [...new Set(found
+          .flatMap(interaction => [interaction.drug1Id.toString(), interaction.drug2Id.toString()])
+          .filter(id => !distances.has(id)))]
+        const allowedDrugs = newDrugIds.length > 0
+          ? await Drug.find({ _id: { $in: newDrugIds }, ...drugQuery }, { _id: 1 }).lean()
+          : []
+        allowed = new Set(allowedDrugs.map(drug => drug._id.toString()))
+      }
+
+      const nextFrontier = []
+      for (const interaction of found) {
+        const id = interaction._id.toString()
+        if (interactions.has(id)) {
+          continue
+        }
+        if (interactions.size >= maxEdges) {
+          truncated = true
+          break
+        }
+
+        const ends = [interaction.drug1Id.toString(), interaction.drug2Id.toString()]
+        for (const end of ends) {
+          if (distances.has(end) || (allowed && !allowed.has(end))) {
+            continue
+          }
+          if (distances.size >= maxNodes) {
+            truncated = true
+            break
+          }
+          distances.set(end, level)
+          nextFrontier.push(end)
+        }
+
+        if (ends.every(end => distances.has(end))) {
+          interactions.set(id, interaction)
+        }
+      }
+
+      frontier = nextFrontier
+    }
+
+    return { distances, interactions: [...interactions.values()], truncated }
+  }
+
   /**
    * 生成图谱节点数据
    * @param {Array} drugs - 药物数组
+   * @param {Array} [edges] - 图中的边，用于按加权度数计算节点值
    * @returns {Array} 节点数组
    */
-  generateNodes(drugs) {
+  generateNodes(drugs, edges = []) {
+    const degrees = computeDegrees(buildAdjacency(drugs.map(drug => drug._id.toString()), edges))
+
     return drugs.map(drug => ({
       id: drug._id.toString(),
       name: drug.name,
       category: drug.category,
-      value: this.calculateNodeValue(drug),
+      value: this.calculateNodeValue(drug, degrees.get(drug._id.toString()).weightedDegree),
       source: drug.source || 'manual',
       // 额外信息，用于前端展示
       description: drug.description,
@@ -164,34 +477,64 @@ class GraphService {
     }))
   }
 
+  /**
+   * 生成多药相互作用的超边数据
+   * 每个成员对应图中的药物节点：指定药物的成员对应该药物，药物类别成员对应该类别的所有药物
+   * @param {Array} groups - 多药相互作用数组
+   * @param {Array} drugs - 图中的药物数组
+   * @returns {Array} 超边数组
+   */
+  generateHyperedges(groups, drugs) {
+    return groups.map(group => {
+      const members = group.members.map(member => {
+        if (member.drugId) {
+          const drugId = member.drugId.toString()
+          return {
+            drugId,
+            drugName: member.drugName,
+            nodeIds: drugs.some(drug => drug._id.toString() === drugId) ? [drugId] : [],
+          }
+        }
+        return {
+          drugClass: member.drugClass,
+          nodeIds: drugs
+            .filter(drug => normalizeDrugClass(drug.category) === normalizeDrugClass(member.drugClass))
+            .map(drug => drug._id.toString()),
+        }
+      })
+
+      return {
+        id: group._id.toString(),
+        members,
+        nodeIds: [...new Set(members.flatMap(member => member.nodeIds))],
+        value: this.calculateEdgeValue(group.severity),
+        severity: group.severity,
+        interactionType: group.interactionType || '未知',
+        // 额外信息，用于前端展示
+        description: group.description,
+      }
+    })
+  }
+
   /**
    * 计算节点的值（大小/重要性）
-   * 基于药物的相互作用数量
+   * 基于药物的加权度数（相互作用按严重程度计权后求和）
    * @param {Object} drug - 药物对象
+   * @param {number} [weightedDegree=0] - 加权度数
    * @returns {number} 节点值
    */
-  calculateNodeValue(drug) {
-    // 基础值
-    let value = 10
-
-    // 可以根据药物的属性调整值
-    // 例如：AI生成的药物值较小
-    if (drug.source === 'ai') {
-      value = 8
-    }
+  calculateNodeValue(drug, weightedDegree = 0) {
+    // 基础值：AI生成的药物值较小
+    const value = drug.source === 'ai' ? 8 : 10
 
-    // 如果有副作用信息，增加值
-    if (drug.sideEffects && drug.sideEffects.length > 0) {
-      value += Math.min(drug.sideEffects.length, 5)
-    }
-
-    return value
+    // 按加权度数增大，开方压缩枢纽药物与普通药物的差距，并设上限
+    return value + Math.min(Math.round(Math.sqrt(weightedDegree) * 3), 30)
   }
 
   /**
    * 计算边的值（权重）
    * 基于相互作用的严重程度
-   * @param {string} severity - 严重程度：low, medium, high
+   * @param {string} severity - 严重程度：low, medium, high, contraindicated
    * @returns {number} 边的权重
    */
   calculateEdgeValue(severity) {
@@ -199,11 +542,201 @@ class GraphService {
       low: 1,
       medium: 3,
       high: 5,
+      contraindicated: 8,
     }
 
     return severityWeights[severity] || 1
   }
 
+  /**
+   * 图谱分析：度数、加权度数、介数中心性、连通分量和社区划分，并按指标排出枢纽药物
+   * 只分析两两之间的相互作用（多药相互作用不计入）；连通分量和社区只列出至少包含两种药物的
+   * @param {Object} [options] - 选项
+   * @param {number} [options.limit=10] - 返回的枢纽药物数量
+   * @param {string} [options.sortBy='weightedDegree'] - 枢纽药物排序指标：degree、weightedDegree 或 betweenness
+   * @param {string} [options.severity] - 相互作用的最低严重程度
+   * @param {string} [options.category] - 药物分类
+   * @param {string} [options.source] - 数据来源
+   * @returns {Promise<{summary: Object, hubs: Array, components: Array, communities: Array}>}
+   */
+  async getGraphAnalytics(options = {}) {
+    const { limit = 10, sortBy = 'weightedDegree', ...filters } = options
+
+    try {
+      const { summary, metrics, components, communities } = await this.analyzeGraph(filters)
+
+      // 按指定指标排序，其余指标依次作为并列时的次序
+      const sortKeys = [sortBy, ...['weightedDegree', 'degree', 'betweenness'].filter(key => key !== sortBy)]
+      const hubs = metrics
+        .filter(item => item.degree > 0)
+        .sort((a, b) => {
+          for (const key of sortKeys) {
+            if (b[key] !== a[key]) {
+              return b[key] - a[key]
+            }
+          }
+          return a.name.localeCompare(b.name)
+        })
+        .slice(0, limit)
+        .map((item, index) => ({ rank: index + 1, ...item }))
+
+      return {
+        summary,
+        hubs,
+        components: components.map((component, index) => ({ id: index, size: component.length, nodeIds: component })),
+        communities: communities.map((community, index) => ({ id: index, size: community.length, nodeIds: community })),
+      }
+    } catch (error) {
+      logger.error('图谱分析失败', { filters, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 计算图谱的各项指标（结果按筛选条件缓存，药物或相互作用写入后失效）
+   * @param {Object} filters - 筛选条件（severity、category、source）
+   * @returns {Promise<{summary: Object, metrics: Array, components: Array, communities: Array}>}
+   */
+  async analyzeGraph(filters) {
+    const key = JSON.stringify([filters.severity, filters.category, filters.source])
+    const cached = this.analyticsCache.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.analysis
+    }
+
+    const version = this.analyticsCacheVersion
+    const { nodes, edges } = await this.getAllGraphData(filters)
+
+    const adjacency = buildAdjacency(nodes.map(node => node.id), edges)
+    const degrees = computeDegrees(adjacency)
+    const betweenness = computeBetweenness(adjacency)
+    const components = findConnectedComponents(adjacency).filter(component => component.length > 1)
+    const communityGroups = detectCommunities(adjacency)
+    const communities = communityGroups.filter(community => community.length > 1)
+
+    const componentOf = new Map()
+    components.forEach((component, index) => component.forEach(id => componentOf.set(id, index)))
+    const communityOf = new Map()
+    communities.forEach((community, index) => community.forEach(id => communityOf.set(id, index)))
+
+    const metrics = nodes.map(node => ({
+      id: node.id,
+      name: node.name,
+      category: node.category,
+      degree: degrees.get(node.id).degree,
+      weightedDegree: degrees.get(node.id).weightedDegree,
+      betweenness: Number(betweenness.get(node.id).toFixed(4)),
+      componentId: componentOf.get(node.id) ?? null,
+      communityId: communityOf.get(node.id) ?? null,
+    }))
+
+    const edgeCount = [...degrees.values()].reduce((sum, item) => sum + item.degree, 0) / 2
+    const nodeCount = nodes.length
+    const summary = {
+      nodeCount,
+      edgeCount,
+      density: nodeCount > 1 ? Number((edgeCount / (nodeCount * (nodeCount - 1) / 2)).toFixed(4)) : 0,
+      isolatedCount: metrics.filter(item => item.degree === 0).length,
+      componentCount: components.length,
+      largestComponentSize: components[0]?.length || 0,
+      communityCount: communities.length,
+      modularity: Number(calculateModularity(adjacency, communityGroups).toFixed(4)),
+    }
+
+    logger.info('图谱分析完成', { ...summary, filters })
+
+    const analysis = { summary, metrics, components, communities }
+    if (version === this.analyticsCacheVersion) {
+      if (this.analyticsCache.size >= ANALYTICS_CACHE_MAX_ENTRIES) {
+        this.analyticsCache.clear()
+      }
+      this.analyticsCache.set(key, { analysis, expiresAt: Date.now() + ANALYTICS_CACHE_TTL_MS })
+    }
+
+    return analysis
+  }
+
+  /**
+   * 查找两种药物之间经由相互作用相连的最短路径，用于解释间接关联
+   * 默认按跳数最少；weighted 为 true 时优先经过严重程度高的相互作用，
+   * 每条边的代价为 contraindicated 的权重除以该边的权重（contraindicated 为1，low 为8）
+   * @param {string} fromId - 起点药物ID
+   * @param {string} toId - 终点药物ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.weighted=false] - 是否按严重程度加权
+   * @param {string} [options.severity] - 相互作用的最低严重程度
+   * @param {string} [options.category] - 药物分类（起点和终点药物始终保留）
+   * @param {string} [options.source] - 数据来源
+   * @returns {Promise<{found: boolean, weighted: boolean, hops: number|null, cost: number|null, nodes: Array, edges: Array}>}
+   *   nodes 和 edges 按路径顺序排列，edges 的 source/target 沿路径方向
+   */
+  async getShortestPath(fromId, toId, options = {}) {
+    const { weighted = false, ...filters } = options
+
+    try {
+      const endpointCount = await Drug.countDocuments({ _id: { $in: [fromId, toId] } })
+      if (endpointCount !== 2) {
+        throw new Error('起点或终点药物不存在')
+      }
+
+      const { nodes, edges } = await this.getAllGraphData(filters)
+
+      // 药物筛选不排除起点和终点
+      const nodeIds = new Set(nodes.map(node => node.id))
+      let pathNodes = nodes
+      let pathEdges = edges
+      const missingEndpoints = [fromId, toId].filter(id => !nodeIds.has(id))
+      if (missingEndpoints.length > 0) {
+        const endpointDrugs = await Drug.find({ _id: { $in: missingEndpoints } }).lean()
+        const interactions = await Interaction.find({
+          $or: [{ drug1Id: { $in: missingEndpoints } }, { drug2Id: { $in: missingEndpoints } }],
+          ...buildInteractionQuery(filters),
+        }).lean()
+        pathNodes = [...nodes, ...this.generateNodes(endpointDrugs)]
+        pathEdges = [...edges, ...this.generateEdges(interactions)]
+      }
+
+      const adjacency = buildAdjacency(pathNodes.map(node => node.id), pathEdges)
+      const maxWeight = this.calculateEdgeValue('contraindicated')
+      const result = findShortestPath(adjacency, fromId, toId, weighted ? weight => maxWeight / weight : undefined)
+
+      if (!result) {
+        logger.info('两种药物之间没有路径', { fromId, toId, weighted, filters })
+        return { found: false, weighted, hops: null, cost: null, nodes: [], edges: [] }
+      }
+
+      // 同一对药物有多条相互作用时，取权重最大的一条（与邻接表一致）
+      const edgeByPair = new Map()
+      for (const edge of pathEdges) {
+        const key = [edge.source, edge.target].sort().join('|')
+        if (!edgeByPair.has(key) || edge.value > edgeByPair.get(key).value) {
+          edgeByPair.set(key, edge)
+        }
+      }
+
+      const nodeById = new Map(pathNodes.map(node => [node.id, node]))
+      const pathEdgeList = result.nodeIds.slice(1).map((id, index) => {
+        const previousId = result.nodeIds[index]
+        const edge = edgeByPair.get([previousId, id].sort().join('|'))
+        return { ...edge, source: previousId, target: id }
+      })
+
+      logger.info('查找药物路径完成', { fromId, toId, weighted, hops: pathEdgeList.length })
+
+      return {
+        found: true,
+        weighted,
+        hops: pathEdgeList.length,
+        cost: Number(result.cost.toFixed(4)),
+        nodes: result.nodeIds.map(id => nodeById.get(id)),
+        edges: pathEdgeList,
+      }
+    } catch (error) {
+      logger.error('查找药物路径失败', { fromId, toId, error: error.message })
+      throw error
+    }
+  }
+
   /**
    * 获取药物的相互作用统计
    * @param {string} drugId - 药物ID
@@ -226,6 +759,7 @@ class GraphService {
 
       // 统计各严重程度的数量
       const severityCounts = {
+        contraindicated: 0,
         high: 0,
         medium: 0,
         low: 0,
@@ -240,6 +774,7 @@ class GraphService {
         drugName: drug.name,
         totalInteractions: interactions.length,
         severityCounts,
+        contraindicatedCount: severityCounts.contraindicated,
         highRiskCount: severityCounts.high,
         mediumRiskCount: severityCounts.medium,
         lowRiskCount: severityCounts.low,
@@ -263,7 +798,7 @@ class GraphService {
    */
   async getGraphStats() {
     try {
-      const [drugCount, interactionCount, severityCounts] = await Promise.all([
+      const [drugCount, interactionCount, severityCounts, multiDrugInteractionCount] = await Promise.all([
         Drug.countDocuments(),
         Interaction.countDocuments(),
         Interaction.aggregate([
@@ -274,11 +809,13 @@ class GraphService {
             },
           },
         ]),
+        MultiDrugInteraction.countDocuments(),
       ])
 
       const stats = {
         totalDrugs: drugCount,
         totalInteractions: interactionCount,
+        totalMultiDrugInteractions: multiDrugInteractionCount,
         severityDistribution: severityCounts.reduce((acc, item) => {
           acc[item._id] = item.count
           return acc
@@ -1,7 +1,220 @@
-import Interaction from '../models/Interaction.js'
+import mongoose from 'mongoose'
+import Interaction, { INTERACTION_SEVERITIES } from '../models/Interaction.js'
 import Drug from '../models/Drug.js'
+import { resolveReviewStatus } from '../models/reviewSchema.js'
 import { aiService } from './AIService.js'
+import { drugService } from './DrugService.js'
+import { conditionService } from './ConditionService.js'
+import { multiDrugInteractionService } from './MultiDrugInteractionService.js'
+import { config } from '../config/env.js'
 import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 严重程度（按风险从低到高排列）
+const SEVERITY_LEVELS = INTERACTION_SEVERITIES
+
+// 单次检测可提供的患者疾病/状态数量上限
+const MAX_CONDITIONS = 20
+
+// 增量检测时每种候选药物返回的替代药物数量
+const MAX_ALTERNATIVES = 5
+
+// 排序替代药物时最多比较的同类药物数量
+const MAX_ALTERNATIVE_CANDIDATES = 50
+
+// 列表查询允许排序的字段
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'severity',
+  'drug1Name',
+  'drug2Name',
+  'interactionType',
+]
+
+/**
+ * 生成与顺序无关的药物对键
+ * @param {string} drugId1 - 药物1的ID
+ * @param {string} drugId2 - 药物2的ID
+ * @returns {string} 药物对键
+ */
+const pairKey = (drugId1, drugId2) =>
+  [drugId1.toString(), drugId2.toString()].sort().join(':')
+
+/**
+ * 创建药物数量超过上限的错误
+ * @param {number} maxDrugs - 药物数量上限
+ * @returns {Error}
+ */
+const createTooManyDrugsError = (maxDrugs) => {
+  const limitError = new Error(`单次最多检测${maxDrugs}种药物`)
+  limitError.code = 'TOO_MANY_DRUGS'
+  limitError.status = 400
+  return limitError
+}
+
+/**
+ * 转换为检测结果中的相互作用对象，附带审核标记
+ * @param {Object} interaction - 相互作用文档或普通对象
+ * @returns {Object} 普通对象（含 reviewStatus 和 reviewed）
+ */
+const toResultItem = (interaction) => {
+  const plain = interaction.toObject ? interaction.toObject() : interaction
+  const reviewStatus = resolveReviewStatus(plain)
+  return {
+    ...plain,
+    reviewStatus,
+    reviewed: reviewStatus === 'approved',
+  }
+}
+
+/**
+ * 解析并校验相互作用检测的参数（HTTP接口和异步任务共用）
+ * @param {Object} body - 请求体或任务输入
+ * @returns {{params?: Object, message?: string}} 校验通过时返回 params，否则返回错误信息 message
+ */
+export const parseCheckInput = (body) => {
+  const { drugIds = [], drugNames = [], conditions = [], analyzeUnknown = false } = body || {}
+
+  if (!Array.isArray(drugIds) || !Array.isArray(drugNames) || !Array.isArray(conditions)) {
+    return { message: 'drugIds、drugNames 和 conditions 必须是数组' }
+  }
+
+  if (drugIds.length + drugNames.length < 2) {
+    return { message: '至少需要2个药物ID或药物名称进行相互作用检测' }
+  }
+
+  // 验证每个drugId和药物名称都是非空字符串
+  const isBlank = value => typeof value !== 'string' || value.trim().length === 0
+  if (drugIds.some(isBlank) || drugNames.some(isBlank)) {
+    return { message: '所有药物ID和药物名称必须是非空字符串' }
+  }
+
+  if (conditions.some(isBlank)) {
+    return { message: '疾病/状态名称必须是非空字符串' }
+  }
+
+  if (conditions.length > MAX_CONDITIONS) {
+    return { message: `疾病/状态最多${MAX_CONDITIONS}项` }
+  }
+
+  return {
+    params: {
+      drugIds,
+      drugNames,
+      conditions,
+      analyzeUnknown: analyzeUnknown === true,
+    },
+  }
+}
+
+/**
+ * 解析并校验增量检测（在现有用药基础上加药）的参数
+ * @param {Object} body - 请求体
+ * @returns {{params?: Object, message?: string}} 校验通过时返回 params，否则返回错误信息 message
+ */
+export const parseIncrementalInput = (body) => {
+  const { existingDrugIds = [], candidateDrugIds = [], conditions = [] } = body || {}
+
+  if (!Array.isArray(existingDrugIds) || !Array.isArray(candidateDrugIds) || !Array.isArray(conditions)) {
+    return { message: 'existingDrugIds、candidateDrugIds 和 conditions 必须是数组' }
+  }
+
+  if (existingDrugIds.length === 0 || candidateDrugIds.length === 0) {
+    return { message: '至少需要1个现有药物和1个候选药物' }
+  }
+
+  if ([...existingDrugIds, ...candidateDrugIds].some(id => !mongoose.isValidObjectId(id))) {
+    return { message: '所有药物ID必须是有效的ID' }
+  }
+
+  const existing = new Set(existingDrugIds)
+  if (candidateDrugIds.some(id => existing.has(id))) {
+    return { message: '候选药物不能与现有药物重复' }
+  }
+
+  if (conditions.some(value => typeof value !== 'string' || value.trim().length === 0)) {
+    return { message: '疾病/状态名称必须是非空字符串' }
+  }
+
+  if (conditions.length > MAX_CONDITIONS) {
+    return { message: `疾病/状态最多${MAX_CONDITIONS}项` }
+  }
+
+  return {
+    params: {
+      existingDrugIds: [...existing],
+      candidateDrugIds: [...new Set(candidateDrugIds)],
+      conditions,
+    },
+  }
+}
+
+/**
+ * 严重程度的排序值，没有相互作用（null）最低
+ * @param {string|null} severity - 严重程度
+ * @returns {number}
+ */
+const severityRank = (severity) => SEVERITY_LEVELS.indexOf(severity)
+
+/**
+ * 取一组发现（相互作用或禁忌）中最严重的严重程度
+ * @param {Array} findings - 带 severity 的对象数组
+ * @returns {string|null} 最严重的严重程度，没有发现时为null
+ */
+const maxSeverity = (findings) => findings.reduce(
+  (max, finding) => (severityRank(finding.severity) > severityRank(max) ? finding.severity : max),
+  null
+)
+
+/**
+ * 创建按严重程度计数的对象
+ * @returns {Object} { low: 0, medium: 0, high: 0, contraindicated: 0 }
+ */
+const countBySeverity = () => Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]))
+
+/**
+ * 发送检测进度事件，回调出错不影响检测本身
+ * @param {Function} [onProgress] - 进度回调
+ * @param {Object} event - 进度事件
+ */
+const emitProgress = (onProgress, event) => {
+  if (!onProgress) {
+    return
+  }
+  try {
+    onProgress(event)
+  } catch (error) {
+    logger.warn('发送检测进度失败', { type: event.type, error: error.message })
+  }
+}
+
+/**
+ * 规范化药物名称用于比较：转小写，去除空白和常见标点
+ * @param {string} name - 药物名称
+ * @returns {string} 规范化后的名称
+ */
+const normalizeDrugName = (name) =>
+  String(name || '').toLowerCase().replace(/[\s\-_·.,，。]/g, '')
+
+/**
+ * 判断AI返回的名称是否指向给定药物
+ * 同时比较名称和通用名，并兼容"阿司匹林（Aspirin）"这类带括号注释的写法
+ * @param {Object} drug - 药物对象
+ * @param {string} aiName - AI返回的药物名称
+ * @returns {boolean}
+ */
+const matchesDrugName = (drug, aiName) => {
+  const known = [drug.name, drug.genericName].map(normalizeDrugName).filter(Boolean)
+
+  // 拆分括号内外的部分，任一部分匹配即可
+  const candidates = String(aiName || '')
+    .split(/[()（）[\]【】]/)
+    .map(normalizeDrugName)
+    .filter(Boolean)
+
+  return candidates.some(candidate => known.includes(candidate))
+}
 
 /**
  * 相互作用服务类
@@ -11,10 +224,24 @@ class InteractionService {
   /**
    * 检测多个药物之间的相互作用
    * 实现缓存优先策略：优先查询数据库，不存在时调用AI
+   *
+   * 提供 onProgress 时依次发送进度事件：
+   * - start：{ drugCount, pairCount }
+   * - pair：{ source: 'database' | 'ai', interaction } 每得到一对药物的相互作用
+   * - pair_skipped：{ reason: 'rejected', drug1Name, drug2Name } 跳过已驳回的数据
+   * - ai_start：{ missingCount, pairs } 开始调用AI分析缺失的药物对
+   * - contraindications：{ contraindications } 药物-疾病/状态和药物-药物类别禁忌
+   * - multi_drug：{ multiDrugInteractions } 全部成员都在场的多药（三种及以上）相互作用
    * @param {string[]} drugIds - 药物ID数组
-   * @returns {Promise<Object>} 检测结果
+   * @param {Object} [options] - 选项
+   * @param {string[]} [options.conditions] - 患者的疾病/状态名称，用于检测药物-疾病禁忌
+   * @param {Array} [options.patientFactors] - 患者因素 [{ factor, label }]，计入风险评分
+   * @param {Function} [options.onProgress] - 进度回调
+   * @returns {Promise<Object>} 检测结果（提供疾病/状态时包含 conditionResolution）
    */
-  async checkInteractions(drugIds) {
+  async checkInteractions(drugIds, options = {}) {
+    const { conditions = [], patientFactors = [], onProgress } = options
+
     try {
       // 参数验证
       if (!Array.isArray(drugIds) || drugIds.length < 2) {
@@ -27,6 +254,11 @@ class InteractionService {
         throw new Error('至少需要2个不同的药物进行相互作用检测')
       }
 
+      const { maxDrugs } = config.interactionCheck
+      if (uniqueDrugIds.length > maxDrugs) {
+        throw createTooManyDrugsError(maxDrugs)
+      }
+
       logger.info('开始检测药物相互作用', {
         drugIds: uniqueDrugIds,
         count: uniqueDrugIds.length,
@@ -51,21 +283,53 @@ class InteractionService {
       }
 
       logger.info('生成药物对组合', { pairCount: pairs.length })
+      emitProgress(onProgress, {
+        type: 'start',
+        drugCount: uniqueDrugIds.length,
+        pairCount: pairs.length,
+      })
+
+      // 3. 一次查询所有药物对的相互作用，按药物对建立索引
+      const existingInteractions = await Interaction.findAmongDrugs(uniqueDrugIds)
+      const existingMap = new Map()
+      for (const interaction of existingInteractions) {
+        const key = pairKey(interaction.drug1Id, interaction.drug2Id)
+        if (!existingMap.has(key)) {
+          existingMap.set(key, interaction)
+        }
+      }
 
-      // 3. 查询每对药物的相互作用
       const interactions = []
       const missingPairs = []
       let dataSource = 'database' // 数据来源：database, ai, mixed
+      let rejectedCount = 0
 
       for (const [drugId1, drugId2] of pairs) {
-        // 查询数据库中是否存在该相互作用
-        const existingInteraction = await Interaction.findBetweenDrugs(
-          drugId1,
-          drugId2
-        )
+        const existingInteraction = existingMap.get(pairKey(drugId1, drugId2))
 
         if (existingInteraction) {
+          // 被驳回的数据保留用于追溯，但不作为检测结果，也不再交给AI重新生成
+          if (existingInteraction.getReviewStatus() === 'rejected') {
+            rejectedCount++
+            logger.info('跳过已驳回的相互作用', {
+              drug1: existingInteraction.drug1Name,
+              drug2: existingInteraction.drug2Name,
+            })
+            emitProgress(onProgress, {
+              type: 'pair_skipped',
+              reason: 'rejected',
+              drug1Name: existingInteraction.drug1Name,
+              drug2Name: existingInteraction.drug2Name,
+            })
+            continue
+          }
+
           interactions.push(existingInteraction)
+          emitProgress(onProgress, {
+            type: 'pair',
+            source: 'database',
+            interaction: toResultItem(existingInteraction),
+          })
           logger.info('从数据库获取相互作用', {
             drug1: existingInteraction.drug1Name,
             drug2: existingInteraction.drug2Name,
@@ -83,78 +347,73 @@ class InteractionService {
 
       // 4. 如果有缺失的相互作用，调用AI分析
       if (missingPairs.length > 0) {
+        const missingCount = missingPairs.length
         logger.info('部分相互作用数据缺失，调用AI分析', {
-          missingCount: missingPairs.length,
+          missingCount,
+        })
+        emitProgress(onProgress, {
+          type: 'ai_start',
+          missingCount,
+          pairs: missingPairs.map(pair => ({
+            drug1Name: pair.drug1.name,
+            drug2Name: pair.drug2.name,
+          })),
         })
 
-        // 调用AI分析所有药物的相互作用
-        const drugNames = drugs.map(drug => drug.name)
-        const aiResult = await aiService.analyzeInteractions(drugNames)
-
-        // 验证AI返回的数据
-        if (!aiResult.interactions || !Array.isArray(aiResult.interactions)) {
-          throw new Error('AI返回的相互作用数据格式不正确')
-        }
-
-        // 处理AI返回的相互作用数据
-        for (const aiInteraction of aiResult.interactions) {
-          // 查找对应的药物对
-          const pair = missingPairs.find(
-            p =>
-              (p.drug1.name === aiInteraction.drug1 &&
-                p.drug2.name === aiInteraction.drug2) ||
-              (p.drug1.name === aiInteraction.drug2 &&
-                p.drug2.name === aiInteraction.drug1)
-          )
-
-          if (pair) {
-            // 保存AI分析结果到数据库
-            const savedInteraction = await this.saveInteraction({
-              drug1Id: pair.drugId1,
-              drug2Id: pair.drugId2,
-              drug1Name: pair.drug1.name,
-              drug2Name: pair.drug2.name,
-              interactionType: aiInteraction.interactionType,
-              severity: aiInteraction.severity,
-              description: aiInteraction.description,
-              recommendation: aiInteraction.recommendation,
-              source: 'ai',
-            })
-
-            interactions.push(savedInteraction)
-
-            logger.info('AI分析结果已保存', {
-              drug1: pair.drug1.name,
-              drug2: pair.drug2.name,
-              severity: aiInteraction.severity,
-            })
-          }
-        }
+        // 只让AI分析缺失的药物对
+        interactions.push(...await this._analyzeMissingPairs(missingPairs, onProgress))
 
         // 更新数据来源标识
-        if (interactions.length === missingPairs.length) {
+        if (interactions.length === missingCount) {
           dataSource = 'ai'
         } else {
           dataSource = 'mixed'
         }
       }
 
-      // 5. 计算整体风险等级
-      const riskLevel = this.calculateOverallRisk(interactions)
+      // 5. 检测药物-疾病/状态和药物-药物类别禁忌
+      const { contraindications, conditionResolution } =
+        await conditionService.checkContraindications(drugs, conditions)
+      emitProgress(onProgress, { type: 'contraindications', contraindications })
+
+      // 6. 检测多药组合相互作用（如 NSAIDs + ACEI + 利尿剂）
+      const multiDrugInteractions = await multiDrugInteractionService.detect(drugs)
+      emitProgress(onProgress, { type: 'multi_drug', multiDrugInteractions })
+
+      // 7. 计算风险评分和整体风险等级（禁忌、多药相互作用与药物对相互作用一并计入）
+      const riskScore = this.calculateRiskScore(interactions, contraindications, patientFactors, multiDrugInteractions)
+      const riskLevel = riskScore.riskLevel
+
+      // 8. 标记未经人工审核的数据，便于区分审核过的知识与模型输出
+      const results = interactions.map(toResultItem)
+      const unreviewedCount = results.filter(item => !item.reviewed).length
 
       logger.info('药物相互作用检测完成', {
         drugCount: uniqueDrugIds.length,
         interactionCount: interactions.length,
+        contraindicationCount: contraindications.length,
+        multiDrugInteractionCount: multiDrugInteractions.length,
         riskLevel,
+        riskScore: riskScore.score,
         source: dataSource,
+        unreviewedCount,
       })
 
       return {
-        interactions,
+        interactions: results,
+        contraindications,
+        multiDrugInteractions,
         riskLevel,
+        riskScore,
         source: dataSource,
         drugCount: uniqueDrugIds.length,
         interactionCount: interactions.length,
+        contraindicationCount: contraindications.length,
+        multiDrugInteractionCount: multiDrugInteractions.length,
+        unreviewedCount,
+        hasUnreviewedData: unreviewedCount > 0,
+        rejectedCount,
+        ...(conditionResolution ? { conditionResolution } : {}),
       }
     } catch (error) {
       logger.error('检测药物相互作用失败', {
@@ -166,6 +425,537 @@ class InteractionService {
     }
   }
 
+  /**
+   * 按药物ID和/或药物名称检测相互作用
+   * 名称通过 DrugService.resolveNames 解析，有歧义或未解析的名称不参与检测，
+   * 在结果的 resolution 字段中列出
+   * @param {Object} params - 检测参数
+   * @param {string[]} [params.drugIds] - 药物ID数组
+   * @param {string[]} [params.drugNames] - 药物名称数组（中文名、通用名或商品名）
+   * @param {string[]} [params.conditions] - 患者的疾病/状态名称（如"消化道溃疡"、"孕晚期"）
+   * @param {boolean} [params.analyzeUnknown=false] - 是否对数据库中不存在的名称调用AI分析并保存
+   * @param {Function} [params.onProgress] - 进度回调，名称解析完成后先发送 resolution 事件，其余见 checkInteractions
+   * @returns {Promise<Object>} 检测结果（提供名称时包含 resolution）
+   */
+  async checkByInput({ drugIds = [], drugNames = [], conditions = [], analyzeUnknown = false, onProgress }) {
+    // 药物数量上限按去重后的药物计算（见 checkInteractions），
+    // 这里只在解析名称（可能调用AI）之前限制不同名称的数量
+    const { maxDrugs } = config.interactionCheck
+    if (new Set(drugNames).size > maxDrugs) {
+      throw createTooManyDrugsError(maxDrugs)
+    }
+
+    if (drugNames.length === 0) {
+      return this.checkInteractions(drugIds, { conditions, onProgress })
+    }
+
+    const resolution = await drugService.resolveNames(drugNames, { analyzeUnknown })
+    emitProgress(onProgress, { type: 'resolution', resolution })
+    const allDrugIds = [
+      ...new Set([...drugIds, ...resolution.resolved.map(item => item.drugId)]),
+    ]
+
+    if (allDrugIds.length < 2) {
+      const insufficientError = new Error('可检测的药物少于2种，请确认有歧义或无法识别的药物名称')
+      insufficientError.code = 'INSUFFICIENT_DRUGS'
+      insufficientError.status = 400
+      insufficientError.details = resolution
+      throw insufficientError
+    }
+
+    const result = await this.checkInteractions(allDrugIds, { conditions, onProgress })
+
+    return {
+      ...result,
+      resolution,
+    }
+  }
+
+  /**
+   * 增量检测：在现有用药基础上加入候选药物，只检测新增的药物对
+   * - 新增药物对（候选药物与现有药物、候选药物之间）按数据库优先、缺失时调用AI的策略检测
+   * - 现有药物之间只使用数据库已有数据计算加药前的风险，不调用AI
+   * - 候选药物带来中高风险时，推荐同类别（category）中与现有药物没有高风险相互作用的替代药物
+   * @param {Object} params - 检测参数
+   * @param {string[]} params.existingDrugIds - 现有药物ID数组
+   * @param {string[]} params.candidateDrugIds - 候选药物ID数组（不能与现有药物重复）
+   * @param {string[]} [params.conditions] - 患者的疾病/状态名称
+   * @returns {Promise<Object>} 增量检测结果
+   */
+  async checkIncremental({ existingDrugIds, candidateDrugIds, conditions = [] }) {
+    try {
+      const allDrugIds = [...existingDrugIds, ...candidateDrugIds]
+
+      const { maxDrugs } = config.interactionCheck
+      if (allDrugIds.length > maxDrugs) {
+        throw createTooManyDrugsError(maxDrugs)
+      }
+
+      const drugs = await Drug.find({ _id: { $in: allDrugIds } }).lean()
+      if (drugs.length !== allDrugIds.length) {
+        throw new Error('部分药物ID不存在')
+      }
+      const drugMap = new Map(drugs.map(drug => [drug._id.toString(), drug]))
+      const isCandidate = (drugId) => candidateDrugIds.includes(drugId?.toString())
+
+      // 1. 一次查询所有药物对的已有数据（跳过已驳回的数据）
+      const existingMap = new Map()
+      let rejectedCount = 0
+      for (const interaction of await Interaction.findAmongDrugs(allDrugIds)) {
+        const key = pairKey(interaction.drug1Id, interaction.drug2Id)
+        if (existingMap.has(key)) {
+          continue
+        }
+        if (interaction.getReviewStatus() === 'rejected') {
+          if (isCandidate(interaction.drug1Id) || isCandidate(interaction.drug2Id)) {
+            rejectedCount++
+          }
+          continue
+        }
+        existingMap.set(key, interaction)
+      }
+
+      // 2. 现有药物之间：只使用已有数据
+      const baselineInteractions = []
+      let baselineMissingPairCount = 0
+      for (let i = 0; i < existingDrugIds.length; i++) {
+        for (let j = i + 1; j < existingDrugIds.length; j++) {
+          const interaction = existingMap.get(pairKey(existingDrugIds[i], existingDrugIds[j]))
+          if (interaction) {
+            baselineInteractions.push(interaction)
+          } else {
+            baselineMissingPairCount++
+          }
+        }
+      }
+
+      // 3. 新增药物对：数据库优先，缺失的调用AI
+      const newPairs = []
+      candidateDrugIds.forEach((candidateId, index) => {
+        for (const otherId of [...existingDrugIds, ...candidateDrugIds.slice(index + 1)]) {
+          newPairs.push([candidateId, otherId])
+        }
+      })
+
+      const newInteractions = []
+      const missingPairs = []
+      for (const [drugId1, drugId2] of newPairs) {
+        const interaction = existingMap.get(pairKey(drugId1, drugId2))
+        if (interaction) {
+          newInteractions.push(interaction)
+        } else {
+          missingPairs.push({
+            drugId1,
+            drugId2,
+            drug1: drugMap.get(drugId1),
+            drug2: drugMap.get(drugId2),
+          })
+        }
+      }
+
+      let dataSource = 'database'
+      if (missingPairs.length > 0) {
+        logger.info('增量检测中部分新增药物对数据缺失，调用AI分析', {
+          missingCount: missingPairs.length,
+        })
+        const analyzed = await this._analyzeMissingPairs(missingPairs)
+        dataSource = newInteractions.length === 0 ? 'ai' : 'mixed'
+        newInteractions.push(...analyzed)
+      }
+
+      // 4. 禁忌：涉及候选药物的为新增禁忌
+      const { contraindications, conditionResolution } =
+        await conditionService.checkContraindications(drugs, conditions)
+      const newContraindications = contraindications.filter(
+        item => isCandidate(item.drugId) || isCandidate(item.otherDrugId)
+      )
+      const baselineContraindications = contraindications.filter(item => !newContraindications.includes(item))
+
+      // 多药相互作用：成员中有候选药物的为新增
+      const multiDrugInteractions = await multiDrugInteractionService.detect(drugs)
+      const newMultiDrugInteractions = multiDrugInteractions.filter(
+        item => item.matchedDrugs.some(drug => isCandidate(drug.drugId))
+      )
+      const baselineMultiDrugInteractions = multiDrugInteractions.filter(
+        item => !newMultiDrugInteractions.includes(item)
+      )
+
+      // 5. 加药前后的风险评分和整体风险等级
+      const scoreBefore = this.calculateRiskScore(
+        baselineInteractions,
+        baselineContraindications,
+        [],
+        baselineMultiDrugInteractions
+      )
+      const riskScore = this.calculateRiskScore(
+        [...baselineInteractions, ...newInteractions],
+        contraindications,
+        [],
+        multiDrugInteractions
+      )
+      const before = scoreBefore.riskLevel
+      const after = riskScore.riskLevel
+      const change = severityRank(after) - severityRank(before)
+
+      // 6. 为带来中高风险的候选药物推荐同类替代药物
+      const alternatives = []
+      for (const candidateId of candidateDrugIds) {
+        const candidate = drugMap.get(candidateId)
+        const worstSeverity = maxSeverity([
+          ...newInteractions.filter(item =>
+            [item.drug1Id.toString(), item.drug2Id.toString()].includes(candidateId)
+          ),
+          ...newContraindications.filter(item => item.drugId === candidateId || item.otherDrugId === candidateId),
+          ...newMultiDrugInteractions.filter(item => item.matchedDrugs.some(drug => drug.drugId === candidateId)),
+        ])
+        if (severityRank(worstSeverity) < severityRank('medium')) {
+          continue
+        }
+
+        const ranked = await this.rankAlternatives(candidate, existingDrugIds, { excludeIds: allDrugIds })
+        alternatives.push({
+          candidateDrugId: candidateId,
+          candidateDrugName: candidate.name,
+          category: candidate.category,
+          worstSeverity,
+          alternatives: ranked
+            .filter(item =>
+              severityRank(item.maxSeverity) < severityRank('high') &&
+              severityRank(item.maxSeverity) < severityRank(worstSeverity)
+            )
+            .slice(0, MAX_ALTERNATIVES),
+        })
+      }
+
+      const results = newInteractions.map(toResultItem)
+      const unreviewedCount = results.filter(item => !item.reviewed).length
+
+      logger.info('增量检测完成', {
+        existingCount: existingDrugIds.length,
+        candidateCount: candidateDrugIds.length,
+        newInteractionCount: results.length,
+        before,
+        after,
+        source: dataSource,
+      })
+
+      return {
+        newInteractions: results,
+        newContraindications,
+        newMultiDrugInteractions,
+        riskLevel: after,
+        riskScore,
+        riskDelta: {
+          before,
+          after,
+          change,
+          increased: change > 0,
+          scoreBefore: scoreBefore.score,
+          scoreAfter: riskScore.score,
+          scoreChange: Math.round((riskScore.score - scoreBefore.score) * 100) / 100,
+        },
+        alternatives,
+        source: dataSource,
+        existingDrugCount: existingDrugIds.length,
+        candidateDrugCount: candidateDrugIds.length,
+        newPairCount: newPairs.length,
+        newInteractionCount: results.length,
+        newContraindicationCount: newContraindications.length,
+        newMultiDrugInteractionCount: newMultiDrugInteractions.length,
+        baselineMissingPairCount,
+        unreviewedCount,
+        hasUnreviewedData: unreviewedCount > 0,
+        rejectedCount,
+        ...(conditionResolution ? { conditionResolution } : {}),
+      }
+    } catch (error) {
+      logger.error('增量检测失败', {
+        existingDrugIds,
+        candidateDrugIds,
+        error: error.message,
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 按与给定药物的相互作用对同类别（category）药物排序
+   * 只使用数据库已有数据，不调用AI；已驳回的药物和相互作用不参与排序
+   * 排序依据依次为：最高严重程度、禁忌/高/中/低风险相互作用数量、缺少数据的药物对数量、名称
+   * @param {Object} drug - 被替代的药物
+   * @param {string[]} againstDrugIds - 需要比较相互作用的药物ID（如合并用药）
+   * @param {Object} [options] - 选项
+   * @param {string[]} [options.excludeIds] - 不作为替代药物的药物ID
+   * @returns {Promise<Array>} 替代药物 [{ drugId, name, genericName, category, maxSeverity,
+   *   severityCounts, interactionCount, unknownPairCount, interactions }]
+   */
+  async rankAlternatives(drug, againstDrugIds, options = {}) {
+    const { excludeIds = [] } = options
+
+    if (!drug.category) {
+      return []
+    }
+
+    const candidates = await Drug.find({
+      category: drug.category,
+      _id: { $nin: [...new Set([drug._id.toString(), ...excludeIds])] },
+      'review.status': { $ne: 'rejected' },
+    })
+      .sort({ name: 1 })
+      .limit(MAX_ALTERNATIVE_CANDIDATES)
+      .lean()
+
+    if (candidates.length === 0) {
+      return []
+    }
+
+    const ranked = await this._summarizeAgainst(candidates, againstDrugIds)
+
+    ranked.sort((a, b) =>
+      severityRank(a.maxSeverity) - severityRank(b.maxSeverity) ||
+      a.severityCounts.contraindicated - b.severityCounts.contraindicated ||
+      a.severityCounts.high - b.severityCounts.high ||
+      a.severityCounts.medium - b.severityCounts.medium ||
+      a.severityCounts.low - b.severityCounts.low ||
+      a.unknownPairCount - b.unknownPairCount ||
+      a.name.localeCompare(b.name)
+    )
+
+    return ranked
+  }
+
+  /**
+   * 查询药物的同类替代药物
+   * 按与合并用药的相互作用排序（见 rankAlternatives），可选由AI解释推荐理由；
+   * AI调用失败时仍返回排序结果，explanation 为null并附带 explanationError
+   * @param {string} drugId - 需要替代的药物ID
+   * @param {Object} [options] - 选项
+   * @param {string[]} [options.coMedicationIds] - 合并用药的药物ID
+   * @param {number} [options.limit=10] - 返回的替代药物数量
+   * @param {boolean} [options.explain=false] - 是否调用AI解释推荐理由
+   * @returns {Promise<Object>} { drug, coMedications, current, alternatives, explanation? }
+   */
+  async findAlternatives(drugId, options = {}) {
+    const { coMedicationIds = [], explain = false } = options
+    const limit = Math.min(MAX_ALTERNATIVE_CANDIDATES, Math.max(1, parseInt(options.limit) || 10))
+
+    try {
+      const drug = await Drug.findById(drugId).lean()
+      if (!drug) {
+        throw new Error('药物不存在')
+      }
+
+      const coIds = [...new Set(coMedicationIds)].filter(id => id !== drug._id.toString())
+      const { maxDrugs } = config.interactionCheck
+      if (coIds.length + 1 > maxDrugs) {
+        throw createTooManyDrugsError(maxDrugs)
+      }
+
+      const coMedications = coIds.length > 0
+        ? await Drug.find({ _id: { $in: coIds } }, { name: 1 }).lean()
+        : []
+      if (coMedications.length !== coIds.length) {
+        throw new Error('部分合并用药不存在')
+      }
+
+      const [current] = await this._summarizeAgainst([drug], coIds)
+      const alternatives = (await this.rankAlternatives(drug, coIds, { excludeIds: coIds })).slice(0, limit)
+
+      const result = {
+        drug: {
+          drugId: drug._id.toString(),
+          name: drug.name,
+          genericName: drug.genericName,
+          category: drug.category,
+        },
+        coMedications: coMedications.map(item => ({ drugId: item._id.toString(), name: item.name })),
+        current: {
+          maxSeverity: current.maxSeverity,
+          severityCounts: current.severityCounts,
+          interactionCount: current.interactionCount,
+          unknownPairCount: current.unknownPairCount,
+          interactions: current.interactions,
+        },
+        alternatives,
+      }
+
+      if (explain) {
+        result.explanation = null
+        if (alternatives.length > 0) {
+          try {
+            const aiResult = await aiService.explainAlternatives({
+              drugName: drug.name,
+              coMedications: coMedications.map(item => item.name),
+              currentInteractions: current.interactions,
+              alternatives,
+            })
+
+            // 只保留能对应到候选药物的解释
+            const recommendations = []
+            for (const recommendation of aiResult.recommendations) {
+              const alternative = alternatives.find(item => matchesDrugName(item, recommendation.name))
+              if (alternative && !recommendations.some(item => item.drugId === alternative.drugId)) {
+                recommendations.push({
+                  drugId: alternative.drugId,
+                  name: alternative.name,
+                  reason: recommendation.reason,
+                  cautions: recommendation.cautions,
+                })
+              }
+            }
+
+            result.explanation = {
+              summary: aiResult.summary,
+              recommendations,
+            }
+          } catch (error) {
+            logger.warn('替代药物AI解释失败，仅返回排序结果', { drugId, error: error.message })
+            result.explanationError = {
+              code: error.code || 'AI_SERVICE_ERROR',
+              message: error.message,
+            }
+          }
+        }
+      }
+
+      logger.info('查询替代药物', {
+        drugId,
+        coMedicationCount: coIds.length,
+        alternativeCount: alternatives.length,
+        explain,
+      })
+
+      return result
+    } catch (error) {
+      logger.error('查询替代药物失败', { drugId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 统计每种药物与一组药物之间的已有相互作用（跳过已驳回的数据，同一药物对只取一条）
+   * @private
+   * @param {Array} drugs - 药物记录
+   * @param {string[]} againstDrugIds - 比较的药物ID
+   * @returns {Promise<Array>} 与 drugs 顺序一致的统计 [{ drugId, name, genericName, category, maxSeverity,
+   *   severityCounts, interactionCount, unknownPairCount, interactions }]
+   */
+  async _summarizeAgainst(drugs, againstDrugIds) {
+    const drugIds = drugs.map(drug => drug._id.toString())
+    const interactions = againstDrugIds.length > 0
+      ? await Interaction.findBetweenSets(drugIds, againstDrugIds)
+      : []
+
+    const byDrug = new Map(drugIds.map(id => [id, new Map()]))
+    for (const interaction of interactions) {
+      if (interaction.getReviewStatus() === 'rejected') {
+        continue
+      }
+      const drug1Id = interaction.drug1Id.toString()
+      const drug2Id = interaction.drug2Id.toString()
+      const [drugId, otherId] = byDrug.has(drug1Id) ? [drug1Id, drug2Id] : [drug2Id, drug1Id]
+      const pairs = byDrug.get(drugId)
+      if (pairs && !pairs.has(otherId)) {
+        pairs.set(otherId, {
+          interactionId: interaction._id.toString(),
+          drugId: otherId,
+          drugName: drug1Id === otherId ? interaction.drug1Name : interaction.drug2Name,
+          severity: interaction.severity,
+          interactionType: interaction.interactionType,
+          description: interaction.description,
+        })
+      }
+    }
+
+    const againstCount = new Set(againstDrugIds).size
+    return drugs.map(drug => {
+      const items = [...byDrug.get(drug._id.toString()).values()]
+      const severityCounts = countBySeverity()
+      for (const item of items) {
+        severityCounts[item.severity]++
+      }
+      return {
+        drugId: drug._id.toString(),
+        name: drug.name,
+        genericName: drug.genericName,
+        category: drug.category,
+        maxSeverity: maxSeverity(items),
+        severityCounts,
+        interactionCount: items.length,
+        unknownPairCount: againstCount - items.length,
+        interactions: items,
+      }
+    })
+  }
+
+  /**
+   * 调用AI分析数据库中缺失的药物对，保存并返回分析结果
+   * AI未返回的药物对不在结果中
+   * @private
+   * @param {Array} missingPairs - 缺失的药物对 [{ drugId1, drugId2, drug1, drug2 }]
+   * @param {Function} [onProgress] - 进度回调，每保存一对发送 pair 事件
+   * @returns {Promise<Array>} 保存后的相互作用文档
+   */
+  async _analyzeMissingPairs(missingPairs, onProgress) {
+    const saved = []
+    const pending = [...missingPairs]
+
+    const aiResult = await aiService.analyzeInteractions(
+      missingPairs.map(pair => [pair.drug1.name, pair.drug2.name])
+    )
+
+    // 处理AI返回的相互作用数据（结构和严重程度已在AIService中校验并规范化）
+    for (const aiInteraction of aiResult.interactions) {
+      // 查找对应的药物对（名称匹配兼容通用名和商品名）
+      const pairIndex = pending.findIndex(
+        p =>
+          (matchesDrugName(p.drug1, aiInteraction.drug1) &&
+            matchesDrugName(p.drug2, aiInteraction.drug2)) ||
+          (matchesDrugName(p.drug1, aiInteraction.drug2) &&
+            matchesDrugName(p.drug2, aiInteraction.drug1))
+      )
+
+      if (pairIndex !== -1) {
+        // 同一药物对只保存一次，避免AI重复返回时触发唯一索引冲突
+        const [pair] = pending.splice(pairIndex, 1)
+
+        // 保存AI分析结果到数据库
+        const savedInteraction = await this.saveInteraction({
+          drug1Id: pair.drugId1,
+          drug2Id: pair.drugId2,
+          drug1Name: pair.drug1.name,
+          drug2Name: pair.drug2.name,
+          interactionType: aiInteraction.interactionType,
+          severity: aiInteraction.severity,
+          description: aiInteraction.description,
+          recommendation: aiInteraction.recommendation,
+          mechanism: aiInteraction.mechanism,
+          onset: aiInteraction.onset,
+          evidenceLevel: aiInteraction.evidenceLevel,
+          management: aiInteraction.management,
+          monitoring: aiInteraction.monitoring,
+          references: aiInteraction.references,
+          source: 'ai',
+        })
+
+        saved.push(savedInteraction)
+        emitProgress(onProgress, {
+          type: 'pair',
+          source: 'ai',
+          interaction: toResultItem(savedInteraction),
+        })
+
+        logger.info('AI分析结果已保存', {
+          drug1: pair.drug1.name,
+          drug2: pair.drug2.name,
+          severity: aiInteraction.severity,
+        })
+      }
+    }
+
+    return saved
+  }
+
   /**
    * 查找两种药物之间的相互作用
    * @param {string} drugId1 - 药物1的ID
@@ -235,8 +1025,8 @@ class InteractionService {
       }
 
       // 验证严重程度
-      if (!['low', 'medium', 'high'].includes(interactionData.severity)) {
-        throw new Error('严重程度必须是 low, medium 或 high')
+      if (!SEVERITY_LEVELS.includes(interactionData.severity)) {
+        throw new Error('严重程度必须是 low, medium, high 或 contraindicated')
       }
 
       // 检查是否已存在
@@ -281,47 +1071,334 @@ class InteractionService {
   }
 
   /**
-   * 计算整体风险等级
-   * 基于所有相互作用的严重程度
-   * @param {Array} interactions - 相互作用数组
-   * @returns {string} 风险等级：low, medium, high
+   * 分页查询相互作用列表（支持筛选和排序）
+   * @param {Object} [filters] - 筛选条件
+   * @param {string} [filters.drugId] - 涉及的药物ID
+   * @param {string} [filters.severity] - 严重程度：low, medium, high, contraindicated
+   * @param {string} [filters.source] - 数据来源：database, ai
+   * @param {string} [filters.interactionType] - 相互作用类型（模糊匹配）
+   * @param {string} [filters.mechanismCategory] - 作用机制类别
+   * @param {string} [filters.enzyme] - 涉及的代谢酶（如 CYP3A4，不区分大小写）
+   * @param {string} [filters.onset] - 起效时间
+   * @param {string} [filters.evidenceLevel] - 证据等级
+   * @param {Object} [options] - 分页和排序选项
+   * @param {number} [options.page=1] - 页码（从1开始）
+   * @param {number} [options.limit=10] - 每页数量
+   * @param {string} [options.sortBy=createdAt] - 排序字段
+   * @param {string} [options.order=desc] - 排序方向：asc, desc
+   * @returns {Promise<{interactions: Array, total: number, page: number, totalPages: number}>}
    */
-  calculateOverallRisk(interactions) {
-    if (!interactions || interactions.length === 0) {
-      return 'low'
+  async findAll(filters = {}, options = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(options.page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(options.limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const sortBy = SORTABLE_FIELDS.includes(options.sortBy) ? options.sortBy : 'createdAt'
+      const order = options.order === 'asc' ? 1 : -1
+
+      const match = this.buildFilterQuery(filters)
+
+      // 严重程度按风险高低排序，而不是按字母顺序
+      const sortField = sortBy === 'severity' ? 'severityRank' : sortBy
+
+      const [interactions, total] = await Promise.all([
+        Interaction.aggregate([
+          { $match: match },
+          {
+            $addFields: {
+              severityRank: {
+                $indexOfArray: [SEVERITY_LEVELS, '$severity'],
+              },
+            },
+          },
+          { $sort: { [sortField]: order, _id: order } },
+          { $skip: skip },
+          { $limit: limitNum },
+          { $project: { severityRank: 0 } },
+        ]),
+        Interaction.countDocuments(match),
+      ])
+
+      logger.info('查询相互作用列表', {
+        filters,
+        page: pageNum,
+        limit: limitNum,
+        total,
+        count: interactions.length,
+      })
+
+      return {
+        interactions,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询相互作用列表失败', { filters, error: error.message })
+      throw error
     }
+  }
 
-    // 统计各严重程度的数量
-    const severityCounts = {
-      high: 0,
-      medium: 0,
-      low: 0,
+  /**
+   * 根据筛选条件构建查询对象
+   * @param {Object} filters - 筛选条件
+   * @returns {Object} MongoDB查询条件
+   */
+  buildFilterQuery(filters = {}) {
+    const query = {}
+
+    if (filters.drugId) {
+      const drugObjectId = new mongoose.Types.ObjectId(filters.drugId)
+      query.$or = [{ drug1Id: drugObjectId }, { drug2Id: drugObjectId }]
     }
 
-    for (const interaction of interactions) {
-      const severity = interaction.severity || 'low'
-      severityCounts[severity]++
+    if (filters.severity) {
+      query.severity = filters.severity
     }
 
-    // 风险等级计算逻辑：
-    // - 如果有任何高风险相互作用，整体风险为高
-    // - 如果有2个或以上中风险相互作用，整体风险为高
-    // - 如果有1个中风险相互作用，整体风险为中
-    // - 其他情况为低风险
+    if (filters.source) {
+      query.source = filters.source
+    }
+
+    if (filters.interactionType) {
+      query.interactionType = new RegExp(escapeRegExp(filters.interactionType.trim()), 'i')
+    }
+
+    if (filters.mechanismCategory) {
+      query['mechanism.category'] = filters.mechanismCategory
+    }
+
+    // 代谢酶保存时统一为大写，精确匹配可以使用索引
+    if (filters.enzyme) {
+      query['mechanism.enzymes'] = filters.enzyme.trim().toUpperCase()
+    }
 
-    if (severityCounts.high > 0) {
-      return 'high'
+    if (filters.onset) {
+      query.onset = filters.onset
     }
 
-    if (severityCounts.medium >= 2) {
-      return 'high'
+    if (filters.evidenceLevel) {
+      query.evidenceLevel = filters.evidenceLevel
     }
 
-    if (severityCounts.medium === 1) {
-      return 'medium'
+    return query
+  }
+
+  /**
+   * 创建人工整理的相互作用记录
+   * 与saveInteraction不同，药物对已存在时会抛出错误而不是返回现有记录
+   * @param {Object} interactionData - 相互作用数据（药物名称会根据ID自动填充）
+   * @returns {Promise<Object>} 创建的相互作用对象
+   */
+  async create(interactionData) {
+    try {
+      const { drug1Id, drug2Id } = interactionData
+
+      if (!drug1Id || !drug2Id) {
+        throw new Error('药物ID不能为空')
+      }
+
+      if (drug1Id === drug2Id) {
+        throw new Error('药物不能与自身产生相互作用')
+      }
+
+      const drugs = await Drug.find({ _id: { $in: [drug1Id, drug2Id] } }).lean()
+      if (drugs.length !== 2) {
+        throw new Error('部分药物ID不存在')
+      }
+
+      const drugMap = new Map(drugs.map(drug => [drug._id.toString(), drug]))
+
+      const existing = await Interaction.findBetweenDrugs(drug1Id, drug2Id)
+      if (existing) {
+        throw new Error(
+          `药物 "${existing.drug1Name}" 与 "${existing.drug2Name}" 的相互作用已存在`
+        )
+      }
+
+      return await this.saveInteraction({
+        ...interactionData,
+        drug1Name: drugMap.get(drug1Id).name,
+        drug2Name: drugMap.get(drug2Id).name,
+        source: interactionData.source || 'database',
+      })
+    } catch (error) {
+      logger.error('创建相互作用记录失败', {
+        drug1Id: interactionData?.drug1Id,
+        drug2Id: interactionData?.drug2Id,
+        error: error.message,
+      })
+      throw error
     }
+  }
+
+  /**
+   * 更新相互作用记录
+   * 药物对本身不可修改，如需更换药物请删除后重新创建
+   * @param {string} id - 相互作用ID
+   * @param {Object} updateData - 更新数据
+   * @returns {Promise<Object>} 更新后的相互作用对象
+   */
+  async update(id, updateData) {
+    try {
+      if (!id) {
+        throw new Error('相互作用ID不能为空')
+      }
+
+      delete updateData._id
+      delete updateData.drug1Id
+      delete updateData.drug2Id
+      delete updateData.drug1Name
+      delete updateData.drug2Name
+      // 数据来源和审核状态只能通过审核流程修改
+      delete updateData.source
+      delete updateData.review
+      delete updateData.createdAt
+      delete updateData.updatedAt
+
+      if (updateData.severity && !SEVERITY_LEVELS.includes(updateData.severity)) {
+        throw new Error('严重程度必须是 low, medium, high 或 contraindicated')
+      }
 
-    return 'low'
+      const interaction = await Interaction.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      ).lean()
+
+      if (!interaction) {
+        throw new Error('相互作用记录不存在')
+      }
+
+      logger.info('更新相互作用记录', {
+        id,
+        drug1: interaction.drug1Name,
+        drug2: interaction.drug2Name,
+      })
+
+      return interaction
+    } catch (error) {
+      logger.error('更新相互作用记录失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 计算整体风险等级
+   * 由风险评分得出（见 calculateRiskScore），保留用于只需要等级的场景
+   * @param {Array} interactions - 相互作用数组
+   * @param {Array} [contraindications] - 药物禁忌警告数组，与相互作用同等计入
+   * @returns {string} 风险等级：low, medium, high
+   */
+  calculateOverallRisk(interactions, contraindications = []) {
+    return this.calculateRiskScore(interactions, contraindications).riskLevel
+  }
+
+  /**
+   * 计算风险评分
+   * - 每个相互作用、禁忌和多药相互作用按严重程度计分（分值见 config.riskScore.weights）
+   * - 存在中等及以上风险时，每个患者因素额外加分
+   * - 分数达到阈值时风险等级为 medium / high；存在 contraindicated 级别的发现时至少为 high，tier 为 contraindicated
+   * - low 级别的发现只计入分数，不参与等级判定，无论多少个 low 风险等级都不会高于 low
+   * @param {Array} interactions - 相互作用数组
+   * @param {Array} [contraindications] - 药物禁忌警告数组
+   * @param {Array} [patientFactors] - 患者因素 [{ factor, label }]
+   * @param {Array} [multiDrugInteractions] - 命中的多药相互作用（见 MultiDrugInteractionService.detect）
+   * @returns {{score: number, riskLevel: string, tier: string, breakdown: Object}}
+   *   breakdown 包含 severityCounts、pairs（每对药物的分值）、contraindications（禁忌命中）、
+   *   multiDrug（多药相互作用命中）、patientFactors 和 levelScore（判定等级的分数）
+   */
+  calculateRiskScore(interactions, contraindications = [], patientFactors = [], multiDrugInteractions = []) {
+    const { weights, patientFactor, thresholds } = config.riskScore
+    const toSeverity = (value) => (SEVERITY_LEVELS.includes(value) ? value : 'low')
+
+    const severityCounts = countBySeverity()
+    const pairs = (interactions || []).map(interaction => {
+      const severity = toSeverity(interaction.severity)
+      severityCounts[severity]++
+      return {
+        interactionId: interaction._id?.toString(),
+        drug1Id: interaction.drug1Id?.toString(),
+        drug2Id: interaction.drug2Id?.toString(),
+        drug1Name: interaction.drug1Name,
+        drug2Name: interaction.drug2Name,
+        severity,
+        contribution: weights[severity],
+      }
+    })
+
+    const contraindicationCounts = countBySeverity()
+    const hits = contraindications.map(item => {
+      const severity = toSeverity(item.severity)
+      contraindicationCounts[severity]++
+      return {
+        type: item.type,
+        drugName: item.drugName,
+        target: item.type === 'drugClass' ? item.otherDrugName : item.conditionName,
+        severity,
+        contribution: weights[severity],
+      }
+    })
+
+    const multiDrugCounts = countBySeverity()
+    const groups = multiDrugInteractions.map(item => {
+      const severity = toSeverity(item.severity)
+      multiDrugCounts[severity]++
+      return {
+        interactionId: item._id?.toString(),
+        drugNames: (item.matchedDrugs || []).map(drug => drug.drugName),
+        severity,
+        contribution: weights[severity],
+      }
+    })
+
+    const worst = maxSeverity([...pairs, ...hits, ...groups])
+    const factorsApply = severityRank(worst) >= severityRank('medium')
+    const factors = patientFactors.map(item => ({
+      ...item,
+      contribution: factorsApply ? patientFactor : 0,
+    }))
+
+    const sum = (items) => items.reduce((total, item) => total + item.contribution, 0)
+    const contraindicationScore = sum(hits)
+    const multiDrugScore = sum(groups)
+    const score = Math.round((sum(pairs) + contraindicationScore + multiDrugScore + sum(factors)) * 100) / 100
+    const lowScore = sum([...pairs, ...hits, ...groups].filter(item => item.severity === 'low'))
+    const levelScore = Math.round((score - lowScore) * 100) / 100
+
+    let riskLevel = 'low'
+    if (levelScore >= thresholds.high || worst === 'contraindicated') {
+      riskLevel = 'high'
+    } else if (levelScore >= thresholds.medium) {
+      riskLevel = 'medium'
+    }
+
+    return {
+      score,
+      riskLevel,
+      tier: worst === 'contraindicated' ? 'contraindicated' : riskLevel,
+      breakdown: {
+        severityCounts,
+        pairs,
+        contraindications: {
+          count: hits.length,
+          severityCounts: contraindicationCounts,
+          score: contraindicationScore,
+          hits,
+        },
+        multiDrug: {
+          count: groups.length,
+          severityCounts: multiDrugCounts,
+          score: multiDrugScore,
+          hits: groups,
+        },
+        patientFactors: factors,
+        levelScore,
+        weights,
+        thresholds,
+      },
+    }
   }
 
   /**
@@ -354,13 +1431,13 @@ class InteractionService {
 
   /**
    * 根据严重程度查询相互作用
-   * @param {string} severity - 严重程度：low, medium, high
+   * @param {string} severity - 严重程度：low, medium, high, contraindicated
    * @returns {Promise<Array>} 相互作用数组
    */
   async findBySeverity(severity) {
     try {
-      if (!['low', 'medium', 'high'].includes(severity)) {
-        throw new Error('严重程度必须是 low, medium 或 high')
+      if (!SEVERITY_LEVELS.includes(severity)) {
+        throw new Error('严重程度必须是 low, medium, high 或 contraindicated')
       }
 
       const interactions = await Interaction.findBySeverity(severity)
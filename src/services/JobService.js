@@ -0,0 +1,444 @@
+import mongoose from 'mongoose'
+import Job, { JOB_TYPES } from '../models/Job.js'
+import { config } from '../config/env.js'
+import { drugService } from './DrugService.js'
+import { interactionService, parseCheckInput } from './InteractionService.js'
+import { isRetryableAIError } from './AIService.js'
+import { runWithContext } from '../utils/requestContext.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 各任务类型的输入校验和执行逻辑
+ * validate 返回 { input } 或 { message }；run 的返回值保存为任务结果
+ */
+const JOB_HANDLERS = {
+  analyzeDrug: {
+    validate: (input) => {
+      const name = input?.name
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return { message: '药物名称不能为空' }
+      }
+      return { input: { name: name.trim() } }
+    },
+    // 与 POST /api/drugs/analyze 相同：AI分析结果不自动保存
+    run: async ({ name }) => {
+      const result = await drugService.findOrAnalyze(name)
+      return {
+        ...result.drug,
+        source: result.source,
+      }
+    },
+  },
+
+  checkInteractions: {
+    validate: (input) => {
+      const { params, message } = parseCheckInput(input)
+      return params ? { input: params } : { message }
+    },
+    run: (input) => interactionService.checkByInput(input),
+  },
+}
+
+/**
+ * 创建带错误代码的错误
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误代码
+ * @param {number} status - HTTP状态码
+ * @returns {Error}
+ */
+const createJobError = (message, code, status) => {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+/**
+ * 计算第n次重试前的退避时间（指数退避）
+ * @param {number} attempts - 已执行次数
+ * @returns {number} 等待时间（毫秒）
+ */
+const getRetryDelay = (attempts) => config.jobs.retryBaseDelayMs * 2 ** (attempts - 1)
+
+/**
+ * 用户能否访问任务：创建者本人或管理员
+ * @param {Object} job - 任务记录
+ * @param {Object} user - 当前用户（包含id和role）
+ * @returns {boolean}
+ */
+const canAccess = (job, user) => user.role === 'admin' || job.createdBy.toString() === user.id
+
+/**
+ * 异步任务服务类
+ * 任务保存在MongoDB中，由进程内的任务处理器轮询领取并执行，
+ * AI超时和连接失败按指数退避自动重试
+ */
+class JobService {
+  constructor() {
+    this.timer = null
+    this.running = false
+    this.idle = null
+  }
+
+  /**
+   * 提交任务
+   * @param {string} type - 任务类型（analyzeDrug / checkInteractions）
+   * @param {Object} input - 任务输入
+   * @param {Object} user - 提交任务的用户（包含id）
+   * @returns {Promise<Object>} 创建的任务
+   */
+  async submit(type, input, user) {
+    try {
+      const handler = JOB_HANDLERS[type]
+      if (!handler) {
+        throw createJobError(`不支持的任务类型，可选值: ${JOB_TYPES.join(', ')}`, 'INVALID_JOB_TYPE', 400)
+      }
+
+      const validation = handler.validate(input)
+      if (!validation.input) {
+        throw createJobError(validation.message, 'INVALID_PARAMETER', 400)
+      }
+
+      const job = await Job.create({
+        type,
+        input: validation.input,
+        maxAttempts: config.jobs.maxAttempts,
+        createdBy: user.id,
+      })
+
+      logger.info('提交异步任务', { id: job._id, type, userId: user.id })
+
+      return job.toObject()
+    } catch (error) {
+      logger.error('提交异步任务失败', { type, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询任务列表（普通用户只能看到自己的任务，管理员可以看到全部）
+   * @param {Object} user - 当前用户
+   * @param {Object} filters - 筛选条件
+   * @param {string} [filters.status] - 任务状态
+   * @param {string} [filters.type] - 任务类型
+   * @param {number} page - 页码（从1开始）
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{jobs: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findAll(user, filters = {}, page = 1, limit = 10) {
+    try {
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const query = user.role === 'admin' ? {} : { createdBy: user.id }
+      if (filters.status) {
+        query.status = filters.status
+      }
+      if (filters.type) {
+        query.type = filters.type
+      }
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .select('-result')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Job.countDocuments(query),
+      ])
+
+      return {
+        jobs,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询任务列表失败', { userId: user.id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询任务详情（包含状态、结果和错误信息）
+   * @param {string} id - 任务ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 任务
+   */
+  async findById(id, user) {
+    try {
+      const job = await Job.findById(id).lean()
+
+      // 无权访问时与不存在的返回相同，避免泄露其他用户的任务
+      if (!job || !canAccess(job, user)) {
+        throw new Error('任务不存在')
+      }
+
+      return job
+    } catch (error) {
+      logger.error('查询任务失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 取消任务
+   * 排队中（包括等待重试）的任务直接取消；执行中的任务无法中断AI调用，
+   * 标记为请求取消，执行结束后不保存结果（执行过程中已保存的数据不会回滚）
+   * @param {string} id - 任务ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 更新后的任务
+   */
+  async cancel(id, user) {
+    try {
+      const job = await this.findById(id, user)
+
+      if (job.status === 'queued') {
+        const cancelled = await Job.findOneAndUpdate(
+          { _id: id, status: 'queued' },
+          { $set: { status: 'cancelled', finishedAt: new Date() } },
+          { new: true }
+        ).lean()
+        if (cancelled) {
+          logger.info('取消任务', { id, userId: user.id })
+          return cancelled
+        }
+      } else if (job.status === 'running') {
+        const requested = await Job.findOneAndUpdate(
+          { _id: id, status: 'running' },
+          { $set: { cancelRequested: true } },
+          { new: true }
+        ).lean()
+        if (requested) {
+          logger.info('请求取消执行中的任务', { id, userId: user.id })
+          return requested
+        }
+      }
+
+      // 任务已结束（或在查询后刚好结束）
+      throw createJobError('任务已结束，无法取消', 'JOB_NOT_CANCELLABLE', 409)
+    } catch (error) {
+      logger.error('取消任务失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 启动任务处理器
+   * 先把中断的任务重新排队，然后持续轮询领取任务
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return
+    }
+    this.running = true
+
+    const requeued = await this.requeueStaleJobs()
+    if (requeued > 0) {
+      logger.warn('重新排队中断的任务', { count: requeued })
+    }
+
+    logger.info('任务处理器已启动', { pollIntervalMs: config.jobs.pollIntervalMs })
+    this._schedule(0)
+  }
+
+  /**
+   * 停止任务处理器，等待正在执行的任务结束
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false
+    clearTimeout(this.timer)
+    this.timer = null
+    await this.idle
+    logger.info('任务处理器已停止')
+  }
+
+  /**
+   * 把执行超时的任务重新排队（进程在执行过程中退出时任务会停留在执行中状态）
+   * 中断的那次执行在领取时已计入 attempts，已达到最大尝试次数的任务标记为失败，
+   * 避免每次执行都导致进程退出的任务无限重试
+   * @returns {Promise<number>} 重新排队的任务数量
+   */
+  async requeueStaleJobs() {
+    const staleFilter = {
+      status: 'running',
+      startedAt: { $lt: new Date(Date.now() - config.jobs.staleAfterMs) },
+    }
+
+    const failed = await Job.updateMany(
+      { ...staleFilter, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: {
+          status: 'failed',
+          error: { code: 'JOB_INTERRUPTED', message: '任务执行中断且已达到最大尝试次数' },
+          finishedAt: new Date(),
+        },
+      }
+    )
+    if (failed.modifiedCount > 0) {
+      logger.error('中断的任务已达到最大尝试次数，标记为失败', { count: failed.modifiedCount })
+    }
+
+    const result = await Job.updateMany(
+      { ...staleFilter, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $set: { status: 'queued', runAt: new Date() } }
+    )
+    return result.modifiedCount
+  }
+
+  /**
+   * 领取并执行一个到期的任务
+   * 领取通过原子更新完成，多个进程同时运行时同一任务只会被领取一次
+   * @returns {Promise<boolean>} 是否执行了任务
+   */
+  async processNext() {
+    const job = await Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: new Date() } },
+      {
+        $set: { status: 'running', startedAt: new Date() },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    ).lean()
+
+    if (!job) {
+      return false
+    }
+
+    await this._execute(job)
+    return true
+  }
+
+  /**
+   * 执行任务并保存结果
+   * 在任务创建者的上下文中执行，AI令牌用量计入创建者的配额
+   * @private
+   */
+  async _execute(job) {
+    const startTime = Date.now()
+    logger.info('开始执行任务', { id: job._id, type: job.type, attempt: job.attempts })
+
+    try {
+      const result = await runWithContext(
+        { userId: job.createdBy.toString() },
+        () => JOB_HANDLERS[job.type].run(job.input)
+      )
+
+      const finished = await Job.findOneAndUpdate(
+        { _id: job._id, cancelRequested: false },
+        { $set: { status: 'succeeded', result, finishedAt: new Date() } }
+      )
+      if (!finished) {
+        await this._markCancelled(job._id)
+        return
+      }
+
+      logger.info('任务执行成功', {
+        id: job._id,
+        type: job.type,
+        duration: `${Date.now() - startTime}ms`,
+      })
+    } catch (error) {
+      const jobError = {
+        code: error.code || 'JOB_FAILED',
+        message: error.message,
+        details: error.details,
+      }
+
+      const current = await Job.findById(job._id).select('cancelRequested').lean()
+      if (current?.cancelRequested) {
+        await this._markCancelled(job._id, jobError)
+        return
+      }
+
+      // AI超时和连接失败按指数退避重试
+      if (isRetryableAIError(error) && job.attempts < job.maxAttempts) {
+        const delay = getRetryDelay(job.attempts)
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: 'queued',
+              error: jobError,
+              runAt: new Date(Date.now() + delay),
+            },
+          }
+        )
+        logger.warn('任务执行失败，等待重试', {
+          id: job._id,
+          type: job.type,
+          attempt: job.attempts,
+          retryInMs: delay,
+          error: error.message,
+        })
+        return
+      }
+
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', error: jobError, finishedAt: new Date() } }
+      )
+      logger.error('任务执行失败', {
+        id: job._id,
+        type: job.type,
+        attempt: job.attempts,
+        error: error.message,
+      })
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _markCancelled(id, error) {
+    await Job.updateOne(
+      { _id: id },
+      {
+        $set: {
+          status: 'cancelled',
+          finishedAt: new Date(),
+          ...(error ? { error } : {}),
+        },
+      }
+    )
+    logger.info('任务已取消', { id })
+  }
+
+  /**
+   * 安排下一次轮询：有任务时立即继续，没有任务时等待轮询间隔
+   * @private
+   */
+  _schedule(delay) {
+    if (!this.running) {
+      return
+    }
+
+    this.timer = setTimeout(() => {
+      this.idle = this._poll()
+    }, delay)
+    // 不阻止进程退出
+    this.timer.unref()
+  }
+
+  /**
+   * @private
+   */
+  async _poll() {
+    let processed = false
+    try {
+      if (mongoose.connection.readyState === 1) {
+        processed = await this.processNext()
+      }
+    } catch (error) {
+      logger.error('任务处理器执行出错', { error: error.message })
+    }
+    this._schedule(processed ? 0 : config.jobs.pollIntervalMs)
+  }
+}
+
+// 导出单例
+export const jobService = new JobService()
@@ -0,0 +1,285 @@
+import MultiDrugInteraction, { normalizeDrugClass } from '../models/MultiDrugInteraction.js'
+import Drug from '../models/Drug.js'
+import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 严重程度排序权重
+const SEVERITY_RANK = { contraindicated: 4, high: 3, medium: 2, low: 1 }
+
+/**
+ * 判断药物是否符合组合成员
+ * @param {Object} member - 组合成员
+ * @param {Object} drug - 药物记录
+ * @returns {boolean}
+ */
+const memberMatches = (member, drug) => (
+  member.drugId
+    ? member.drugId.toString() === drug._id.toString()
+    : normalizeDrugClass(member.drugClass) === normalizeDrugClass(drug.category)
+)
+
+/**
+ * 为组合的每个成员分配一种不同的药物（回溯搜索，成员数量很少）
+ * 指定药物的成员先分配，药物类别成员再从剩余药物中选择
+ * @param {Array} members - 组合成员
+ * @param {Array} drugs - 药物记录数组
+ * @returns {Array|null} 与成员一一对应的药物，无法全部匹配时返回 null
+ */
+const assignMembers = (members, drugs) => {
+  const order = members
+    .map((member, index) => ({ member, index }))
+    .sort((a, b) => Number(!a.member.drugId) - Number(!b.member.drugId))
+  const assigned = new Array(members.length)
+  const used = new Set()
+
+  const assign = (position) => {
+    if (position === order.length) {
+      return true
+    }
+    const { member, index } = order[position]
+    for (const drug of drugs) {
+      const drugId = drug._id.toString()
+      if (used.has(drugId) || !memberMatches(member, drug)) {
+        continue
+      }
+      used.add(drugId)
+      assigned[index] = drug
+      if (assign(position + 1)) {
+        return true
+      }
+      used.delete(drugId)
+    }
+    return false
+  }
+
+  return assign(0) ? assigned : null
+}
+
+/**
+ * 多药相互作用服务类
+ * 维护三种及以上药物组合才出现的相互作用，并在检测时找出全部成员都在场的组合
+ */
+class MultiDrugInteractionService {
+  /**
+   * 找出一组药物中全部成员都在场的多药相互作用
+   * @param {Array} drugs - 药物记录数组
+   * @returns {Promise<Array>} 命中的组合（按严重程度从高到低），matchedDrugs 为各成员对应的药物
+   */
+  async detect(drugs) {
+    try {
+      if (drugs.length < 3) {
+        return []
+      }
+
+      const candidates = await MultiDrugInteraction.findCandidates(drugs).lean()
+
+      const matches = []
+      for (const group of candidates) {
+        const assigned = assignMembers(group.members, drugs)
+        if (!assigned) {
+          continue
+        }
+        matches.push({
+          ...group,
+          matchedDrugs: assigned.map((drug, index) => ({
+            drugId: drug._id.toString(),
+            drugName: drug.name,
+            ...(group.members[index].drugClass ? { drugClass: group.members[index].drugClass } : {}),
+          })),
+        })
+      }
+
+      matches.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])
+
+      return matches
+    } catch (error) {
+      logger.error('检测多药相互作用失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 分页查询多药相互作用
+   * @param {Object} [filters] - 筛选条件
+   * @param {string} [filters.drugId] - 包含的药物ID（直接成员）
+   * @param {string} [filters.drugClass] - 包含的药物类别（不区分大小写）
+   * @param {string} [filters.severity] - 严重程度
+   * @param {number} [page=1] - 页码（从1开始）
+   * @param {number} [limit=10] - 每页数量
+   * @returns {Promise<{interactions: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findAll(filters = {}, page = 1, limit = 10) {
+    try {
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const query = {}
+      if (filters.drugId) {
+        query['members.drugId'] = filters.drugId
+      }
+      if (filters.drugClass) {
+        query['members.drugClass'] = new RegExp(`^${escapeRegExp(filters.drugClass.trim())}$`, 'i')
+      }
+      if (filters.severity) {
+        query.severity = filters.severity
+      }
+
+      const [interactions, total] = await Promise.all([
+        MultiDrugInteraction.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        MultiDrugInteraction.countDocuments(query),
+      ])
+
+      return {
+        interactions,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询多药相互作用列表失败', { filters, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询多药相互作用详情
+   * @param {string} id - 记录ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const interaction = await MultiDrugInteraction.findById(id).lean()
+    if (!interaction) {
+      throw new Error('多药相互作用记录不存在')
+    }
+    return interaction
+  }
+
+  /**
+   * 创建多药相互作用（药物成员的名称会根据药物ID自动填充）
+   * @param {Object} data - 记录数据
+   * @returns {Promise<Object>} 创建的记录
+   */
+  async create(data) {
+    try {
+      const members = await this._prepareMembers(data.members)
+      const interaction = new MultiDrugInteraction({ ...data, members })
+
+      await interaction.validate()
+      const existing = await MultiDrugInteraction.findOne({ memberKey: interaction.memberKey }).lean()
+      if (existing) {
+        throw new Error('相同成员组合的多药相互作用已存在')
+      }
+
+      await interaction.save()
+
+      logger.info('创建多药相互作用', {
+        id: interaction._id,
+        memberCount: members.length,
+        severity: interaction.severity,
+      })
+
+      return interaction.toObject()
+    } catch (error) {
+      logger.error('创建多药相互作用失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 更新多药相互作用（members 整体替换）
+   * @param {string} id - 记录ID
+   * @param {Object} updateData - 更新数据
+   * @returns {Promise<Object>} 更新后的记录
+   */
+  async update(id, updateData) {
+    try {
+      const interaction = await MultiDrugInteraction.findById(id)
+      if (!interaction) {
+        throw new Error('多药相互作用记录不存在')
+      }
+
+      const data = { ...updateData }
+      delete data._id
+      delete data.memberKey
+      delete data.createdAt
+      delete data.updatedAt
+
+      if (data.members) {
+        data.members = await this._prepareMembers(data.members)
+      }
+
+      interaction.set(data)
+      await interaction.validate()
+
+      if (interaction.isModified('memberKey')) {
+        const existing = await MultiDrugInteraction.findOne({
+          memberKey: interaction.memberKey,
+          _id: { $ne: interaction._id },
+        }).lean()
+        if (existing) {
+          throw new Error('相同成员组合的多药相互作用已存在')
+        }
+      }
+
+      await interaction.save()
+
+      logger.info('更新多药相互作用', { id })
+
+      return interaction.toObject()
+    } catch (error) {
+      logger.error('更新多药相互作用失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 删除多药相互作用
+   * @param {string} id - 记录ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    try {
+      const interaction = await MultiDrugInteraction.findByIdAndDelete(id)
+      if (!interaction) {
+        throw new Error('多药相互作用记录不存在')
+      }
+
+      logger.info('删除多药相互作用', { id })
+    } catch (error) {
+      logger.error('删除多药相互作用失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 校验药物成员引用的药物存在，并补充药物名称
+   * @private
+   */
+  async _prepareMembers(members) {
+    const drugIds = [...new Set(members.filter(member => member.drugId).map(member => String(member.drugId)))]
+
+    const drugs = drugIds.length > 0
+      ? await Drug.find({ _id: { $in: drugIds } }, { name: 1 }).lean()
+      : []
+    if (drugs.length !== drugIds.length) {
+      const drugError = new Error('组合成员中部分药物不存在')
+      drugError.code = 'DRUG_NOT_FOUND'
+      throw drugError
+    }
+
+    const drugNames = new Map(drugs.map(drug => [drug._id.toString(), drug.name]))
+    return members.map(member => (
+      member.drugId
+        ? { drugId: member.drugId, drugName: drugNames.get(String(member.drugId)) }
+        : { drugClass: member.drugClass }
+    ))
+  }
+}
+
+// 导出单例
+export const multiDrugInteractionService = new MultiDrugInteractionService()
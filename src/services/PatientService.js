@@ -0,0 +1,350 @@
+import Patient from '../models/Patient.js'
+import PatientCheck from '../models/PatientCheck.js'
+import Drug from '../models/Drug.js'
+import { interactionService } from './InteractionService.js'
+import { logger } from '../utils/logger.js'
+import { escapeRegExp } from '../utils/regexp.js'
+
+// 妊娠/哺乳状态对应的疾病/状态（名称与疾病/状态数据一致）
+const PREGNANCY_CONDITIONS = {
+  none: [],
+  pregnant: ['妊娠期'],
+  third_trimester: ['妊娠期', '孕晚期'],
+  lactating: ['哺乳期'],
+}
+
+// 肝肾功能严重受损时对应的疾病/状态
+const ORGAN_FUNCTION_CONDITIONS = {
+  renalFunction: '严重肾功能不全',
+  hepaticFunction: '严重肝功能不全',
+}
+
+/**
+ * 判断用药在指定时间是否在用
+ * @param {Object} medication - 用药记录
+ * @param {Date} [at] - 时间，默认当前时间
+ * @returns {boolean}
+ */
+export const isActiveMedication = (medication, at = new Date()) =>
+  (!medication.startDate || new Date(medication.startDate) <= at) &&
+  (!medication.stopDate || new Date(medication.stopDate) > at)
+
+/**
+ * 汇总患者的疾病/状态：手动填写的疾病/状态，加上由妊娠状态和严重肝肾功能不全推导出的状态
+ * @param {Object} patient - 患者记录
+ * @returns {string[]} 去重后的疾病/状态名称
+ */
+export const derivePatientConditions = (patient) => {
+  const conditions = [
+    ...(patient.conditions || []),
+    ...(PREGNANCY_CONDITIONS[patient.pregnancyStatus] || []),
+  ]
+  for (const [field, condition] of Object.entries(ORGAN_FUNCTION_CONDITIONS)) {
+    if (patient[field] === 'severe') {
+      conditions.push(condition)
+    }
+  }
+  return [...new Set(conditions)]
+}
+
+// 肝肾功能受损程度的中文名称
+const IMPAIRMENT_LABELS = { moderate: '中度', severe: '重度' }
+
+/**
+ * 汇总计入风险评分的患者因素：高龄、未成年、妊娠/哺乳、中重度肝肾功能不全
+ * @param {Object} patient - 患者记录
+ * @returns {Array<{factor: string, label: string}>} 患者因素
+ */
+export const derivePatientFactors = (patient) => {
+  const factors = []
+  if (typeof patient.age === 'number') {
+    if (patient.age >= 65) {
+      factors.push({ factor: 'elderly', label: '高龄（≥65岁）' })
+    } else if (patient.age < 18) {
+      factors.push({ factor: 'pediatric', label: '未成年（<18岁）' })
+    }
+  }
+  if (['pregnant', 'third_trimester'].includes(patient.pregnancyStatus)) {
+    factors.push({ factor: 'pregnancy', label: '妊娠期' })
+  } else if (patient.pregnancyStatus === 'lactating') {
+    factors.push({ factor: 'lactation', label: '哺乳期' })
+  }
+  if (IMPAIRMENT_LABELS[patient.renalFunction]) {
+    factors.push({ factor: 'renal_impairment', label: `${IMPAIRMENT_LABELS[patient.renalFunction]}肾功能不全` })
+  }
+  if (IMPAIRMENT_LABELS[patient.hepaticFunction]) {
+    factors.push({ factor: 'hepatic_impairment', label: `${IMPAIRMENT_LABELS[patient.hepaticFunction]}肝功能不全` })
+  }
+  return factors
+}
+
+/**
+ * 用户能否访问患者：创建者本人或管理员
+ * @param {Object} patient - 患者记录
+ * @param {Object} user - 当前用户（包含id和role）
+ * @returns {boolean}
+ */
+const canAccess = (patient, user) => user.role === 'admin' || patient.ownerId.toString() === user.id
+
+/**
+ * 患者服务类
+ * 维护患者档案和用药清单，对在用药物执行相互作用检测并保存快照
+ */
+class PatientService {
+  /**
+   * 创建患者
+   * @param {Object} data - 患者数据
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 创建的患者
+   */
+  async create(data, user) {
+    try {
+      const medications = await this._prepareMedications(data.medications || [])
+
+      const patient = await Patient.create({
+        ...data,
+        medications,
+        ownerId: user.id,
+      })
+
+      logger.info('创建患者', { id: patient._id, userId: user.id })
+
+      return patient.toObject()
+    } catch (error) {
+      logger.error('创建患者失败', { userId: user.id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询患者列表（普通用户只能看到自己的患者，管理员可以看到全部）
+   * @param {Object} user - 当前用户
+   * @param {Object} filters - 筛选条件
+   * @param {string} [filters.keyword] - 按姓名模糊搜索
+   * @param {number} page - 页码（从1开始）
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{patients: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findAll(user, filters = {}, page = 1, limit = 10) {
+    try {
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const query = user.role === 'admin' ? {} : { ownerId: user.id }
+      if (filters.keyword) {
+        query.name = new RegExp(escapeRegExp(filters.keyword.trim()), 'i')
+      }
+
+      const [patients, total] = await Promise.all([
+        Patient.find(query)
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Patient.countDocuments(query),
+      ])
+
+      return {
+        patients,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询患者列表失败', { userId: user.id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询患者详情
+   * @param {string} id - 患者ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 患者
+   */
+  async findById(id, user) {
+    try {
+      const patient = await Patient.findById(id).lean()
+
+      // 无权访问时与不存在的返回相同，避免泄露其他用户的患者
+      if (!patient || !canAccess(patient, user)) {
+        throw new Error('患者不存在')
+      }
+
+      return patient
+    } catch (error) {
+      logger.error('查询患者失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 更新患者（部分更新，medications 整体替换）
+   * @param {string} id - 患者ID
+   * @param {Object} updateData - 更新数据
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 更新后的患者
+   */
+  async update(id, updateData, user) {
+    try {
+      await this.findById(id, user)
+
+      const data = { ...updateData }
+      delete data._id
+      delete data.ownerId
+      delete data.createdAt
+      delete data.updatedAt
+
+      if (data.medications) {
+        data.medications = await this._prepareMedications(data.medications)
+      }
+
+      const patient = await Patient.findByIdAndUpdate(
+        id,
+        { $set: data },
+        { new: true, runValidators: true }
+      ).lean()
+
+      logger.info('更新患者', { id, userId: user.id })
+
+      return patient
+    } catch (error) {
+      logger.error('更新患者失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 删除患者及其检测快照
+   * @param {string} id - 患者ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<void>}
+   */
+  async delete(id, user) {
+    try {
+      await this.findById(id, user)
+
+      await PatientCheck.deleteMany({ patientId: id })
+      await Patient.findByIdAndDelete(id)
+
+      logger.info('删除患者', { id, userId: user.id })
+    } catch (error) {
+      logger.error('删除患者失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 检测患者在用药物的相互作用和禁忌，并保存检测快照
+   * @param {string} id - 患者ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Object>} 检测快照（result 为检测结果）
+   */
+  async check(id, user) {
+    try {
+      const patient = await this.findById(id, user)
+
+      const now = new Date()
+      const medications = patient.medications.filter(medication => isActiveMedication(medication, now))
+      const drugIds = [...new Set(medications.map(medication => medication.drugId.toString()))]
+
+      if (drugIds.length < 2) {
+        const insufficientError = new Error('患者当前在用的药物少于2种，无法进行相互作用检测')
+        insufficientError.code = 'INSUFFICIENT_DRUGS'
+        insufficientError.status = 400
+        throw insufficientError
+      }
+
+      const conditions = derivePatientConditions(patient)
+      const patientFactors = derivePatientFactors(patient)
+      const result = await interactionService.checkInteractions(drugIds, { conditions, patientFactors })
+
+      const snapshot = await PatientCheck.create({
+        patientId: patient._id,
+        checkedBy: user.id,
+        medications,
+        conditions,
+        riskLevel: result.riskLevel,
+        riskScore: result.riskScore.score,
+        result,
+      })
+
+      logger.info('患者用药检测完成', {
+        id,
+        drugCount: drugIds.length,
+        riskLevel: result.riskLevel,
+      })
+
+      return snapshot.toObject()
+    } catch (error) {
+      logger.error('患者用药检测失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 查询患者的检测快照（按时间倒序）
+   * @param {string} id - 患者ID
+   * @param {Object} user - 当前用户
+   * @param {number} page - 页码（从1开始）
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{checks: Array, total: number, page: number, totalPages: number}>}
+   */
+  async findChecks(id, user, page = 1, limit = 10) {
+    try {
+      await this.findById(id, user)
+
+      const pageNum = Math.max(1, parseInt(page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const [checks, total] = await Promise.all([
+        PatientCheck.find({ patientId: id })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        PatientCheck.countDocuments({ patientId: id }),
+      ])
+
+      return {
+        checks,
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+      }
+    } catch (error) {
+      logger.error('查询患者检测记录失败', { id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 校验用药记录引用的药物存在，并补充药物名称
+   * @private
+   */
+  async _prepareMedications(medications) {
+    const drugIds = [...new Set(medications.map(medication => String(medication.drugId)))]
+    if (drugIds.length === 0) {
+      return []
+    }
+
+    const drugs = await Drug.find({ _id: { $in: drugIds } }, { name: 1 }).lean()
+    if (drugs.length !== drugIds.length) {
+      const drugError = new Error('用药清单中部分药物不存在')
+      drugError.code = 'DRUG_NOT_FOUND'
+      drugError.status = 400
+      throw drugError
+    }
+
+    const drugNames = new Map(drugs.map(drug => [drug._id.toString(), drug.name]))
+    return medications.map(medication => ({
+      ...medication,
+      drugName: drugNames.get(String(medication.drugId)),
+    }))
+  }
+}
+
+// 导出单例
+export const patientService = new PatientService()
@@ -0,0 +1,133 @@
+import TokenUsage from '../models/TokenUsage.js'
+import { config } from '../config/env.js'
+import { getRequestContext } from '../utils/requestContext.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * 获取日期字符串（服务器本地时区）
+ * @param {Date} [date] - 日期，默认当前时间
+ * @returns {string} YYYY-MM-DD
+ */
+const formatDate = (date = new Date()) => {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * 配额服务类
+ * 按用户统计每日AI令牌用量，并根据角色限制每日上限
+ */
+class QuotaService {
+  /**
+   * 获取角色的每日令牌上限
+   * @param {string} role - 用户角色
+   * @returns {number} 每日上限，0表示不限制
+   */
+  getDailyLimit(role) {
+    return config.quota.dailyTokens[role] ?? 0
+  }
+
+  /**
+   * 获取下一次配额重置的时间（次日零点）
+   * @returns {Date}
+   */
+  getResetAt() {
+    const resetAt = new Date()
+    resetAt.setHours(24, 0, 0, 0)
+    return resetAt
+  }
+
+  /**
+   * 查询用户当天的用量和配额
+   * @param {Object} user - 当前用户（包含id和role）
+   * @returns {Promise<Object>} 用量信息
+   */
+  async getUsage(user) {
+    try {
+      const usage = await TokenUsage.findOne({
+        userId: user.id,
+        date: formatDate(),
+      }).lean()
+
+      const limit = this.getDailyLimit(user.role)
+      const used = usage?.totalTokens || 0
+
+      return {
+        date: formatDate(),
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0,
+        totalTokens: used,
+        requests: usage?.requests || 0,
+        limit,
+        remaining: limit > 0 ? Math.max(0, limit - used) : null,
+        resetAt: this.getResetAt(),
+      }
+    } catch (error) {
+      logger.error('查询令牌用量失败', { userId: user?.id, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 检查用户是否还有剩余配额
+   * @param {Object} user - 当前用户（包含id和role）
+   * @returns {Promise<{allowed: boolean, used: number, limit: number, resetAt: Date}>}
+   */
+  async checkQuota(user) {
+    const limit = this.getDailyLimit(user.role)
+    if (limit <= 0) {
+      return { allowed: true, used: 0, limit, resetAt: this.getResetAt() }
+    }
+
+    const usage = await this.getUsage(user)
+    return {
+      allowed: usage.totalTokens < limit,
+      used: usage.totalTokens,
+      limit,
+      resetAt: usage.resetAt,
+    }
+  }
+
+  /**
+   * 记录一次AI调用的令牌用量
+   * 用户从请求上下文中获取，不在请求上下文中（如脚本调用）时跳过
+   * 统计失败只记录日志，不影响AI调用结果
+   * @param {Object} usage - OpenAI响应中的usage字段
+   * @param {string} method - 调用的AI方法名
+   * @returns {Promise<void>}
+   */
+  async recordUsage(usage, method) {
+    const userId = getRequestContext()?.userId
+    if (!userId || !usage) {
+      return
+    }
+
+    try {
+      await TokenUsage.updateOne(
+        { userId, date: formatDate() },
+        {
+          $inc: {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens || 0,
+            requests: 1,
+          },
+        },
+        { upsert: true }
+      )
+
+      logger.info('记录AI令牌用量', {
+        userId,
+        method,
+        totalTokens: usage.total_tokens,
+      })
+    } catch (error) {
+      logger.error('记录AI令牌用量失败', { userId, method, error: error.message })
+    }
+  }
+}
+
+// 导出单例
+export const quotaService = new QuotaService()
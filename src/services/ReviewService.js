@@ -0,0 +1,160 @@
+import Drug from '../models/Drug.js'
+import Interaction from '../models/Interaction.js'
+import { logger } from '../utils/logger.js'
+
+// 可审核的记录类型与对应的模型
+const REVIEW_TARGETS = {
+  drug: { model: Drug, label: '药物' },
+  interaction: { model: Interaction, label: '相互作用记录' },
+}
+
+// 待审核AI数据的查询条件（没有审核信息的历史AI数据同样视为待审核）
+const PENDING_AI_FILTER = {
+  source: 'ai',
+  'review.status': { $in: ['pending', null] },
+}
+
+/**
+ * 审核服务类
+ * 实现AI生成的药物和相互作用数据的人工审核流程
+ */
+class ReviewService {
+  /**
+   * 查询待审核队列
+   * @param {Object} [options] - 查询选项
+   * @param {string} [options.type] - 记录类型：drug, interaction，不传则同时返回两类
+   * @param {number} [options.page=1] - 页码（从1开始）
+   * @param {number} [options.limit=10] - 每页数量
+   * @returns {Promise<Object>} 各类型的待审核记录及总数
+   */
+  async getQueue(options = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(options.page) || 1)
+      const limitNum = Math.min(100, Math.max(1, parseInt(options.limit) || 10))
+      const skip = (pageNum - 1) * limitNum
+
+      const types = options.type ? [options.type] : Object.keys(REVIEW_TARGETS)
+
+      const queue = {}
+      for (const type of types) {
+        const { model } = REVIEW_TARGETS[type]
+        const [items, total] = await Promise.all([
+          model.find(PENDING_AI_FILTER)
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+          model.countDocuments(PENDING_AI_FILTER),
+        ])
+
+        queue[type] = {
+          items,
+          total,
+          page: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+        }
+      }
+
+      logger.info('查询待审核队列', {
+        types,
+        page: pageNum,
+        limit: limitNum,
+        totals: Object.fromEntries(types.map(type => [type, queue[type].total])),
+      })
+
+      return queue
+    } catch (error) {
+      logger.error('查询待审核队列失败', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * 审核通过
+   * @param {string} type - 记录类型：drug, interaction
+   * @param {string} id - 记录ID
+   * @param {Object} reviewData - 审核信息
+   * @param {string} reviewData.reviewer - 审核人
+   * @param {string} [reviewData.notes] - 审核备注
+   * @returns {Promise<Object>} 更新后的记录
+   */
+  async approve(type, id, reviewData) {
+    return this.review(type, id, { ...reviewData, status: 'approved' })
+  }
+
+  /**
+   * 审核驳回
+   * 被驳回的数据保留用于追溯，但不会出现在相互作用检测结果中
+   * @param {string} type - 记录类型：drug, interaction
+   * @param {string} id - 记录ID
+   * @param {Object} reviewData - 审核信息
+   * @param {string} reviewData.reviewer - 审核人
+   * @param {string} reviewData.notes - 驳回原因
+   * @returns {Promise<Object>} 更新后的记录
+   */
+  async reject(type, id, reviewData) {
+    if (!reviewData?.notes) {
+      throw new Error('驳回时必须填写审核备注')
+    }
+    return this.review(type, id, { ...reviewData, status: 'rejected' })
+  }
+
+  /**
+   * 写入审核结果
+   * @private
+   * @param {string} type - 记录类型：drug, interaction
+   * @param {string} id - 记录ID
+   * @param {Object} reviewData - 审核信息（包含status）
+   * @returns {Promise<Object>} 更新后的记录
+   */
+  async review(type, id, reviewData) {
+    try {
+      const target = REVIEW_TARGETS[type]
+      if (!target) {
+        throw new Error('审核类型必须是 drug 或 interaction')
+      }
+
+      if (!id) {
+        throw new Error('记录ID不能为空')
+      }
+
+      if (!reviewData.reviewer) {
+        throw new Error('审核人不能为空')
+      }
+
+      const record = await target.model.findByIdAndUpdate(
+        id,
+        {
+          $set: {
+            review: {
+              status: reviewData.status,
+              reviewer: reviewData.reviewer,
+              reviewedAt: new Date(),
+              notes: reviewData.notes,
+            },
+          },
+        },
+        { new: true, runValidators: true }
+      ).lean()
+
+      if (!record) {
+        throw new Error(`${target.label}不存在`)
+      }
+
+      logger.info('审核记录', {
+        type,
+        id,
+        status: reviewData.status,
+        reviewer: reviewData.reviewer,
+      })
+
+      return record
+    } catch (error) {
+      logger.error('审核记录失败', { type, id, error: error.message })
+      throw error
+    }
+  }
+}
+
+// 导出单例
+export const reviewService = new ReviewService()
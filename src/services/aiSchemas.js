@@ -0,0 +1,376 @@
+/**
+ * AI响应结构声明与校验
+ * 模型输出的JSON先按声明的结构规范化（去空格、同义词映射、默认值），再校验必需字段和取值范围
+ */
+
+import { REFERENCE_YEAR_RANGE } from '../models/Interaction.js'
+
+// 严重程度同义词（统一映射为 low / medium / high / contraindicated）
+export const SEVERITY_SYNONYMS = {
+  low: ['low', 'minor', 'mild', '低', '轻', '轻微', '轻度', '低风险'],
+  medium: ['medium', 'moderate', '中', '中等', '中度', '中风险'],
+  high: ['high', 'major', 'severe', 'serious', '高', '严重', '重度', '高风险'],
+  contraindicated: ['contraindicated', '禁忌', '禁用', '禁止合用', '禁止联用'],
+}
+
+// 作用机制类别同义词（统一映射为 pharmacokinetic / pharmacodynamic / mixed / unknown）
+export const MECHANISM_SYNONYMS = {
+  pharmacokinetic: ['pharmacokinetic', 'pk', '药代动力学', '药动学', '药物代谢动力学'],
+  pharmacodynamic: ['pharmacodynamic', 'pd', '药效学', '药效动力学'],
+  mixed: ['mixed', 'both', '混合', '两者兼有', '药代动力学和药效学'],
+  unknown: ['unknown', '未知', '不明', '不明确'],
+}
+
+// 起效时间同义词（统一映射为 rapid / delayed / unspecified）
+export const ONSET_SYNONYMS = {
+  rapid: ['rapid', 'fast', 'immediate', '快速', '迅速', '急性', '立即'],
+  delayed: ['delayed', 'slow', '延迟', '迟发', '缓慢'],
+  unspecified: ['unspecified', 'unknown', '未明确', '未知', '不明'],
+}
+
+// 证据等级同义词（统一映射为 established / probable / suspected / theoretical）
+export const EVIDENCE_SYNONYMS = {
+  established: ['established', 'excellent', '确定', '确证', '已证实', '明确'],
+  probable: ['probable', 'good', '很可能', '较可靠', '可能性大'],
+  suspected: ['suspected', 'fair', 'possible', '疑似', '可疑', '可能'],
+  theoretical: ['theoretical', 'poor', '理论', '理论推测', '推测'],
+}
+
+/**
+ * 由同义词表构建查找表（同义词 -> 规范值）
+ * @param {Object<string, string[]>} synonyms - 同义词表
+ * @returns {Map<string, string>}
+ */
+const buildLookup = (synonyms) => new Map(
+  Object.entries(synonyms).flatMap(([value, list]) =>
+    list.map(synonym => [synonym, value])
+  )
+)
+
+const SEVERITY_LOOKUP = buildLookup(SEVERITY_SYNONYMS)
+
+/**
+ * 将严重程度同义词映射为 low / medium / high / contraindicated
+ * @param {*} value - 原始值
+ * @returns {*} 规范化后的值（无法识别时原样返回，由校验报告错误）
+ */
+export const normalizeSeverity = (value) => {
+  if (typeof value !== 'string') {
+    return value
+  }
+  return SEVERITY_LOOKUP.get(value.trim().toLowerCase()) || value
+}
+
+/**
+ * 创建可选枚举字段的规范化函数：同义词映射为规范值，无法识别时使用兜底值
+ * 这些字段是补充信息，模型返回的取值不规范时不应导致整个响应校验失败
+ * @param {Object<string, string[]>} synonyms - 同义词表
+ * @param {string} [fallback] - 兜底值，不提供时丢弃无法识别的值
+ * @returns {Function}
+ */
+const createEnumNormalizer = (synonyms, fallback) => {
+  const lookup = buildLookup(synonyms)
+  return (value) => {
+    if (typeof value !== 'string') {
+      return value
+    }
+    return lookup.get(value.trim().toLowerCase()) || fallback
+  }
+}
+
+/**
+ * 文献年份：从"2019年"等文本中提取四位数年份，提取不到或不在有效范围内时丢弃
+ * 模型可能编造文献年份，不合理的年份不应导致整条相互作用无法保存
+ * @param {*} value - 原始值
+ * @returns {*} 规范化后的值
+ */
+const normalizeYear = (value) => {
+  let year = value
+  if (typeof value === 'string') {
+    const match = value.match(/\d{4}/)
+    year = match ? Number(match[0]) : undefined
+  }
+  if (typeof year === 'number' && (year < REFERENCE_YEAR_RANGE.min || year > REFERENCE_YEAR_RANGE.max)) {
+    return undefined
+  }
+  return year
+}
+
+/**
+ * 布尔值同义词
+ * @param {*} value - 原始值
+ * @returns {*} 规范化后的值
+ */
+const normalizeBoolean = (value) => {
+  if (typeof value !== 'string') {
+    return value
+  }
+  const text = value.trim().toLowerCase()
+  if (['true', 'yes', '是'].includes(text)) return true
+  if (['false', 'no', '否'].includes(text)) return false
+  return value
+}
+
+// 字符串形式的列表使用的分隔符
+const LIST_SEPARATOR = /[、；;,，\n]/
+
+const severityField = {
+  type: 'string',
+  required: true,
+  enum: ['low', 'medium', 'high', 'contraindicated'],
+  normalize: normalizeSeverity,
+}
+
+// 相互作用的结构化补充信息（均为可选字段）
+const interactionDetailFields = {
+  mechanism: {
+    type: 'object',
+    // 模型只返回机制描述文本时，视为类别未知
+    normalize: value => (typeof value === 'string' ? { category: 'unknown', description: value } : value),
+    properties: {
+      category: {
+        type: 'string',
+        enum: Object.keys(MECHANISM_SYNONYMS),
+        normalize: createEnumNormalizer(MECHANISM_SYNONYMS, 'unknown'),
+        default: 'unknown',
+      },
+      enzymes: {
+        type: 'array',
+        items: { type: 'string', normalize: value => (typeof value === 'string' ? value.toUpperCase() : value) },
+        default: [],
+      },
+      description: { type: 'string', default: '' },
+    },
+  },
+  onset: {
+    type: 'string',
+    enum: Object.keys(ONSET_SYNONYMS),
+    normalize: createEnumNormalizer(ONSET_SYNONYMS, 'unspecified'),
+  },
+  evidenceLevel: {
+    type: 'string',
+    enum: Object.keys(EVIDENCE_SYNONYMS),
+    normalize: createEnumNormalizer(EVIDENCE_SYNONYMS),
+  },
+  management: { type: 'array', items: { type: 'string' }, default: [] },
+  monitoring: { type: 'array', items: { type: 'string' }, default: [] },
+  references: {
+    type: 'array',
+    items: {
+      type: 'object',
+      // 模型只返回文献标题字符串时，转换为对象
+      normalize: value => (typeof value === 'string' ? { title: value } : value),
+      properties: {
+        title: { type: 'string', required: true },
+        source: { type: 'string' },
+        year: { type: 'number', normalize: normalizeYear },
+        pmid: { type: 'string' },
+        doi: { type: 'string' },
+        url: { type: 'string' },
+      },
+    },
+    default: [],
+  },
+}
+
+/**
+ * 各AI任务的响应结构
+ */
+export const AI_RESPONSE_SCHEMAS = {
+  analyzeDrug: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true },
+      genericName: { type: 'string' },
+      category: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      sideEffects: { type: 'array', items: { type: 'string' }, default: [] },
+      contraindications: { type: 'array', items: { type: 'string' }, default: [] },
+      dosage: { type: 'string' },
+      aiAnalysis: { type: 'string', default: '' },
+    },
+  },
+
+  analyzeInteractions: {
+    type: 'object',
+    properties: {
+      interactions: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            drug1: { type: 'string', required: true },
+            drug2: { type: 'string', required: true },
+            interactionType: { type: 'string', required: true },
+            severity: severityField,
+            description: { type: 'string', required: true },
+            recommendation: { type: 'string', required: true },
+            ...interactionDetailFields,
+          },
+        },
+      },
+      overallRisk: { ...severityField, required: false },
+      summary: { type: 'string', default: '' },
+    },
+  },
+
+  explainAlternatives: {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true },
+            reason: { type: 'string', required: true },
+            cautions: { type: 'string', default: '' },
+          },
+        },
+      },
+      summary: { type: 'string', default: '' },
+    },
+  },
+
+  validateDrugName: {
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean', required: true, normalize: normalizeBoolean },
+      reason: { type: 'string', default: '' },
+    },
+  },
+}
+
+/**
+ * 按结构声明校验并规范化数据
+ * 未声明的字段会被丢弃
+ * @param {Object} schema - 结构声明
+ * @param {*} value - 待校验的值
+ * @param {string} path - 字段路径（用于错误信息）
+ * @returns {{value: *, errors: string[]}} 规范化后的值和错误列表
+ */
+export const validateSchema = (schema, value, path = '$') => {
+  const errors = []
+
+  if (schema.normalize) {
+    value = schema.normalize(value)
+    // 规范化后为空的可选字段视为未提供
+    if ((value === undefined || value === null) && !schema.required) {
+      return { value: undefined, errors }
+    }
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value === 'number') {
+        value = String(value)
+      }
+      if (typeof value !== 'string') {
+        errors.push(`${path} 应为字符串`)
+        break
+      }
+      value = value.trim()
+      if (schema.required && value.length === 0) {
+        errors.push(`${path} 不能为空`)
+      }
+      if (schema.enum && value.length > 0 && !schema.enum.includes(value)) {
+        errors.push(`${path} 必须是 ${schema.enum.join(', ')} 之一（实际为 "${value}"）`)
+      }
+      break
+    }
+
+    case 'number': {
+      if (typeof value === 'string' && value.trim().length > 0 && Number.isFinite(Number(value))) {
+        value = Number(value)
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} 应为数字`)
+      }
+      break
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} 应为布尔值`)
+      }
+      break
+    }
+
+    case 'array': {
+      // 字符串列表允许模型返回用分隔符连接的单个字符串
+      if (typeof value === 'string' && schema.items?.type === 'string') {
+        value = value.split(LIST_SEPARATOR)
+      }
+      if (!Array.isArray(value)) {
+        errors.push(`${path} 应为数组`)
+        break
+      }
+      value = value.map((item, index) => {
+        const result = validateSchema(schema.items, item, `${path}[${index}]`)
+        errors.push(...result.errors)
+        return result.value
+      })
+      if (schema.items?.type === 'string') {
+        value = value.filter(item => typeof item === 'string' && item.length > 0)
+      }
+      break
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} 应为对象`)
+        break
+      }
+      const normalized = {}
+      for (const [key, fieldSchema] of Object.entries(schema.properties)) {
+        const fieldPath = `${path}.${key}`
+        const fieldValue = value[key]
+
+        if (fieldValue === undefined || fieldValue === null) {
+          if (fieldSchema.required) {
+            errors.push(`${fieldPath} 缺失`)
+          } else if (fieldSchema.default !== undefined) {
+            normalized[key] = structuredClone(fieldSchema.default)
+          }
+          continue
+        }
+
+        const result = validateSchema(fieldSchema, fieldValue, fieldPath)
+        errors.push(...result.errors)
+        if (result.value !== undefined) {
+          normalized[key] = result.value
+        }
+      }
+      value = normalized
+      break
+    }
+
+    default:
+      break
+  }
+
+  return { value, errors }
+}
+
+/**
+ * 校验指定AI任务的响应
+ * @param {string} task - 任务名称（analyzeDrug / analyzeInteractions / validateDrugName）
+ * @param {*} data - 解析后的JSON
+ * @returns {{valid: boolean, value: *, errors: string[]}}
+ */
+export const validateAIResponse = (task, data) => {
+  const schema = AI_RESPONSE_SCHEMAS[task]
+  if (!schema) {
+    throw new Error(`未声明AI响应结构: ${task}`)
+  }
+
+  const { value, errors } = validateSchema(schema, data)
+
+  return {
+    valid: errors.length === 0,
+    value,
+    errors,
+  }
+}
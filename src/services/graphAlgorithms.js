@@ -0,0 +1,272 @@
+/**
+ * 药物关系图谱的图算法
+ * 图为无向加权图：节点为药物ID，边为两种药物之间的相互作用，权重为边的值（按严重程度）
+ */
+
+/**
+ * 构建邻接表
+ * 两端不在节点中的边和自环会被忽略；同一对药物有多条边时取最大权重
+ * @param {Array<string>} nodeIds - 节点ID
+ * @param {Array<{source: string, target: string, value: number}>} edges - 边
+ * @returns {Map<string, Map<string, number>>} 节点ID -> (相邻节点ID -> 权重)
+ */
+export const buildAdjacency = (nodeIds, edges) => {
+  const adjacency = new Map(nodeIds.map(id => [id, new Map()]))
+
+  for (const { source, target, value } of edges) {
+    if (source === target || !adjacency.has(source) || !adjacency.has(target)) {
+      continue
+    }
+    const weight = Math.max(value, adjacency.get(source).get(target) || 0)
+    adjacency.get(source).set(target, weight)
+    adjacency.get(target).set(source, weight)
+  }
+
+  return adjacency
+}
+
+/**
+ * 计算度数和加权度数
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @returns {Map<string, {degree: number, weightedDegree: number}>}
+ */
+export const computeDegrees = (adjacency) => {
+  const degrees = new Map()
+  for (const [id, neighbors] of adjacency) {
+    let weightedDegree = 0
+    for (const weight of neighbors.values()) {
+      weightedDegree += weight
+    }
+    degrees.set(id, { degree: neighbors.size, weightedDegree })
+  }
+  return degrees
+}
+
+/**
+ * 计算介数中心性（Brandes 算法，按跳数计算最短路径）
+ * 结果按无向图归一化到 0~1：经过该节点的最短路径占全部节点对的比例
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @returns {Map<string, number>}
+ */
+export const computeBetweenness = (adjacency) => {
+  const nodeIds = [...adjacency.keys()]
+  const centrality = new Map(nodeIds.map(id => [id, 0]))
+
+  for (const sourceId of nodeIds) {
+    const stack = []
+    const predecessors = new Map([[sourceId, []]])
+    const pathCounts = new Map([[sourceId, 1]])
+    const distances = new Map([[sourceId, 0]])
+    const queue = [sourceId]
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head]
+      stack.push(current)
+      for (const neighbor of adjacency.get(current).keys()) {
+        if (!distances.has(neighbor)) {
+          distances.set(neighbor, distances.get(current) + 1)
+          predecessors.set(neighbor, [])
+          pathCounts.set(neighbor, 0)
+          queue.push(neighbor)
+        }
+        if (distances.get(neighbor) === distances.get(current) + 1) {
+          pathCounts.set(neighbor, pathCounts.get(neighbor) + pathCounts.get(current))
+          predecessors.get(neighbor).push(current)
+        }
+      }
+    }
+
+    // 按距离从远到近累加依赖值
+    const dependencies = new Map(stack.map(id => [id, 0]))
+    while (stack.length > 0) {
+      const current = stack.pop()
+      for (const predecessor of predecessors.get(current)) {
+        const share = (pathCounts.get(predecessor) / pathCounts.get(current)) * (1 + dependencies.get(current))
+        dependencies.set(predecessor, dependencies.get(predecessor) + share)
+      }
+      if (current !== sourceId) {
+        centrality.set(current, centrality.get(current) + dependencies.get(current))
+      }
+    }
+  }
+
+  // 无向图中每个节点对被计算两次，归一化系数为 2 / ((n-1)(n-2)) 再除以 2
+  const n = nodeIds.length
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0
+  for (const [id, value] of centrality) {
+    centrality.set(id, value * scale)
+  }
+
+  return centrality
+}
+
+/**
+ * 查找连通分量
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @returns {Array<Array<string>>} 各连通分量的节点ID（按节点数从多到少）
+ */
+export const findConnectedComponents = (adjacency) => {
+  const visited = new Set()
+  const components = []
+
+  for (const startId of adjacency.keys()) {
+    if (visited.has(startId)) {
+      continue
+    }
+    visited.add(startId)
+    const component = [startId]
+    for (let head = 0; head < component.length; head++) {
+      for (const neighbor of adjacency.get(component[head]).keys()) {
+        if (!visited.has(neighbor)) {
+          visited.add(neighbor)
+          component.push(neighbor)
+        }
+      }
+    }
+    components.push(component)
+  }
+
+  return components.sort((a, b) => b.length - a.length)
+}
+
+/**
+ * 社区发现（加权标签传播）
+ * 每个节点反复采用相邻节点中权重之和最大的标签，直到不再变化或达到迭代上限
+ * 按节点ID顺序更新，当前标签并列最大时保留，否则取最小的标签，保证结果稳定
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @param {number} [maxIterations=20] - 最大迭代次数
+ * @returns {Array<Array<string>>} 各社区的节点ID（按节点数从多到少）
+ */
+export const detectCommunities = (adjacency, maxIterations = 20) => {
+  const nodeIds = [...adjacency.keys()].sort()
+  const labels = new Map(nodeIds.map(id => [id, id]))
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false
+
+    for (const id of nodeIds) {
+      const neighbors = adjacency.get(id)
+      if (neighbors.size === 0) {
+        continue
+      }
+
+      const scores = new Map()
+      for (const [neighbor, weight] of neighbors) {
+        const label = labels.get(neighbor)
+        scores.set(label, (scores.get(label) || 0) + weight)
+      }
+
+      const maxScore = Math.max(...scores.values())
+      const current = labels.get(id)
+      if (scores.get(current) === maxScore) {
+        continue
+      }
+
+      const best = [...scores.keys()].filter(label => scores.get(label) === maxScore).sort()[0]
+      labels.set(id, best)
+      changed = true
+    }
+
+    if (!changed) {
+      break
+    }
+  }
+
+  const communities = new Map()
+  for (const [id, label] of labels) {
+    if (!communities.has(label)) {
+      communities.set(label, [])
+    }
+    communities.get(label).push(id)
+  }
+
+  return [...communities.values()].sort((a, b) => b.length - a.length)
+}
+
+/**
+ * 计算社区划分的模块度（加权），越接近1表示社区内部连接越紧密
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @param {Array<Array<string>>} communities - 社区划分
+ * @returns {number} 没有边时为0
+ */
+export const calculateModularity = (adjacency, communities) => {
+  const degrees = computeDegrees(adjacency)
+  let totalWeight = 0
+  for (const { weightedDegree } of degrees.values()) {
+    totalWeight += weightedDegree
+  }
+  if (totalWeight === 0) {
+    return 0
+  }
+
+  let modularity = 0
+  for (const community of communities) {
+    const members = new Set(community)
+    let internalWeight = 0
+    let communityDegree = 0
+    for (const id of community) {
+      communityDegree += degrees.get(id).weightedDegree
+      for (const [neighbor, weight] of adjacency.get(id)) {
+        if (members.has(neighbor)) {
+          internalWeight += weight
+        }
+      }
+    }
+    modularity += internalWeight / totalWeight - (communityDegree / totalWeight) ** 2
+  }
+
+  return modularity
+}
+
+/**
+ * 查找两个节点之间代价最小的路径（Dijkstra 算法）
+ * @param {Map<string, Map<string, number>>} adjacency - 邻接表
+ * @param {string} fromId - 起点
+ * @param {string} toId - 终点
+ * @param {Function} [costOf] - 由边的权重计算经过该边的代价（必须为正数），默认每条边代价为1（即最少跳数）
+ * @returns {{nodeIds: Array<string>, cost: number}|null} 路径上的节点ID（含起点和终点），不连通时返回 null
+ */
+export const findShortestPath = (adjacency, fromId, toId, costOf = () => 1) => {
+  if (!adjacency.has(fromId) || !adjacency.has(toId)) {
+    return null
+  }
+
+  const costs = new Map([[fromId, 0]])
+  const previous = new Map()
+  const visited = new Set()
+
+  while (true) {
+    // 在未确定的节点中选择代价最小的（药物图规模不大，线性查找即可）
+    let current = null
+    for (const [id, cost] of costs) {
+      if (!visited.has(id) && (current === null || cost < costs.get(current))) {
+        current = id
+      }
+    }
+    if (current === null) {
+      return null
+    }
+    if (current === toId) {
+      break
+    }
+    visited.add(current)
+
+    for (const [neighbor, weight] of adjacency.get(current)) {
+      if (visited.has(neighbor)) {
+        continue
+      }
+      const cost = costs.get(current) + costOf(weight)
+      if (!costs.has(neighbor) || cost < costs.get(neighbor)) {
+        costs.set(neighbor, cost)
+        previous.set(neighbor, current)
+      }
+    }
+  }
+
+  const nodeIds = [toId]
+  while (nodeIds[0] !== fromId) {
+    nodeIds.unshift(previous.get(nodeIds[0]))
+  }
+
+  return { nodeIds, cost: costs.get(toId) }
+}
@@ -0,0 +1,235 @@
+/**
+ * 药物关系图谱导出
+ * 将图谱数据（nodes/edges）转换为 Gephi、Cytoscape、Graphviz 等工具可以直接打开的标准格式
+ * 多药相互作用（超边）在这些格式中没有对应结构，不包含在导出结果中
+ */
+
+// 节点和边导出的属性：[字段名, 导出的属性名, 类型]；边的 value 按各工具的习惯导出为 weight
+const NODE_ATTRIBUTES = [
+  ['category', 'category', 'string'],
+  ['source', 'source', 'string'],
+  ['value', 'value', 'double'],
+  ['distance', 'distance', 'integer'],
+]
+const EDGE_ATTRIBUTES = [
+  ['severity', 'severity', 'string'],
+  ['interactionType', 'interactionType', 'string'],
+  ['value', 'weight', 'double'],
+  ['description', 'description', 'string'],
+]
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // 属性值中的换行会被 XML 解析器替换为空格，统一使用字符引用
+  .replace(/\r/g, '&#13;')
+  .replace(/\n/g, '&#10;')
+
+const escapeDot = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const hasValue = (value) => value !== undefined && value !== null
+
+// 边没有ID，导出时按顺序编号
+const edgeId = (index) => `e${index}`
+
+/**
+ * 导出为 GraphML（Gephi、yEd、NetworkX 等）
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @returns {string}
+ */
+const toGraphML = ({ nodes, edges }) => {
+  const graphmlTypes = { string: 'string', double: 'double', integer: 'int' }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    ...NODE_ATTRIBUTES.map(([, name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${graphmlTypes[type]}"/>`),
+    ...EDGE_ATTRIBUTES.map(([, name, type]) => `  <key id="${name}" for="edge" attr.name="${name}" attr.type="${graphmlTypes[type]}"/>`),
+    '  <graph id="drugs" edgedefault="undirected">',
+  ]
+
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`)
+    lines.push(`      <data key="label">${escapeXml(node.name)}</data>`)
+    for (const [field, name] of NODE_ATTRIBUTES) {
+      if (hasValue(node[field])) {
+        lines.push(`      <data key="${name}">${escapeXml(node[field])}</data>`)
+      }
+    }
+    lines.push('    </node>')
+  }
+
+  edges.forEach((edge, index) => {
+    lines.push(`    <edge id="${edgeId(index)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`)
+    for (const [field, name] of EDGE_ATTRIBUTES) {
+      if (hasValue(edge[field])) {
+        lines.push(`      <data key="${name}">${escapeXml(edge[field])}</data>`)
+      }
+    }
+    lines.push('    </edge>')
+  })
+
+  lines.push('  </graph>', '</graphml>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 导出为 GEXF 1.3（Gephi）
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @returns {string}
+ */
+const toGEXF = ({ nodes, edges }) => {
+  // 边的权重使用 GEXF 自带的 weight 属性
+  const edgeAttributes = EDGE_ATTRIBUTES.filter(([, name]) => name !== 'weight')
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <graph defaultedgetype="undirected" mode="static">',
+    '    <attributes class="node">',
+    ...NODE_ATTRIBUTES.map(([, name, type]) => `      <attribute id="${name}" title="${name}" type="${type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(([, name, type]) => `      <attribute id="${name}" title="${name}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>',
+  ]
+
+  for (const node of nodes) {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name)}">`)
+    lines.push('        <attvalues>')
+    for (const [field, name] of NODE_ATTRIBUTES) {
+      if (hasValue(node[field])) {
+        lines.push(`          <attvalue for="${name}" value="${escapeXml(node[field])}"/>`)
+      }
+    }
+    lines.push('        </attvalues>')
+    lines.push('      </node>')
+  }
+
+  lines.push('    </nodes>', '    <edges>')
+
+  edges.forEach((edge, index) => {
+    // 缺少权重时使用 GEXF 的默认权重1
+    const weight = hasValue(edge.value) ? edge.value : 1
+    lines.push(`      <edge id="${edgeId(index)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${escapeXml(weight)}">`)
+    lines.push('        <attvalues>')
+    for (const [field, name] of edgeAttributes) {
+      if (hasValue(edge[field])) {
+        lines.push(`          <attvalue for="${name}" value="${escapeXml(edge[field])}"/>`)
+      }
+    }
+    lines.push('        </attvalues>')
+    lines.push('      </edge>')
+  })
+
+  lines.push('    </edges>', '  </graph>', '</gexf>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 导出为 Cytoscape.js JSON（Cytoscape 桌面版可通过 File > Import > Network 打开）
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @returns {string}
+ */
+const toCytoscape = ({ nodes, edges }) => {
+  const pick = (item, attributes) => Object.fromEntries(
+    attributes.filter(([field]) => hasValue(item[field])).map(([field, name]) => [name, item[field]])
+  )
+
+  const elements = {
+    nodes: nodes.map(node => ({
+      data: { id: node.id, name: node.name, ...pick(node, NODE_ATTRIBUTES) },
+    })),
+    edges: edges.map((edge, index) => ({
+      data: { id: edgeId(index), source: edge.source, target: edge.target, ...pick(edge, EDGE_ATTRIBUTES) },
+    })),
+  }
+
+  return JSON.stringify({ data: { name: '药物关系图谱' }, elements }, null, 2)
+}
+
+/**
+ * 导出为 Graphviz DOT
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @returns {string}
+ */
+const toDot = ({ nodes, edges }) => {
+  const formatAttributes = (item, attributes, extra) => [
+    ...extra,
+    ...attributes
+      .filter(([field]) => hasValue(item[field]))
+      .map(([field, name]) => `${name}="${escapeDot(item[field])}"`),
+  ].join(', ')
+
+  const lines = ['graph drugs {']
+  for (const node of nodes) {
+    lines.push(`  "${escapeDot(node.id)}" [${formatAttributes(node, NODE_ATTRIBUTES, [`label="${escapeDot(node.name)}"`])}];`)
+  }
+  for (const edge of edges) {
+    lines.push(`  "${escapeDot(edge.source)}" -- "${escapeDot(edge.target)}" [${formatAttributes(edge, EDGE_ATTRIBUTES, [])}];`)
+  }
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 导出为 CSV 表格（Gephi 数据实验室的节点表/边表格式）
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @param {Object} [options] - 选项
+ * @param {string} [options.table='edges'] - 导出的表：nodes 或 edges
+ * @returns {string}
+ */
+const toCSV = ({ nodes, edges }, { table = 'edges' } = {}) => {
+  const rows = table === 'nodes'
+    ? [
+        ['Id', 'Label', ...NODE_ATTRIBUTES.map(([, name]) => name)],
+        ...nodes.map(node => [node.id, node.name, ...NODE_ATTRIBUTES.map(([field]) => node[field])]),
+      ]
+    : [
+        ['Id', 'Source', 'Target', 'Type', ...EDGE_ATTRIBUTES.map(([, name]) => (name === 'weight' ? 'Weight' : name))],
+        ...edges.map((edge, index) => [
+          edgeId(index),
+          edge.source,
+          edge.target,
+          'Undirected',
+          ...EDGE_ATTRIBUTES.map(([field]) => edge[field]),
+        ]),
+      ]
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n'
+}
+
+// 支持的导出格式：内容类型、文件扩展名和转换函数
+export const GRAPH_EXPORT_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml', serialize: toGraphML },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf', serialize: toGEXF },
+  cytoscape: { contentType: 'application/json', extension: 'cyjs', serialize: toCytoscape },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot', serialize: toDot },
+  csv: { contentType: 'text/csv', extension: 'csv', serialize: toCSV },
+}
+
+// CSV 可导出的表
+export const CSV_TABLES = ['edges', 'nodes']
+
+/**
+ * 将图谱数据转换为指定格式
+ * @param {{nodes: Array, edges: Array}} graph - 图谱数据
+ * @param {string} format - 导出格式（GRAPH_EXPORT_FORMATS 的键）
+ * @param {Object} [options] - 格式选项（csv 的 table）
+ * @returns {{content: string, contentType: string, extension: string}}
+ */
+export const serializeGraph = (graph, format, options = {}) => {
+  const { contentType, extension, serialize } = GRAPH_EXPORT_FORMATS[format]
+  return { content: serialize(graph, options), contentType, extension }
+}
@@ -0,0 +1,256 @@
+import { readFileSync } from 'fs'
+
+// 内置夹具文件
+const DEFAULT_FIXTURES_PATH = new URL('./fixtures/mock-fixtures.json', import.meta.url)
+
+// 流式输出时每个片段的字符数
+const STREAM_CHUNK_SIZE = 8
+
+/**
+ * 规范化夹具键：去除首尾空格并转为小写
+ * @param {string} key - 原始键
+ * @returns {string} 规范化后的键
+ */
+const normalizeKey = (key) => String(key ?? '').trim().toLowerCase()
+
+/**
+ * 估算令牌数（按字符数粗略计算，保证结果确定）
+ * @param {string} text - 文本
+ * @returns {number} 令牌数
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 2)
+
+/**
+ * 按夹具中的 $error 构造错误，错误形式与真实接口一致，便于复用AIService的错误处理
+ * @param {string} code - 错误代码
+ * @returns {Error}
+ */
+const createFixtureError = (code) => {
+  if (code === 'AI_TIMEOUT') {
+    return new Error('AI_TIMEOUT')
+  }
+  if (code === 'AI_CONNECTION_ERROR') {
+    const error = new Error('connect ECONNREFUSED')
+    error.code = 'ECONNREFUSED'
+    return error
+  }
+  return new Error(code)
+}
+
+/**
+ * 没有匹配夹具时的默认结果生成器（按任务区分）
+ */
+const DEFAULT_RESPONSES = {
+  analyzeDrug: ({ drugName }) => ({
+    name: drugName,
+    genericName: drugName,
+    category: '未分类',
+    description: `${drugName}（模拟数据）`,
+    sideEffects: [],
+    contraindications: [],
+    dosage: '请遵医嘱',
+    aiAnalysis: `${drugName}的模拟分析结果，仅用于离线开发和测试。`,
+  }),
+
+  analyzeInteractions: ({ pairs = [] }) => {
+    const interactions = pairs.map(([drug1, drug2]) => ({
+      drug1,
+      drug2,
+      interactionType: '无明显相互作用',
+      severity: 'low',
+      description: `模拟数据：${drug1}与${drug2}未发现明显相互作用`,
+      recommendation: '请遵医嘱',
+      mechanism: { category: 'unknown', enzymes: [], description: '' },
+      onset: 'unspecified',
+      evidenceLevel: 'theoretical',
+      management: [],
+      monitoring: [],
+      references: [],
+    }))
+    return {
+      interactions,
+      overallRisk: 'low',
+      summary: '模拟数据：未发现明显风险',
+    }
+  },
+
+  explainAlternatives: ({ drugName, alternatives = [] }) => ({
+    recommendations: alternatives.map(alternative => ({
+      name: alternative.name,
+      reason: `模拟数据：${alternative.name}与${drugName}同属一类，与合并用药的已知相互作用较少`,
+      cautions: '请遵医嘱',
+    })),
+    summary: '模拟数据：仅用于离线开发和测试',
+  }),
+
+  validateDrugName: () => ({
+    valid: true,
+    reason: '模拟验证通过',
+  }),
+}
+
+/**
+ * 本地模拟提供方
+ * 不发起网络请求，按夹具文件返回确定的结果，用于离线开发和自动化测试
+ *
+ * 夹具文件格式：
+ * {
+ *   "analyzeDrug": { "<药物名称>": { ...分析结果 } },
+ *   "analyzeInteractions": { "<药物名称用+连接，与顺序无关>": { ...分析结果 } },
+ *   "validateDrugName": { "<输入>": { "valid": false, "reason": "..." } },
+ *   "explainAlternatives": { "<被替代的药物名称>": { "recommendations": [...], "summary": "..." } },
+ *   "chat": [{ "match": "<用户消息包含的文本>", "reply": "<回复>" }]
+ * }
+ * 任一结果写成 { "$error": "AI_TIMEOUT" | "AI_CONNECTION_ERROR" | "<错误信息>" } 时模拟调用失败
+ */
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.fixturesPath] - 夹具文件路径，不传时使用内置夹具
+   * @param {Object} [options.fixtures] - 直接传入的夹具对象（优先于文件）
+   * @param {number} [options.streamDelayMs] - 流式输出片段间隔（毫秒）
+   */
+  constructor({ fixturesPath, fixtures, streamDelayMs = 0 } = {}) {
+    this.name = 'mock'
+    this.model = 'mock'
+    this.streamDelayMs = streamDelayMs
+    this.fixtures = fixtures || JSON.parse(readFileSync(fixturesPath || DEFAULT_FIXTURES_PATH, 'utf-8'))
+  }
+
+  /**
+   * 普通对话补全（用于健康检查等场景）
+   * @param {Object} request - 请求参数
+   * @returns {Promise<{content: string, usage: Object}>}
+   */
+  async chatCompletion({ messages }) {
+    const content = this._findChatReply(messages) || 'OK'
+    return {
+      content,
+      usage: this._buildUsage(messages, content),
+    }
+  }
+
+  /**
+   * JSON格式对话补全
+   * 按 request.task 和 request.input 查找夹具，找不到时使用默认生成器
+   * @param {Object} request - 请求参数
+   * @param {string} request.task - 任务名称（analyzeDrug / analyzeInteractions / explainAlternatives / validateDrugName）
+   * @param {Object} request.input - 任务输入
+   * @returns {Promise<{data: Object, content: string, usage: Object}>}
+   */
+  async jsonCompletion({ task, input = {}, messages }) {
+    let data = this._findFixture(task, input)
+
+    if (data && data.$error) {
+      throw createFixtureError(data.$error)
+    }
+
+    if (!data) {
+      const generate = DEFAULT_RESPONSES[task]
+      data = generate ? generate(input) : {}
+    }
+
+    const content = JSON.stringify(data)
+
+    return {
+      data: structuredClone(data),
+      content,
+      usage: this._buildUsage(messages, content),
+    }
+  }
+
+  /**
+   * 流式对话补全
+   * 回复按固定长度切分为多个片段输出
+   * @param {Object} request - 请求参数
+   * @returns {AsyncGenerator<{content?: string, usage?: Object}>}
+   */
+  async *streamCompletion({ messages }) {
+    const fixture = this._findChatFixture(messages)
+    if (fixture?.$error) {
+      throw createFixtureError(fixture.$error)
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user')
+    const reply = fixture?.reply || `这是模拟回复：${lastUserMessage?.content || ''}`
+
+    for (let i = 0; i < reply.length; i += STREAM_CHUNK_SIZE) {
+      if (this.streamDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.streamDelayMs))
+      }
+      yield { content: reply.slice(i, i + STREAM_CHUNK_SIZE) }
+    }
+
+    yield { usage: this._buildUsage(messages, reply) }
+  }
+
+  /**
+   * 查找JSON任务的夹具
+   * @private
+   */
+  _findFixture(task, input) {
+    const fixtures = this.fixtures[task]
+    if (!fixtures) {
+      return null
+    }
+
+    // 相互作用夹具的键与药物顺序无关
+    const toKey = task === 'analyzeInteractions'
+      ? (names) => names.map(normalizeKey).sort().join('+')
+      : normalizeKey
+
+    let key
+    if (task === 'analyzeDrug') {
+      key = toKey(input.drugName)
+    } else if (task === 'analyzeInteractions') {
+      key = toKey(input.drugNames || [])
+    } else if (task === 'validateDrugName') {
+      key = toKey(input.input)
+    } else if (task === 'explainAlternatives') {
+      key = toKey(input.drugName)
+    }
+
+    const matchedKey = Object.keys(fixtures).find(k =>
+      (task === 'analyzeInteractions' ? toKey(k.split('+')) : toKey(k)) === key
+    )
+
+    return matchedKey ? fixtures[matchedKey] : null
+  }
+
+  /**
+   * 查找聊天夹具：用户最后一条消息包含 match 文本即命中
+   * @private
+   */
+  _findChatFixture(messages = []) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user')
+    const text = normalizeKey(lastUserMessage?.content)
+
+    return (this.fixtures.chat || []).find(fixture => text.includes(normalizeKey(fixture.match))) || null
+  }
+
+  /**
+   * @private
+   */
+  _findChatReply(messages) {
+    const fixture = this._findChatFixture(messages)
+    if (fixture?.$error) {
+      throw createFixtureError(fixture.$error)
+    }
+    return fixture?.reply || null
+  }
+
+  /**
+   * 构造令牌用量（与OpenAI格式一致）
+   * @private
+   */
+  _buildUsage(messages = [], completion = '') {
+    const promptTokens = estimateTokens(messages.map(message => message.content).join(''))
+    const completionTokens = estimateTokens(completion)
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import OpenAI from 'openai'
+
+/**
+ * OpenAI兼容接口提供方
+ * 适用于DeepSeek等兼容OpenAI Chat Completions格式的服务
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API密钥
+   * @param {string} options.baseUrl - 接口地址
+   * @param {number} options.timeout - 请求超时（毫秒）
+   * @param {string} options.model - 模型名称
+   */
+  constructor({ apiKey, baseUrl, timeout, model }) {
+    this.name = 'openai'
+    this.model = model
+    this.client = new OpenAI({
+      apiKey,
+      baseURL: baseUrl,
+      timeout,
+    })
+  }
+
+  /**
+   * 普通对话补全
+   * @param {Object} request - 请求参数
+   * @param {Array} request.messages - 消息数组
+   * @param {number} [request.temperature] - 温度
+   * @param {number} [request.maxTokens] - 最大生成令牌数
+   * @returns {Promise<{content: string, usage: Object|null}>}
+   */
+  async chatCompletion({ messages, temperature, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    })
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      usage: response.usage || null,
+    }
+  }
+
+  /**
+   * JSON格式对话补全
+   * 内容无法解析为JSON时 data 为 null，parseError 为解析错误信息，由调用方决定是否重试
+   * @param {Object} request - 请求参数（同 chatCompletion）
+   * @returns {Promise<{data: Object|null, content: string, usage: Object|null, parseError?: string}>}
+   */
+  async jsonCompletion({ messages, temperature, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      response_format: { type: 'json_object' },
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    })
+
+    const content = response.choices[0]?.message?.content || ''
+
+    try {
+      return {
+        data: JSON.parse(content),
+        content,
+        usage: response.usage || null,
+      }
+    } catch (error) {
+      return {
+        data: null,
+        content,
+        usage: response.usage || null,
+        parseError: error.message,
+      }
+    }
+  }
+
+  /**
+   * 流式对话补全
+   * @param {Object} request - 请求参数（同 chatCompletion）
+   * @returns {AsyncGenerator<{content?: string, usage?: Object}>} 文本片段，最后一个片段携带令牌用量
+   */
+  async *streamCompletion({ messages, temperature }) {
+    // include_usage 使最后一个数据块携带令牌用量
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(temperature !== undefined ? { temperature } : {}),
+    })
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content
+      if (content) {
+        yield { content }
+      }
+      if (chunk.usage) {
+        yield { usage: chunk.usage }
+      }
+    }
+  }
+}
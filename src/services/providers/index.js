@@ -0,0 +1,46 @@
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js'
+import { MockProvider } from './MockProvider.js'
+
+/**
+ * AI提供方接口
+ * 所有提供方都实现以下方法，请求参数为 { task, input, messages, temperature, maxTokens }，
+ * 其中 task/input 描述调用意图，真实接口忽略，mock 提供方据此查找夹具
+ *
+ * @typedef {Object} AIProvider
+ * @property {string} name - 提供方名称
+ * @property {string} model - 模型名称
+ * @property {(request: Object) => Promise<{content: string, usage: Object|null}>} chatCompletion - 普通对话补全
+ * @property {(request: Object) => Promise<{data: Object|null, content: string, usage: Object|null, parseError?: string}>} jsonCompletion - JSON格式对话补全（无法解析时 data 为 null）
+ * @property {(request: Object) => AsyncGenerator<{content?: string, usage?: Object}>} streamCompletion - 流式对话补全
+ */
+
+// 可用的提供方
+export const AI_PROVIDERS = ['openai', 'mock']
+
+/**
+ * 根据配置创建AI提供方
+ * @param {Object} config - 应用配置（使用 config.ai 和 config.deepseek）
+ * @returns {AIProvider}
+ */
+export const createProvider = (config) => {
+  const { provider } = config.ai
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: config.deepseek.apiKey,
+        baseUrl: config.deepseek.baseUrl,
+        timeout: config.deepseek.timeout,
+        model: config.ai.model,
+      })
+    case 'mock':
+      return new MockProvider({
+        fixturesPath: config.ai.mockFixtures,
+        streamDelayMs: config.ai.mockStreamDelayMs,
+      })
+    default:
+      throw new Error(`不支持的AI提供方: ${provider}，可选值: ${AI_PROVIDERS.join(', ')}`)
+  }
+}
+
+export { OpenAICompatibleProvider, MockProvider }
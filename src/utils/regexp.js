@@ -0,0 +1,6 @@
+/**
+ * 转义正则表达式中的特殊字符，用于将用户输入作为字面量拼接到查询正则中
+ * @param {string} str - 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+export const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
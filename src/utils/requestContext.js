@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+// 请求级上下文：在异步调用链中传递当前用户等信息，
+// 使服务层（如AI令牌用量统计）无需逐层传参即可获取请求上下文
+const storage = new AsyncLocalStorage()
+
+/**
+ * 在指定上下文中执行函数
+ * @param {Object} context - 上下文数据
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} 函数返回值
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn)
+
+/**
+ * 获取当前请求上下文
+ * @returns {Object|undefined} 上下文数据，不在请求中时返回undefined
+ */
+export const getRequestContext = () => storage.getStore()
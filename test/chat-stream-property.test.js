@@ -7,6 +7,8 @@
  * Property 12: SSE流结束标记
  * 
  * Requirements: 10.2, 10.3, 10.4, 10.5
+ *
+ * 服务端以 AI_PROVIDER=mock 启动时可离线运行，不依赖外部AI服务
  */
 
 import fc from 'fast-check'
@@ -15,6 +17,30 @@ import { logger } from '../src/utils/logger.js'
 
 const BASE_URL = `http://localhost:${config.port}`
 
+// 访问令牌：聊天接口需要登录，使用 TEST_USERNAME / TEST_PASSWORD 指定测试账号
+let accessToken = null
+
+/**
+ * 辅助函数：登录测试账号
+ */
+async function login() {
+    const response = await fetch(`${BASE_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            username: process.env.TEST_USERNAME,
+            password: process.env.TEST_PASSWORD,
+        }),
+    })
+    const data = await response.json()
+    if (!data.success) {
+        throw new Error(`登录失败: ${data.error?.message}`)
+    }
+    return data.data.accessToken
+}
+
 /**
  * 辅助函数：解析SSE流
  */
@@ -51,6 +77,7 @@ async function sendStreamChatRequest(message, history = []) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                Authorization: `Bearer ${accessToken}`,
             },
             body: JSON.stringify({ message, history }),
             signal: controller.signal,
@@ -231,6 +258,9 @@ async function runPropertyTests() {
         await waitForServer()
         console.log('服务器已就绪\n')
 
+        accessToken = await login()
+        console.log('测试账号登录成功\n')
+
         const property11Passed = await testProperty11_SSEResponseFormat()
         const property12Passed = await testProperty12_SSEStreamEndMarker()
 
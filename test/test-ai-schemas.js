@@ -0,0 +1,172 @@
+/**
+ * AI响应结构校验测试脚本
+ * 不依赖外部AI服务、数据库和服务器
+ * 运行: node test/test-ai-schemas.js
+ */
+
+import { validateAIResponse, normalizeSeverity } from '../src/services/aiSchemas.js'
+
+// 必须在导入 AIService 之前设置，单例按配置创建提供方
+process.env.AI_PROVIDER = 'mock'
+process.env.AI_MAX_REPAIR_ATTEMPTS = '1'
+const { aiService } = await import('../src/services/AIService.js')
+
+// 测试结果统计
+const results = {
+  passed: 0,
+  failed: 0,
+}
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`)
+    results.passed++
+  } else {
+    console.error(`✗ ${message}`)
+    results.failed++
+  }
+}
+
+/**
+ * 按顺序返回预设内容的提供方，记录每次请求的消息
+ */
+function createSequenceProvider(contents) {
+  const requests = []
+  return {
+    name: 'sequence',
+    requests,
+    async jsonCompletion({ messages }) {
+      requests.push(messages)
+      const content = contents[Math.min(requests.length - 1, contents.length - 1)]
+      try {
+        return { data: JSON.parse(content), content, usage: null }
+      } catch (error) {
+        return { data: null, content, usage: null, parseError: error.message }
+      }
+    },
+  }
+}
+
+const validInteraction = {
+  drug1: '阿司匹林',
+  drug2: '华法林',
+  interactionType: '增强抗凝作用',
+  severity: 'high',
+  description: '增加出血风险',
+  recommendation: '避免合用',
+}
+
+async function runTests() {
+  console.log('='.repeat(60))
+  console.log('AI响应结构校验测试开始')
+  console.log('='.repeat(60))
+
+  // 测试1: 严重程度同义词
+  console.log('\n测试 1: 严重程度同义词')
+  assert(normalizeSeverity('严重') === 'high', '"严重" 映射为 high')
+  assert(normalizeSeverity(' Moderate ') === 'medium', '"Moderate" 映射为 medium')
+  assert(normalizeSeverity('轻微') === 'low', '"轻微" 映射为 low')
+  assert(normalizeSeverity('禁止合用') === 'contraindicated', '"禁止合用" 映射为 contraindicated')
+  assert(normalizeSeverity('未知') === '未知', '无法识别的值原样返回')
+
+  // 测试2: 结构校验与规范化
+  console.log('\n测试 2: 结构校验与规范化')
+  const interactions = validateAIResponse('analyzeInteractions', {
+    interactions: [{ ...validInteraction, severity: '严重', extra: 'x' }],
+    overallRisk: '中等',
+  })
+  assert(interactions.valid, '同义词规范化后校验通过')
+  assert(interactions.value.interactions[0].severity === 'high', '相互作用严重程度已规范化')
+  assert(interactions.value.overallRisk === 'medium', '整体风险已规范化')
+  assert(!('extra' in interactions.value.interactions[0]), '丢弃未声明的字段')
+
+  const missing = validateAIResponse('analyzeInteractions', {
+    interactions: [{ ...validInteraction, recommendation: undefined, severity: '很高' }],
+  })
+  assert(!missing.valid, '缺少 recommendation 时校验失败')
+  assert(missing.errors.some(error => error.includes('recommendation')), '错误信息包含缺失字段')
+  assert(missing.errors.some(error => error.includes('severity')), '错误信息包含非法的严重程度')
+
+  const detailed = validateAIResponse('analyzeInteractions', {
+    interactions: [{
+      ...validInteraction,
+      mechanism: { category: '药代动力学', enzymes: 'cyp2c9、cyp3a4' },
+      onset: '迟发',
+      evidenceLevel: '无法判断',
+      management: ['监测INR', ''],
+      references: [
+        '华法林药物相互作用综述',
+        { title: '临床指南', year: '2018年' },
+        { title: '年份有误的文献', year: 1800 },
+        { title: '年份有误的文献2', year: '3019年' },
+      ],
+    }],
+  })
+  const detail = detailed.value.interactions[0]
+  assert(detailed.valid, '结构化补充信息校验通过')
+  assert(detail.mechanism.category === 'pharmacokinetic', '作用机制类别已规范化')
+  assert(detail.mechanism.enzymes.join(',') === 'CYP2C9,CYP3A4', '代谢酶拆分并转换为大写')
+  assert(detail.onset === 'delayed', '起效时间已规范化')
+  assert(!('evidenceLevel' in detail), '无法识别的证据等级被丢弃而不是校验失败')
+  assert(detail.management.length === 1, '空的处理步骤被过滤')
+  assert(detail.references[0].title === '华法林药物相互作用综述' && detail.references[1].year === 2018,
+    '文献字符串转换为对象，年份提取为数字')
+  assert(detailed.valid && detail.references[2].year === undefined && detail.references[3].year === undefined,
+    '超出有效范围的文献年份被丢弃而不是校验失败')
+
+  const textMechanism = validateAIResponse('analyzeInteractions', {
+    interactions: [{ ...validInteraction, mechanism: '抑制血小板聚集' }],
+  })
+  assert(textMechanism.valid && textMechanism.value.interactions[0].mechanism.category === 'unknown',
+    '机制只有描述文本时类别为 unknown')
+  assert(Array.isArray(textMechanism.value.interactions[0].references), '缺失的文献使用默认空数组')
+
+  const drug = validateAIResponse('analyzeDrug', {
+    name: ' 阿司匹林 ',
+    category: '解热镇痛药',
+    description: '非甾体抗炎药',
+    sideEffects: '胃肠道不适、出血倾向',
+  })
+  assert(drug.valid && drug.value.name === '阿司匹林', '字符串去除首尾空格')
+  assert(drug.value.sideEffects.length === 2, '字符串形式的列表拆分为数组')
+  assert(Array.isArray(drug.value.contraindications), '缺失的可选数组使用默认值')
+
+  const validation = validateAIResponse('validateDrugName', { valid: 'false' })
+  assert(validation.valid && validation.value.valid === false, '布尔值字符串已转换')
+
+  // 测试3: 自动重新请求
+  console.log('\n测试 3: 自动重新请求')
+  const repairProvider = createSequenceProvider([
+    JSON.stringify({ interactions: [{ ...validInteraction, recommendation: '' }] }),
+    JSON.stringify({ interactions: [validInteraction] }),
+  ])
+  aiService.provider = repairProvider
+  const repaired = await aiService.analyzeInteractions(['阿司匹林', '华法林'])
+  assert(repaired.interactions[0].recommendation === '避免合用', '重新请求后返回修正的数据')
+  assert(repairProvider.requests.length === 2, '共请求2次')
+  const repairPrompt = repairProvider.requests[1].at(-1).content
+  assert(repairPrompt.includes('recommendation'), '重新请求时附带校验错误')
+
+  // 测试4: 修复失败
+  console.log('\n测试 4: 修复失败')
+  aiService.provider = createSequenceProvider(['不是JSON'])
+  try {
+    await aiService.analyzeDrug('阿司匹林')
+    assert(false, '修复失败时应抛出错误')
+  } catch (error) {
+    assert(error.code === 'AI_INVALID_RESPONSE' && error.status === 502, '抛出 AI_INVALID_RESPONSE 错误')
+    assert(Array.isArray(error.details) && error.details.length > 0, '错误包含校验详情')
+  }
+
+  console.log('\n' + '='.repeat(60))
+  console.log(`通过: ${results.passed}`)
+  console.log(`失败: ${results.failed}`)
+  console.log('='.repeat(60))
+
+  process.exit(results.failed > 0 ? 1 : 0)
+}
+
+runTests().catch((error) => {
+  console.error('测试运行失败:', error)
+  process.exit(1)
+})
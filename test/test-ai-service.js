@@ -1,6 +1,7 @@
 /**
  * 手动测试脚本 - 测试AIService功能
  * 运行: node test-ai-service.js
+ * 离线运行: AI_PROVIDER=mock node test-ai-service.js（使用本地模拟提供方，无需API密钥）
  */
 
 import { aiService } from '../src/services/AIService.js'
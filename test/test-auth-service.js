@@ -0,0 +1,135 @@
+/**
+ * AuthService 手动测试脚本
+ * 测试用户注册、登录和令牌签发/校验
+ * 需要在环境变量中配置 JWT_SECRET
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { authService } from '../src/services/AuthService.js'
+import User from '../src/models/User.js'
+import { logger } from '../src/utils/logger.js'
+
+const testUsername = `auth_test_${Date.now()}`
+const testPassword = 'password123'
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await User.deleteMany({ username: new RegExp(`^${testUsername}`) })
+}
+
+// 测试1: register - 注册用户
+async function testRegister() {
+  console.log('\n=== 测试1: register ===')
+  try {
+    const user = await authService.register({ username: testUsername, password: testPassword })
+    console.log(`✓ 注册成功，默认角色为viewer: ${user.role === 'viewer' ? '通过' : '失败'}`)
+    console.log(`✓ 返回结果不包含密码哈希: ${user.passwordHash === undefined ? '通过' : '失败'}`)
+
+    try {
+      await authService.register({ username: testUsername, password: testPassword })
+      console.log('✗ 重复注册应该抛出错误')
+    } catch (error) {
+      console.log(`✓ 重复注册被拒绝: ${error.status === 409 ? '通过' : '失败'}`)
+    }
+
+    try {
+      await authService.register({
+        username: `${testUsername}_admin`,
+        password: testPassword,
+        role: 'admin',
+      })
+      console.log('✗ 自助注册管理员应该抛出错误')
+    } catch (error) {
+      console.log(`✓ 自助注册管理员被拒绝: ${error.status === 403 ? '通过' : '失败'}`)
+    }
+
+    try {
+      await authService.register({ username: 'ab', password: testPassword })
+      console.log('✗ 用户名过短应该抛出错误')
+    } catch (error) {
+      console.log(`✓ 用户名过短被拒绝: ${error.status === 400 ? '通过' : '失败'}`)
+    }
+
+    const pharmacist = await authService.register(
+      { username: `${testUsername}_ph`, password: testPassword, role: 'pharmacist' },
+      { username: 'admin', role: 'admin' }
+    )
+    console.log(`✓ 管理员可以创建药师账号: ${pharmacist.role === 'pharmacist' ? '通过' : '失败'}`)
+  } catch (error) {
+    console.log('✗ 测试失败:', error.message)
+  }
+}
+
+// 测试2: login / authenticate / refresh
+async function testTokens() {
+  console.log('\n=== 测试2: login / authenticate / refresh ===')
+  try {
+    try {
+      await authService.login(testUsername, 'wrong-password')
+      console.log('✗ 错误密码应该抛出错误')
+    } catch (error) {
+      console.log(`✓ 错误密码被拒绝: ${error.status === 401 ? '通过' : '失败'}`)
+    }
+
+    const result = await authService.login(testUsername, testPassword)
+    console.log(`✓ 登录返回令牌: ${result.accessToken && result.refreshToken ? '通过' : '失败'}`)
+
+    const current = await authService.authenticate(result.accessToken)
+    console.log(`✓ 访问令牌校验: ${current.username === testUsername ? '通过' : '失败'}`)
+
+    try {
+      await authService.authenticate(result.refreshToken)
+      console.log('✗ 刷新令牌不能作为访问令牌使用')
+    } catch (error) {
+      console.log(`✓ 刷新令牌不能作为访问令牌使用: ${error.code === 'INVALID_TOKEN' ? '通过' : '失败'}`)
+    }
+
+    const refreshed = await authService.refresh(result.refreshToken)
+    console.log(`✓ 刷新令牌换取新令牌: ${refreshed.accessToken ? '通过' : '失败'}`)
+
+    // 修改角色后旧的刷新令牌失效
+    await authService.updateRole(current.id, 'pharmacist')
+    try {
+      await authService.refresh(result.refreshToken)
+      console.log('✗ 修改角色后旧刷新令牌应该失效')
+    } catch (error) {
+      console.log(`✓ 修改角色后旧刷新令牌失效: ${error.status === 401 ? '通过' : '失败'}`)
+    }
+  } catch (error) {
+    console.log('✗ 测试失败:', error.message)
+  }
+}
+
+// 主测试函数
+async function runTests() {
+  console.log('========================================')
+  console.log('AuthService 测试开始')
+  console.log('========================================')
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    await testRegister()
+    await testTokens()
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
@@ -0,0 +1,131 @@
+/**
+ * ChatContextService 手动测试脚本
+ * 测试聊天消息中药物名称识别及数据库上下文构建
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { chatContextService } from '../src/services/ChatContextService.js'
+import Drug from '../src/models/Drug.js'
+import Interaction from '../src/models/Interaction.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试数据
+const testDrugs = [
+  {
+    name: '上下文测试药甲',
+    genericName: 'ContextTestAlpha',
+    description: '聊天上下文测试用药物',
+    category: '测试类别',
+    source: 'manual',
+  },
+  {
+    name: '上下文测试药甲缓释片',
+    description: '聊天上下文测试用药物（名称包含另一种药物）',
+    category: '测试类别',
+    source: 'manual',
+  },
+  {
+    name: '上下文测试药乙',
+    description: '聊天上下文测试用药物',
+    category: '测试类别',
+    source: 'manual',
+  },
+  {
+    name: '上下文测试药丙',
+    description: '已被驳回的测试药物',
+    category: '测试类别',
+    source: 'ai',
+    review: { status: 'rejected' },
+  },
+]
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await Interaction.deleteMany({
+    drug1Name: { $in: testDrugs.map(d => d.name) },
+  })
+  await Drug.deleteMany({
+    name: { $in: testDrugs.map(d => d.name) },
+  })
+}
+
+// 测试1: 药物名称识别
+async function testDetectDrugs() {
+  console.log('\n=== 测试1: detectDrugs ===')
+
+  const byName = await chatContextService.detectDrugs('上下文测试药甲和上下文测试药乙能一起吃吗？')
+  console.log(`✓ 按名称识别: ${byName.map(d => d.name).join(', ')}`)
+
+  const byGenericName = await chatContextService.detectDrugs('contexttestalpha 的副作用是什么？')
+  console.log(`✓ 按通用名识别（不区分大小写）: ${byGenericName[0]?.name === '上下文测试药甲' ? '通过' : '失败'}`)
+
+  const longest = await chatContextService.detectDrugs('上下文测试药甲缓释片怎么吃？')
+  console.log(`✓ 优先匹配最长名称: ${longest.length === 1 && longest[0].name === '上下文测试药甲缓释片' ? '通过' : '失败'}`)
+
+  const rejected = await chatContextService.detectDrugs('上下文测试药丙有什么作用？')
+  console.log(`✓ 排除被驳回的药物: ${rejected.length === 0 ? '通过' : '失败'}`)
+
+  // 名称索引已缓存，审核通过后应立即可以识别
+  await Drug.updateOne({ name: '上下文测试药丙' }, { $set: { 'review.status': 'approved' } })
+  const approved = await chatContextService.detectDrugs('上下文测试药丙有什么作用？')
+  console.log(`✓ 药物更新后名称索引失效: ${approved.length === 1 ? '通过' : '失败'}`)
+}
+
+// 测试2: 构建上下文
+async function testBuildContext(interaction) {
+  console.log('\n=== 测试2: buildContext ===')
+
+  const context = await chatContextService.buildContext('上下文测试药甲和上下文测试药乙能一起吃吗？')
+  console.log(`✓ 命中药物数: ${context.drugs.length}`)
+  console.log(`✓ 包含相互作用: ${context.interactions.some(i => i._id.equals(interaction._id)) ? '通过' : '失败'}`)
+  console.log(`✓ 提示词包含记录: ${context.prompt.includes('[相互作用1]') ? '通过' : '失败'}`)
+
+  const empty = await chatContextService.buildContext('感冒了应该多喝水吗？')
+  console.log(`✓ 无命中时提示词为空: ${empty.prompt === '' ? '通过' : '失败'}`)
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('ChatContextService 测试')
+  console.log('========================================')
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    const drugs = await Drug.insertMany(testDrugs)
+    const interaction = await Interaction.create({
+      drug1Id: drugs[0]._id,
+      drug2Id: drugs[2]._id,
+      drug1Name: drugs[0].name,
+      drug2Name: drugs[2].name,
+      interactionType: '测试',
+      severity: 'high',
+      description: '聊天上下文测试用相互作用',
+      recommendation: '避免合用',
+      source: 'database',
+    })
+
+    await testDetectDrugs()
+    await testBuildContext(interaction)
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
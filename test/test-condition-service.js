@@ -0,0 +1,119 @@
+/**
+ * ConditionService 手动测试脚本
+ * 测试疾病/状态的维护和药物禁忌检测
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { conditionService } from '../src/services/ConditionService.js'
+import Condition from '../src/models/Condition.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试数据使用特殊前缀，便于清理
+const PREFIX = '测试禁忌_'
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await Condition.deleteMany({ name: new RegExp(`^${PREFIX}`) })
+}
+
+// 构造内存中的药物记录（禁忌检测只读取药物字段，不需要保存）
+const buildDrug = (name, category, contraindications = [], contraindicationLinks = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  category,
+  contraindications,
+  contraindicationLinks,
+})
+
+// 测试1: 创建与重复校验
+async function testCreate() {
+  console.log('\n=== 测试1: create ===')
+  const condition = await conditionService.create({
+    name: `${PREFIX}溃疡`,
+    aliases: [`${PREFIX}胃溃疡`, ` ${PREFIX}胃溃疡 `],
+  })
+  console.log(`✓ 别名去重: ${condition.aliases.length === 1 ? '通过' : '失败'}`)
+
+  try {
+    await conditionService.create({ name: `${PREFIX}其他`, aliases: [`${PREFIX}胃溃疡`] })
+    console.log('✗ 别名重复应当失败')
+  } catch (error) {
+    console.log(`✓ 别名重复: ${error.message}`)
+  }
+
+  const list = await conditionService.findAll({ keyword: `${PREFIX}胃` })
+  console.log(`✓ 按别名搜索: ${list.total === 1 ? '通过' : '失败'}`)
+
+  return condition
+}
+
+// 测试2: 名称解析
+async function testResolve(condition) {
+  console.log('\n=== 测试2: resolveNames ===')
+  const resolution = await conditionService.resolveNames([`${PREFIX}胃溃疡`, `${PREFIX}未收录`])
+  console.log(`✓ 别名解析: ${resolution.resolved[0]?.conditionId === condition._id.toString() ? '通过' : '失败'}`)
+  console.log(`✓ 未收录: ${resolution.unresolved[0]?.input === `${PREFIX}未收录` ? '通过' : '失败'}`)
+}
+
+// 测试3: 禁忌检测
+async function testCheck(condition) {
+  console.log('\n=== 测试3: checkContraindications ===')
+  const linked = buildDrug('药物A', '类别A', [], [{ conditionId: condition._id, severity: 'medium' }])
+  const textOnly = buildDrug('药物B', '类别B', [`活动性${PREFIX}未收录`])
+  const classLinked = buildDrug('药物C', '类别C', [], [{ drugClass: '类别B', severity: 'high' }])
+  const drugs = [linked, textOnly, classLinked]
+
+  const { contraindications, conditionResolution } = await conditionService.checkContraindications(
+    drugs,
+    [`${PREFIX}胃溃疡`, `${PREFIX}未收录`]
+  )
+
+  const byLink = contraindications.find(item => item.drugName === '药物A')
+  console.log(`✓ 结构化禁忌关系: ${byLink?.matchedBy === 'link' && byLink.severity === 'medium' ? '通过' : '失败'}`)
+
+  const byText = contraindications.find(item => item.drugName === '药物B')
+  console.log(`✓ 禁忌症文本匹配: ${byText?.matchedBy === 'text' ? '通过' : '失败'}`)
+
+  const byClass = contraindications.find(item => item.type === 'drugClass')
+  console.log(`✓ 药物类别禁忌: ${byClass?.otherDrugName === '药物B' ? '通过' : '失败'}`)
+
+  console.log(`✓ 按严重程度排序: ${contraindications[0].severity === 'high' ? '通过' : '失败'}`)
+  console.log(`✓ 解析情况: ${conditionResolution.resolved.length === 1 && conditionResolution.unresolved.length === 1 ? '通过' : '失败'}`)
+
+  const withoutConditions = await conditionService.checkContraindications(drugs)
+  console.log(`✓ 不提供疾病/状态时只检测药物类别禁忌: ${withoutConditions.contraindications.length === 1 && withoutConditions.conditionResolution === null ? '通过' : '失败'}`)
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('ConditionService 测试')
+  console.log('========================================')
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    const condition = await testCreate()
+    await testResolve(condition)
+    await testCheck(condition)
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
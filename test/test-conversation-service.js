@@ -0,0 +1,119 @@
+/**
+ * ConversationService 手动测试脚本
+ * 测试AI聊天对话及消息的持久化
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { conversationService } from '../src/services/ConversationService.js'
+import Conversation from '../src/models/Conversation.js'
+import Message from '../src/models/Message.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试用户（两个不同用户，用于验证对话隔离）
+const testUserId = new mongoose.Types.ObjectId()
+const otherUserId = new mongoose.Types.ObjectId()
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  const conversations = await Conversation.find({
+    userId: { $in: [testUserId, otherUserId] },
+  }).select('_id')
+  await Message.deleteMany({
+    conversationId: { $in: conversations.map(c => c._id) },
+  })
+  await Conversation.deleteMany({
+    userId: { $in: [testUserId, otherUserId] },
+  })
+}
+
+// 测试1: 创建对话与自动标题
+async function testCreateAndAppend() {
+  console.log('\n=== 测试1: create / appendTurn ===')
+  const conversation = await conversationService.create(testUserId)
+  console.log(`✓ 默认标题: ${conversation.title === '新对话' ? '通过' : '失败'}`)
+
+  await conversationService.appendTurn(conversation._id, '阿司匹林和华法林能一起吃吗？', '不建议同时服用。')
+  await conversationService.appendTurn(conversation._id, '为什么？', '两者都会增加出血风险。')
+
+  const detail = await conversationService.findById(conversation._id, testUserId)
+  console.log(`✓ 自动生成标题: ${detail.title === '阿司匹林和华法林能一起吃吗？' ? '通过' : '失败'}`)
+  console.log(`✓ 消息数量: ${detail.messageCount === 4 && detail.messages.length === 4 ? '通过' : '失败'}`)
+  console.log(`✓ 消息顺序: ${detail.messages.map(m => m.role).join(',') === 'user,assistant,user,assistant' ? '通过' : '失败'}`)
+
+  return conversation
+}
+
+// 测试2: 获取历史
+async function testHistory(conversation) {
+  console.log('\n=== 测试2: getHistory ===')
+  const history = await conversationService.getHistory(conversation._id, testUserId)
+  console.log(`✓ 历史条数: ${history.length === 4 ? '通过' : '失败'}`)
+  console.log(`✓ 历史格式: ${history.every(h => h.role && h.content && !h._id) ? '通过' : '失败'}`)
+}
+
+// 测试3: 用户隔离
+async function testIsolation(conversation) {
+  console.log('\n=== 测试3: 用户隔离 ===')
+  const detail = await conversationService.findById(conversation._id, otherUserId)
+  console.log(`✓ 其他用户无法查看: ${detail === null ? '通过' : '失败'}`)
+
+  try {
+    await conversationService.getHistory(conversation._id, otherUserId)
+    console.log('✗ 其他用户获取历史应当失败')
+  } catch (error) {
+    console.log(`✓ 其他用户无法获取历史: ${error.message}`)
+  }
+
+  const list = await conversationService.findAll(otherUserId)
+  console.log(`✓ 其他用户列表为空: ${list.total === 0 ? '通过' : '失败'}`)
+}
+
+// 测试4: 删除对话
+async function testDelete(conversation) {
+  console.log('\n=== 测试4: delete ===')
+  await conversationService.delete(conversation._id, testUserId)
+  const remaining = await Message.countDocuments({ conversationId: conversation._id })
+  console.log(`✓ 消息一并删除: ${remaining === 0 ? '通过' : '失败'}`)
+
+  try {
+    await conversationService.delete(conversation._id, testUserId)
+    console.log('✗ 重复删除应当失败')
+  } catch (error) {
+    console.log(`✓ 重复删除返回错误: ${error.message}`)
+  }
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('ConversationService 测试')
+  console.log('========================================')
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    const conversation = await testCreateAndAppend()
+    await testHistory(conversation)
+    await testIsolation(conversation)
+    await testDelete(conversation)
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
@@ -6,6 +6,8 @@
 import dotenv from 'dotenv'
 import { connectDB } from '../src/config/database.js'
 import { drugService } from '../src/services/DrugService.js'
+import Patient from '../src/models/Patient.js'
+import MultiDrugInteraction from '../src/models/MultiDrugInteraction.js'
 import mongoose from 'mongoose'
 
 // 加载环境变量
@@ -196,6 +198,25 @@ async function runTests() {
     assert(foundByNameCaseInsensitive !== null, '不区分大小写查询成功')
     console.log()
 
+    // 测试10.1: resolveNames - 名称解析
+    console.log('测试 10.1: resolveNames - 名称解析')
+    console.log('-'.repeat(60))
+    const resolution = await drugService.resolveNames([
+      testDrugName.toUpperCase(),
+      testDrugName.slice(0, -1),
+      `不存在的药物_${Date.now()}`,
+    ])
+    assert(
+      resolution.resolved.length === 1 && resolution.resolved[0].drugId === newDrug._id.toString(),
+      '完全匹配的名称解析成功'
+    )
+    assert(
+      resolution.ambiguous.some(item => item.candidates.some(c => c.name === testDrugName)),
+      '部分匹配的名称列为有歧义并返回候选'
+    )
+    assert(resolution.unresolved.length === 1, '不存在的名称列为未解析')
+    console.log()
+
     // 测试11: update
     console.log('测试 11: update - 更新药物')
     console.log('-'.repeat(60))
@@ -208,6 +229,15 @@ async function runTests() {
     assert(updatedDrug.name === testDrugName, '名称未改变')
     console.log(`  更新药物: ${updatedDrug.name}\n`)
 
+    // 测试11.1: update - 名称与其他药物重复
+    if (page1.drugs.length > 0) {
+      await assertRejects(
+        drugService.update(newDrug._id.toString(), { name: page1.drugs[0].name }),
+        '更新为已存在的名称应该抛出错误'
+      )
+      console.log()
+    }
+
     // 测试12: findOrAnalyze - 缓存优先策略（数据库存在）
     console.log('测试 12: findOrAnalyze - 缓存优先策略（数据库存在）')
     console.log('-'.repeat(60))
@@ -251,7 +281,9 @@ async function runTests() {
     console.log('测试 14: delete - 删除药物')
     console.log('-'.repeat(60))
     const deleteResult = await drugService.delete(newDrug._id.toString())
-    assert(deleteResult === true, '删除成功')
+    assert(deleteResult.deleted === true, '删除成功')
+    assert(deleteResult.deletedInteractions === 0, '没有级联删除相互作用')
+    assert(deleteResult.deletedMultiDrugInteractions === 0, '没有级联删除多药相互作用组合')
     
     const deletedDrug = await drugService.findById(newDrug._id.toString())
     assert(deletedDrug === null, '药物已被删除')
@@ -266,6 +298,62 @@ async function runTests() {
     )
     console.log()
 
+    // 测试16: delete - 患者用药清单引用
+    console.log('测试 16: delete - 患者用药清单引用')
+    console.log('-'.repeat(60))
+    const usedDrug = await drugService.create({
+      name: `测试在用药物_${Date.now()}`,
+      description: '被患者用药清单引用的测试药物',
+      category: '测试分类',
+    })
+    const patient = await Patient.create({
+      ownerId: new mongoose.Types.ObjectId(),
+      name: '测试患者',
+      medications: [{ drugId: usedDrug._id, drugName: usedDrug.name }],
+    })
+    try {
+      await drugService.delete(usedDrug._id.toString())
+      assert(false, '被患者引用时应该拒绝删除')
+    } catch (error) {
+      assert(error.code === 'DRUG_IN_USE', '被患者引用时拒绝删除（DRUG_IN_USE）')
+    }
+    const cascadeResult = await drugService.delete(usedDrug._id.toString(), { cascade: true })
+    assert(cascadeResult.updatedPatients === 1, '级联删除时更新了1位患者')
+    const updatedPatient = await Patient.findById(patient._id).lean()
+    assert(updatedPatient.medications.length === 0, '药物已从患者用药清单中移除')
+    await Patient.findByIdAndDelete(patient._id)
+    console.log()
+
+    // 测试17: delete - 多药相互作用组合引用
+    console.log('测试 17: delete - 多药相互作用组合引用')
+    console.log('-'.repeat(60))
+    const memberDrug = await drugService.create({
+      name: `测试组合成员药物_${Date.now()}`,
+      description: '被多药相互作用组合引用的测试药物',
+      category: '测试分类',
+    })
+    const group = await MultiDrugInteraction.create({
+      members: [
+        { drugId: memberDrug._id, drugName: memberDrug.name },
+        { drugClass: '测试类别A' },
+        { drugClass: '测试类别B' },
+      ],
+      interactionType: '测试',
+      severity: 'high',
+      description: '测试多药相互作用',
+      recommendation: '测试建议',
+    })
+    try {
+      await drugService.delete(memberDrug._id.toString())
+      assert(false, '被组合引用时应该拒绝删除')
+    } catch (error) {
+      assert(error.code === 'DRUG_IN_USE', '被组合引用时拒绝删除（DRUG_IN_USE）')
+    }
+    const groupCascadeResult = await drugService.delete(memberDrug._id.toString(), { cascade: true })
+    assert(groupCascadeResult.deletedMultiDrugInteractions === 1, '级联删除了1个多药相互作用组合')
+    assert(await MultiDrugInteraction.findById(group._id) === null, '组合已被删除')
+    console.log()
+
   } catch (error) {
     console.error('测试过程中发生错误:', error)
     results.failed++
@@ -0,0 +1,97 @@
+/**
+ * 图算法测试脚本
+ * 不依赖数据库和服务器
+ * 运行: node test/test-graph-algorithms.js
+ */
+
+import {
+  buildAdjacency,
+  computeDegrees,
+  computeBetweenness,
+  findConnectedComponents,
+  detectCommunities,
+  calculateModularity,
+  findShortestPath,
+} from '../src/services/graphAlgorithms.js'
+
+// 测试结果统计
+const results = {
+  passed: 0,
+  failed: 0,
+}
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`)
+    results.passed++
+  } else {
+    console.error(`✗ ${message}`)
+    results.failed++
+  }
+}
+
+const edge = (source, target, value = 1) => ({ source, target, value })
+const close = (a, b) => Math.abs(a - b) < 1e-9
+
+function runTests() {
+  console.log('='.repeat(60))
+  console.log('图算法测试开始')
+  console.log('='.repeat(60))
+
+  console.log('\n测试 1: 邻接表与度数')
+  const adjacency = buildAdjacency(['a', 'b', 'c'], [
+    edge('a', 'b', 5),
+    edge('b', 'a', 3),
+    edge('a', 'a', 8),
+    edge('a', 'x', 8),
+    edge('b', 'c', 1),
+  ])
+  const degrees = computeDegrees(adjacency)
+  assert(adjacency.get('a').get('b') === 5, '同一对药物的多条边取最大权重')
+  assert(!adjacency.get('a').has('a') && !adjacency.has('x'), '忽略自环和不在图中的节点')
+  assert(degrees.get('b').degree === 2 && degrees.get('b').weightedDegree === 6, '度数和加权度数')
+
+  console.log('\n测试 2: 介数中心性')
+  const path = buildAdjacency(['a', 'b', 'c', 'd', 'e'], [edge('a', 'b'), edge('b', 'c'), edge('c', 'd'), edge('d', 'e')])
+  const pathBetweenness = computeBetweenness(path)
+  assert(pathBetweenness.get('a') === 0, '链端点的介数中心性为0')
+  assert(close(pathBetweenness.get('c'), 2 / 3), '链中点的介数中心性为 2/3')
+  const star = buildAdjacency(['h', 'x', 'y', 'z'], [edge('h', 'x'), edge('h', 'y'), edge('h', 'z')])
+  assert(close(computeBetweenness(star).get('h'), 1), '星形中心的介数中心性为1')
+
+  console.log('\n测试 3: 连通分量与社区')
+  const twoTriangles = buildAdjacency(['1', '2', '3', '4', '5', '6', 'i'], [
+    edge('1', '2', 5), edge('2', '3', 5), edge('1', '3', 5),
+    edge('4', '5', 5), edge('5', '6', 5), edge('4', '6', 5),
+    edge('3', '4', 1),
+  ])
+  const components = findConnectedComponents(twoTriangles)
+  assert(components.length === 2 && components[0].length === 6, '孤立药物单独成为连通分量')
+  const communities = detectCommunities(twoTriangles)
+  const triangleOf = (id) => communities.find(community => community.includes(id))
+  assert(triangleOf('1') === triangleOf('3') && triangleOf('1') !== triangleOf('4'), '弱连接两侧的三角形分为不同社区')
+  assert(calculateModularity(twoTriangles, communities) > 0.3, '社区划分的模块度为正')
+  assert(calculateModularity(buildAdjacency(['a'], []), [['a']]) === 0, '没有边时模块度为0')
+
+  console.log('\n测试 4: 最短路径')
+  const routes = buildAdjacency(['a', 'b', 'c', 'd', 'x'], [
+    edge('a', 'd', 1),
+    edge('a', 'b', 8), edge('b', 'd', 8),
+    edge('a', 'c', 5), edge('c', 'd', 5),
+  ])
+  const fewestHops = findShortestPath(routes, 'a', 'd')
+  assert(fewestHops.nodeIds.join('>') === 'a>d' && fewestHops.cost === 1, '默认按跳数最少')
+  const strongest = findShortestPath(routes, 'a', 'd', weight => 8 / weight)
+  assert(strongest.nodeIds.join('>') === 'a>b>d' && strongest.cost === 2, '按权重计算代价时经过权重高的边')
+  assert(findShortestPath(routes, 'a', 'x') === null, '不连通时返回 null')
+  assert(findShortestPath(routes, 'a', 'missing') === null, '节点不在图中时返回 null')
+
+  console.log('\n' + '='.repeat(60))
+  console.log(`通过: ${results.passed}`)
+  console.log(`失败: ${results.failed}`)
+  console.log('='.repeat(60))
+
+  process.exit(results.failed > 0 ? 1 : 0)
+}
+
+runTests()
@@ -0,0 +1,88 @@
+/**
+ * 图谱导出测试脚本
+ * 不依赖数据库和服务器
+ * 运行: node test/test-graph-export.js
+ */
+
+import { serializeGraph } from '../src/services/graphExport.js'
+
+// 测试结果统计
+const results = {
+  passed: 0,
+  failed: 0,
+}
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`)
+    results.passed++
+  } else {
+    console.error(`✗ ${message}`)
+    results.failed++
+  }
+}
+
+// 名称、分类和描述中包含引号、&、尖括号、逗号和换行；第二条边缺少权重
+const graph = {
+  nodes: [
+    { id: 'd1', name: '药物 "A" & <B>', category: '抗凝药, 口服', source: 'database', value: 12, distance: 0 },
+    { id: 'd2', name: '第一行\n第二行', category: '抗血小板药', source: 'ai', value: 8 },
+  ],
+  edges: [
+    { source: 'd1', target: 'd2', severity: 'high', interactionType: '药效学', value: 5, description: '出血风险,增加\n需"监测"' },
+    { source: 'd2', target: 'd1', severity: 'low', interactionType: '未知' },
+  ],
+}
+
+const exportAs = (format, options) => serializeGraph(graph, format, options).content
+
+// XML 中所有 & 都必须是实体或字符引用的开头
+const hasBareAmpersand = (xml) => /&(?!(amp|lt|gt|quot|apos|#10|#13);)/.test(xml)
+
+function runTests() {
+  console.log('='.repeat(60))
+  console.log('图谱导出测试开始')
+  console.log('='.repeat(60))
+
+  console.log('\n测试 1: GraphML')
+  const graphml = exportAs('graphml')
+  assert(graphml.includes('<data key="label">药物 &quot;A&quot; &amp; &lt;B&gt;</data>'), '名称中的引号、&和尖括号被转义')
+  assert(graphml.includes('出血风险,增加&#10;需&quot;监测&quot;'), '描述中的换行使用字符引用')
+  assert(!hasBareAmpersand(graphml), '没有未转义的 &')
+  assert(graphml.match(/<data key="weight">/g).length === 1, '缺少权重的边不导出 weight')
+
+  console.log('\n测试 2: GEXF')
+  const gexf = exportAs('gexf')
+  assert(gexf.includes('label="药物 &quot;A&quot; &amp; &lt;B&gt;"'), '标签属性中的特殊字符被转义')
+  assert(gexf.includes('label="第一行&#10;第二行"'), '标签属性中的换行使用字符引用')
+  assert(gexf.includes('weight="5"') && gexf.includes('weight="1"'), '缺少权重的边使用默认权重1')
+  assert(!gexf.includes('undefined') && !hasBareAmpersand(gexf), '没有 undefined 和未转义的 &')
+
+  console.log('\n测试 3: DOT')
+  const dot = exportAs('dot')
+  assert(dot.includes('label="药物 \\"A\\" & <B>"'), '名称中的双引号被转义')
+  assert(dot.includes('label="第一行\\n第二行"'), '名称中的换行转为 \\n')
+  assert(dot.trim().split('\n').length === graph.nodes.length + graph.edges.length + 2, '每个节点和边各占一行')
+
+  console.log('\n测试 4: CSV')
+  const edgeRows = exportAs('csv').split('\r\n')
+  assert(edgeRows[0] === 'Id,Source,Target,Type,severity,interactionType,Weight,description', '边表表头')
+  assert(edgeRows[1] === 'e0,d1,d2,Undirected,high,药效学,5,"出血风险,增加\n需""监测"""', '含逗号、换行和引号的字段加引号并转义引号')
+  assert(edgeRows[2] === 'e1,d2,d1,Undirected,low,未知,,', '缺少的字段导出为空')
+  const nodeRows = exportAs('csv', { table: 'nodes' }).split('\r\n')
+  assert(nodeRows[1] === 'd1,"药物 ""A"" & <B>","抗凝药, 口服",database,12,0', '节点表字段转义')
+
+  console.log('\n测试 5: Cytoscape.js JSON')
+  const cytoscape = JSON.parse(exportAs('cytoscape'))
+  assert(cytoscape.elements.nodes[1].data.name === '第一行\n第二行', '名称原样保留')
+  assert(!('weight' in cytoscape.elements.edges[1].data), '缺少权重的边不导出 weight')
+
+  console.log('\n' + '='.repeat(60))
+  console.log(`通过: ${results.passed}`)
+  console.log(`失败: ${results.failed}`)
+  console.log('='.repeat(60))
+
+  process.exit(results.failed > 0 ? 1 : 0)
+}
+
+runTests()
@@ -6,6 +6,7 @@
 import { connectDB } from '../src/config/database.js'
 import { graphService } from '../src/services/GraphService.js'
 import Drug from '../src/models/Drug.js'
+import Interaction from '../src/models/Interaction.js'
 import { logger } from '../src/utils/logger.js'
 
 async function testGraphService() {
@@ -40,6 +41,19 @@ async function testGraphService() {
       console.log('   边数量:', filteredGraphData.edges.length)
       console.log('   ✓ 获取筛选图谱数据成功\n')
 
+      // 多跳扩展：节点带有距离，2跳结果包含1跳结果
+      console.log('2.1 测试多跳扩展 depth=2')
+      const expandedGraphData = await graphService.getGraphData(drugId, { depth: 2 })
+      const centerNode = expandedGraphData.nodes.find(node => node.id === drugId)
+      console.log('   节点数量:', expandedGraphData.nodes.length)
+      console.log('   边数量:', expandedGraphData.edges.length)
+      console.log('   是否截断:', expandedGraphData.truncated)
+      console.log(`   ✓ 起点距离为0: ${centerNode?.distance === 0 ? '通过' : '失败'}`)
+      console.log(`   ✓ 距离不超过2: ${expandedGraphData.nodes.every(node => node.distance <= 2) ? '通过' : '失败'}`)
+      const expandedIds = new Set(expandedGraphData.nodes.map(node => node.id))
+      const containsDirect = filteredGraphData.nodes.every(node => expandedIds.has(node.id))
+      console.log(`   ✓ 包含1跳结果: ${expandedGraphData.truncated || containsDirect ? '通过' : '失败'}\n`)
+
       // 3. 测试获取药物相互作用统计
       console.log('3. 测试获取药物相互作用统计')
       const stats = await graphService.getDrugInteractionStats(drugId)
@@ -53,6 +67,24 @@ async function testGraphService() {
       console.log('2-3. ⚠ 数据库中没有药物，跳过筛选和统计测试\n')
     }
 
+    // 3.1 测试图谱筛选与药物子图
+    console.log('3.1 测试图谱筛选与药物子图')
+    const highGraphData = await graphService.getGraphData(null, { severity: 'high' })
+    const highOnly = highGraphData.edges.every(edge => ['high', 'contraindicated'].includes(edge.severity))
+    console.log(`   ✓ 最低严重程度筛选: ${highOnly ? '通过' : '失败'}`)
+    const subsetDrugs = await Drug.find().limit(3).lean()
+    if (subsetDrugs.length > 0) {
+      const subsetIds = subsetDrugs.map(drug => drug._id.toString())
+      const inducedGraphData = await graphService.getGraphData(null, { drugIds: subsetIds })
+      const inSubset = inducedGraphData.edges.every(edge => subsetIds.includes(edge.source) && subsetIds.includes(edge.target))
+      console.log(`   ✓ 子图节点数量: ${inducedGraphData.nodes.length === subsetIds.length ? '通过' : '失败'}`)
+      console.log(`   ✓ 子图的边两端都在列表中: ${inSubset ? '通过' : '失败'}`)
+      const category = subsetDrugs[0].category
+      const categoryGraphData = await graphService.getGraphData(null, { category: category.toUpperCase() })
+      console.log(`   ✓ 药物分类筛选（不区分大小写）: ${categoryGraphData.nodes.every(node => node.category.toLowerCase() === category.toLowerCase()) ? '通过' : '失败'}`)
+    }
+    console.log('   ✓ 图谱筛选测试完成\n')
+
     // 4. 测试获取图谱统计信息
     console.log('4. 测试获取图谱统计信息')
     const graphStats = await graphService.getGraphStats()
@@ -68,13 +100,13 @@ async function testGraphService() {
       name: '测试药物',
       category: '测试分类',
       source: 'manual',
-      sideEffects: ['副作用1', '副作用2', '副作用3'],
     }
-    const nodeValue = graphService.calculateNodeValue(testDrug)
+    const isolatedValue = graphService.calculateNodeValue(testDrug)
+    const hubValue = graphService.calculateNodeValue(testDrug, 25)
     console.log('   测试药物:', testDrug.name)
-    console.log('   副作用数量:', testDrug.sideEffects.length)
-    console.log('   计算的节点值:', nodeValue)
-    console.log('   ✓ 节点值计算成功\n')
+    console.log('   没有相互作用的节点值:', isolatedValue)
+    console.log('   加权度数25的节点值:', hubValue)
+    console.log(`   ✓ 节点值随加权度数增大: ${hubValue > isolatedValue ? '通过' : '失败'}\n`)
 
     // 6. 测试边权重计算
     console.log('6. 测试边权重计算')
@@ -85,6 +117,48 @@ async function testGraphService() {
     }
     console.log('   ✓ 边权重计算成功\n')
 
+    // 6.1 测试图谱分析
+    console.log('6.1 测试图谱分析')
+    const analytics = await graphService.getGraphAnalytics({ limit: 5 })
+    console.log('   分析摘要:', JSON.stringify(analytics.summary))
+    for (const hub of analytics.hubs) {
+      console.log(`   #${hub.rank} ${hub.name}: 度数 ${hub.degree}, 加权度数 ${hub.weightedDegree}, 介数中心性 ${hub.betweenness}`)
+    }
+    const sortedHubs = analytics.hubs.every((hub, index, hubs) => index === 0 || hubs[index - 1].weightedDegree >= hub.weightedDegree)
+    console.log(`   ✓ 枢纽药物按加权度数排序: ${sortedHubs ? '通过' : '失败'}`)
+    const componentTotal = analytics.components.reduce((sum, component) => sum + component.size, 0)
+    console.log(`   ✓ 连通分量覆盖所有有相互作用的药物: ${componentTotal === analytics.summary.nodeCount - analytics.summary.isolatedCount ? '通过' : '失败'}`)
+    const cachedAnalytics = await graphService.getGraphAnalytics({ limit: 5, sortBy: 'betweenness' })
+    console.log(`   ✓ 相同筛选条件使用缓存结果: ${graphService.analyticsCache.size === 1 && cachedAnalytics.summary === analytics.summary ? '通过' : '失败'}`)
+    await Interaction.updateMany({ _id: null }, { $set: { description: '' } })
+    console.log(`   ✓ 相互作用写入后缓存失效: ${graphService.analyticsCache.size === 0 ? '通过' : '失败'}\n`)
+
+    // 6.2 测试药物路径
+    if (analytics.hubs.length > 0 && analytics.components.length > 0) {
+      console.log('6.2 测试药物路径')
+      const [fromId, , toId] = analytics.components[0].nodeIds
+      if (toId) {
+        const path = await graphService.getShortestPath(fromId, toId)
+        const weightedPath = await graphService.getShortestPath(fromId, toId, { weighted: true })
+        console.log('   路径:', path.nodes.map(node => node.name).join(' → '))
+        console.log('   加权路径:', weightedPath.nodes.map(node => node.name).join(' → '))
+        console.log(`   ✓ 同一连通分量内存在路径: ${path.found && weightedPath.found ? '通过' : '失败'}`)
+        console.log(`   ✓ 加权路径的跳数不少于最短路径: ${weightedPath.hops >= path.hops ? '通过' : '失败'}\n`)
+      }
+    }
+
+    // 6.3 测试图谱导出（特殊字符转义见 test/test-graph-export.js）
+    console.log('6.3 测试图谱导出')
+    for (const format of ['graphml', 'gexf', 'cytoscape', 'dot', 'csv']) {
+      const exported = await graphService.exportGraph(format)
+      const valid = exported.content.length > 0 && !exported.content.includes('undefined')
+      console.log(`   ✓ ${format}（${exported.contentType}，${exported.content.length} 字符）: ${valid ? '通过' : '失败'}`)
+    }
+    const cytoscape = JSON.parse((await graphService.exportGraph('cytoscape')).content)
+    console.log(`   ✓ Cytoscape 节点数量与图谱一致: ${cytoscape.elements.nodes.length === allGraphData.nodes.length ? '通过' : '失败'}`)
+    const csvRows = (await graphService.exportGraph('csv', null, { table: 'nodes' })).content.trim().split('\r\n')
+    console.log(`   ✓ CSV 节点表表头: ${csvRows[0].startsWith('Id,Label,category,source') ? '通过' : '失败'}\n`)
+
     // 7. 测试错误处理 - 不存在的药物ID
     console.log('7. 测试错误处理 - 不存在的药物ID')
     try {
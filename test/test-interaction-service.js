@@ -215,9 +215,32 @@ async function testCalculateOverallRisk() {
     const lowRisk = interactionService.calculateOverallRisk(lowRiskInteractions)
     console.log(`✓ 低风险测试: ${lowRisk === 'low' ? '通过' : '失败'}`)
 
+    // 测试大量低风险（low 不参与等级判定）
+    const manyLowRisk = interactionService.calculateRiskScore(Array.from({ length: 10 }, () => ({ severity: 'low' })))
+    console.log(`✓ 大量低风险测试: ${manyLowRisk.riskLevel === 'low' && manyLowRisk.score === 10 ? '通过' : '失败'}`)
+
     // 测试空数组
     const emptyRisk = interactionService.calculateOverallRisk([])
     console.log(`✓ 空数组测试: ${emptyRisk === 'low' ? '通过' : '失败'}`)
+
+    // 测试禁忌计入整体风险
+    const contraindicationRisk = interactionService.calculateOverallRisk(
+      [{ severity: 'low' }],
+      [{ type: 'condition', severity: 'high' }]
+    )
+    console.log(`✓ 禁忌计入风险测试: ${contraindicationRisk === 'high' ? '通过' : '失败'}`)
+
+    // 测试风险评分明细
+    const riskScore = interactionService.calculateRiskScore(
+      [{ severity: 'medium', drug1Name: '甲', drug2Name: '乙' }],
+      [],
+      [{ factor: 'elderly', label: '高龄（≥65岁）' }]
+    )
+    console.log(`✓ 风险评分明细测试: ${riskScore.breakdown.pairs[0].contribution > 0 && riskScore.breakdown.patientFactors[0].contribution > 0 ? '通过' : '失败'} (score=${riskScore.score})`)
+
+    // 测试禁止合用至少为高风险
+    const contraindicated = interactionService.calculateRiskScore([{ severity: 'contraindicated' }])
+    console.log(`✓ 禁止合用分级测试: ${contraindicated.riskLevel === 'high' && contraindicated.tier === 'contraindicated' ? '通过' : '失败'}`)
   } catch (error) {
     console.log('✗ 测试失败:', error.message)
   }
@@ -293,6 +316,47 @@ async function testCheckInteractionsWithAI(drugs) {
   }
 }
 
+// 测试5.1: checkInteractions - 药物数量上限
+async function testCheckInteractionsLimit() {
+  console.log('\n=== 测试5.1: checkInteractions (药物数量上限) ===')
+  try {
+    const tooMany = Array.from({ length: 21 }, () => new mongoose.Types.ObjectId().toString())
+    await interactionService.checkInteractions(tooMany)
+    console.log('✗ 超过上限时应抛出错误')
+  } catch (error) {
+    console.log(`✓ 超过上限时抛出错误: ${error.code === 'TOO_MANY_DRUGS' ? '通过' : '失败'} (${error.message})`)
+  }
+
+  // 上限按去重后的药物数量计算
+  try {
+    const repeated = Array.from({ length: 21 }, (_, index) => ['aaaaaaaaaaaaaaaaaaaaaaaa', 'bbbbbbbbbbbbbbbbbbbbbbbb'][index % 2])
+    await interactionService.checkByInput({ drugIds: repeated })
+  } catch (error) {
+    console.log(`✓ 重复的药物ID去重后计数: ${error.code !== 'TOO_MANY_DRUGS' ? '通过' : '失败'} (${error.message})`)
+  }
+}
+
+// 测试5.2: checkIncremental - 在现有用药基础上加药
+async function testCheckIncremental(drugs) {
+  console.log('\n=== 测试5.2: checkIncremental ===')
+  try {
+    // 现有用药为华法林，加用阿司匹林（测试数据中二者为高风险相互作用）
+    const result = await interactionService.checkIncremental({
+      existingDrugIds: [drugs[1]._id.toString()],
+      candidateDrugIds: [drugs[0]._id.toString()],
+    })
+
+    console.log(`✓ 只返回新增药物对: ${result.newPairCount === 1 && result.newInteractionCount === 1 ? '通过' : '失败'}`)
+    console.log(`✓ 风险等级变化: ${result.riskDelta.before === 'low' && result.riskDelta.after === 'high' ? '通过' : '失败'}`)
+
+    // 布洛芬与阿司匹林同属解热镇痛药，与华法林没有已知的高风险相互作用
+    const alternatives = result.alternatives[0]?.alternatives || []
+    console.log(`✓ 推荐同类替代药物: ${alternatives.some(item => item.name === '布洛芬') ? '通过' : '失败'}`)
+  } catch (error) {
+    console.log('✗ 测试失败:', error.message)
+  }
+}
+
 // 测试6: findByDrugId - 查询药物的所有相互作用
 async function testFindByDrugId(drugs) {
   console.log('\n=== 测试6: findByDrugId ===')
@@ -332,6 +396,83 @@ async function testFindBySeverity() {
   }
 }
 
+// 测试8: findAll - 筛选、分页和排序
+async function testFindAll(drugs) {
+  console.log('\n=== 测试8: findAll ===')
+  try {
+    const result = await interactionService.findAll(
+      { drugId: drugs[0]._id.toString() },
+      { page: 1, limit: 5, sortBy: 'severity', order: 'desc' }
+    )
+    console.log(`✓ 查询到 ${result.interactions.length} 条记录，共 ${result.total} 条`)
+    console.log(`✓ 分页信息正确: ${result.page === 1 && result.totalPages >= 1 ? '通过' : '失败'}`)
+
+    const severityOrder = ['low', 'medium', 'high']
+    const sorted = result.interactions.every((interaction, index, list) =>
+      index === 0 ||
+      severityOrder.indexOf(list[index - 1].severity) >= severityOrder.indexOf(interaction.severity)
+    )
+    console.log(`✓ 按严重程度降序排列: ${sorted ? '通过' : '失败'}`)
+
+    const highOnly = await interactionService.findAll({ severity: 'high', source: 'database' })
+    const allHigh = highOnly.interactions.every(
+      interaction => interaction.severity === 'high' && interaction.source === 'database'
+    )
+    console.log(`✓ 严重程度和来源筛选: ${allHigh ? '通过' : '失败'}`)
+  } catch (error) {
+    console.log('✗ 测试失败:', error.message)
+  }
+}
+
+// 测试9: create / update - 人工维护相互作用
+async function testCreateAndUpdate(drugs) {
+  console.log('\n=== 测试9: create / update ===')
+  try {
+    // 阿司匹林-华法林已存在，应该拒绝重复创建
+    try {
+      await interactionService.create({
+        drug1Id: drugs[1]._id.toString(),
+        drug2Id: drugs[0]._id.toString(),
+        ...testInteraction,
+      })
+      console.log('✗ 重复创建应该抛出错误')
+    } catch (error) {
+      console.log(`✓ 重复创建被拒绝: ${error.message}`)
+    }
+
+    const existing = await interactionService.findInteraction(
+      drugs[0]._id.toString(),
+      drugs[1]._id.toString()
+    )
+    const updated = await interactionService.update(existing._id.toString(), {
+      severity: 'medium',
+      drug1Id: drugs[2]._id.toString(),
+      source: existing.source === 'ai' ? 'database' : 'ai',
+    })
+    console.log(`✓ 严重程度已更新: ${updated.severity === 'medium' ? '通过' : '失败'}`)
+    console.log(`✓ 药物对保持不变: ${updated.drug1Id.toString() === drugs[0]._id.toString() ? '通过' : '失败'}`)
+    console.log(`✓ 数据来源保持不变: ${updated.source === existing.source ? '通过' : '失败'}`)
+
+    const detailed = await interactionService.update(existing._id.toString(), {
+      mechanism: { category: 'pharmacokinetic', enzymes: ['cyp2c9'] },
+      evidenceLevel: 'established',
+      monitoring: ['INR'],
+      references: [{ title: '测试文献', year: 2020 }],
+    })
+    console.log(`✓ 代谢酶统一为大写: ${detailed.mechanism.enzymes[0] === 'CYP2C9' ? '通过' : '失败'}`)
+
+    const byEnzyme = await interactionService.findAll({ enzyme: 'Cyp2c9', evidenceLevel: 'established' })
+    const matched = byEnzyme.interactions.some(item => item._id.toString() === existing._id.toString())
+    console.log(`✓ 按代谢酶和证据等级筛选: ${matched ? '通过' : '失败'}`)
+
+    const byCategory = await interactionService.findAll({ mechanismCategory: 'pharmacodynamic' })
+    const excluded = byCategory.interactions.every(item => item._id.toString() !== existing._id.toString())
+    console.log(`✓ 按作用机制类别筛选: ${excluded ? '通过' : '失败'}`)
+  } catch (error) {
+    console.log('✗ 测试失败:', error.message)
+  }
+}
+
 // 主测试函数
 async function runTests() {
   console.log('========================================')
@@ -356,8 +497,12 @@ async function runTests() {
     await testCalculateOverallRisk()
     await testCheckInteractionsDatabase(drugs)
     await testCheckInteractionsWithAI(drugs)
+    await testCheckInteractionsLimit()
+    await testCheckIncremental(drugs)
     await testFindByDrugId(drugs)
     await testFindBySeverity()
+    await testFindAll(drugs)
+    await testCreateAndUpdate(drugs)
 
     console.log('\n========================================')
     console.log('所有测试完成')
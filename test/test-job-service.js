@@ -0,0 +1,190 @@
+/**
+ * JobService 手动测试脚本
+ * 测试异步任务的提交、执行、重试和取消
+ * 任务执行逻辑通过替换 drugService.findOrAnalyze 模拟，不调用真实AI接口
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { jobService } from '../src/services/JobService.js'
+import { drugService } from '../src/services/DrugService.js'
+import Job from '../src/models/Job.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试用户（两个不同用户，用于验证任务隔离）
+const testUser = { id: new mongoose.Types.ObjectId().toString(), role: 'viewer' }
+const otherUser = { id: new mongoose.Types.ObjectId().toString(), role: 'viewer' }
+
+const originalFindOrAnalyze = drugService.findOrAnalyze
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await Job.deleteMany({
+    createdBy: { $in: [testUser.id, otherUser.id] },
+  })
+}
+
+// 执行指定任务（先把其他到期任务推后，避免领取到不相关的任务）
+async function runJob(jobId) {
+  await Job.updateOne({ _id: jobId }, { $set: { runAt: new Date(0) } })
+  await jobService.processNext()
+  return Job.findById(jobId).lean()
+}
+
+// 测试1: 提交任务与参数校验
+async function testSubmit() {
+  console.log('\n=== 测试1: submit ===')
+  const job = await jobService.submit('analyzeDrug', { name: ' 阿司匹林 ' }, testUser)
+  console.log(`✓ 初始状态: ${job.status === 'queued' ? '通过' : '失败'}`)
+  console.log(`✓ 输入已规范化: ${job.input.name === '阿司匹林' ? '通过' : '失败'}`)
+  console.log(`✓ 最大尝试次数: ${job.maxAttempts === config.jobs.maxAttempts ? '通过' : '失败'}`)
+
+  for (const [type, input] of [['unknown', {}], ['checkInteractions', { drugIds: ['only-one'] }]]) {
+    try {
+      await jobService.submit(type, input, testUser)
+      console.log(`✗ ${type} 应当校验失败`)
+    } catch (error) {
+      console.log(`✓ ${type} 校验失败: ${error.code} ${error.message}`)
+    }
+  }
+
+  return job
+}
+
+// 测试2: 执行成功
+async function testSuccess(job) {
+  console.log('\n=== 测试2: 执行成功 ===')
+  drugService.findOrAnalyze = async (name) => ({ drug: { name }, source: 'database' })
+
+  const finished = await runJob(job._id)
+  console.log(`✓ 状态: ${finished.status === 'succeeded' ? '通过' : '失败'}`)
+  console.log(`✓ 结果: ${finished.result?.name === '阿司匹林' && finished.result?.source === 'database' ? '通过' : '失败'}`)
+  console.log(`✓ 执行次数: ${finished.attempts === 1 ? '通过' : '失败'}`)
+
+  try {
+    await jobService.cancel(job._id, testUser)
+    console.log('✗ 已结束的任务取消应当失败')
+  } catch (error) {
+    console.log(`✓ 已结束的任务无法取消: ${error.code}`)
+  }
+}
+
+// 测试3: 可重试错误按退避重试，超过次数后失败
+async function testRetry() {
+  console.log('\n=== 测试3: 重试 ===')
+  drugService.findOrAnalyze = async () => {
+    const error = new Error('AI接口调用超时，请稍后重试')
+    error.code = 'AI_TIMEOUT'
+    throw error
+  }
+
+  const job = await jobService.submit('analyzeDrug', { name: '华法林' }, testUser)
+
+  const retrying = await runJob(job._id)
+  console.log(`✓ 等待重试: ${retrying.status === 'queued' && retrying.error?.code === 'AI_TIMEOUT' ? '通过' : '失败'}`)
+  console.log(`✓ 推后执行时间: ${retrying.runAt > new Date() ? '通过' : '失败'}`)
+
+  let current = retrying
+  while (current.status === 'queued') {
+    current = await runJob(job._id)
+  }
+  console.log(`✓ 超过次数后失败: ${current.status === 'failed' && current.attempts === current.maxAttempts ? '通过' : '失败'}`)
+
+  // 不可重试的错误直接失败
+  drugService.findOrAnalyze = async () => {
+    const error = new Error('AI返回的数据格式不正确，自动修复失败')
+    error.code = 'AI_INVALID_RESPONSE'
+    throw error
+  }
+  const invalidJob = await jobService.submit('analyzeDrug', { name: '布洛芬' }, testUser)
+  const failed = await runJob(invalidJob._id)
+  console.log(`✓ 不可重试的错误直接失败: ${failed.status === 'failed' && failed.attempts === 1 ? '通过' : '失败'}`)
+}
+
+// 测试3.1: 中断的任务
+async function testStaleJobs() {
+  console.log('\n=== 测试3.1: 中断的任务 ===')
+  const startedAt = new Date(Date.now() - config.jobs.staleAfterMs - 1000)
+  const retryable = await jobService.submit('analyzeDrug', { name: '美托洛尔' }, testUser)
+  const exhausted = await jobService.submit('analyzeDrug', { name: '地高辛' }, testUser)
+  await Job.updateOne({ _id: retryable._id }, { $set: { status: 'running', startedAt, attempts: 1 } })
+  await Job.updateOne({ _id: exhausted._id }, { $set: { status: 'running', startedAt, attempts: exhausted.maxAttempts } })
+
+  await jobService.requeueStaleJobs()
+  const requeued = await Job.findById(retryable._id).lean()
+  const failed = await Job.findById(exhausted._id).lean()
+  console.log(`✓ 未达到最大尝试次数时重新排队: ${requeued.status === 'queued' ? '通过' : '失败'}`)
+  console.log(`✓ 达到最大尝试次数后标记为失败: ${failed.status === 'failed' && failed.error?.code === 'JOB_INTERRUPTED' ? '通过' : '失败'}`)
+  await jobService.cancel(retryable._id, testUser)
+}
+
+// 测试4: 取消与用户隔离
+async function testCancel() {
+  console.log('\n=== 测试4: cancel ===')
+  const job = await jobService.submit('analyzeDrug', { name: '氯吡格雷' }, testUser)
+
+  try {
+    await jobService.findById(job._id, otherUser)
+    console.log('✗ 其他用户查看应当失败')
+  } catch (error) {
+    console.log(`✓ 其他用户无法查看: ${error.message}`)
+  }
+
+  const admin = { id: otherUser.id, role: 'admin' }
+  const visible = await jobService.findById(job._id, admin)
+  console.log(`✓ 管理员可以查看: ${visible ? '通过' : '失败'}`)
+
+  const cancelled = await jobService.cancel(job._id, testUser)
+  console.log(`✓ 排队中的任务直接取消: ${cancelled.status === 'cancelled' ? '通过' : '失败'}`)
+
+  // 执行中的任务被请求取消后不保存结果
+  const running = await jobService.submit('analyzeDrug', { name: '奥美拉唑' }, testUser)
+  drugService.findOrAnalyze = async (name) => {
+    await jobService.cancel(running._id, testUser)
+    return { drug: { name }, source: 'database' }
+  }
+  const finished = await runJob(running._id)
+  console.log(`✓ 执行中的任务结束后取消: ${finished.status === 'cancelled' && finished.result === null ? '通过' : '失败'}`)
+
+  const list = await jobService.findAll(testUser, { status: 'cancelled' })
+  console.log(`✓ 按状态筛选: ${list.total === 2 ? '通过' : '失败'}`)
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('JobService 测试')
+  console.log('========================================')
+
+  // 缩短退避时间，便于连续重试
+  config.jobs.retryBaseDelayMs = 10
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    const job = await testSubmit()
+    await testSuccess(job)
+    await testRetry()
+    await testStaleJobs()
+    await testCancel()
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    drugService.findOrAnalyze = originalFindOrAnalyze
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
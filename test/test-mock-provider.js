@@ -0,0 +1,126 @@
+/**
+ * AI mock 提供方测试脚本
+ * 不依赖外部AI服务、数据库和服务器，验证 AIService 在 mock 提供方下的行为
+ * 运行: node test/test-mock-provider.js
+ */
+
+import { MockProvider } from '../src/services/providers/MockProvider.js'
+
+// 必须在导入 AIService 之前设置，单例按配置创建提供方
+process.env.AI_PROVIDER = 'mock'
+const { aiService } = await import('../src/services/AIService.js')
+
+// 测试结果统计
+const results = {
+  passed: 0,
+  failed: 0,
+}
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`)
+    results.passed++
+  } else {
+    console.error(`✗ ${message}`)
+    results.failed++
+  }
+}
+
+async function collectStream(generator) {
+  let text = ''
+  for await (const chunk of generator) {
+    text += chunk
+  }
+  return text
+}
+
+async function runTests() {
+  console.log('='.repeat(60))
+  console.log('AI mock 提供方测试开始')
+  console.log('='.repeat(60))
+
+  // 测试1: 内置夹具
+  console.log('\n测试 1: 内置夹具')
+  assert(aiService.provider.name === 'mock', 'AI_PROVIDER=mock 时使用 mock 提供方')
+
+  const aspirin = await aiService.analyzeDrug('阿司匹林')
+  assert(aspirin.genericName === 'Aspirin', '药物分析命中夹具')
+
+  const interactions = await aiService.analyzeInteractions(['华法林', '阿司匹林'])
+  assert(interactions.overallRisk === 'high', '相互作用夹具与药物顺序无关')
+
+  const invalid = await aiService.validateDrugName('asdfgh')
+  assert(invalid.valid === false, '名称校验命中夹具')
+
+  // 测试2: 默认生成器
+  console.log('\n测试 2: 默认生成器')
+  const unknown = await aiService.analyzeDrug('未收录药物')
+  assert(unknown.name === '未收录药物' && unknown.category === '未分类', '未命中夹具时返回默认药物分析')
+
+  const pairs = await aiService.analyzeInteractions(['甲', '乙', '丙'])
+  assert(pairs.interactions.length === 3, '默认相互作用结果覆盖每一对药物')
+
+  const again = await aiService.analyzeInteractions(['甲', '乙', '丙'])
+  assert(JSON.stringify(again) === JSON.stringify(pairs), '相同输入返回相同结果')
+
+  const explanation = await aiService.explainAlternatives({
+    drugName: '甲',
+    coMedications: ['乙'],
+    currentInteractions: [],
+    alternatives: [{ name: '丙', interactions: [], unknownPairCount: 1 }],
+  })
+  assert(explanation.recommendations[0]?.name === '丙', '默认替代药物解释覆盖每个候选药物')
+
+  // 测试3: 流式聊天
+  console.log('\n测试 3: 流式聊天')
+  const reply = await collectStream(aiService.streamChat('头孢和酒精能一起吗？'))
+  assert(reply.includes('双硫仑样反应'), '聊天命中夹具')
+
+  const echo = await collectStream(aiService.streamChat('你好'))
+  assert(echo === '这是模拟回复：你好', '未命中夹具时返回默认回复')
+
+  assert(await aiService.healthCheck(), '健康检查通过')
+
+  // 测试4: 模拟错误
+  console.log('\n测试 4: 模拟错误')
+  aiService.provider = new MockProvider({
+    fixtures: {
+      analyzeDrug: { 超时药物: { $error: 'AI_TIMEOUT' } },
+      analyzeInteractions: { '甲+乙': { $error: 'AI_CONNECTION_ERROR' } },
+      chat: [{ match: '出错', $error: 'boom' }],
+    },
+  })
+
+  try {
+    await aiService.analyzeDrug('超时药物')
+    assert(false, '超时夹具应抛出错误')
+  } catch (error) {
+    assert(error.code === 'AI_TIMEOUT' && error.status === 504, '超时夹具映射为 AI_TIMEOUT')
+  }
+
+  try {
+    await aiService.analyzeInteractions(['乙', '甲'])
+    assert(false, '连接失败夹具应抛出错误')
+  } catch (error) {
+    assert(error.code === 'AI_CONNECTION_ERROR' && error.status === 502, '连接失败夹具映射为 AI_CONNECTION_ERROR')
+  }
+
+  try {
+    await collectStream(aiService.streamChat('这里会出错'))
+    assert(false, '聊天错误夹具应抛出错误')
+  } catch (error) {
+    assert(error.code === 'AI_SERVICE_ERROR', '聊天错误夹具映射为 AI_SERVICE_ERROR')
+  }
+
+  console.log('\n' + '='.repeat(60))
+  console.log(`通过: ${results.passed}`)
+  console.log(`失败: ${results.failed}`)
+  console.log('='.repeat(60))
+
+  process.exit(results.failed > 0 ? 1 : 0)
+}
+
+runTests().catch((error) => {
+  console.error('测试运行失败:', error)
+  process.exit(1)
+})
@@ -0,0 +1,141 @@
+/**
+ * MultiDrugInteractionService 手动测试脚本
+ * 测试多药相互作用的维护和检测
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import { multiDrugInteractionService } from '../src/services/MultiDrugInteractionService.js'
+import { interactionService } from '../src/services/InteractionService.js'
+import MultiDrugInteraction from '../src/models/MultiDrugInteraction.js'
+import Drug from '../src/models/Drug.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试数据使用特殊前缀，便于清理
+const PREFIX = '测试多药_'
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await MultiDrugInteraction.deleteMany({ interactionType: new RegExp(`^${PREFIX}`) })
+  await Drug.deleteMany({ name: new RegExp(`^${PREFIX}`) })
+}
+
+// 构造内存中的药物记录（检测只读取药物ID、名称和类别）
+const buildDrug = (name, category) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  category,
+})
+
+const baseData = {
+  severity: 'high',
+  description: '测试描述',
+  recommendation: '测试建议',
+}
+
+// 测试1: 创建与重复校验
+async function testCreate() {
+  console.log('\n=== 测试1: create ===')
+  const drug = await Drug.create({
+    name: `${PREFIX}布洛芬`,
+    category: `${PREFIX}NSAIDs`,
+    description: '测试药物',
+  })
+
+  const group = await multiDrugInteractionService.create({
+    ...baseData,
+    interactionType: `${PREFIX}三重打击`,
+    members: [
+      { drugId: drug._id.toString() },
+      { drugClass: `${PREFIX}ACEI` },
+      { drugClass: `${PREFIX}利尿剂` },
+    ],
+  })
+  console.log(`✓ 药物成员名称自动填充: ${group.members[0].drugName === drug.name ? '通过' : '失败'}`)
+
+  try {
+    await multiDrugInteractionService.create({
+      ...baseData,
+      interactionType: `${PREFIX}重复`,
+      members: [
+        { drugClass: ` ${PREFIX}利尿剂` },
+        { drugClass: `${PREFIX}acei` },
+        { drugId: drug._id.toString() },
+      ],
+    })
+    console.log('✗ 相同成员组合应当失败')
+  } catch (error) {
+    console.log(`✓ 成员组合重复（与顺序和大小写无关）: ${error.message}`)
+  }
+
+  const list = await multiDrugInteractionService.findAll({ drugClass: `${PREFIX}ACEI` })
+  console.log(`✓ 按药物类别筛选: ${list.total === 1 ? '通过' : '失败'}`)
+
+  return { drug, group }
+}
+
+// 测试2: 检测
+async function testDetect({ drug }) {
+  console.log('\n=== 测试2: detect ===')
+  const acei = buildDrug('依那普利', `${PREFIX}ACEI`)
+  const diuretic = buildDrug('氢氯噻嗪', `${PREFIX}利尿剂`)
+
+  const matches = await multiDrugInteractionService.detect([drug.toObject(), acei, diuretic])
+  const match = matches.find(item => item.interactionType === `${PREFIX}三重打击`)
+  console.log(`✓ 全部成员在场时命中: ${match ? '通过' : '失败'}`)
+  console.log(`✓ 成员对应的药物: ${match?.matchedDrugs.map(item => item.drugName).join('+') === `${drug.name}+依那普利+氢氯噻嗪` ? '通过' : '失败'}`)
+
+  const partial = await multiDrugInteractionService.detect([drug.toObject(), acei, buildDrug('其他', '其他类别')])
+  console.log(`✓ 缺少成员时不命中: ${partial.every(item => item.interactionType !== `${PREFIX}三重打击`) ? '通过' : '失败'}`)
+
+  const score = interactionService.calculateRiskScore([], [], [], matches)
+  console.log(`✓ 计入风险评分: ${score.breakdown.multiDrug.count === matches.length && score.riskLevel === 'high' ? '通过' : '失败'}`)
+}
+
+// 测试3: 更新与删除
+async function testUpdateAndDelete({ group }) {
+  console.log('\n=== 测试3: update / delete ===')
+  const updated = await multiDrugInteractionService.update(group._id.toString(), { severity: 'contraindicated' })
+  console.log(`✓ 严重程度已更新: ${updated.severity === 'contraindicated' ? '通过' : '失败'}`)
+
+  await multiDrugInteractionService.delete(group._id.toString())
+  try {
+    await multiDrugInteractionService.findById(group._id.toString())
+    console.log('✗ 删除后应当查询不到')
+  } catch (error) {
+    console.log(`✓ 删除后查询: ${error.message}`)
+  }
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('MultiDrugInteractionService 测试')
+  console.log('========================================')
+
+  try {
+    await connectDB()
+    await cleanupTestData()
+
+    const created = await testCreate()
+    await testDetect(created)
+    await testUpdateAndDelete(created)
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
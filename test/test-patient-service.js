@@ -0,0 +1,153 @@
+/**
+ * PatientService 手动测试脚本
+ * 测试患者档案、用药清单和在用药物筛选
+ */
+
+import mongoose from 'mongoose'
+import { config } from '../src/config/env.js'
+import {
+  patientService,
+  isActiveMedication,
+  derivePatientConditions,
+  derivePatientFactors,
+} from '../src/services/PatientService.js'
+import Patient from '../src/models/Patient.js'
+import Drug from '../src/models/Drug.js'
+import { logger } from '../src/utils/logger.js'
+
+// 测试数据使用特殊前缀，便于清理
+const PREFIX = '测试患者_'
+
+const owner = { id: new mongoose.Types.ObjectId().toString(), role: 'pharmacist' }
+const otherUser = { id: new mongoose.Types.ObjectId().toString(), role: 'pharmacist' }
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' }
+
+async function connectDB() {
+  await mongoose.connect(config.mongodb.uri, {
+    dbName: config.mongodb.dbName,
+  })
+  logger.info('数据库连接成功')
+}
+
+async function cleanupTestData() {
+  await Patient.deleteMany({ name: new RegExp(`^${PREFIX}`) })
+}
+
+// 测试1: 在用药物、疾病/状态和患者因素推导（不需要数据库）
+function testHelpers() {
+  console.log('\n=== 测试1: isActiveMedication / derivePatientConditions / derivePatientFactors ===')
+  const now = new Date('2026-06-01')
+  console.log(`✓ 无日期视为在用: ${isActiveMedication({}, now) ? '通过' : '失败'}`)
+  console.log(`✓ 未开始不在用: ${!isActiveMedication({ startDate: '2026-07-01' }, now) ? '通过' : '失败'}`)
+  console.log(`✓ 已停止不在用: ${!isActiveMedication({ stopDate: '2026-05-01' }, now) ? '通过' : '失败'}`)
+
+  const conditions = derivePatientConditions({
+    conditions: ['消化道溃疡', '妊娠期'],
+    pregnancyStatus: 'third_trimester',
+    renalFunction: 'severe',
+    hepaticFunction: 'moderate',
+  })
+  const expected = ['消化道溃疡', '妊娠期', '孕晚期', '严重肾功能不全']
+  console.log(`✓ 推导疾病/状态并去重: ${JSON.stringify(conditions) === JSON.stringify(expected) ? '通过' : '失败'}`)
+
+  const factors = derivePatientFactors({ age: 70, pregnancyStatus: 'none', renalFunction: 'moderate', hepaticFunction: 'normal' })
+  console.log(`✓ 推导患者因素: ${factors.map(item => item.factor).join(',') === 'elderly,renal_impairment' ? '通过' : '失败'}`)
+}
+
+// 测试2: 创建与归属校验
+async function testCreateAndAccess(drugs) {
+  console.log('\n=== 测试2: create / findById ===')
+  const patient = await patientService.create({
+    name: `${PREFIX}张三`,
+    age: 68,
+    medications: drugs.map(drug => ({ drugId: drug._id.toString(), dose: '1片' })),
+  }, owner)
+  console.log(`✓ 补充药物名称: ${patient.medications.every(item => item.drugName) ? '通过' : '失败'}`)
+
+  try {
+    await patientService.findById(patient._id, otherUser)
+    console.log('✗ 其他用户访问应当失败')
+  } catch (error) {
+    console.log(`✓ 其他用户访问: ${error.message}`)
+  }
+
+  const byAdmin = await patientService.findById(patient._id, admin)
+  console.log(`✓ 管理员访问: ${byAdmin ? '通过' : '失败'}`)
+
+  const list = await patientService.findAll(otherUser, { keyword: PREFIX })
+  console.log(`✓ 列表只包含自己的患者: ${list.total === 0 ? '通过' : '失败'}`)
+
+  try {
+    await patientService.create({
+      name: `${PREFIX}李四`,
+      medications: [{ drugId: new mongoose.Types.ObjectId().toString() }],
+    }, owner)
+    console.log('✗ 药物不存在应当失败')
+  } catch (error) {
+    console.log(`✓ 药物不存在: ${error.code === 'DRUG_NOT_FOUND' ? '通过' : '失败'}`)
+  }
+
+  return patient
+}
+
+// 测试3: 停用药物后在用药物不足
+async function testCheckInsufficient(patient, drugs) {
+  console.log('\n=== 测试3: update / check ===')
+  const updated = await patientService.update(patient._id, {
+    medications: drugs.map((drug, index) => ({
+      drugId: drug._id.toString(),
+      stopDate: index === 0 ? '2020-01-01' : undefined,
+    })),
+  }, owner)
+  console.log(`✓ 整体替换用药清单: ${updated.medications.length === drugs.length ? '通过' : '失败'}`)
+
+  try {
+    await patientService.check(patient._id, owner)
+    console.log('✗ 在用药物不足应当失败')
+  } catch (error) {
+    console.log(`✓ 在用药物不足: ${error.code === 'INSUFFICIENT_DRUGS' ? '通过' : '失败'}`)
+  }
+}
+
+// 测试4: 删除
+async function testDelete(patient) {
+  console.log('\n=== 测试4: delete ===')
+  await patientService.delete(patient._id, owner)
+  const remaining = await Patient.countDocuments({ _id: patient._id })
+  console.log(`✓ 删除患者: ${remaining === 0 ? '通过' : '失败'}`)
+}
+
+async function runTests() {
+  console.log('========================================')
+  console.log('PatientService 测试')
+  console.log('========================================')
+
+  try {
+    testHelpers()
+
+    await connectDB()
+    await cleanupTestData()
+
+    const drugs = await Drug.find().limit(2).lean()
+    if (drugs.length < 2) {
+      console.log('数据库中药物少于2种，跳过数据库测试')
+      return
+    }
+
+    const patient = await testCreateAndAccess(drugs)
+    await testCheckInsufficient(patient, drugs)
+    await testDelete(patient)
+
+    console.log('\n========================================')
+    console.log('所有测试完成')
+    console.log('========================================')
+  } catch (error) {
+    console.error('测试过程中发生错误:', error.message)
+  } finally {
+    await cleanupTestData()
+    await mongoose.connection.close()
+  }
+}
+
+// 运行测试
+runTests().catch(console.error)
@@ -0,0 +1,129 @@
+/**
+ * 限流中间件测试脚本
+ * 不依赖数据库和服务器，直接调用中间件
+ */
+
+import { createRateLimiter, MemoryStore, ipKeyGenerator, aiRateLimit } from '../src/middleware/rateLimit.js'
+import { config } from '../src/config/env.js'
+
+// 测试结果统计
+const results = {
+  passed: 0,
+  failed: 0,
+}
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`)
+    results.passed++
+  } else {
+    console.error(`✗ ${message}`)
+    results.failed++
+  }
+}
+
+// 构造最小的Koa上下文
+function createContext(options = {}) {
+  const headers = {}
+  return {
+    state: { user: options.user },
+    ip: options.ip || '127.0.0.1',
+    url: '/api/drugs/analyze',
+    headers,
+    set: (name, value) => {
+      headers[name] = value
+    },
+  }
+}
+
+async function runTests() {
+  console.log('='.repeat(60))
+  console.log('限流中间件测试开始')
+  console.log('='.repeat(60))
+
+  // 测试1: 窗口内超过上限返回429
+  console.log('\n测试 1: 超过上限返回429')
+  const limiter = createRateLimiter({ name: 'test', windowMs: 1000, max: 2 })
+  let calls = 0
+  const next = async () => {
+    calls++
+  }
+
+  await limiter(createContext(), next)
+  await limiter(createContext(), next)
+  const limitedCtx = createContext()
+  await limiter(limitedCtx, next)
+
+  assert(calls === 2, '前两次请求放行')
+  assert(limitedCtx.status === 429, '第三次请求返回429')
+  assert(limitedCtx.body.error.code === 'RATE_LIMIT_EXCEEDED', '错误代码正确')
+  assert(Number(limitedCtx.headers['Retry-After']) >= 1, '包含Retry-After响应头')
+
+  // 测试2: 不同用户/IP分别计数
+  console.log('\n测试 2: 按用户和IP分别计数')
+  const otherIpCtx = createContext({ ip: '10.0.0.1' })
+  await limiter(otherIpCtx, next)
+  assert(otherIpCtx.status === undefined, '其他IP不受影响')
+
+  const userCtx = createContext({ user: { id: 'user-1' } })
+  await limiter(userCtx, next)
+  assert(userCtx.status === undefined, '已登录用户按用户ID计数')
+
+  // 测试3: 窗口过期后重置
+  console.log('\n测试 3: 窗口过期后重置')
+  await new Promise(resolve => setTimeout(resolve, 1100))
+  const resetCtx = createContext()
+  await limiter(resetCtx, next)
+  assert(resetCtx.status === undefined, '窗口过期后重新放行')
+
+  // 测试4: 自定义存储
+  console.log('\n测试 4: 自定义存储')
+  const store = new MemoryStore()
+  const sharedA = createRateLimiter({ name: 'shared', windowMs: 1000, max: 1, store })
+  const sharedB = createRateLimiter({ name: 'shared', windowMs: 1000, max: 1, store })
+  await sharedA(createContext(), next)
+  const sharedCtx = createContext()
+  await sharedB(sharedCtx, next)
+  assert(sharedCtx.status === 429, '同名限流器共享存储时计数共享')
+
+  // 测试5: 按IP限流时不区分用户
+  console.log('\n测试 5: 按IP限流')
+  const ipLimiter = createRateLimiter({ name: 'ip-test', windowMs: 1000, max: 1, keyGenerator: ipKeyGenerator })
+  await ipLimiter(createContext({ ip: '10.0.0.2', user: { id: 'user-a' } }), next)
+  const ipCtx = createContext({ ip: '10.0.0.2', user: { id: 'user-b' } })
+  await ipLimiter(ipCtx, next)
+  assert(ipCtx.status === 429, '同一IP下的不同用户共享计数')
+
+  // 测试6: AI限流同时按用户和按IP计数
+  console.log('\n测试 6: AI限流同时按用户和IP计数')
+  const { max, ipMax } = config.rateLimit
+  let userLimitedCtx
+  for (let i = 0; i <= max; i++) {
+    userLimitedCtx = createContext({ ip: '10.0.1.1', user: { id: 'ai-user' } })
+    await aiRateLimit(userLimitedCtx, next)
+  }
+  assert(userLimitedCtx.status === 429, `同一用户超过 ${max} 次后返回429`)
+
+  let ipLimitedCtx
+  for (let i = 0; i <= ipMax; i++) {
+    ipLimitedCtx = createContext({ ip: '10.0.2.1', user: { id: `ai-user-${i}` } })
+    await aiRateLimit(ipLimitedCtx, next)
+  }
+  assert(ipLimitedCtx.status === 429, `同一IP下多个用户合计超过 ${ipMax} 次后返回429`)
+
+  const otherUserCtx = createContext({ ip: '10.0.3.1', user: { id: 'ai-user-0' } })
+  await aiRateLimit(otherUserCtx, next)
+  assert(otherUserCtx.status === undefined, '其他IP的用户不受影响')
+
+  console.log('\n' + '='.repeat(60))
+  console.log(`通过: ${results.passed}`)
+  console.log(`失败: ${results.failed}`)
+  console.log('='.repeat(60))
+
+  process.exit(results.failed > 0 ? 1 : 0)
+}
+
+runTests().catch((error) => {
+  console.error('测试运行失败:', error)
+  process.exit(1)
+})
@@ -8,6 +8,9 @@ import { logger } from '../src/utils/logger.js'
 
 const BASE_URL = `http://localhost:${config.port}`
 
+// 访问令牌：写入和AI接口需要登录，使用 TEST_USERNAME / TEST_PASSWORD 指定测试账号
+let accessToken = null
+
 // 辅助函数：发送HTTP请求
 async function request(method, path, body = null) {
   const url = `${BASE_URL}${path}`
@@ -18,6 +21,10 @@ async function request(method, path, body = null) {
     },
   }
 
+  if (accessToken) {
+    options.headers.Authorization = `Bearer ${accessToken}`
+  }
+
   if (body) {
     options.body = JSON.stringify(body)
   }
@@ -44,6 +51,20 @@ async function testRoutes() {
     console.log('   响应:', JSON.stringify(health.data, null, 2))
     console.log('   ✓ 健康检查通过\n')
 
+    // 1.1 登录测试账号
+    if (process.env.TEST_USERNAME && process.env.TEST_PASSWORD) {
+      console.log('1.1 登录测试账号 POST /api/auth/login')
+      const login = await request('POST', '/api/auth/login', {
+        username: process.env.TEST_USERNAME,
+        password: process.env.TEST_PASSWORD,
+      })
+      console.log('   状态码:', login.status)
+      accessToken = login.data.data?.accessToken || null
+      console.log(accessToken ? '   ✓ 登录成功\n' : '   ⚠ 登录失败，需要认证的接口将返回401\n')
+    } else {
+      console.log('1.1 ⚠ 未配置 TEST_USERNAME / TEST_PASSWORD，需要认证的接口将返回401\n')
+    }
+
     // 2. 测试获取药物列表
     console.log('2. 测试获取药物列表 GET /api/drugs')
     const drugs = await request('GET', '/api/drugs?page=1&limit=5')
@@ -134,6 +155,15 @@ async function testRoutes() {
     console.log('   错误信息:', checkError.data.error?.message)
     console.log('   ✓ 参数验证正常\n')
 
+    // 10.1 测试相互作用列表（重复的筛选参数）
+    console.log('10.1 测试相互作用列表（重复的筛选参数）')
+    const listError = await request('GET', '/api/interactions?interactionType=a&interactionType=b')
+    console.log('   状态码:', listError.status)
+    console.log('   错误信息:', listError.data.error?.message)
+    console.log(`   ✓ 重复参数返回400: ${listError.status === 400 ? '通过' : '失败'}`)
+    const enzymeError = await request('GET', '/api/interactions?enzyme=CYP3A4&enzyme=CYP2D6')
+    console.log(`   ✓ 重复的酶参数返回400: ${enzymeError.status === 400 ? '通过' : '失败'}\n`)
+
     // 11. 测试Swagger文档
     console.log('11. 测试Swagger文档 GET /swagger.json')
     const swagger = await request('GET', '/swagger.json')